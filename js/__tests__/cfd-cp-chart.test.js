@@ -0,0 +1,175 @@
+/**
+ * cfd-cp-chart.test.js — centreline Cp chart.
+ *
+ *   CC1    centerlineCp — the x = 0 cut, outermost upper / lower skin per z bin
+ *   CC2–3  CfdEffect.getCenterlineCp — painted curves beside the authored
+ *          profile, rebuilt per recolor; reference only on the patch fallback
+ *   CC4    cpChartScale — nose left, −Cp up, range rounded out to 0.5
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { CfdEffect, centerlineCp, lerpCpProfile } from '../cfd-effect.js';
+import { cpChartScale } from '../cp-chart.js';
+
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+const F1_ANCHORS = {
+  frontWing:  { x: 0, y: 0.04, z: -2.60 },
+  rearWing:   { x: 0, y: 0.98, z:  1.95 },
+  sidepodTop: { x: 0, y: 0.46, z:  0.28 },
+  floor:      { x: 0, y: 0.04, z:  0.00 },
+  diffuser:   { x: 0, y: -0.044, z: 1.93 },
+  noseTip:    { x: 0, y: 0.08, z: -2.72 },
+};
+
+/** Vertex soup: [x, y, z, ny, cp] rows → a centerlineCp surface. */
+function soup(rows) {
+  const position = new Float32Array(rows.length * 3);
+  const normal   = new Float32Array(rows.length * 3);
+  const cp       = new Float32Array(rows.length);
+  rows.forEach(([x, y, z, ny, c], i) => {
+    position.set([x, y, z], i * 3);
+    normal[i * 3 + 1] = ny;
+    cp[i] = c;
+  });
+  return { position, normal, cp };
+}
+
+describe('centerlineCp', () => {
+  it('CC1. averages the outer skin on the centreline; inner faces and outboard vertices ignored', () => {
+    const rows = [];
+    for (const z of [-1, -0.5, 0, 0.5, 1]) {
+      rows.push([0.02, 0.60, z, 1, -1]);        // upper skin
+      rows.push([-0.05, 0.59, z, 1, -0.8]);     // …within the skin depth
+      rows.push([0, 0.40, z, 1, 5]);            // inside face of the tub
+      rows.push([0.6, 0.70, z, 1, 9]);          // sidepod top, off the cut
+      rows.push([0, 0.01, z, -1, -2]);          // floor
+    }
+    const r = centerlineCp([soup(rows)], { floorY: 0.04, scale: 0.5, bins: 5 });
+    expect(r.zMin).toBe(-1);
+    expect(r.zMax).toBe(1);
+    expect(r.top).toHaveLength(5);
+    expect(r.under).toHaveLength(5);
+    for (const p of r.top)   expect(p.cp).toBeCloseTo(-0.9 * 0.5, 6);
+    for (const p of r.under) expect(p.cp).toBeCloseTo(-2 * 0.5, 6);
+    expect(r.top.map(p => p.z)).toEqual([...r.top.map(p => p.z)].sort((a, b) => a - b));
+
+    // A gap in the body leaves a gap in the curve, not a zero.
+    const gappy = centerlineCp([soup(rows.filter(([, , z]) => z !== 0))], { floorY: 0.04, bins: 5 });
+    expect(gappy.top).toHaveLength(4);
+    expect(centerlineCp([soup([[0.6, 0.7, 0, 1, -1]])])).toBeNull();
+    expect(centerlineCp(null)).toBeNull();
+  });
+});
+
+describe('CfdEffect.getCenterlineCp', () => {
+  function f1Cfd() {
+    const tub = new THREE.BoxGeometry(1.5, 0.6, 4.6, 6, 3, 16);
+    tub.translate(0, 0.32, -0.1);
+    const wing = new THREE.BoxGeometry(1.6, 0.04, 0.5, 6, 1, 3);
+    wing.translate(0, 0.98, 1.95);
+    const carGroup = new THREE.Group();
+    const meshes = [tub, wing].map(g => new THREE.Mesh(g, new THREE.MeshStandardMaterial()));
+    meshes.forEach(m => carGroup.add(m));
+    carGroup.updateMatrixWorld(true);
+    const cfd = new CfdEffect(makeScene());
+    cfd.setBodySurface(meshes, carGroup);
+    cfd.setCarType('F1', { frontAxleZ: -1.6, rearAxleZ: 1.5, anchors: F1_ANCHORS });
+    cfd.setVisible(true);
+    return cfd;
+  }
+
+  it('CC2. painted top / underside curves beside the table, rebuilt per recolor', () => {
+    const cfd = f1Cfd();
+    expect(cfd.getCenterlineCp()).toBeNull();
+    cfd.setSpeed(300);
+    cfd.update(0.016, 1.0);
+    const d = cfd.getCenterlineCp();
+    const sf = 300 / 350;
+    expect(d.type).toBe('F1');
+    expect(d.speedFactor).toBeCloseTo(sf, 12);
+    expect(d.top.length).toBeGreaterThan(10);
+    expect(d.under.length).toBeGreaterThan(10);
+    // The floor is a suction surface along its whole run.
+    const mid = d.under.filter(p => Math.abs(p.z) < 1);
+    expect(mid.every(p => p.cp < 0)).toBe(true);
+    // Reference: the authored profile at the painted scale, over the body
+    // span — the underside with the paint's ground-effect gain.
+    const gain = 1 + sf * sf * 0.30;
+    expect(d.refTop[0].z).toBe(d.zMin);
+    expect(d.refTop.at(-1).z).toBeCloseTo(d.zMax, 12);
+    for (const p of d.refTop)   expect(p.cp).toBeCloseTo(lerpCpProfile(p.z, 'F1', 'top') * sf, 6);
+    for (const p of d.refUnder) expect(p.cp).toBeCloseTo(lerpCpProfile(p.z, 'F1', 'under') * gain * sf, 6);
+    // The measured curves are the painted Cp: on the floor that is the true
+    // Cp the forces integrate, times the speed factor AND the underbody gain.
+    const cut = key => centerlineCp(cfd._surfaceMeshes.map(({ mesh, [key]: cp }) => ({
+      position: mesh.geometry.attributes.position.array,
+      normal:   mesh.geometry.attributes.normal.array,
+      cp,
+    })), { floorY: F1_ANCHORS.floor.y, scale: key === 'cp' ? sf : 1 });
+    expect(cut('paint').under).toEqual(d.under);
+    const unscaled = cut('cp').under;
+    for (const [k, p] of d.under.entries()) {
+      if (Math.abs(p.z) < 1) expect(p.cp).toBeCloseTo(unscaled[k].cp * gain, 5);
+    }
+
+    cfd.update(0.016, 1.1);
+    expect(cfd.getCenterlineCp()).toBe(d);                  // no recolor ⇒ same object
+    cfd.setSpeed(150);
+    cfd.update(0.016, 1.2);
+    const slow = cfd.getCenterlineCp();
+    expect(slow).not.toBe(d);
+    const peak = c => Math.min(...c.under.map(p => p.cp));
+    expect(peak(slow)).toBeGreaterThan(peak(d));            // less suction at half speed
+  });
+
+  it('CC3. car switch rebuilds for the new type; patch fallback returns the reference only', () => {
+    const cfd = f1Cfd();
+    cfd.setSpeed(300);
+    cfd.update(0.016, 1.0);
+    cfd.setBodySurface(null, null);
+    cfd.setCarType('GT');
+    expect(cfd.getCenterlineCp()).toBeNull();
+    cfd.setSpeed(300);                                      // main.js feeds it every frame
+    cfd.update(0.016, 1.1);
+    const d = cfd.getCenterlineCp();
+    expect(d.type).toBe('GT');
+    expect(d.top).toBeNull();
+    expect(d.under).toBeNull();
+    expect(d.refTop.length).toBeGreaterThan(2);
+    // GT top and under tables differ; the reference follows each.
+    const z = -0.7;
+    const at = (curve) => curve.reduce((a, p) => (Math.abs(p.z - z) < Math.abs(a.z - z) ? p : a));
+    expect(at(d.refTop).cp).not.toBeCloseTo(at(d.refUnder).cp, 2);
+  });
+});
+
+describe('cpChartScale', () => {
+  it('CC4. nose on the left, suction up, range rounded to 0.5 and never collapsed', () => {
+    const data = {
+      zMin: -2.5, zMax: 2.5,
+      top:   [{ z: -2.5, cp: 0.9 }, { z: 0, cp: -0.4 }],
+      under: [{ z: 2, cp: -2.3 }],
+      refTop: [], refUnder: [],
+    };
+    const s = cpChartScale(data, 280, 120);
+    expect(s.cpMin).toBe(-2.5);
+    expect(s.cpMax).toBe(1);
+    expect(s.x(-2.5)).toBe(s.plot.x0);
+    expect(s.x(2.5)).toBe(s.plot.x1);
+    expect(s.y(-2.5)).toBe(s.plot.y0);                    // strongest suction on top
+    expect(s.y(-1)).toBeLessThan(s.y(0));
+    expect(s.y(1)).toBe(s.plot.y1);
+
+    const still = cpChartScale({ zMin: -1, zMax: 1, top: [{ z: 0, cp: 0 }] }, 280, 120);
+    expect(still.cpMin).toBe(-1);
+    expect(still.cpMax).toBe(0.5);
+  });
+});
@@ -144,7 +144,7 @@ vi.mock('../airflow-core.js', async (importOriginal) => {
     cpToColor:           () => ({ r: 0.5, g: 0.5, b: 0.5 }),
     vortexVelocity:      () => ({ vxi: 0, veta: 0 }),
     sideViewVelocity:    () => ({ veta: 1, vy: 0 }),
-    traceStreamlinePath: () => [],
+    traceStreamline3D:   () => [],
   };
 });
 
@@ -0,0 +1,192 @@
+/**
+ * cfd-forces.test.js — integrated aero loads from the CFD surface Cp.
+ *
+ * The overlay already evaluates Cp per vertex on the real body; the force
+ * integral turns that into newtons: F = −Cp·q·A·n̂ summed per triangle,
+ * split front/rear by the moment balance about the rear axle.
+ *
+ * Pure integrator tests use hand-built quads with known area/normal/Cp;
+ * the CfdEffect tests use real THREE geometry (same box fixture as
+ * cfd-surface.test.js).
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import * as THREE from 'three';
+
+vi.mock('../airflow-core.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    vortexVelocity: () => ({ vxi: 0, veta: 0 }),
+  };
+});
+
+import {
+  CfdEffect, integrateSurfaceCp, dynamicPressure, AIR_DENSITY,
+} from '../cfd-effect.js';
+
+/** Unit quad centred at (0, y, zc) in the xz-plane, two triangles. */
+function floorQuad(cp, { zc = 0, ny = -1, flip = false } = {}) {
+  const position = new Float32Array([
+    -0.5, 0, zc - 0.5,   0.5, 0, zc - 0.5,   0.5, 0, zc + 0.5,   -0.5, 0, zc + 0.5,
+  ]);
+  const normal = new Float32Array(12);
+  for (let i = 0; i < 4; i++) normal[i * 3 + 1] = ny;
+  const index = flip ? [0, 2, 1, 0, 3, 2] : [0, 1, 2, 0, 2, 3];
+  return { position, normal, index, cp: new Float32Array(4).fill(cp) };
+}
+
+/** Unit quad in the xy-plane at z = 0, normal −z (faces the oncoming flow). */
+function noseQuad(cp) {
+  const position = new Float32Array([
+    -0.5, 0, 0,   0.5, 0, 0,   0.5, 1, 0,   -0.5, 1, 0,
+  ]);
+  const normal = new Float32Array(12);
+  for (let i = 0; i < 4; i++) normal[i * 3 + 2] = -1;
+  return { position, normal, index: [0, 1, 2, 0, 2, 3], cp: new Float32Array(4).fill(cp) };
+}
+
+describe('dynamicPressure', () => {
+  it('AF1. q = ½ρV² with V from km/h (360 km/h = 100 m/s)', () => {
+    expect(dynamicPressure(360)).toBeCloseTo(0.5 * AIR_DENSITY * 100 * 100, 6);
+    expect(dynamicPressure(0)).toBe(0);
+    expect(dynamicPressure(-50)).toBe(0);
+  });
+});
+
+describe('integrateSurfaceCp', () => {
+  it('AF2. floor suction (Cp −1 on a 1 m² downward face) ⇒ +1 m² downforce area, no drag', () => {
+    const r = integrateSurfaceCp([floorQuad(-1)]);
+    expect(r.clA).toBeCloseTo(1, 6);
+    expect(r.cdA).toBeCloseTo(0, 6);
+    expect(r.clAFront).toBeNull();   // no axles ⇒ no split
+  });
+
+  it('AF3. nose stagnation (Cp +1 on a flow-facing 1 m² face) ⇒ +1 m² drag area', () => {
+    const r = integrateSurfaceCp([noseQuad(1)]);
+    expect(r.cdA).toBeCloseTo(1, 6);
+    expect(r.clA).toBeCloseTo(0, 6);
+  });
+
+  it('AF4. triangle winding is corrected by the vertex normals', () => {
+    const a = integrateSurfaceCp([floorQuad(-1)]);
+    const b = integrateSurfaceCp([floorQuad(-1, { flip: true })]);
+    expect(b.clA).toBeCloseTo(a.clA, 6);
+  });
+
+  it('AF5. non-indexed geometry integrates the same as indexed', () => {
+    const q = floorQuad(-0.5);
+    const flat = new Float32Array(18), nrm = new Float32Array(18);
+    q.index.forEach((vi, k) => {
+      for (let c = 0; c < 3; c++) {
+        flat[k * 3 + c] = q.position[vi * 3 + c];
+        nrm[k * 3 + c]  = q.normal[vi * 3 + c];
+      }
+    });
+    const r = integrateSurfaceCp([{ position: flat, normal: nrm, cp: new Float32Array(6).fill(-0.5) }]);
+    expect(r.clA).toBeCloseTo(0.5, 6);
+  });
+
+  it('AF6. axle split: load at the front axle is all front, midway is 50/50, ahead of it is >100%', () => {
+    const axles = { frontZ: -1.5, rearZ: 1.5 };
+    const atFront = integrateSurfaceCp([floorQuad(-1, { zc: -1.5 })], axles);
+    expect(atFront.clAFront / atFront.clA).toBeCloseTo(1, 6);
+    const mid = integrateSurfaceCp([floorQuad(-1, { zc: 0 })], axles);
+    expect(mid.clAFront / mid.clA).toBeCloseTo(0.5, 6);
+    const wing = integrateSurfaceCp([floorQuad(-1, { zc: -2.5 })], axles);
+    expect(wing.clAFront / wing.clA).toBeGreaterThan(1);
+  });
+});
+
+/* ── CfdEffect integration ───────────────────────────────────────── */
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+const GT_MEASURE = {
+  frontAxleZ: -1.35,
+  rearAxleZ:   1.25,
+  anchors: {
+    frontWing: { x: 0, y: 0.00, z: -2.08 },
+    rearWing:  { x: 0, y: 0.84, z:  1.92 },
+    noseTip:   { x: 0, y: 0.00, z: -2.13 },
+    floor:     { x: 0, y: 0.10, z:  0.03 },
+  },
+};
+
+function bodyFixture() {
+  const geo = new THREE.BoxGeometry(1.8, 1.2, 4.2, 2, 2, 6);
+  geo.translate(0, 0.7, 0);
+  const mesh = new THREE.Mesh(geo, new THREE.MeshStandardMaterial());
+  mesh.name = 'bodyFixture';
+  const carGroup = new THREE.Group();
+  carGroup.add(mesh);
+  carGroup.updateMatrixWorld(true);
+  return { mesh, carGroup };
+}
+
+describe('CfdEffect.getAeroForces', () => {
+  it('AF7. null on the procedural patch fallback (no real surface to integrate)', () => {
+    const cfd = new CfdEffect(makeScene());
+    cfd.setCarType('GT', GT_MEASURE);
+    cfd.setVisible(true);
+    cfd.setSpeed(300);
+    cfd.update(0.016, 1.0);
+    expect(cfd.getAeroForces()).toBeNull();
+  });
+
+  it('AF8. GLB overlay at speed: blunt box reads positive drag and a front/rear split', () => {
+    const cfd = new CfdEffect(makeScene());
+    const { mesh, carGroup } = bodyFixture();
+    cfd.setBodySurface([mesh], carGroup);
+    cfd.setCarType('GT', GT_MEASURE);
+    expect(cfd.getAeroForces()).toBeNull();   // not integrated until a recolor
+    cfd.setVisible(true);
+    cfd.setSpeed(300);
+    cfd.update(0.016, 1.0);
+
+    const f = cfd.getAeroForces();
+    expect(f).not.toBeNull();
+    expect(f.drag).toBeGreaterThan(0);
+    expect(Number.isFinite(f.downforce)).toBe(true);
+    expect(f.front + f.rear).toBeCloseTo(f.downforce, 6);
+    expect(Number.isFinite(f.balance)).toBe(true);
+  });
+
+  it('AF9. loads scale with q every frame (V² law) without re-integrating', () => {
+    const cfd = new CfdEffect(makeScene());
+    const { mesh, carGroup } = bodyFixture();
+    cfd.setBodySurface([mesh], carGroup);
+    cfd.setCarType('GT', GT_MEASURE);
+    cfd.setVisible(true);
+    cfd.setSpeed(300);
+    cfd.update(0.016, 1.0);
+    const full = cfd.getAeroForces(300);
+    const half = cfd.getAeroForces(150);
+    expect(half.drag / full.drag).toBeCloseTo(0.25, 6);
+    expect(half.balance).toBeCloseTo(full.balance, 6);
+  });
+
+  it('AF10. the integrated CL·A / CD·A do not drift with the recolor speed', () => {
+    const areasAt = (kmh) => {
+      const cfd = new CfdEffect(makeScene());
+      const { mesh, carGroup } = bodyFixture();
+      cfd.setBodySurface([mesh], carGroup);
+      cfd.setCarType('GT', GT_MEASURE);
+      cfd.setVisible(true);
+      cfd.setSpeed(kmh);
+      cfd.update(0.016, 1.0);
+      return cfd.getAeroForces(300);   // same q ⇒ compares the areas
+    };
+    const slow = areasAt(120);
+    const fast = areasAt(340);
+    expect(Math.abs(fast.downforce)).toBeGreaterThan(0);
+    expect(slow.downforce).toBeCloseTo(fast.downforce, 6);
+    expect(slow.drag).toBeCloseTo(fast.drag, 6);
+    expect(slow.balance).toBeCloseTo(fast.balance, 6);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * cfd-parts.test.js — per-part force breakdown.
+ *
+ * Every overlay vertex is tagged with its component (surfacePart — the wing
+ * chord boxes and the underbody test computeSurfaceCp paints with, the
+ * CFD_PATCHES diffuser / sidepod footprints); the surface integral then
+ * splits per part, and CfdEffect.getPartForces reports each part's load and
+ * share of the net total.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import {
+  CfdEffect, surfacePart, integrateSurfaceCp, dynamicPressure, FORCE_PARTS,
+} from '../cfd-effect.js';
+
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+/* Procedural F1 anchor set (cars.js PROCEDURAL_ANCHORS.F1). */
+const F1_ANCHORS = {
+  frontWing:  { x: 0, y: 0.04, z: -2.60 },
+  rearWing:   { x: 0, y: 0.98, z:  1.95 },
+  sidepodTop: { x: 0, y: 0.46, z:  0.28 },
+  floor:      { x: 0, y: 0.04, z:  0.00 },
+  diffuser:   { x: 0, y: -0.044, z: 1.93 },
+  noseTip:    { x: 0, y: 0.08, z: -2.72 },
+};
+const GT_ANCHORS = {
+  frontWing:  { x: 0, y: 0.00, z: -2.32 },
+  rearWing:   { x: 0, y: 0.84, z:  1.92 },
+  sidepodTop: { x: 0, y: 0.44, z:  0.12 },
+  floor:      { x: 0, y: 0.03, z:  0.00 },
+  diffuser:   { x: 0, y: -0.095, z: 2.14 },
+};
+
+/** Unit quad in the xz-plane at (0, 0, zc), normal ny. */
+function quad(cp, { zc = 0, ny = -1 } = {}) {
+  const position = new Float32Array([
+    -0.5, 0, zc - 0.5,   0.5, 0, zc - 0.5,   0.5, 0, zc + 0.5,   -0.5, 0, zc + 0.5,
+  ]);
+  const normal = new Float32Array(12);
+  for (let i = 0; i < 4; i++) normal[i * 3 + 1] = ny;
+  return { position, normal, index: [0, 1, 2, 0, 2, 3], cp: new Float32Array(4).fill(cp) };
+}
+
+describe('surfacePart', () => {
+  it('PB1. F1: wings by chord box, floor / diffuser underneath, sidepods outboard, the rest bodywork', () => {
+    const part = (x, y, z, ny = 1) => surfacePart(x, y, z, 0, ny, 0, 'F1', F1_ANCHORS);
+    expect(part(0.6, 0.03, -2.6, -1)).toBe('frontWing');
+    expect(part(0.8, 1.00, 1.9, -1)).toBe('rearWing');
+    expect(surfacePart(0.9, 0.95, 1.9, 1, 0, 0, 'F1', F1_ANCHORS)).toBe('rearWing');   // endplate
+    expect(part(0, 0.01, 0.0, -1)).toBe('floor');
+    expect(part(0, 0.01, 1.9, -1)).toBe('diffuser');
+    expect(part(0.6, 0.40, 0.3)).toBe('sidepods');
+    expect(part(0.6, 0.40, 0.3 + 2.0)).toBe('bodywork');   // past the sidepod tail
+    expect(part(0.1, 0.50, -0.2)).toBe('bodywork');        // tub, inboard of the pods
+    expect(part(0, 0.30, -2.0)).toBe('bodywork');          // nose
+    for (const [x, y, z] of [[0.6, 0.03, -2.6], [0, 0.01, 1.9], [0.6, 0.4, 0.3], [0, 0.3, -2]]) {
+      expect(FORCE_PARTS).toContain(part(x, y, z));
+    }
+  });
+
+  it('PB2. GT: no sidepod patches ⇒ flanks are bodywork; the diffuser seats on its anchor', () => {
+    const part = (x, y, z, ny = 1) => surfacePart(x, y, z, 0, ny, 0, 'GT', GT_ANCHORS);
+    expect(part(0.9, 0.40, 0.2)).toBe('bodywork');
+    expect(part(0, 0.01, 2.0, -1)).toBe('diffuser');
+    expect(part(0, 0.01, 1.6, -1)).toBe('floor');          // ahead of 2.14 − 0.39
+    expect(part(0.5, 0.85, 1.9)).toBe('rearWing');
+    // Without anchors there are no chord boxes — nothing is a wing.
+    expect(surfacePart(0, 1.0, 1.9, 0, 1, 0, 'GT', null)).toBe('bodywork');
+  });
+});
+
+describe('integrateSurfaceCp — per part', () => {
+  it('PB3. per-vertex and whole-surface labels sum to the totals; unlabeled ⇒ byPart null', () => {
+    const floor = { ...quad(-1), parts: new Uint8Array(4).fill(FORCE_PARTS.indexOf('floor')) };
+    const wheel = { ...quad(-0.5, { zc: 2 }), part: 'wheels' };
+    const r = integrateSurfaceCp([floor, wheel]);
+    expect(r.byPart.floor.clA).toBeCloseTo(1, 6);
+    expect(r.byPart.wheels.clA).toBeCloseTo(0.5, 6);
+    const sum = Object.values(r.byPart).reduce((a, p) => a + p.clA, 0);
+    expect(sum).toBeCloseTo(r.clA, 9);
+    expect(integrateSurfaceCp([quad(-1)]).byPart).toBeNull();
+  });
+});
+
+describe('CfdEffect.getPartForces', () => {
+  function f1Fixture() {
+    // Tub + pods + a rear-wing plate at the procedural F1 anchors.
+    const tub = new THREE.BoxGeometry(1.5, 0.6, 4.6, 6, 3, 16);
+    tub.translate(0, 0.32, -0.1);
+    const wing = new THREE.BoxGeometry(1.6, 0.04, 0.5, 6, 1, 3);
+    wing.translate(0, 0.98, 1.95);
+    const carGroup = new THREE.Group();
+    const meshes = [tub, wing].map(g => new THREE.Mesh(g, new THREE.MeshStandardMaterial()));
+    meshes.forEach(m => carGroup.add(m));
+    carGroup.updateMatrixWorld(true);
+    return { meshes, carGroup };
+  }
+
+  it('PB4. rows in FORCE_PARTS order, shares of the net total, newtons follow q', () => {
+    const cfd = new CfdEffect(makeScene());
+    expect(cfd.getPartForces()).toBeNull();                 // nothing integrated yet
+    const { meshes, carGroup } = f1Fixture();
+    cfd.setBodySurface(meshes, carGroup);
+    cfd.setCarType('F1', { frontAxleZ: -1.6, rearAxleZ: 1.5, anchors: F1_ANCHORS });
+    cfd.setVisible(true);
+    cfd.setSpeed(300);
+    cfd.update(0.016, 1.0);
+
+    const rows = cfd.getPartForces(300);
+    const parts = rows.map(r => r.part);
+    expect(parts).toEqual(FORCE_PARTS.filter(p => parts.includes(p)));
+    for (const p of ['floor', 'diffuser', 'rearWing', 'sidepods', 'bodywork']) expect(parts).toContain(p);
+    expect(rows.reduce((a, r) => a + r.downforceShare, 0)).toBeCloseTo(1, 6);
+    expect(rows.reduce((a, r) => a + r.dragShare, 0)).toBeCloseTo(1, 6);
+
+    const total = cfd.getAeroForces(300);
+    expect(rows.reduce((a, r) => a + r.downforce, 0)).toBeCloseTo(total.downforce, 3);
+    // Underbody suction is a downforce maker on any car.
+    expect(rows.find(r => r.part === 'floor').downforce).toBeGreaterThan(0);
+
+    const half = cfd.getPartForces(150);
+    const q = dynamicPressure(150) / dynamicPressure(300);
+    expect(half[0].downforce).toBeCloseTo(rows[0].downforce * q, 6);
+    expect(half[0].downforceShare).toBe(rows[0].downforceShare);
+  });
+
+  it('PB5. the rear-wing share follows the wing setup', () => {
+    const cfd = new CfdEffect(makeScene());
+    const { meshes, carGroup } = f1Fixture();
+    cfd.setBodySurface(meshes, carGroup);
+    cfd.setCarType('F1', { frontAxleZ: -1.6, rearAxleZ: 1.5, anchors: F1_ANCHORS });
+    cfd.setVisible(true);
+    cfd.setSpeed(300);
+    cfd.update(0.016, 1.0);
+    const wingDf = () => cfd.getPartForces(300).find(r => r.part === 'rearWing').downforce;
+    const base = wingDf();
+    cfd.setWingSetup({ wingAngle: 8, drs: false });
+    cfd.update(0.016, 1.1);
+    expect(wingDf()).toBeGreaterThan(base);
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * circuit-import.test.js — real circuits from centerline files
+ * (circuit-import.js) driven lap after lap by the path model
+ * (track-path.js setCircuit / widthAt) and the lap simulation.
+ *
+ * Pure modules — no THREE, no DOM. The bundled CSVs are read from disk.
+ */
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import {
+  parseCenterline, importCircuit, CIRCUIT_FILES, KAPPA_STRAIGHT,
+} from '../circuit-import.js';
+import {
+  TrackPath, buildCircuit, circuitCurvature, circuitGrade, circuitBank, turnEdgeCounter, TRACK_WIDTH,
+} from '../track-path.js';
+import { simulateLap, lapCar } from '../lap-sim.js';
+
+const TRACKS = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'assets', 'tracks');
+const fileText = (key) => readFileSync(join(TRACKS, `${key}.csv`), 'utf8');
+
+/* Heading turned and end-point gap of a layout, integrated in ~0.25 m steps. */
+function closure(c) {
+  const n = Math.ceil(c.length / 0.25), ds = c.length / n;
+  let th = 0, x = 0, y = 0;
+  for (let i = 0; i < n; i++) {
+    const s = i * ds;
+    const mid = th + circuitCurvature(c, s + ds / 4) * ds / 2;
+    x += Math.cos(mid) * ds;
+    y += Math.sin(mid) * ds;
+    th += circuitCurvature(c, s + ds / 2) * ds;
+  }
+  return { heading: th, gap: Math.hypot(x, y) };
+}
+
+/* s,curvature CSV of a buildCircuit layout, rows every `step` m. */
+function curvatureCsv(c, step = 2, noise = () => 0) {
+  const rows = ['s,curvature'];
+  for (let s = 0; s < c.length; s += step) rows.push(`${s},${circuitCurvature(c, s) + noise(s)}`);
+  rows.push(`${c.length},${circuitCurvature(c, 0)}`);
+  return rows.join('\n');
+}
+
+const STADIUM = buildCircuit('stadium', [
+  { straight: 300 }, { radius: 60, angle: 180, ramp: 10 },
+  { straight: 300 }, { radius: 60, angle: 180, ramp: 10 },
+]);
+
+function drive(path, seconds, v, dt = 1 / 60) {
+  const n = Math.round(seconds / dt);
+  for (let i = 0; i < n; i++) path.update(dt, v);
+}
+
+describe('parseCenterline', () => {
+  it('CI1. reads named columns, half-widths and headerless files', () => {
+    const named = parseCenterline('# comment\nx_m,y_m,w_tr_right_m,w_tr_left_m,z_m\n0,0,6,7,1\n10,0,6,7,2\n10,10,6,7,3\n');
+    expect(named.format).toBe('xy');
+    expect(named.cols.x).toEqual([0, 10, 10]);
+    expect(named.width).toEqual([13, 13, 13]);
+    expect(named.elevation).toEqual([1, 2, 3]);
+
+    const curv = parseCenterline('0;0.01\n5;0.012\n10;0.0');
+    expect(curv.format).toBe('curvature');
+    expect(curv.cols.kappa).toEqual([0.01, 0.012, 0]);
+    expect(curv.width).toBeNull();
+
+    const xy = parseCenterline('0\t0\t12\n100\t0\t12\n100\t100\t14\n');
+    expect(xy.format).toBe('xy');
+    expect(xy.width).toEqual([12, 12, 14]);
+
+    expect(() => parseCenterline('')).toThrow(/empty/);
+    expect(() => parseCenterline('a,b\n1,2')).toThrow(/columns/);
+    expect(() => parseCenterline('x,y\n1,oops')).toThrow(/non-numeric/);
+  });
+});
+
+describe('importCircuit', () => {
+  it('CI2. an x,y circle becomes a constant-κ loop of its circumference', () => {
+    const R = 100, n = 315;   // 2 m chords
+    const rows = ['x,y'];
+    for (let i = 0; i < n; i++) {
+      const a = 2 * Math.PI * i / n;
+      rows.push(`${R * Math.cos(a)},${R * Math.sin(a)}`);
+    }
+    const c = importCircuit('circle', rows.join('\n'));
+    expect(c.length).toBeCloseTo(2 * n * R * Math.sin(Math.PI / n), 6);   // chord polygon
+    for (let s = 0; s < c.length; s += 37) expect(circuitCurvature(c, s) * R).toBeCloseTo(1, 2);
+    expect(c.corners).toHaveLength(1);
+    expect(closure(c).heading).toBeCloseTo(2 * Math.PI, 5);
+  });
+
+  it('CI3. an s,curvature file reproduces its layout; straights stay straight under noise', () => {
+    const noise = (s) => 1e-4 * Math.sin(s * 1.7);   // |κ| < KAPPA_STRAIGHT on the straights
+    const c = importCircuit('stadium', curvatureCsv(STADIUM, 2, noise));
+    expect(c.length).toBeCloseTo(STADIUM.length, 6);
+    expect(c.corners).toHaveLength(2);
+    expect(circuitCurvature(c, 150)).toBe(0);
+    for (let s = 5; s < c.length; s += 23) {
+      // ramp feet below KAPPA_STRAIGHT are flattened too
+      expect(Math.abs(circuitCurvature(c, s) - circuitCurvature(STADIUM, s))).toBeLessThan(KAPPA_STRAIGHT + 2e-4);
+    }
+    const { heading, gap } = closure(c);
+    expect(heading).toBeCloseTo(2 * Math.PI, 5);
+    expect(gap).toBeLessThan(2);
+  });
+
+  it('CI4. an S-bend splits into opposite-handed corners that tile the bend', () => {
+    const ess = buildCircuit('ess', [
+      { straight: 200 }, { radius: 40, angle: 60, ramp: 10 }, { radius: 40, angle: -60, ramp: 10 },
+      { straight: 200 }, { radius: 50, angle: 180, ramp: 10 },
+      { straight: 200 }, { radius: 50, angle: 180, ramp: 10 },
+    ]);
+    const c = importCircuit('ess', curvatureCsv(ess));
+    const dirs = c.corners.map(k => k.dir);
+    expect(dirs).toEqual([1, -1, 1, 1]);
+    expect(c.corners[0].s1).toBeCloseTo(c.corners[1].s0, 9);         // contiguous, no overlap
+    for (const k of c.corners) expect(Math.sign(k.kMax)).toBe(k.dir);
+    expect(closure(c).heading).toBeCloseTo(2 * Math.PI, 5);
+  });
+
+  it('CI5. the bundled layouts close: exactly −360°, within metres of the line', () => {
+    for (const [key, file] of Object.entries(CIRCUIT_FILES)) {
+      const c = importCircuit(file.name, fileText(key));
+      const { heading, gap } = closure(c);
+      expect(heading, key).toBeCloseTo(-2 * Math.PI, 5);   // all clockwise
+      expect(gap, key).toBeLessThan(15);
+      expect(c.length, key).toBeGreaterThan(3000);
+      expect(c.corners.length, key).toBeGreaterThanOrEqual(8);
+    }
+    const spa = importCircuit('Spa', fileText('spa'));
+    expect(spa.profile.width).not.toBeNull();
+    expect(spa.profile.elevation).not.toBeNull();
+    expect(importCircuit('Monza', fileText('monza')).profile.width).not.toBeNull();
+    expect(importCircuit('RBR', fileText('rbr')).profile.width).toBeNull();
+  });
+});
+
+describe('TrackPath on an imported circuit', () => {
+  it('CI6. the path curves like the profile lap after lap, across rebases; each corner counts once', () => {
+    const c = importCircuit('RBR', fileText('rbr'));
+    const p = new TrackPath(() => 0.5);
+    p.setCircuit(c);
+    const lapS0 = p._lapS0;
+    for (let u = 1; u < 240; u += 7) {
+      expect(p.curvatureAt(lapS0 + u)).toBeCloseTo(circuitCurvature(c, u), 9);
+    }
+    // Two laps at 60 m/s through the rebases: every lap counts its corners.
+    let edge = null;
+    const counts = new Map();
+    const dt = 1 / 120;
+    while ((p.circuitPosition()?.lap ?? -1) < 2) {
+      p.update(dt, 60);
+      p.rebaseIfNeeded();
+      const pos = p.circuitPosition();
+      if (pos.lap >= 0) expect(p.curvatureAt(p.pose.s)).toBeCloseTo(circuitCurvature(c, pos.s), 6);
+      const before = edge?.count ?? 0;
+      edge = turnEdgeCounter(edge, p.curvatureAt(p.pose.s));
+      if (edge.count > before && pos.lap >= 0) counts.set(pos.lap, (counts.get(pos.lap) ?? 0) + 1);
+    }
+    expect(p.epoch).toBeGreaterThan(2);
+    expect(counts.get(0)).toBe(c.corners.length);
+    expect(counts.get(1)).toBe(c.corners.length);
+  });
+
+  it('CI7. widthAt follows the width profile from the start line, blended, and hands back', () => {
+    const c = importCircuit('Spa', fileText('spa'));
+    const p = new TrackPath(() => 0.5);
+    expect(p.widthAt(0)).toBe(TRACK_WIDTH);
+    p.setCircuit(c);
+    const s0 = p._lapS0;
+    expect(p.widthAt(s0 - 1)).toBe(TRACK_WIDTH);
+    expect(p.widthAt(s0)).toBe(TRACK_WIDTH);                          // blend starts at the line
+    expect(p.widthAt(s0 + 200)).toBeGreaterThan(15);                  // La Source run-in, 16 m
+    expect(p.widthAt(s0 + c.length + 200)).toBeCloseTo(p.widthAt(s0 + 200), 4);
+    drive(p, 30, 60);
+    const before = p.widthAt(p.pose.s + 100);
+    p.rebase();
+    expect(p.widthAt(p.pose.s + 100)).toBeCloseTo(before, 6);
+    p.setCircuit(null);
+    const end = Math.max(p.turns[p.turns.length - 1].s1, p.pose.s + 250);   // …or CIRCUIT_AHEAD
+    expect(p.widthAt(end + 1)).toBe(TRACK_WIDTH);
+    expect(p.widthAt(p.pose.s + 100)).toBeCloseTo(before, 6);        // rows already ahead keep theirs
+  });
+
+  it('CI9. elevation becomes a grade that closes the lap in height; a bank column banks it', () => {
+    const spa = importCircuit('Spa', fileText('spa'));
+    const p = new TrackPath(() => 0.5);
+    p.setCircuit(spa);
+    const s0 = p._lapS0 + 50;
+    const y0 = p.poseAt(s0).y;
+    expect(p.poseAt(s0 + spa.length).y).toBeCloseTo(y0, 3);
+    const elev = spa.profile.elevation;
+    const span = Math.max(...elev) - Math.min(...elev);
+    let lo = Infinity, hi = -Infinity;
+    for (let u = 0; u < spa.length; u += 20) {
+      const y = p.poseAt(s0 + u).y;
+      lo = Math.min(lo, y);
+      hi = Math.max(hi, y);
+    }
+    expect(hi - lo).toBeCloseTo(span, -1);                            // ~86 m, within 5
+    expect(circuitBank(spa, 100)).toBe(0);
+
+    const rows = ['s,curvature,bank_deg'];
+    for (let s = 0; s < STADIUM.length; s += 2) {
+      rows.push(`${s},${circuitCurvature(STADIUM, s)},${circuitCurvature(STADIUM, s) * 60 * 12}`);
+    }
+    rows.push(`${STADIUM.length},0,0`);
+    const banked = importCircuit('banked', rows.join('\n'));
+    expect(circuitBank(banked, 450) * 180 / Math.PI).toBeCloseTo(12, 3);   // mid-bend
+    expect(circuitBank(banked, 150)).toBe(0);
+    expect(circuitGrade(banked, 450)).toBe(0);
+  });
+
+  it('CI10. a circuit→circuit switch keeps the old layout on the road already drawn, then fades', () => {
+    const spa = importCircuit('Spa', fileText('spa'));
+    const rbr = importCircuit('RBR', fileText('rbr'));     // no width column
+    const p = new TrackPath(() => 0.5);
+    p.setCircuit(spa);
+    drive(p, 25, 60);                                      // into Eau Rouge
+    const genEnd = Math.max(p.turns[p.turns.length - 1].s1, p.pose.s + 250);   // …or CIRCUIT_AHEAD
+    const held = [];
+    for (let s = p.pose.s; s < genEnd - 40; s += 2) {      // short of the WIDTH_BLEND fade-out
+      held.push([s, p.widthAt(s), p.gradeAt(s), p.bankAt(s)]);
+    }
+    expect(held.some(([, w]) => Math.abs(w - TRACK_WIDTH) > 1)).toBe(true);   // Spa is wider here
+    expect(held.some(([, , g]) => Math.abs(g) > 0.01)).toBe(true);           // …and hilly
+
+    p.setCircuit(rbr);
+    for (const [s, w, g, b] of held) {
+      expect(p.widthAt(s)).toBe(w);
+      expect(p.gradeAt(s)).toBe(g);
+      expect(p.bankAt(s)).toBe(b);
+    }
+    // Faded out over the last corner, never a snap, and RBR is open-road width.
+    let prev = p.widthAt(p.pose.s);
+    for (let s = p.pose.s; s < p._lapS0 + 100; s += 0.5) {
+      expect(Math.abs(p.widthAt(s) - prev)).toBeLessThan(0.2);
+      prev = p.widthAt(s);
+    }
+    expect(p.widthAt(genEnd)).toBe(TRACK_WIDTH);
+    expect(p.widthAt(p._lapS0 + 200)).toBe(TRACK_WIDTH);
+
+    // Spa again: its own start line, not the first one's.
+    drive(p, 5, 60);
+    p.setCircuit(spa);
+    expect(p.widthAt(p._lapS0 + 200)).toBeGreaterThan(15);       // La Source run-in, 16 m
+    p.rebase();
+    expect(p.widthAt(p._lapS0 + 200)).toBeGreaterThan(15);
+  });
+
+  it('CI8. the lap simulation runs on imported layouts', () => {
+    const c = importCircuit('Monza', fileText('monza'));
+    const kap = (s) => circuitCurvature(c, s);
+    const f1 = simulateLap(c, kap, lapCar('F1'));
+    const gt = simulateLap(c, kap, lapCar('GT'));
+    expect(Number.isFinite(f1.time)).toBe(true);
+    expect(f1.time).toBeLessThan(gt.time);
+    expect(f1.vMin * 3.6).toBeLessThan(120);    // the chicanes
+    expect(f1.vMax * 3.6).toBeGreaterThan(300); // the straights
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * cooling.test.js — radiator cooling flow through the inlets (cooling.js).
+ *
+ * One opening setting drives the airflow vent sinks / sources, the CFD
+ * inlet-mouth Cp and the vent particle gain; the HUD reads the duct's mass
+ * flow and its drag cost. 'standard' must leave every calibrated constant
+ * exactly as it was.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  massFlowRatio, coolingStrength, inletCpDelta, coolingFlow,
+  normalizeCoolingLevel, COOLING_LEVELS, DEFAULT_COOLING,
+} from '../cooling.js';
+import { AirflowEffect } from '../effects.js';
+import { computePatchCp, coolingInletDeltaCp, CFD_PATCHES } from '../cfd-effect.js';
+import { VentEmitterSystem } from '../vent-emitters.js';
+
+/* ── DOM stub (canvas for puff textures) ──────────────────────────── */
+if (typeof globalThis.document === 'undefined') {
+  globalThis.document = {
+    createElement(tag) {
+      if (tag === 'canvas') {
+        return {
+          width: 0, height: 0,
+          getContext() {
+            return {
+              createRadialGradient: () => ({ addColorStop: () => {} }),
+              fillRect: () => {},
+              set fillStyle(_v) {},
+            };
+          },
+        };
+      }
+      return {};
+    },
+  };
+}
+
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+/* F1-like measure: both sidepod inlets / exhausts plus the airbox. */
+const F1_MEASURE = {
+  anchors: {
+    sidepodInletL:   { x: -0.53, y: 0.22, z: -0.64, role: 'inlet',  direction: { x: 0, y: 0, z: -1 } },
+    sidepodInletR:   { x:  0.53, y: 0.22, z: -0.64, role: 'inlet',  direction: { x: 0, y: 0, z: -1 } },
+    sidepodExhaustL: { x: -0.40, y: 0.35, z:  1.20, role: 'outlet', direction: { x: 0, y: 0.3, z: 1 } },
+    sidepodExhaustR: { x:  0.40, y: 0.35, z:  1.20, role: 'outlet', direction: { x: 0, y: 0.3, z: 1 } },
+    airboxIntake:    { x:  0,    y: 0.95, z:  0.20, role: 'inlet',  direction: { x: 0, y: 0, z: -1 } },
+  },
+};
+
+describe('duct flow', () => {
+  it('CO1. a wider exit swallows more of the stream; standard is the reference', () => {
+    const [tight, std, open] = COOLING_LEVELS.map(l => massFlowRatio(l, 'F1'));
+    expect(tight).toBeLessThan(std);
+    expect(std).toBeLessThan(open);
+    expect(coolingStrength(DEFAULT_COOLING, 'F1')).toBe(1);
+    expect(coolingStrength(DEFAULT_COOLING, 'GT')).toBe(1);
+    expect(inletCpDelta(DEFAULT_COOLING, 'F1')).toBe(0);
+    expect(normalizeCoolingLevel('max')).toBe('standard');
+  });
+
+  it('CO2. the laminar core passes a smaller share at low speed; none at rest', () => {
+    expect(massFlowRatio('standard', 'F1', 80)).toBeLessThan(massFlowRatio('standard', 'F1', 300));
+    expect(massFlowRatio('standard', 'F1', 0)).toBe(0);
+    expect(coolingFlow(0, 'open', 'F1')).toEqual({ ratio: 0, massFlow: 0, drag: 0 });
+  });
+
+  it('CO3. mass flow grows with speed and opening; so does the drag it costs', () => {
+    const slow = coolingFlow(150, 'standard', 'F1');
+    const fast = coolingFlow(300, 'standard', 'F1');
+    expect(fast.massFlow).toBeGreaterThan(2 * slow.massFlow);
+    expect(fast.drag).toBeGreaterThan(3 * slow.drag);
+    const drags = COOLING_LEVELS.map(l => coolingFlow(300, l, 'F1').drag);
+    expect(drags[0]).toBeLessThan(drags[1]);
+    expect(drags[1]).toBeLessThan(drags[2]);
+    // A few percent of an F1's ~1.5 kN top-speed drag at the standard opening.
+    expect(fast.drag).toBeGreaterThan(40);
+    expect(fast.drag).toBeLessThan(250);
+  });
+
+  it('CO4. more flow through the mouth lowers its static Cp', () => {
+    expect(inletCpDelta('open', 'F1')).toBeLessThan(0);
+    expect(inletCpDelta('tight', 'F1')).toBeGreaterThan(0);
+  });
+});
+
+describe('consumers', () => {
+  it('CO5. AirflowEffect scales the sidepod sinks and sources, not the airbox', () => {
+    const fx = new AirflowEffect(makeScene());
+    fx.setCarType('F1', F1_MEASURE);
+    const base = fx.getModifiers().map(m => m.strength);
+    fx.setCooling('open');
+    const k = coolingStrength('open', 'F1');
+    const mods = fx.getModifiers();
+    expect(mods.map(m => m.type)).toEqual(['sink', 'sink', 'source', 'source', 'sink']);
+    for (let i = 0; i < 4; i++) expect(mods[i].strength).toBeCloseTo(base[i] * k, 12);
+    expect(mods[4].strength).toBe(base[4]);
+    fx.setCooling('standard');
+    expect(fx.getModifiers().map(m => m.strength)).toEqual(base);
+  });
+
+  it('CO6. CFD inlet mouths shift by inletCpDelta; other patches keep their Cp', () => {
+    const inlet = CFD_PATCHES.F1.find(p => p.role === 'sidepodInlet');
+    const nose  = CFD_PATCHES.F1.find(p => p.role === 'nose');
+    const d = inletCpDelta('open', 'F1');
+    const at = (p, dCp) => computePatchCp(p, 0, 0, 1, [], [], 'F1', null, 1, null, 0, dCp);
+    expect(at(inlet, d) - at(inlet, 0)).toBeCloseTo(d, 12);
+    expect(at(nose, d)).toBe(at(nose, 0));
+
+    const a = F1_MEASURE.anchors;
+    expect(coolingInletDeltaCp(a.sidepodInletL.x, a.sidepodInletL.y, a.sidepodInletL.z, -1, a, d)).toBeCloseTo(d, 12);
+    expect(coolingInletDeltaCp(0, 0.95, 0.20, -1, a, d)).toBeCloseTo(0, 6);    // airbox is not the duct
+    expect(coolingInletDeltaCp(a.sidepodInletL.x, a.sidepodInletL.y, a.sidepodInletL.z, 1, a, d)).toBe(0);
+  });
+
+  it('CO7. vent particles on the radiator duct follow the opening', () => {
+    const vents = new VentEmitterSystem(makeScene());
+    vents.setCarType('F1', F1_MEASURE);
+    expect(vents._emitters.every(em => em.gain === 1)).toBe(true);
+    vents.setCooling('tight');
+    const k = coolingStrength('tight', 'F1');
+    for (const em of vents._emitters) {
+      expect(em.gain).toBeCloseTo(em.key === 'airboxIntake' ? 1 : k, 12);
+    }
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * crosswind.test.js — yaw / crosswind wind-tunnel mode.
+ *
+ * One yaw angle (rad, positive = relative wind toward +x, i.e. in from the
+ * −x flank) rotates the freestream everywhere it is consumed:
+ *
+ *   YW1–4  airflow-core — crosswindFreestream, topViewVelocity (cylinder,
+ *          scaled section, panel body), sumVelocity, traced paths
+ *   YW5    AirflowEffect — freestream + seed slant, sampleFlowAt
+ *   YW6–8  CFD — windward impact / leeward suction on the overlay and the
+ *          side patches, CfdEffect recolor
+ *   YW9    vent strengths (ventYawGain)
+ *   YW10   rain drift
+ *
+ * Every consumer must collapse to the straight tunnel at yaw 0.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import {
+  crosswindFreestream, topViewVelocity, sumVelocity, traceStreamlinePath,
+  solvePanelBody, panelVelocity,
+} from '../airflow-core.js';
+import { AirflowEffect, RainEffect } from '../effects.js';
+import { CfdEffect, computeSurfaceCp, computePatchCp, CFD_PATCHES } from '../cfd-effect.js';
+import { ventYawGain } from '../vent-emitters.js';
+
+/* ── DOM stub (canvas for puff textures) ──────────────────────────── */
+if (typeof globalThis.document === 'undefined') {
+  globalThis.document = {
+    createElement(tag) {
+      if (tag === 'canvas') {
+        return {
+          width: 0, height: 0,
+          getContext() {
+            return {
+              createRadialGradient: () => ({ addColorStop: () => {} }),
+              fillRect: () => {},
+              set fillStyle(_v) {},
+            };
+          },
+        };
+      }
+      return {};
+    },
+  };
+}
+
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+function circle(n = 64, r = 1) {
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    const a = (2 * Math.PI * i) / n;
+    out.push({ xi: r * Math.cos(a), eta: r * Math.sin(a) });
+  }
+  return out;
+}
+
+const YAW = 10 * Math.PI / 180;
+
+describe('yawed freestream (airflow-core)', () => {
+  it('YW1. crosswindFreestream: null when straight, tan(yaw) lateral in plane units', () => {
+    expect(crosswindFreestream(0, 0.9, 2.4)).toBeNull();
+    expect(crosswindFreestream(NaN, 0.9, 2.4)).toBeNull();
+    const f = crosswindFreestream(YAW, 0.9, 2.4);
+    expect(f.veta).toBe(1);
+    expect(f.vxi).toBeCloseTo(Math.tan(YAW) * 2.4 / 0.9, 12);
+    // Physical direction recovered by the sampleFlowAt mapping.
+    expect(Math.atan2(f.vxi * 0.9 / 2.4, f.veta)).toBeCloseTo(YAW, 12);
+  });
+
+  it('YW2. cylinder + scaled section: far field is the free stream, straight stream is unchanged', () => {
+    const free = { vxi: 0.4, veta: 1 };
+    const far = topViewVelocity(0.3, -60, undefined, free);
+    expect(far.vxi).toBeCloseTo(0.4, 3);
+    expect(far.veta).toBeCloseTo(1, 3);
+    const sec = { rw: 0.8, rl: 1.2, etaC: 0.1 };
+    const farS = topViewVelocity(0.3, -80, sec, free);
+    expect(farS.vxi).toBeCloseTo(0.4, 3);
+    for (const [x, e] of [[1.3, 0.2], [-0.4, 1.6], [2, -2]]) {
+      expect(topViewVelocity(x, e, undefined, { vxi: 0, veta: 1 })).toEqual(topViewVelocity(x, e));
+      expect(topViewVelocity(x, e, sec, { vxi: 0, veta: 1 })).toEqual(topViewVelocity(x, e, sec));
+    }
+    // No body at this height ⇒ pure (yawed) freestream.
+    expect(topViewVelocity(0, 0, { rw: 0, rl: 1 }, free)).toEqual(free);
+    // Surface tangency on the unit circle at yaw: v·n = 0.
+    for (let k = 0; k < 12; k++) {
+      const a = (2 * Math.PI * k) / 12;
+      const v = topViewVelocity(1.0001 * Math.cos(a), 1.0001 * Math.sin(a), undefined, free);
+      expect(Math.abs(v.vxi * Math.cos(a) + v.veta * Math.sin(a))).toBeLessThan(1e-3);
+    }
+  });
+
+  it('YW3. panel body matches the analytic cylinder at yaw', () => {
+    const body = solvePanelBody(circle());
+    const free = { vxi: 0.35, veta: 1 };
+    for (const [x, e] of [[1.3, 0], [0, 1.6], [1.4, 1.4], [-2, 0.7], [0.4, -2.5]]) {
+      const p = panelVelocity(x, e, body, free);
+      const c = topViewVelocity(x, e, undefined, free);
+      expect(Math.abs(p.vxi - c.vxi)).toBeLessThan(0.03);
+      expect(Math.abs(p.veta - c.veta)).toBeLessThan(0.03);
+    }
+  });
+
+  it('YW4. sumVelocity forwards the stream; traced ribbons drift toward +xi', () => {
+    const free = crosswindFreestream(YAW, 0.9, 2.4);
+    expect(sumVelocity(1.5, 0.5, topViewVelocity, [], { free }))
+      .toEqual(topViewVelocity(1.5, 0.5, undefined, free));
+    expect(sumVelocity(1.5, 0.5, topViewVelocity, [], { free: { vxi: 0, veta: 1 } }))
+      .toEqual(sumVelocity(1.5, 0.5, topViewVelocity, []));
+    const straight = traceStreamlinePath(0.2, -3, 80, 0.1);
+    const yawed    = traceStreamlinePath(0.2, -3, 80, 0.1, { free });
+    const endS = straight[straight.length - 1];
+    const endY = yawed[yawed.length - 1];
+    expect(endY.xi).toBeGreaterThan(endS.xi + 0.5);
+  });
+});
+
+describe('AirflowEffect.setYaw', () => {
+  it('YW5. sets the freestream, slants the seeds, samples a lateral wind; visibility survives', () => {
+    const fx = new AirflowEffect(makeScene());
+    fx.setCarType('F1');
+    fx.setVisible(true);
+    fx.setBaseY(0.12);
+    fx.setSpeed(200);
+    expect(fx._free).toBeNull();
+    const upstream = () => fx.sampleFlowAt(0, 0.3, -30);
+    expect(Math.abs(upstream().vx)).toBeLessThan(1e-9);
+
+    fx.setYaw(YAW);
+    expect(fx._free).toEqual(crosswindFreestream(YAW, fx._halfW, fx._halfL));
+    const v = upstream();
+    expect(v.vx).toBeGreaterThan(0);
+    expect(Math.atan2(v.vx, v.vz)).toBeCloseTo(YAW, 1);
+    // Seeds upstream of the nose start on the windward (−x) side.
+    const i = fx._seeds.findIndex(s => s.group !== 'underfloor' && s.seedEta < -1);
+    expect(fx._paths[i][0].xi).toBeLessThan(fx._seeds[i].seedXi);
+    expect(fx.group.visible).toBe(true);
+    expect(fx.group.position.y).toBe(0.12);
+
+    fx.setYaw(0);
+    expect(fx._free).toBeNull();
+  });
+});
+
+describe('CFD at yaw', () => {
+  // Mirrored sidewall vertices: left flank faces −x, right flank +x.
+  const left  = (yaw) => computeSurfaceCp(-0.7, 0.4, 0.3, -1, 0, 0, 'GT', null, 1, 1, 1, null, yaw);
+  const right = (yaw) => computeSurfaceCp( 0.7, 0.4, 0.3,  1, 0, 0, 'GT', null, 1, 1, 1, null, yaw);
+
+  it('YW6. body overlay: windward flank compresses, lee flank sucks; symmetric when straight', () => {
+    expect(left(0)).toBe(right(0));
+    expect(left(0)).toBe(computeSurfaceCp(-0.7, 0.4, 0.3, -1, 0, 0, 'GT', null, 1, 1, 1, null));
+    expect(left(YAW)).toBeGreaterThan(left(0));
+    expect(right(YAW)).toBeLessThan(right(0));
+    expect(left(-YAW)).toBeCloseTo(right(YAW), 12);   // mirror symmetry
+  });
+
+  it('YW7. side patches split by flank; centreline patches ignore yaw', () => {
+    const sides = CFD_PATCHES.F1.filter(p => p.role === 'sidepodSide');
+    const l = sides.find(p => p.cx < 0), r = sides.find(p => p.cx > 0);
+    const cp = (p, yaw) => computePatchCp(p, 0, 0, 1, [], [], 'F1', null, 1, null, yaw);
+    expect(cp(l, 0)).toBe(computePatchCp(l, 0, 0, 1, [], [], 'F1'));
+    expect(cp(l, YAW)).toBeGreaterThan(cp(l, 0));
+    expect(cp(r, YAW)).toBeLessThan(cp(r, 0));
+    const nose = CFD_PATCHES.F1.find(p => p.role === 'nose');
+    expect(cp(nose, YAW)).toBe(cp(nose, 0));
+  });
+
+  it('YW8. CfdEffect.setYaw forces a recolor; the colours turn asymmetric', () => {
+    const cfd = new CfdEffect(makeScene());
+    const geo = new THREE.BoxGeometry(1.4, 0.6, 3.6, 2, 2, 8);
+    geo.translate(0, 0.5, 0);
+    const body = new THREE.Mesh(geo, new THREE.MeshStandardMaterial());
+    const carGroup = new THREE.Group();
+    carGroup.add(body);
+    carGroup.updateMatrixWorld(true);
+    cfd.setBodySurface([body], carGroup);
+    cfd.setCarType('GT', { frontAxleZ: -1.4, rearAxleZ: 1.3, anchors: {} });
+    cfd.setVisible(true);
+    cfd.setSpeed(250);
+    cfd.update(0.016, 1.0);
+
+    cfd.setYaw(YAW);
+    expect(cfd._lastBuiltSpeed).toBe(-9999);
+    cfd.update(0.016, 1.1);
+    const entry = cfd._surfaceMeshes[0];
+    const pos = entry.mesh.geometry.attributes.position;
+    const nrm = entry.mesh.geometry.attributes.normal;
+    let lo = 0, hi = 0;
+    for (let i = 0; i < pos.count; i++) {
+      if (nrm.getX(i) < -0.9) lo = Math.max(lo, entry.cp[i]);
+      if (nrm.getX(i) >  0.9) hi = Math.max(hi, entry.cp[i]);
+    }
+    expect(lo).toBeGreaterThan(hi);
+
+    cfd.setYaw(YAW);                                 // unchanged ⇒ no recolor
+    expect(cfd._lastBuiltSpeed).not.toBe(-9999);
+  });
+});
+
+describe('vents and rain', () => {
+  it('YW9. ventYawGain: 1 when straight; lee outlets extract harder, windward inlets ram more', () => {
+    const outL = { role: 'outlet', pos: { x: -0.78 }, dir: { x: -0.3, z: 0 } };
+    const outR = { role: 'outlet', pos: { x:  0.78 }, dir: { x:  0.3, z: 0 } };
+    expect(ventYawGain(outL, 0)).toBe(1);
+    expect(ventYawGain(outR, YAW)).toBeGreaterThan(1);
+    expect(ventYawGain(outL, YAW)).toBeLessThan(1);
+    // Side-facing inlet mouths (outward normal ±x).
+    const inL = { role: 'inlet', pos: { x: -0.9 }, dir: { x: -1, z: 0 } };
+    const inR = { role: 'inlet', pos: { x:  0.9 }, dir: { x:  1, z: 0 } };
+    expect(ventYawGain(inL, YAW)).toBeGreaterThan(1);
+    expect(ventYawGain(inR, YAW)).toBeLessThan(1);
+    expect(ventYawGain(inR, Math.PI / 2)).toBeGreaterThanOrEqual(0.2);
+  });
+
+  it('YW10. rain drifts sideways by tan(yaw) of the apparent headwind', () => {
+    const rain = new RainEffect(makeScene());
+    rain.setVisible(true);
+    rain.setSpeed(350);
+    rain.setYaw(YAW);
+    rain._dVels[0] = 5;
+    rain._dPos[0] = 0; rain._dPos[1] = 8; rain._dPos[2] = -25;
+    for (let k = 0; k < 30; k++) rain.update(1 / 60, 0);
+    expect(rain._dPos[0]).toBeCloseTo(0.5 * 30 * Math.tan(YAW), 2);
+  });
+
+  it('YW11. only a crosswind wraps drops out the side; turn drift at yaw 0 does not', () => {
+    const drift = (yaw) => {
+      const rain = new RainEffect(makeScene());
+      rain.setVisible(true);
+      rain.setSpeed(100);
+      rain.setYaw(yaw);
+      rain.setTurnState(0.5, 60);                   // hard left: drops drift +x
+      rain._dVels[0] = 0.1;
+      rain._dPos[0] = 5.99; rain._dPos[1] = 8; rain._dPos[2] = -5;
+      rain.update(1 / 60, 0);
+      return rain._dPos[0];
+    };
+    expect(drift(0)).toBeGreaterThan(6);            // past the edge, left alone
+    expect(drift(0.05)).toBeLessThan(-5);           // crosswind ⇒ windward edge
+  });
+});
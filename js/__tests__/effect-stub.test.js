@@ -25,7 +25,7 @@ import { EffectStub } from '../effect-stub.js';
 const MAIN_SRC = readFileSync(
   join(dirname(fileURLToPath(import.meta.url)), '..', 'main.js'), 'utf8');
 
-/** Every `airflow.m(` / `rain.m(` / `cfd.m(` / `vents.m(` call in main.js
+/** Every `airflow.m(` / `rain.m(` / `cfd.m(` / `vents.m(` / `tunnel.m(` / `slice.m(` / `smoke.m(` / `vortex.m(` / `followCfd.m(` call in main.js
  *  (optional `?.(` calls too — the stub should cover the full surface),
  *  skipping comment lines. Over-matching is harmless: the stub just needs
  *  a no-op for anything matched. */
@@ -34,7 +34,7 @@ function scanEffectCalls(src) {
   for (const rawLine of src.split('\n')) {
     const line = rawLine.trim();
     if (line.startsWith('//') || line.startsWith('*') || line.startsWith('/*')) continue;
-    for (const m of line.matchAll(/\b(?:airflow|rain|cfd|vents)\.([A-Za-z_$][\w$]*)\s*(?:\?\.)?\(/g)) {
+    for (const m of line.matchAll(/\b(?:airflow|rain|cfd|vents|tunnel|slice|smoke|vortex|followCfd)\.([A-Za-z_$][\w$]*)\s*(?:\?\.)?\(/g)) {
       methods.add(m[1]);
     }
   }
@@ -107,6 +107,8 @@ describe('EffectStub — direct spawnCar call sequence (ES2)', () => {
     expect(stub.getModifiers()).toEqual([]);
     expect(stub.getFlowEnvelope()).toBeNull();
     expect(stub.raycastCp({})).toBeNull();
+    expect(stub.getAeroForces(200)).toBeNull();
+    expect(stub.getBaseBody()).toBeNull();
     const v = stub.sampleFlowAt(1, 2, 3);
     // Zero-velocity vector in the real AirflowEffect.sampleFlowAt shape.
     expect(v.vx).toBe(0);
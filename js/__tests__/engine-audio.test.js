@@ -15,11 +15,18 @@
  *         (setTargetAtTime / ramps), never direct `.value =` writes.
  *   EA7 — localStorage settings: load/save round-trip, junk-tolerant,
  *         pre-resume setMuted/setVolume apply at graph build.
+ *   EA8 — engine load: a climb raises gain, brightness and exhaust, a
+ *         descent lowers them; paused ignores the grade.
+ *   EA9 — road rumble: silent on asphalt, each surface's level and tone,
+ *         the kerb ridge LFO at v/λ; junk surfaces fall back to asphalt.
  */
 import { describe, it, expect } from 'vitest';
+import { SURFACES } from '../surface.js';
 import {
   EngineAudio,
   fundamentalHz,
+  engineLoad,
+  surfaceRumble,
   loadAudioSettings,
   saveAudioSettings,
   AUDIO_STORE_KEY,
@@ -104,6 +111,7 @@ describe('EngineAudio — lazy graph build (EA1)', () => {
       ea.setSpeed(180);
       ea.setCarType('GT');
       ea.setRain(true);
+      ea.setSurface('kerb');
       ea.setMuted(true);
       ea.setVolume(0.3);
       ea.setPaused(true);
@@ -119,15 +127,15 @@ describe('EngineAudio — lazy graph build (EA1)', () => {
     expect(getFactoryCalls()).toBe(1);
     expect(ctx.state).toBe('running');
     const counts = { ...ctx.created };
-    // 3 engine-voice oscillators + 1 idle LFO
-    expect(counts.osc).toBe(4);
-    // shared 1 s white-noise buffer, looped by exhaust + rain chains
+    // 3 engine-voice oscillators + 1 idle LFO + 1 kerb-ridge LFO
+    expect(counts.osc).toBe(5);
+    // shared 1 s white-noise buffer, looped by exhaust + rain + rumble chains
     expect(counts.buffer).toBe(1);
-    expect(counts.bufferSrc).toBe(2);
-    // engine lowpass + exhaust bandpass + rain HP/LP + pop bandpass
-    expect(counts.biquad).toBe(5);
-    // fund/harm2/sub voice gains + engine + noise + rain + pop + lfo + master
-    expect(counts.gain).toBe(9);
+    expect(counts.bufferSrc).toBe(3);
+    // engine lowpass + exhaust bandpass + rain HP/LP + pop bandpass + rumble LP
+    expect(counts.biquad).toBe(6);
+    // fund/harm2/sub voice gains + engine + noise + rain + pop + lfo + master + rumble + ridge
+    expect(counts.gain).toBe(11);
 
     ea.resume();
     ea.update(0.016);
@@ -403,3 +411,102 @@ describe('EngineAudio — localStorage settings (EA7)', () => {
     expect(ea.nodes.masterGain.gain.calls.at(-1).v).toBeCloseTo(0.16, 5);
   });
 });
+
+/* ── EA8 — engine load from the grade ───────────────────────────── */
+
+describe('EngineAudio — engine load on grades (EA8)', () => {
+  it('EA8a. engineLoad saturates at ±10 %', () => {
+    expect(engineLoad(0)).toBe(0);
+    expect(engineLoad(0.05)).toBeCloseTo(0.5, 9);
+    expect(engineLoad(0.3)).toBe(1);
+    expect(engineLoad(-0.3)).toBe(-1);
+  });
+
+  it('EA8b. climbing works the engine harder, descending backs it off', () => {
+    const levels = (grade) => {
+      const { ea, getCtx } = makeEngine();
+      ea.resume();
+      ea.setSpeed(180);
+      ea.setGrade(grade);
+      getCtx().currentTime = 1;  // past the shift-blip window
+      ea.update(0.016);
+      const n = ea.nodes;
+      return [n.engineGain.gain.value, n.lowpass.frequency.value, n.noiseGain.gain.value];
+    };
+    const flat = levels(0), up = levels(0.08), down = levels(-0.08);
+    flat.forEach((v, i) => {
+      expect(up[i]).toBeGreaterThan(v);
+      expect(down[i]).toBeLessThan(v);
+    });
+  });
+
+  it('EA8c. paused ignores the grade', () => {
+    const { ea, getCtx } = makeEngine();
+    ea.resume();
+    ea.setSpeed(180);
+    ea.setPaused(true);
+    getCtx().currentTime = 1;
+    ea.update(0.016);
+    const idle = ea.nodes.engineGain.gain.value;
+    ea.setGrade(0.1);
+    ea.update(0.016);
+    expect(ea.nodes.engineGain.gain.value).toBe(idle);
+  });
+});
+
+/* ── EA9 — road rumble from the surface ─────────────────────────── */
+
+describe('EngineAudio — road rumble (EA9)', () => {
+  const rumbleAt = (surface, kmh = 180) => {
+    const { ea, getCtx } = makeEngine();
+    ea.resume();
+    ea.setSpeed(kmh);
+    ea.setSurface(surface);
+    getCtx().currentTime = 1;
+    ea.update(0.016);
+    const n = ea.nodes;
+    return {
+      gain: n.rumbleGain.gain.value, tone: n.rumbleLP.frequency.value,
+      ridge: n.ridgeGain.gain.value, ridgeHz: n.ridge.frequency.value, state: ea.debugState(),
+    };
+  };
+
+  it('EA9a. surfaceRumble: level ramps in with speed, ridges only on kerbs', () => {
+    expect(surfaceRumble('asphalt', 200)).toEqual({ gain: 0, tone: SURFACES.asphalt.tone, ridgeHz: 0 });
+    expect(surfaceRumble('kerb', 30).gain).toBeCloseTo(SURFACES.kerb.rumble / 2, 9);
+    expect(surfaceRumble('kerb', 200).gain).toBe(SURFACES.kerb.rumble);
+    expect(surfaceRumble('kerb', 216).ridgeHz).toBeCloseTo(60 / SURFACES.kerb.wavelength, 9);
+    expect(surfaceRumble('gravel', 200).ridgeHz).toBe(0);
+    expect(surfaceRumble('kerb', -5).gain).toBe(0);
+    expect(surfaceRumble('lava', 200)).toEqual(surfaceRumble('asphalt', 200));
+  });
+
+  it('EA9b. the graph rumbles with the surface under the wheels', () => {
+    const asphalt = rumbleAt('asphalt');
+    expect(asphalt.gain).toBe(0);
+    expect(asphalt.ridge).toBe(0);
+    expect(asphalt.state.surface).toBe('asphalt');
+
+    const kerb = rumbleAt('kerb');
+    expect(kerb.gain).toBe(SURFACES.kerb.rumble);
+    expect(kerb.ridge).toBeGreaterThan(0);
+    expect(kerb.ridgeHz).toBeCloseTo(50 / SURFACES.kerb.wavelength, 9);
+    expect(kerb.state.rumbleGain).toBe(SURFACES.kerb.rumble);
+
+    const gravel = rumbleAt('gravel');
+    expect(gravel.tone).toBe(SURFACES.gravel.tone);
+    expect(gravel.ridge).toBe(0);
+    expect(rumbleAt('nonsense').state.surface).toBe('asphalt');
+  });
+
+  it('EA9c. paused is silent on any surface', () => {
+    const { ea, getCtx } = makeEngine();
+    ea.resume();
+    ea.setSpeed(180);
+    ea.setSurface('gravel');
+    ea.setPaused(true);
+    getCtx().currentTime = 1;
+    ea.update(0.016);
+    expect(ea.nodes.rumbleGain.gain.value).toBe(0);
+  });
+});
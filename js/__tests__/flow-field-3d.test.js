@@ -0,0 +1,169 @@
+/**
+ * flow-field-3d.test.js — the quasi-3-D field (quasi3dVelocity /
+ * traceStreamline3D) and its consumers.
+ *
+ *   Q1   quasi3dVelocity — zero inside, freestream far away; the air rises
+ *        ahead of the nose and falls behind the tail; beside the car the
+ *        plan view carries the whole perturbation
+ *   Q2   traceStreamline3D — a centreline lane climbs over the body and runs
+ *        its full length; a lane beside it turns round the flank
+ *   Q3   AirflowEffect — sampleFlowAt reads the field its ribbons are
+ *        traced through; ribbons carry their traced height
+ *   Q4   CfdEffect.setFlowField — streamlines follow the field, null
+ *        restores the authored wave
+ *   Q5   a yaw retrace builds a new field; re-sent, the CFD lanes swing
+ *        with the freestream
+ */
+
+import { describe, it, expect } from 'vitest';
+import { quasi3dVelocity, traceStreamline3D, topViewVelocity } from '../airflow-core.js';
+import { AirflowEffect } from '../effects.js';
+import { CfdEffect } from '../cfd-effect.js';
+
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+/* GLB F1 frame (body-centred, ground contact at −0.6187) — part-flow.test.js. */
+const F1_MEASURE = {
+  groundContactY: -0.6187,
+  frontAxleX: 0.82, frontAxleZ: -1.47, rearAxleX: 0.80, rearAxleZ: 2.10,
+  wheelRadius: 0.345,
+  anchors: {
+    halo:      { x: 0, y: 0.373, z: 0.09, bbox: { minX: -0.38, maxX: 0.38, minY: 0.05, maxY: 0.373, minZ: -0.47, maxZ: 0.65 } },
+    frontWing: { x: 0, y: -0.0524, z: -2.297, bbox: { minX: -0.90, maxX: 0.90, minY: -0.4163, maxY: -0.0524, minZ: -2.55, maxZ: -2.04 } },
+    rearWing:  { x: 0, y: 0.454, z: 2.412, bbox: { minX: -0.50, maxX: 0.50, minY: 0.05, maxY: 0.454, minZ: 2.00, maxZ: 2.42 } },
+    bodyShell: { x: 0, y: 0.0142, z: 0, bbox: { minX: -0.8125, maxX: 0.8125, minY: -0.4674, maxY: 0.4958, minZ: -2.40, maxZ: 2.30 } },
+    floor:     { x: 0, y: -0.371, z: 0 },
+  },
+};
+
+/* The default cylinder standing 1 m tall on the ground at y = 0. */
+const CYL = {
+  halfW: 0.8, halfL: 2.5, groundY: 0, topY: 1,
+  sectionAt: () => null, side: { etaC: 0, rl: 1 }, modifiers: [], free: null,
+};
+
+describe('quasi3dVelocity', () => {
+  it('Q1. zero inside, freestream far off; up ahead of the nose, down behind; plan-only beside', () => {
+    expect(quasi3dVelocity(0, 0, 0.5, CYL)).toEqual({ vxi: 0, veta: 0, vy: 0 });
+
+    const far = quasi3dVelocity(0.3, -40, 0.5, CYL);
+    expect(far.veta).toBeCloseTo(1, 2);
+    expect(Math.abs(far.vxi)).toBeLessThan(0.01);
+    expect(Math.abs(far.vy)).toBeLessThan(0.01);
+
+    // Centreline just ahead of / behind the body, below its top.
+    expect(quasi3dVelocity(0, -1.2, 0.5, CYL).vy).toBeGreaterThan(0.05);
+    expect(quasi3dVelocity(0, 1.2, 0.5, CYL).vy).toBeLessThan(-0.05);
+    // Over the middle of the roof the air is faster than freestream.
+    expect(quasi3dVelocity(0, 0, 1.1, CYL).veta).toBeGreaterThan(1);
+
+    // Well beside the car the side view has faded out: pure plan solution.
+    const q = quasi3dVelocity(1.6, 0.2, 0.5, CYL);
+    const p = topViewVelocity(1.6, 0.2);
+    expect(q.vy).toBe(0);
+    expect(q.vxi).toBeCloseTo(p.vxi, 9);
+    expect(q.veta).toBeCloseTo(p.veta, 9);
+  });
+});
+
+describe('traceStreamline3D', () => {
+  it('Q2. a centreline lane climbs over the roof and runs full length; a flank lane turns round', () => {
+    const over = traceStreamline3D(0, -3, 0.7, 200, 0.14, CYL);
+    expect(over.length).toBe(200);
+    expect(over[0].y).toBe(0.7);
+    const atMid = over.reduce((a, p) => (Math.abs(p.eta) < Math.abs(a.eta) ? p : a));
+    expect(atMid.y).toBeGreaterThan(CYL.topY);            // over, not through
+    expect(over[over.length - 1].eta).toBeGreaterThan(3);
+
+    const round = traceStreamline3D(0.6, -3, 0.2, 200, 0.14, CYL);
+    const mid = round.reduce((a, p) => (Math.abs(p.eta) < Math.abs(a.eta) ? p : a));
+    expect(Math.abs(mid.xi)).toBeGreaterThan(1);          // round the flank
+    expect(round[round.length - 1].eta).toBeGreaterThan(3);
+    for (const p of [...over, ...round]) {
+      expect(quasi3dVelocity(p.xi, p.eta, p.y, CYL)).not.toEqual({ vxi: 0, veta: 0, vy: 0 });
+    }
+  });
+});
+
+describe('AirflowEffect flow field', () => {
+  it('Q3. sampleFlowAt reads the shared field; ribbon vertices carry their traced height', () => {
+    const fx = new AirflowEffect(makeScene());
+    fx.setCarType('F1', F1_MEASURE);
+    fx.setSpeed(250);
+    const field = fx.getFlowField();
+    expect(field.halfW).toBe(fx._halfW);
+    expect(field.modifiers).toBe(fx._activeModifiers);
+
+    const V = 250 / 3.6;
+    for (const [x, y, z] of [[0.2, 0.6, -2.8], [1.1, 0.1, 0.4], [0, 0.9, 1.5]]) {
+      const q = quasi3dVelocity(x / field.halfW, z / field.halfL, y, field);
+      const s = fx.sampleFlowAt(x, y, z);
+      expect(s.vx).toBeCloseTo(q.vxi * (field.halfW / field.halfL) * V, 9);
+      expect(s.vy).toBeCloseTo(q.vy * V, 9);
+      expect(s.vz).toBeCloseTo(q.veta * V, 9);
+    }
+
+    // Some ribbon climbs over the nose — its height varies along the path.
+    const climbs = fx._seeds.some((s, i) => s.group === 'ribbon' &&
+      Math.max(...fx._paths[i].map(p => p.y)) > s.y + 0.05);
+    expect(climbs).toBe(true);
+  });
+});
+
+describe('CfdEffect.setFlowField', () => {
+  it('Q4. streamlines follow the traced field; null restores the authored wave', () => {
+    const fx = new AirflowEffect(makeScene());
+    fx.setCarType('F1', F1_MEASURE);
+    const cfd = new CfdEffect(makeScene());
+    cfd.setCarType('F1', F1_MEASURE);
+    cfd.setVisible(true);
+    cfd.setSpeed(300);
+    expect(cfd._streamPaths.every(p => p === null)).toBe(true);
+
+    cfd.setFlowField(fx.getFlowField());
+    const traced = cfd._streamPaths.filter(Boolean);
+    expect(traced.length).toBeGreaterThan(4);
+    cfd.update(0.016, 0);
+    const li = cfd._streamPaths.findIndex(Boolean);
+    const pos = cfd._streamlines[li].geo.attributes.position.array;
+    expect(Array.from(pos)).toEqual(Array.from(cfd._streamPaths[li].pos));
+    // Vertical motion comes from the field, not a wave: the lane rises.
+    const ys = pos.filter((_, k) => k % 3 === 1);
+    expect(Math.max(...ys) - ys[0]).toBeGreaterThan(0.05);
+
+    cfd.setCarType('GT', F1_MEASURE);                     // rebuild re-traces
+    expect(cfd._streamPaths.length).toBe(4);
+    cfd.setFlowField(null);
+    expect(cfd._streamPaths.every(p => p === null)).toBe(true);
+  });
+
+  it('Q5. a yaw retrace builds a new field; re-sent, the CFD lanes swing downwind', () => {
+    const fx = new AirflowEffect(makeScene());
+    fx.setCarType('F1', F1_MEASURE);
+    const cfd = new CfdEffect(makeScene());
+    cfd.setCarType('F1', F1_MEASURE);
+    cfd.setFlowField(fx.getFlowField());
+    const straight = cfd._streamPaths.map(p => p && Array.from(p.pos));
+
+    const old = fx.getFlowField();
+    fx.setYaw(10 * Math.PI / 180);
+    expect(fx.getFlowField()).not.toBe(old);          // the retrace's own field
+    cfd.setFlowField(fx.getFlowField());               // what main.js re-pipes
+
+    // Positive yaw blows toward +x: every traced lane ends further to +x.
+    let lanes = 0;
+    cfd._streamPaths.forEach((p, li) => {
+      if (!p || !straight[li]) return;
+      const end = p.pos.length - 3;
+      expect(p.pos[end]).toBeGreaterThan(straight[li][end] + 0.05);
+      lanes += 1;
+    });
+    expect(lanes).toBeGreaterThan(2);
+  });
+});
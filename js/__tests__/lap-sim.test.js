@@ -0,0 +1,133 @@
+/**
+ * lap-sim.test.js — closed circuits in the path model (track-path.js
+ * buildCircuit / setCircuit) and the quasi-steady-state lap simulation
+ * that drives the speed on them (lap-sim.js).
+ *
+ * Pure modules — no THREE, no DOM.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  TrackPath, TURN_CFG, buildCircuit, circuitCurvature, CIRCUITS,
+} from '../track-path.js';
+import {
+  simulateLap, lapCar, cornerSpeed, lapSpeedAt, formatLapTime, LAP_CARS,
+} from '../lap-sim.js';
+
+const RING = CIRCUITS.ring;
+const kappaOf = (c) => (s) => circuitCurvature(c, s);
+
+/* Drive helper: advance path at constant speed for `seconds`. */
+function drive(path, seconds, v, dt = 1 / 60) {
+  const n = Math.round(seconds / dt);
+  for (let i = 0; i < n; i++) path.update(dt, v);
+}
+
+describe('buildCircuit', () => {
+  it('LS1. corners are clothoid trapezoids turning through exactly their angle', () => {
+    const c = buildCircuit('test', [{ straight: 100 }, { radius: 50, angle: 90, ramp: 10 }, { straight: 20 }]);
+    expect(c.corners).toHaveLength(1);
+    const k = c.corners[0];
+    expect(k.s0).toBe(100);
+    expect(k.kMax).toBeCloseTo(1 / 50, 12);
+    expect(c.length).toBeCloseTo(120 + 50 * Math.PI / 2 + 10, 9);
+    let heading = 0;
+    for (let s = 0; s < c.length; s += 0.05) heading += circuitCurvature(c, s + 0.025) * 0.05;
+    expect(heading).toBeCloseTo(Math.PI / 2, 3);
+    expect(circuitCurvature(c, 50)).toBe(0);
+    expect(circuitCurvature(c, 105)).toBeCloseTo(0.5 / 50, 12);   // half-way up the ramp
+  });
+
+  it('LS2. the bundled ring turns through 360° and ends where it began', () => {
+    const p = new TrackPath(() => 0.5);
+    p.setCircuit(RING);
+    p._emitCircuit(p._lapS0 + 2 * RING.length);
+    const a = p.poseAt(p._lapS0), b = p.poseAt(p._lapS0 + RING.length);
+    expect(b.theta - a.theta).toBeCloseTo(2 * Math.PI, 6);
+    expect(Math.hypot(b.x - a.x, b.z - a.z)).toBeLessThan(0.05);
+  });
+});
+
+describe('TrackPath circuit mode', () => {
+  it('LS3. the start line sits beyond the horizon; the path curves like the layout', () => {
+    const p = new TrackPath(() => 0.5);
+    p.setCircuit(RING);
+    expect(p.circuitPosition()).toEqual({ lap: -1, s: RING.length - TURN_CFG.LOOKAHEAD });
+    const s0 = p._lapS0;
+    p._emitCircuit(s0 + RING.length);   // the car would reach these on its own
+    for (const d of [0, 510, 700, 1500, 2000]) {
+      expect(p.curvatureAt(s0 + d + 0.01)).toBeCloseTo(circuitCurvature(RING, d + 0.01), 9);
+    }
+  });
+
+  it('LS4. no random turns are scheduled; laps keep coming across rebases', () => {
+    const p = new TrackPath(() => 0.5);
+    p.setCircuit(RING);
+    drive(p, 120, 60);   // 7.2 km ≈ 2.7 laps
+    expect(p.turns.every(t => t.shape === 'real')).toBe(true);
+    p.rebaseIfNeeded();
+    const pos = p.circuitPosition();
+    const before = p.pose.s;
+    drive(p, 60, 60);
+    const later = p.circuitPosition();
+    expect((later.lap - pos.lap) * RING.length + later.s - pos.s).toBeCloseTo(p.pose.s - before, 3);
+    expect(later.lap).toBeGreaterThanOrEqual(3);
+    // Curvature through the emitted road ahead still matches the layout.
+    for (let d = 0; d < 250; d += 7) {
+      const s = p.pose.s + d;
+      expect(p.curvatureAt(s)).toBeCloseTo(circuitCurvature(RING, p.circuitPosition(s).s), 9);
+    }
+  });
+
+  it('LS5. leaving the circuit hands back to the random schedule after its last corner', () => {
+    const p = new TrackPath(() => 0.5);
+    p.setCircuit(RING);
+    drive(p, 10, 60);
+    const lastCircuit = p.turns[p.turns.length - 1].s1;
+    p.setCircuit(null);
+    expect(p.circuitPosition()).toBeNull();
+    drive(p, 40, 60);
+    const fresh = p.turns.filter(t => t.vEmit > 0);
+    expect(fresh.length).toBeGreaterThan(0);
+    expect(fresh[0].s0).toBeGreaterThanOrEqual(lastCircuit);
+  });
+});
+
+describe('lap simulation', () => {
+  it('LS6. corner speed follows √(μg(m + L/g)/m/κ); downforce-flat corners cap at top speed', () => {
+    const car = LAP_CARS.F1;
+    const v = cornerSpeed(1 / 85, car);
+    const downforce = 0.5 * 1.225 * car.clA * v * v;
+    expect(v).toBeCloseTo(Math.sqrt(car.mu * 9.81 * (car.mass + downforce / 9.81) / car.mass * 85), 6);
+    expect(cornerSpeed(1 / 2000, car)).toBeCloseTo(100, 9);
+    expect(cornerSpeed(1 / 85, { ...car, clA: 0 })).toBeLessThan(v);
+  });
+
+  it('LS7. the trace brakes into and accelerates out of each corner, never above its limit', () => {
+    const tr = simulateLap(RING, kappaOf(RING), lapCar('F1'));
+    for (let i = 0; i < tr.v.length; i++) {
+      expect(tr.v[i]).toBeLessThanOrEqual(cornerSpeed(circuitCurvature(RING, i * tr.ds), LAP_CARS.F1) + 1e-3);
+    }
+    const hairpin = RING.corners[0];
+    const apex = lapSpeedAt(tr, (hairpin.s0 + hairpin.s1) / 2);
+    expect(lapSpeedAt(tr, hairpin.s0 - 150)).toBeGreaterThan(apex + 100);
+    expect(lapSpeedAt(tr, 0)).toBeCloseTo(lapSpeedAt(tr, RING.length), 6);   // closed lap
+    expect(tr.vMax * 3.6).toBeGreaterThan(280);
+  });
+
+  it('LS8. the F1 out-laps the GT; more wing trades top speed for corner speed', () => {
+    const f1 = simulateLap(RING, kappaOf(RING), lapCar('F1'));
+    const gt = simulateLap(RING, kappaOf(RING), lapCar('GT'));
+    expect(f1.time).toBeLessThan(gt.time);
+    expect(f1.time).toBeGreaterThan(30);
+    expect(f1.time).toBeLessThan(70);
+    const hi = simulateLap(RING, kappaOf(RING), lapCar('F1', 1.4));
+    expect(hi.vMin).toBeGreaterThan(f1.vMin);
+    expect(hi.vMax).toBeLessThan(f1.vMax);
+  });
+
+  it('LS9. lap times read m:ss.mmm', () => {
+    expect(formatLapTime(83.4564)).toBe('1:23.456');
+    expect(formatLapTime(43.9)).toBe('0:43.900');
+    expect(formatLapTime(NaN)).toBe('–');
+  });
+});
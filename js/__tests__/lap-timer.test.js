@@ -0,0 +1,164 @@
+/**
+ * lap-timer.test.js — lap / sector timing along the path arc length
+ * (lap-timer.js): interpolated line crossings, sector colours, best and
+ * delta, the session history, and the floating-origin rebase
+ * (track-path.js epoch / shiftSince).
+ *
+ * Pure modules — no THREE, no DOM.
+ */
+import { describe, it, expect } from 'vitest';
+import { LapTimer, SECTORS, HISTORY_MAX, formatLapDelta } from '../lap-timer.js';
+import { TrackPath, CIRCUITS } from '../track-path.js';
+
+/* Minimal path: the car's s and a rebase-free epoch. */
+function fakePath(s = 0) {
+  return { pose: { s }, epoch: 0, shiftSince: () => 0 };
+}
+
+/* Drive a fake path at speed v(s) (m/s) for `seconds`, collecting laps. */
+function drive(timer, path, seconds, v, dt = 1 / 60) {
+  const laps = [];
+  const n = Math.round(seconds / dt);
+  for (let i = 0; i < n; i++) {
+    path.pose.s += v(path.pose.s) * dt;
+    const lap = timer.update(path, dt);
+    if (lap) laps.push(lap);
+  }
+  return laps;
+}
+
+describe('LapTimer', () => {
+  it('LT1. crossings are interpolated: lap and sector times do not depend on dt', () => {
+    for (const dt of [1 / 30, 1 / 60, 1 / 144]) {
+      const path = fakePath();
+      const t = new LapTimer({ name: 'test', length: 900, lineS: 50 });
+      const laps = drive(t, path, 25, () => 60, dt);
+      expect(laps).toHaveLength(1);
+      expect(laps[0].time).toBeCloseTo(15, 6);
+      for (const split of laps[0].splits) expect(split).toBeCloseTo(5, 6);
+      expect(laps[0].lap).toBe(1);
+    }
+  });
+
+  it('LT2. the out-lap is untimed until the first line; then sectors advance', () => {
+    const path = fakePath();
+    const t = new LapTimer({ name: 'test', length: 600, lineS: 100 });
+    drive(t, path, 1, () => 50);
+    expect(t.current).toBeNull();
+    expect(t.lap).toBe(0);
+    expect(t.sector).toBe(-1);
+    drive(t, path, 2, () => 50);                // s 150: past the line
+    expect(t.lap).toBe(1);
+    expect(t.sector).toBe(0);
+    expect(t.current).toBeCloseTo(1, 6);
+    drive(t, path, 3, () => 50);                // s 300: past the 200 m sector line
+    expect(t.sector).toBe(1);
+    expect(t.splits).toHaveLength(1);
+    expect(t.splits[0]).toBeCloseTo(4, 6);
+  });
+
+  it('LT3. sector colours: purple on a session best, green on the last lap, else yellow', () => {
+    const path = fakePath();
+    const t = new LapTimer({ name: 'test', length: 300, lineS: 0.5 });
+    // Lap 1 at 50 m/s; lap 2 slower in S1, faster in S2, slower in S3;
+    // lap 3 between the two in S1.
+    const speeds = [[50, 50, 50], [40, 60, 40], [45, 50, 48]];
+    const v = (s) => {
+      const lap = Math.floor((s - 0.5) / 300);
+      const sec = Math.max(0, Math.floor(((s - 0.5) % 300) / 100));
+      return speeds[Math.min(Math.max(lap, 0), 2)][sec];
+    };
+    const laps = drive(t, path, 20, v, 1 / 120);
+    expect(laps.length).toBeGreaterThanOrEqual(3);
+    expect(laps[0].colors).toEqual(['purple', 'purple', 'purple']);
+    expect(laps[1].colors).toEqual(['yellow', 'purple', 'yellow']);
+    expect(laps[2].colors).toEqual(['green', 'yellow', 'green']);
+    expect(laps[0].best).toBe(true);
+    expect(laps[1].best).toBe(false);
+    expect(t.best.time).toBeCloseTo(6, 4);
+  });
+
+  it('LT4. the live delta reads the best lap at the same lap distance', () => {
+    const path = fakePath();
+    const t = new LapTimer({ name: 'test', length: 600, lineS: 0.5 });
+    drive(t, path, 10.5, () => 60);             // best lap 10 s
+    expect(t.best.time).toBeCloseTo(10, 4);
+    expect(t.delta).toBeCloseTo(0, 3);
+    drive(t, path, 2, () => 50);                // 100 m in 2 s vs 1.67 s
+    expect(t.delta).toBeCloseTo(2 - 130 / 60 + 0.5, 2);
+    expect(t.delta).toBeGreaterThan(0);
+  });
+
+  it('LT5. the history is newest first, capped and shared with the next timer', () => {
+    const path = fakePath();
+    const t = new LapTimer({ name: 'A', length: 100, lineS: 0.5 });
+    drive(t, path, 2 * (HISTORY_MAX + 3), () => 50);
+    expect(t.history).toHaveLength(HISTORY_MAX);
+    expect(t.history[0].lap).toBeGreaterThan(t.history[1].lap);
+    const next = new LapTimer({ name: 'B', length: 100, lineS: path.pose.s + 10, history: t.history });
+    drive(next, path, 3, () => 50);
+    expect(next.history[0].name).toBe('B');
+    expect(next.history).toHaveLength(HISTORY_MAX);
+  });
+
+  it('LT6. lines() lists the finish and sector lines inside the window', () => {
+    const t = new LapTimer({ name: 'test', length: 600, lineS: 100 });
+    expect(t.lines(0, 35, 160).map(l => l.s)).toEqual([100]);
+    expect(t.lines(0, 35, 160)[0].kind).toBe('finish');
+    const path = fakePath(0);
+    drive(t, path, 3, () => 50);                // s 150, on lap 1
+    const lines = t.lines(path.pose.s, 35, 160);
+    expect(lines.map(l => [l.s, l.kind])).toEqual([[300, 'sector']]);
+    expect(t.lines(path.pose.s, 100, 600).map(l => l.s)).toEqual([100, 300, 500, 700]);
+  });
+
+  it('LT7. on a TrackPath circuit the lap matches the layout length across rebases', () => {
+    const c = CIRCUITS[Object.keys(CIRCUITS)[0]];
+    const p = new TrackPath(() => 0.5);
+    p.setCircuit(c);
+    const pos = p.circuitPosition();
+    const t = new LapTimer({
+      name: c.name, length: c.length, lineS: p.pose.s + c.length - pos.s, epoch: p.epoch,
+    });
+    const v = 70, dt = 1 / 60;
+    const laps = [];
+    let lapStartPos = null;
+    while (laps.length < 2) {
+      p.update(dt, v);
+      p.rebaseIfNeeded();
+      const lap = t.update(p, dt);
+      if (t.lap === 1 && lapStartPos === null) lapStartPos = p.circuitPosition();
+      if (lap) laps.push(lap);
+    }
+    expect(p.epoch).toBeGreaterThan(1);
+    expect(lapStartPos.s).toBeLessThan(v * dt + 1e-6);          // timed from the real line
+    for (const lap of laps) expect(lap.time).toBeCloseTo(c.length / v, 3);
+    expect(t.lines(p.pose.s, 35, 160).every(l => {
+      const u = p.circuitPosition(l.s).s;
+      return [0, 1, 2].some(i => Math.abs(u - t.sectorStart(i)) < 1e-6
+        || Math.abs(u - c.length) < 1e-6);
+    })).toBe(true);
+  });
+
+  it('LT8. shiftSince accumulates every rebase since an epoch', () => {
+    const p = new TrackPath(() => 0.5);
+    p.update(1, 400);
+    const e0 = p.epoch;
+    const at = p.pose.s;
+    p.rebase();
+    p.update(1, 300);
+    const mid = p.pose.s;
+    p.rebase();
+    expect(p.shiftSince(e0)).toBeCloseTo(at + mid, 6);
+    expect(p.shiftSince(p.epoch)).toBe(0);
+  });
+});
+
+describe('formatLapDelta', () => {
+  it('LT9. signs a delta to the millisecond', () => {
+    expect(formatLapDelta(0.1234)).toBe('+0.123');
+    expect(formatLapDelta(-0.045)).toBe('−0.045');
+    expect(formatLapDelta(null)).toBe('–');
+    expect(SECTORS).toBe(3);
+  });
+});
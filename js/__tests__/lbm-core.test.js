@@ -0,0 +1,289 @@
+/**
+ * lbm-core.test.js — D2Q9 Lattice-Boltzmann wind tunnel.
+ *
+ * The potential-flow picture cannot separate; the LBM mode exists to show
+ * what it misses — wakes, shear layers, vortex shedding. These tests pin
+ * the solver physics on small lattices (conservation, no-slip, wake,
+ * shedding), the occupancy → mask rasteriser, the worker message host, and
+ * LbmEffect running on the inline fallback (node has no Worker).
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  createLbm, lbmInletVelocity, lbmVorticity, lbmFieldToRGBA,
+  maskFromOccupancy, ellipseMask, createLbmHost, LBM_U_MAX,
+} from '../lbm-core.js';
+import { LbmEffect } from '../lbm-effect.js';
+
+function discMask(nx, ny, ci, cj, r) {
+  const m = new Uint8Array(nx * ny);
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      if ((i - ci) ** 2 + (j - cj) ** 2 <= r * r) m[i + j * nx] = 1;
+    }
+  }
+  return m;
+}
+
+/** Axis-aligned solid box as a buildOccupancy-shaped sampler. */
+function boxOcc(min, max) {
+  return {
+    sample: (x, y, z) => (
+      x >= min[0] && x <= max[0] && y >= min[1] && y <= max[1] && z >= min[2] && z <= max[2]
+    ) ? 1 : 0,
+  };
+}
+
+describe('lbmInletVelocity', () => {
+  it('LB1. linear in speed, zero at rest, clamped at the lattice ceiling', () => {
+    expect(lbmInletVelocity(0)).toBe(0);
+    expect(lbmInletVelocity(175)).toBeCloseTo(LBM_U_MAX / 2, 9);
+    expect(lbmInletVelocity(350)).toBeCloseTo(LBM_U_MAX, 9);
+    expect(lbmInletVelocity(500)).toBeCloseTo(LBM_U_MAX, 9);
+    expect(lbmInletVelocity(-20)).toBe(0);
+    expect(LBM_U_MAX).toBeLessThan(0.2);   // lattice Mach stays low
+  });
+});
+
+describe('createLbm', () => {
+  it('LB2. empty tunnel holds the freestream and conserves mass', () => {
+    const nx = 40, ny = 20;
+    const lbm = createLbm({ nx, ny, u0: 0.08 });
+    lbm.step(200);
+    let mass = 0;
+    for (let c = 0; c < nx * ny; c++) mass += lbm.rho[c];
+    expect(mass / (nx * ny)).toBeCloseTo(1, 2);
+    const mid = 20 + 10 * nx;
+    expect(lbm.ux[mid]).toBeCloseTo(0.08, 2);
+    expect(Math.abs(lbm.uy[mid])).toBeLessThan(5e-3);
+  });
+
+  it('LB3. bounce-back body: no-slip inside, velocity deficit in the wake, opposite-signed shear layers', () => {
+    const nx = 80, ny = 40;
+    const lbm = createLbm({ nx, ny, u0: 0.1, mask: discMask(nx, ny, 20, 19.5, 5) });
+    lbm.step(600);
+    expect(lbm.ux[20 + 20 * nx]).toBe(0);                 // solid cell
+    expect(lbm.ux[30 + 20 * nx]).toBeLessThan(0.05);      // just behind the body
+    expect(lbm.ux[30 + 3 * nx]).toBeGreaterThan(0.09);    // outside the wake
+    const w = lbmVorticity(lbm);
+    const upper = w[22 + 26 * nx], lower = w[22 + 13 * nx];
+    expect(Math.sign(upper)).toBe(-Math.sign(lower));
+    expect(Math.abs(upper)).toBeGreaterThan(1e-3);
+  });
+
+  it('LB4. a bluff body sheds: the wake cross-flow oscillates (Kármán street)', () => {
+    const nx = 90, ny = 40;
+    const lbm = createLbm({ nx, ny, u0: 0.1, nu: 0.01, mask: discMask(nx, ny, 20, 19.5, 4) });
+    lbm.step(1500);
+    const probe = 45 + 20 * nx;
+    let prev = 0, flips = 0, peak = 0;
+    for (let s = 0; s < 1500; s++) {
+      lbm.step(1);
+      const v = lbm.uy[probe];
+      peak = Math.max(peak, Math.abs(v));
+      if (Math.abs(v) > 2e-3) {
+        if (prev && Math.sign(v) !== Math.sign(prev)) flips++;
+        prev = v;
+      }
+    }
+    expect(flips).toBeGreaterThanOrEqual(4);
+    expect(peak).toBeGreaterThan(0.01);
+  }, 20000);
+
+  it('LB5. setInlet changes the driving velocity; reset restarts from it', () => {
+    const lbm = createLbm({ nx: 30, ny: 12, u0: 0 });
+    lbm.setInlet(0.05);
+    expect(lbm.inlet).toBe(0.05);
+    lbm.reset();
+    expect(lbm.ux[15 + 6 * 30]).toBeCloseTo(0.05, 2);
+    lbm.setInlet(-1);
+    expect(lbm.inlet).toBe(0);
+  });
+});
+
+describe('masks', () => {
+  const g = { nx: 40, ny: 20, z0: -4, z1: 4, halfSpan: 2 };   // 0.2 m cells
+
+  it('LB6. top view: horizontal slice at `level` — box footprint, empty above the box', () => {
+    const occ = boxOcc([-0.5, 0, -1], [0.5, 1, 1]);
+    const m = maskFromOccupancy(occ, { ...g, view: 'top', level: 0.5 });
+    expect(m[20 + 10 * 40]).toBe(1);     // car centre
+    expect(m[20 + 1 * 40]).toBe(0);      // x = −1.7, outside
+    expect(m[2 + 10 * 40]).toBe(0);      // z = −3.5, ahead of the nose
+    const above = maskFromOccupancy(occ, { ...g, view: 'top', level: 1.5 });
+    expect(above.some(v => v)).toBe(false);
+  });
+
+  it('LB7. side view: rows climb from groundY (world), so the body sits on the road', () => {
+    const baseY = 0.3;
+    const occ = boxOcc([-0.5, baseY, -1], [0.5, baseY + 0.8, 1]);
+    const m = maskFromOccupancy(occ, { ...g, view: 'side', level: 0, groundY: baseY });
+    expect(m[20 + 0 * 40]).toBe(1);      // first row above the road
+    expect(m[20 + 3 * 40]).toBe(1);      // y ≈ 0.7 above the road
+    expect(m[20 + 5 * 40]).toBe(0);      // y ≈ 1.1 — over the roof
+    expect(maskFromOccupancy(null, { ...g, view: 'side', level: 0 }).some(v => v)).toBe(false);
+  });
+
+  it('LB8. ellipse fallback: centred in the top view, on the road in the side view', () => {
+    const top  = ellipseMask({ ...g, view: 'top' }, 0.9, 2.4, 0.6);
+    const side = ellipseMask({ ...g, view: 'side' }, 0.9, 2.4, 0.6);
+    expect(top[20 + 10 * 40]).toBe(1);
+    expect(top[20 + 14 * 40]).toBe(0);   // x = +0.9 edge band
+    expect(side[20 + 0 * 40]).toBe(1);
+    expect(side[20 + 8 * 40]).toBe(0);   // y ≈ 1.7, over the body
+  });
+});
+
+describe('lbmFieldToRGBA', () => {
+  it('LB9. solid cells transparent; uniform flow is flat in speed and white in vorticity', () => {
+    const nx = 20, ny = 10;
+    const mask = new Uint8Array(nx * ny); mask[5 + 5 * nx] = 1;
+    const lbm = createLbm({ nx, ny, u0: 0.1, mask });
+    const px = lbmFieldToRGBA(lbm, 'speed');
+    expect(px.length).toBe(nx * ny * 4);
+    expect(px[(5 + 5 * nx) * 4 + 3]).toBe(0);
+    const a = (15 + 2 * nx) * 4, b = (16 + 8 * nx) * 4;
+    expect([px[a], px[a + 1], px[a + 2]]).toEqual([px[b], px[b + 1], px[b + 2]]);
+    expect(px[a + 3]).toBeGreaterThan(0);
+
+    const empty = createLbm({ nx, ny, u0: 0.1 });
+    const vp = lbmFieldToRGBA(empty, 'vorticity');
+    const m = (10 + 5 * nx) * 4;
+    expect(vp[m]).toBeGreaterThan(240);
+    expect(vp[m + 1]).toBeGreaterThan(240);
+    expect(vp[m + 2]).toBeGreaterThan(240);
+  });
+});
+
+describe('createLbmHost (worker protocol)', () => {
+  it('LB10. run before init is a no-op; init → run replies with an nx·ny RGBA frame', () => {
+    const host = createLbmHost();
+    expect(host.handle({ type: 'run', steps: 1, mode: 'speed' })).toBeNull();
+    expect(host.handle({ type: 'init', nx: 24, ny: 8, u0: 0.05 })).toBeNull();
+    expect(host.handle({ type: 'inlet', u0: 0.08 })).toBeNull();
+    const f = host.handle({ type: 'run', steps: 3, mode: 'vorticity' });
+    expect(f.type).toBe('frame');
+    expect(f.nx).toBe(24);
+    expect(f.ny).toBe(8);
+    expect(f.pixels).toBeInstanceOf(Uint8Array);
+    expect(f.pixels.length).toBe(24 * 8 * 4);
+    expect(host.handle({ type: 'bogus' })).toBeNull();
+  });
+});
+
+/* ── LbmEffect (inline fallback — node has no Worker) ───────────── */
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+describe('LbmEffect', () => {
+  it('LB11. hidden by default; visible update paints the texture from the inline solver', () => {
+    const fx = new LbmEffect(makeScene());
+    expect(fx._worker).toBeNull();
+    expect(fx.group.visible).toBe(false);
+    fx.setSpeed(300);
+    fx.update(0.016);
+    expect(fx._texture.image.data.some(v => v)).toBe(false);   // hidden ⇒ no stepping
+    fx.setVisible(true);
+    fx.update(0.016);
+    expect(fx._pending).toBe(false);
+    expect(fx._texture.image.data.some(v => v)).toBe(true);
+  });
+
+  it('LB12. side view rebuilds an upright plane standing on the road; top view lies flat', () => {
+    const fx = new LbmEffect(makeScene());
+    fx.setCarType('GT', null);
+    const topNy = fx._grid.ny;
+    const up = fx._mesh.up.clone().applyQuaternion(fx._mesh.quaternion);
+    expect(Math.abs(up.x)).toBeCloseTo(1, 6);        // plane v-axis → car x
+    fx.setView('side');
+    expect(fx._grid.ny).not.toBe(topNy);
+    expect(fx._mesh.position.y).toBeCloseTo(fx._grid.halfSpan, 6);   // bottom edge on y = 0
+    const v = fx._mesh.up.clone().applyQuaternion(fx._mesh.quaternion);
+    expect(v.y).toBeCloseTo(1, 6);
+  });
+
+  it('LB13. occupancy slice replaces the ellipse; baseY lifts the group', () => {
+    const fx = new LbmEffect(makeScene());
+    fx.setCarType('F1', null);
+    const ellipse = fx._mask();
+    fx.setBaseY(0.2);
+    expect(fx.group.position.y).toBe(0.2);
+    fx.setOccupancy(boxOcc([-0.3, 0.2, -0.5], [0.3, 0.8, 0.5]), 0.2);
+    const slice = fx._mask();
+    const count = m => m.reduce((s, v) => s + v, 0);
+    expect(count(slice)).toBeGreaterThan(0);
+    expect(count(slice)).toBeLessThan(count(ellipse));
+    fx.setCarType('GT', null);                        // car swap drops the slice
+    expect(fx._occupancy).toBeNull();
+  });
+
+  it('LB14. stale frames from a rebuilt lattice are dropped; dispose detaches the group', () => {
+    const scene = makeScene();
+    const fx = new LbmEffect(scene);
+    const tex = fx._texture;
+    const before = tex.image.data;
+    fx._onFrame({ type: 'frame', nx: 3, ny: 3, pixels: new Uint8Array(36) });
+    expect(tex.image.data).toBe(before);
+    fx.setField('vorticity');
+    expect(fx._field).toBe('vorticity');
+    fx.setField('nonsense');
+    expect(fx._field).toBe('speed');
+    fx.dispose();
+    expect(scene._objects).not.toContain(fx.group);
+  });
+  /* Worker stub: records posts; the test answers by hand. */
+  class StubWorker {
+    constructor() { this.posted = []; this.terminated = false; }
+    postMessage(msg) { this.posted.push(msg); }
+    terminate() { this.terminated = true; }
+  }
+  afterEach(() => { vi.unstubAllGlobals(); vi.restoreAllMocks(); });
+
+  it('LB15. a worker that fails to load hands over to the inline host; the field still arrives', () => {
+    vi.stubGlobal('Worker', StubWorker);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const fx = new LbmEffect(makeScene());
+    const worker = fx._worker;
+    expect(worker).toBeInstanceOf(StubWorker);
+    fx.setSpeed(300);
+    fx.setVisible(true);
+    fx.update(0.016);                               // run lost with the worker
+    expect(fx._pending).toBe(true);
+    worker.onerror({ message: 'blocked' });
+    expect(worker.terminated).toBe(true);
+    expect(fx._worker).toBeNull();
+    expect(fx._host).not.toBeNull();
+    expect(fx._pending).toBe(false);
+    fx.update(0.016);
+    expect(fx._pending).toBe(false);
+    expect(fx._texture.image.data.some(v => v)).toBe(true);
+  });
+
+  it('LB16. a run still in flight across a rebuild is dropped and keeps the new request pending', () => {
+    vi.stubGlobal('Worker', StubWorker);
+    const fx = new LbmEffect(makeScene());
+    const worker = fx._worker;
+    fx.setVisible(true);
+    fx.update(0.016);
+    const stale = worker.posted.at(-1);
+    expect(stale.type).toBe('run');
+    fx.setCarType('F1', null);                      // same lattice size, new generation
+    fx.update(0.016);
+    const fresh = worker.posted.at(-1);
+    expect(fresh.gen).not.toBe(stale.gen);
+    const frame = gen => ({ type: 'frame', nx: fx._grid.nx, ny: fx._grid.ny,
+      pixels: new Uint8Array(fx._grid.nx * fx._grid.ny * 4).fill(9), gen });
+    const before = fx._texture.image.data;
+    fx._onFrame(frame(stale.gen));
+    expect(fx._pending).toBe(true);
+    expect(fx._texture.image.data).toBe(before);
+    fx._onFrame(frame(fresh.gen));
+    expect(fx._pending).toBe(false);
+    expect(fx._texture.image.data[0]).toBe(9);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * minimap.test.js — the HUD minimap (minimap.js): the road ahead read off
+ * the TrackPath knots (trace), the driven trail kept in one map frame
+ * across floating-origin rebases (frameSince), the upcoming-turn list and
+ * the car-centred view.
+ *
+ * Pure modules — no THREE, no DOM.
+ */
+import { describe, it, expect } from 'vitest';
+import { Minimap, minimapScale, nextTurnLabel, TRAIL_DS, TRAIL_MAX } from '../minimap.js';
+import { TrackPath, WINDOW_AHEAD, CIRCUITS } from '../track-path.js';
+
+const V = 60;
+
+function makeRng(seed) {
+  let s = seed >>> 0;
+  return () => ((s = (s * 1664525 + 1013904223) >>> 0) / 2 ** 32);
+}
+
+/* Drive the path and the map together, rebasing like main.js updateTrack. */
+function drive(path, map, seconds, v = V, dt = 1 / 60) {
+  const n = Math.round(seconds / dt);
+  for (let i = 0; i < n; i++) {
+    path.update(dt, v);
+    path.rebaseIfNeeded();
+    map.update(path);
+  }
+}
+
+describe('TrackPath.trace / frameSince', () => {
+  it('MM1. trace returns the knots on its stride between the exact end poses', () => {
+    const p = new TrackPath(makeRng(1));
+    p._emitTurn({ s0: 30, L: 200, dir: 1, vEmit: V });
+    const tr = p.trace(10.3, 150.2, 2);
+    expect(tr[0].s).toBe(10.3);
+    expect(tr[tr.length - 1].s).toBe(150.2);
+    for (let i = 1; i < tr.length - 1; i++) {
+      expect(tr[i].s % 2).toBeCloseTo(0, 9);
+      expect(tr[i].s - tr[i - 1].s).toBeLessThanOrEqual(2 + 1e-9);
+    }
+    for (const k of tr) {
+      const q = p.poseAt(k.s);
+      expect(k.x).toBeCloseTo(q.x, 9);
+      expect(k.z).toBeCloseTo(q.z, 9);
+      expect(k.theta).toBeCloseTo(q.theta, 9);
+    }
+    expect(p.trace(-20, -5, 5).every(k => k.s >= -20 && k.s <= -5)).toBe(true);   // the road behind
+  });
+
+  it('MM2. frameSince carries a point across rebases back into its epoch', () => {
+    const p = new TrackPath(makeRng(2));
+    p._emitTurn({ s0: 50, L: 300, dir: -1, vEmit: V });
+    p.update(3, V);                                   // 180 m, into the turn
+    const held = p.poseAt(700);
+    p.rebase();
+    p.update(5, V);
+    p.rebase();
+    const shift = p.shiftSince(0);
+    const now = p.poseAt(700 - shift);                // the same point today
+    const f = p.frameSince(0);
+    const c = Math.cos(f.theta), sn = Math.sin(f.theta);
+    expect(f.x + now.x * c + now.z * sn).toBeCloseTo(held.x, 6);
+    expect(f.z - now.x * sn + now.z * c).toBeCloseTo(held.z, 6);
+    expect(now.theta + f.theta).toBeCloseTo(held.theta, 9);
+    expect(p.frameSince(p.epoch)).toEqual({ x: 0, z: 0, theta: 0 });
+  });
+});
+
+describe('Minimap', () => {
+  it('MM3. the trail is evenly sampled and unbroken across rebases', () => {
+    const p = new TrackPath(makeRng(3));
+    const map = new Minimap(p);
+    drive(p, map, 60);                                // 3.6 km, random turns
+    expect(p.epoch).toBeGreaterThanOrEqual(3);
+    const { trail } = map;
+    expect(trail.length).toBeGreaterThan(3600 / TRAIL_DS - 5);
+    for (let i = 1; i < trail.length; i++) {
+      const d = Math.hypot(trail[i].x - trail[i - 1].x, trail[i].z - trail[i - 1].z);
+      expect(d).toBeGreaterThan(TRAIL_DS - 0.5);
+      expect(d).toBeLessThan(TRAIL_DS + V / 60 + 1e-6);
+    }
+    expect(trail.some(t => t.turn)).toBe(true);       // corners are marked
+    expect(trail.some(t => !t.turn)).toBe(true);
+    // The newest sample sits under the car, in map coordinates.
+    const car = map.toMap(p.pose);
+    const last = trail[trail.length - 1];
+    expect(Math.hypot(car.x - last.x, car.z - last.z)).toBeLessThan(TRAIL_DS + 1);
+
+    drive(p, map, 120);
+    expect(map.trail).toHaveLength(TRAIL_MAX);
+  });
+
+  it('MM4. the view lists the emitted turns ahead, nearest first, past the horizon', () => {
+    const p = new TrackPath(makeRng(4));
+    p.setCircuit(CIRCUITS[Object.keys(CIRCUITS)[0]]);
+    const map = new Minimap(p);
+    drive(p, map, 6);                                 // into reach of the first corner
+    const view = map.view(p);
+    expect(view.turns.length).toBeGreaterThan(0);
+    const ahead = p.turns.filter(t => t.s1 > p.pose.s).sort((a, b) => a.s0 - b.s0);
+    expect(view.turns[0].dist).toBeCloseTo(Math.max(0, ahead[0].s0 - p.pose.s), 9);
+    expect(view.turns[0].dir).toBe(ahead[0].dir);
+    for (let i = 1; i < view.turns.length; i++) {
+      expect(view.turns[i].dist).toBeGreaterThanOrEqual(view.turns[i - 1].dist);
+    }
+    const reach = Math.hypot(
+      view.ahead[view.ahead.length - 1].x - view.car.x,
+      view.ahead[view.ahead.length - 1].z - view.car.z,
+    );
+    expect(reach).toBeGreaterThan(WINDOW_AHEAD);
+    expect(view.ahead[0].x).toBeCloseTo(view.car.x, 9);
+    expect(nextTurnLabel(view)).toMatch(/^(LEFT|RIGHT) (\d+ m|NOW)$/);
+    expect(nextTurnLabel({ turns: [] })).toBe('–');
+  });
+
+  it('MM5. the view stays put across a rebase', () => {
+    const p = new TrackPath(makeRng(5));
+    p._emitTurn({ s0: 80, L: 250, dir: 1, vEmit: V });
+    const map = new Minimap(p);
+    drive(p, map, 4);
+    const before = map.view(p);
+    p.rebase();
+    map.update(p);
+    const after = map.view(p);
+    expect(after.car.x).toBeCloseTo(before.car.x, 6);
+    expect(after.car.z).toBeCloseTo(before.car.z, 6);
+    expect(after.car.theta).toBeCloseTo(before.car.theta, 9);
+    const end = (v) => v.turns[0].points[v.turns[0].points.length - 1];
+    expect(end(after).x).toBeCloseTo(end(before).x, 3);
+    expect(end(after).z).toBeCloseTo(end(before).z, 3);
+    expect(after.turns[0].dist).toBeCloseTo(before.turns[0].dist, 9);
+  });
+
+  it('MM6. minimapScale centres the car, north up, range to the short side', () => {
+    const car = { x: 120, z: -40 };
+    const { scale, px, py } = minimapScale(car, 200, 160, 400);
+    expect(scale).toBeCloseTo(160 / 800, 12);
+    expect(px(120)).toBe(100);
+    expect(py(-40)).toBe(80);
+    expect(py(-440)).toBeCloseTo(0, 9);                // 400 m north: the top edge
+    expect(px(220)).toBeGreaterThan(100);              // +x to the right
+  });
+});
@@ -247,7 +247,7 @@ function recorderStub() {
 
 /* ════════════════════════════════════════════════════════════════ */
 describe('Occupancy frame offset — trace-time toWorld (defect O1)', () => {
-  it('T1 every trace-time sampled y = seed y + baseY (F1 +0.2787)', async () => {
+  it('T1 every trace-time sampled y = path y + baseY (F1 +0.2787)', async () => {
     const { AirflowEffect } = await import('../effects.js');
     const airflow = new AirflowEffect(makeScene());
     airflow.setBaseY(F1_BASE_Y);                       // main.js order: baseY first
@@ -257,15 +257,18 @@ describe('Occupancy frame offset — trace-time toWorld (defect O1)', () => {
     for (const s of airflow._seeds) {
       if (s.group !== 'ribbon') continue;
       rec.sampledYs.length = 0;
-      airflow._traceSeedPath(s, airflow._activeModifiers);
+      const path = airflow._traceSeedPath(s, airflow._activeModifiers);
       expect(rec.sampledYs.length).toBeGreaterThan(0);
-      for (const y of rec.sampledYs) {
-        expect(y).toBeCloseTo(s.y + F1_BASE_Y, 6);
+      // Paths are traced in 3-D: each step samples the point it lands on,
+      // which the recorder never blocks — the next path vertex.
+      expect(path[0].y).toBe(s.y);
+      for (let i = 0; i < path.length - 1; i++) {
+        expect(rec.sampledYs[i]).toBeCloseTo(path[i + 1].y + F1_BASE_Y, 6);
       }
       seedsChecked++;
     }
     expect(seedsChecked).toBeGreaterThanOrEqual(10);
-    console.info(`[occupancy-frame] T1: ${seedsChecked} ribbon seeds sampled at seedY + ${F1_BASE_Y}`);
+    console.info(`[occupancy-frame] T1: ${seedsChecked} ribbon seeds sampled at path y + ${F1_BASE_Y}`);
   });
 });
 
@@ -0,0 +1,268 @@
+/**
+ * panel-method.test.js — 2-D source-panel solver on real outlines.
+ *
+ * topViewVelocity modelled every cross-section as a scaled cylinder, so a
+ * pointed F1 nose and a blunt GT cabin deflected the flow identically.
+ * solvePanelBody solves constant-strength source panels (plus an optional
+ * Kutta vortex) on an arbitrary outline; the result plugs into
+ * topViewVelocity / sumVelocity / traceStreamlinePath as the base field.
+ *
+ * Pure math — no THREE.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  solvePanelBody, panelVelocity, panelBodyContains,
+  outlineFromOccupancy, outlineFromBoxes, panelSurfaceCp, nearestPanelIndex,
+  topViewVelocity, sumVelocity, traceStreamlinePath, doubletVelocity,
+} from '../airflow-core.js';
+
+function circle(n = 64, r = 1, cx = 0, ce = 0) {
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    const a = (2 * Math.PI * i) / n;
+    out.push({ xi: cx + r * Math.cos(a), eta: ce + r * Math.sin(a) });
+  }
+  return out;
+}
+
+describe('solvePanelBody — validation against the analytic cylinder', () => {
+  it('PM1. 64-panel circle reproduces the unit-cylinder field within 2%', () => {
+    const body = solvePanelBody(circle());
+    for (const [x, e] of [[1.2, 0], [0, 1.5], [1.5, 1.5], [0, -3], [-2, 0.7]]) {
+      const p = panelVelocity(x, e, body);
+      const c = topViewVelocity(x, e);
+      expect(Math.abs(p.veta - c.veta)).toBeLessThan(0.02 * Math.max(1, Math.abs(c.veta)));
+      expect(Math.abs(p.vxi - c.vxi)).toBeLessThan(0.02);
+    }
+  });
+
+  it('PM2. closed body: net source strength Σσ·len ≈ 0 (no mass created)', () => {
+    const body = solvePanelBody(circle(40));
+    let net = 0;
+    body.panels.forEach((p, j) => { net += body.sigma[j] * p.len; });
+    expect(Math.abs(net)).toBeLessThan(1e-9);
+  });
+
+  it('PM3. zero normal flow just outside every panel midpoint (arbitrary outline)', () => {
+    const outline = [
+      { xi: 0, eta: -1.2 }, { xi: 0.5, eta: -0.6 }, { xi: 0.6, eta: 0.8 },
+      { xi: 0.2, eta: 1.1 }, { xi: -0.2, eta: 1.1 }, { xi: -0.6, eta: 0.8 },
+      { xi: -0.5, eta: -0.6 },
+    ];
+    const body = solvePanelBody(outline);
+    for (const p of body.panels) {
+      const v = panelVelocity(p.mx + p.nx * 1e-6, p.me + p.ne * 1e-6, body);
+      expect(Math.abs(v.vxi * p.nx + v.veta * p.ne)).toBeLessThan(1e-3);
+    }
+  });
+
+  it('PM4. either winding solves to the same field', () => {
+    const a = solvePanelBody(circle(32));
+    const b = solvePanelBody(circle(32).reverse());
+    const va = panelVelocity(1.3, 0.4, a), vb = panelVelocity(1.3, 0.4, b);
+    expect(vb.vxi).toBeCloseTo(va.vxi, 9);
+    expect(vb.veta).toBeCloseTo(va.veta, 9);
+  });
+
+  it('PM5. degenerate outlines return null', () => {
+    expect(solvePanelBody([])).toBeNull();
+    expect(solvePanelBody([{ xi: 0, eta: 0 }, { xi: 1, eta: 1 }])).toBeNull();
+    expect(solvePanelBody([{ xi: 0, eta: 0 }, { xi: 1, eta: 1 }, { xi: 2, eta: 2 }])).toBeNull();
+  });
+});
+
+describe('solvePanelBody — Kutta vortex', () => {
+  it('PM6. symmetric body ⇒ γ ≈ 0 (no lift from a symmetric plan view)', () => {
+    expect(Math.abs(solvePanelBody(circle(48), { kutta: true }).gamma)).toBeLessThan(1e-9);
+  });
+
+  it('PM7. cambered / yawed outline ⇒ γ ≠ 0 and the flow leaves the TE smoothly', () => {
+    // Thin ellipse yawed 10° to the freestream, sharp-ish tail at +eta.
+    const yaw = (10 * Math.PI) / 180, out = [];
+    for (let i = 0; i < 48; i++) {
+      const a = (2 * Math.PI * i) / 48;
+      const x = 0.12 * Math.cos(a), e = Math.sin(a);
+      out.push({ xi: x * Math.cos(yaw) + e * Math.sin(yaw), eta: -x * Math.sin(yaw) + e * Math.cos(yaw) });
+    }
+    const body = solvePanelBody(out, { kutta: true });
+    expect(Math.abs(body.gamma)).toBeGreaterThan(1e-3);
+    const first = body.panels[0], last = body.panels[body.panels.length - 1];
+    const tv = (p) => {
+      const v = panelVelocity(p.mx + p.nx * 1e-6, p.me + p.ne * 1e-6, body);
+      return v.vxi * p.tx + v.veta * p.te;
+    };
+    expect(tv(first) + tv(last)).toBeCloseTo(0, 3);
+  });
+});
+
+describe('Panel body as the base field', () => {
+  const body = solvePanelBody(circle(48, 0.6, 0, 0.2));
+
+  it('PM8. interior points read zero velocity; contains() matches the polygon', () => {
+    expect(panelBodyContains(body, 0, 0.2)).toBe(true);
+    expect(panelBodyContains(body, 0.7, 0.2)).toBe(false);
+    expect(panelVelocity(0, 0.2, body)).toEqual({ vxi: 0, veta: 0 });
+  });
+
+  it('PM9. topViewVelocity dispatches on a bare panel body AND on a section carrying .panel', () => {
+    const direct = panelVelocity(0.8, 0.1, body);
+    expect(topViewVelocity(0.8, 0.1, body)).toEqual(direct);
+    expect(topViewVelocity(0.8, 0.1, { rw: 0.6, rl: 0.6, etaC: 0.2, panel: body })).toEqual(direct);
+  });
+
+  it('PM10. sumVelocity forwards opts.body to the panel field under modifiers', () => {
+    const base = panelVelocity(0.8, 0.1, body);
+    const mods = [{ type: 'source', x: 2, e: 2, strength: 0.1, rc: 0.12 }];
+    const v = sumVelocity(0.8, 0.1, topViewVelocity, mods, { body });
+    const dx = 0.8 - 2, de = 0.1 - 2, r2 = dx * dx + de * de + 0.0144;
+    expect(v.vxi).toBeCloseTo(base.vxi + 0.1 * dx / r2, 9);
+    expect(v.veta).toBeCloseTo(base.veta + 0.1 * de / r2, 9);
+  });
+
+  it('PM11. traced streamlines slide around the polygon and never end inside it', () => {
+    for (const seedXi of [-0.4, -0.1, 0.05, 0.3]) {
+      const path = traceStreamlinePath(seedXi, -3, 200, 0.14, { body });
+      expect(path.at(-1).eta).toBeGreaterThan(2);
+      for (const p of path) expect(panelBodyContains(body, p.xi, p.eta)).toBe(false);
+    }
+  });
+
+  it('PM12. a pointed nose deflects the flow less than a blunt one of the same width', () => {
+    const blunt = solvePanelBody([
+      { xi: -0.5, eta: -1 }, { xi: 0.5, eta: -1 }, { xi: 0.5, eta: 1 }, { xi: -0.5, eta: 1 },
+    ]);
+    const pointed = solvePanelBody([
+      { xi: 0, eta: -1.4 }, { xi: 0.5, eta: -0.4 }, { xi: 0.5, eta: 1 },
+      { xi: -0.5, eta: 1 }, { xi: -0.5, eta: -0.4 },
+    ]);
+    // Just ahead of and beside the nose: lateral push-out.
+    const vb = panelVelocity(0.3, -1.6, blunt);
+    const vp = panelVelocity(0.3, -1.6, pointed);
+    expect(vb.vxi).toBeGreaterThan(vp.vxi);
+  });
+
+  it('PM13. aspect: a physically round outline matches the physical doublet perturbation', () => {
+    const halfW = 0.9, halfL = 2.4, R = 0.3, out = [];
+    for (let i = 0; i < 64; i++) {
+      const a = (2 * Math.PI * i) / 64;
+      out.push({ xi: (R * Math.cos(a)) / halfW, eta: (R * Math.sin(a)) / halfL });
+    }
+    const wheel = solvePanelBody(out, { aspect: halfW / halfL });
+    const x = 0.45, z = 0.2;                       // metres
+    const v = panelVelocity(x / halfW, z / halfL, wheel);
+    const d = doubletVelocity(x, z, 0, 0, R, 0);
+    // 64-gon inscribed in the circle ⇒ ~2% discretisation error.
+    expect(Math.abs(v.vxi * (halfW / halfL) - d.vx)).toBeLessThan(0.03 * Math.abs(d.vx) + 1e-3);
+    expect(Math.abs(v.veta - 1 - d.vz)).toBeLessThan(0.03 * Math.abs(d.vz) + 1e-3);
+  });
+});
+
+describe('Outlines', () => {
+  const dims = { halfW: 0.9, halfL: 2.4 };
+
+  it('PM14. outlineFromBoxes: wing stations are wider than the nose box (T-shaped F1 plan)', () => {
+    const out = outlineFromBoxes([
+      { minX: -0.9, maxX: 0.9, minZ: -2.4, maxZ: -2.0 },   // front wing
+      { minX: -0.3, maxX: 0.3, minZ: -2.4, maxZ:  2.0 },   // tub
+    ], dims);
+    const widthNear = (eta) => Math.max(...out.filter(p => Math.abs(p.eta - eta) < 0.05).map(p => Math.abs(p.xi)));
+    expect(widthNear(-2.2 / 2.4) * 0.9).toBeGreaterThan(0.9);
+    expect(widthNear(0) * 0.9).toBeLessThan(0.4);
+    expect(solvePanelBody(out, { aspect: 0.9 / 2.4 })).not.toBeNull();
+    expect(outlineFromBoxes([], dims)).toBeNull();
+  });
+
+  it('PM15. outlineFromOccupancy: slice of a box field yields its inflated outline; empty slice ⇒ null', () => {
+    const occ = { sample: (x, y, z) => (Math.abs(x) <= 0.4 && Math.abs(z) <= 1.5 && y < 0.5) ? 1 : 0 };
+    const out = outlineFromOccupancy(occ, 0.2, dims);
+    const maxX = Math.max(...out.map(p => p.xi * dims.halfW));
+    expect(maxX).toBeGreaterThan(0.3);
+    expect(maxX).toBeLessThan(0.5);
+    const body = solvePanelBody(out, { aspect: dims.halfW / dims.halfL });
+    expect(panelBodyContains(body, 0, 0)).toBe(true);
+    expect(outlineFromOccupancy(occ, 0.8, dims)).toBeNull();
+  });
+});
+
+describe('Panel body wiring — AirflowEffect sections + CFD patches and overlay', () => {
+  const makeScene = () => ({ add() {}, remove() {} });
+  const occupancy = {
+    sample: (x, y, z) => (Math.abs(x) <= 0.35 && y >= -0.30 && y <= 0.40 && Math.abs(z) <= 1.8) ? 1 : 0,
+    gradient: () => ({ x: 0, y: 1, z: 0 }),
+  };
+
+  it('PM16. occupancy slice sections carry a solved panel body; getBaseBody exposes it', async () => {
+    const { AirflowEffect } = await import('../effects.js');
+    const airflow = new AirflowEffect(makeScene());
+    expect(airflow.getBaseBody()).toBeNull();
+    airflow.setCarType('F1', undefined, occupancy);
+    const pod = airflow._sections.pod;
+    expect(pod.panel?.kind).toBe('panel');
+    expect(airflow.getBaseBody()).toBe(pod.panel);
+    // The flow sampler now reads the panel field (interior ⇒ no flow).
+    airflow.setSpeed(200);
+    const inside = airflow.sampleFlowAt(0, -0.05, 0);
+    expect(inside.vz).toBe(0);
+  });
+
+  it('PM17. computePatchCp reads the supplied base body instead of the unit cylinder', async () => {
+    const { computePatchCp, CFD_PATCHES } = await import('../cfd-effect.js');
+    const p = CFD_PATCHES.F1.find(q => q.role !== 'floor' && q.role !== 'diffuser');
+    const slim = solvePanelBody(circle(32, 0.3));
+    const cyl  = computePatchCp(p, p.w * 0.3, 0, 1, [], [], 'F1');
+    const pan  = computePatchCp(p, p.w * 0.3, 0, 1, [], [], 'F1', slim);
+    expect(pan).not.toBeCloseTo(cyl, 3);
+  });
+
+  it('PM18. panelSurfaceCp: the circle\'s wall Cp is the cylinder\'s 1 − 4·sin²θ', () => {
+    const body = solvePanelBody(circle(64));
+    const cps = panelSurfaceCp(body);
+    expect(cps.length).toBe(body.panels.length);
+    const side = nearestPanelIndex(body, 1.05, 0);
+    const nose = nearestPanelIndex(body, 0, -1.05);
+    expect(cps[side]).toBeCloseTo(-3, 1);
+    expect(cps[nose]).toBeGreaterThan(0.95);
+  });
+
+  it('PM19. the body overlay paints the panel outline on its flanks (GLB path)', async () => {
+    const THREE = await import('three');
+    const { AirflowEffect } = await import('../effects.js');
+    const { CfdEffect, computeSurfaceCp, surfacePlan } = await import('../cfd-effect.js');
+    const airflow = new AirflowEffect(makeScene());
+    airflow.setCarType('F1', undefined, occupancy);
+    const body = airflow.getBaseBody();
+    const field = airflow.getFlowField();
+
+    // Pure: flank faces read the outline, top faces keep the z profile.
+    const plan = surfacePlan(body, field);
+    const flank = [0.4, 0.2, -1.6, 1, 0, 0];
+    expect(computeSurfaceCp(...flank, 'F1', null, 1, 1, 1, null, 0, plan))
+      .not.toBeCloseTo(computeSurfaceCp(...flank, 'F1', null, 1), 3);
+    const top = [0, 0.4, -1.6, 0, 1, 0];
+    expect(computeSurfaceCp(...top, 'F1', null, 1, 1, 1, null, 0, plan))
+      .toBe(computeSurfaceCp(...top, 'F1', null, 1));
+    expect(surfacePlan(body, null)).toBeNull();
+
+    // Overlay: setBaseBody changes the painted Cp of a real body mesh.
+    const paint = (withBody) => {
+      const geo = new THREE.BoxGeometry(0.7, 0.7, 3.6, 1, 1, 6);
+      geo.translate(0, 0.05, 0);
+      const mesh = new THREE.Mesh(geo, new THREE.MeshStandardMaterial());
+      const carGroup = new THREE.Group();
+      carGroup.add(mesh);
+      carGroup.updateMatrixWorld(true);
+      const cfd = new CfdEffect(makeScene());
+      cfd.setBodySurface([mesh], carGroup);
+      cfd.setCarType('F1', { anchors: {} });
+      if (withBody) cfd.setBaseBody(body, field);
+      cfd.setVisible(true);
+      cfd.setSpeed(300);
+      cfd.update(0.016, 1.0);
+      return Array.from(cfd._surfaceMeshes[0].cp);
+    };
+    const plain = paint(false), outlined = paint(true);
+    const moved = plain.filter((v, i) => Math.abs(v - outlined[i]) > 1e-3).length;
+    expect(moved).toBeGreaterThan(0);
+    expect(moved).toBeLessThan(plain.length);   // tops and floor untouched
+  });
+});
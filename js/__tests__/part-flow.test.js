@@ -454,24 +454,30 @@ describe('Phase 2 — per-band cross-section table (effects integration)', () =>
     // modifier y-gating stops ungated vents from tugging it.
   });
 
-  it('P2.9 some halo-band lane passes within 0.55 m of centreline at the cockpit throat (old model: ≥ 0.81 m)', async () => {
+  it('P2.9 some halo-band lane passes within 0.55 m of centreline at the cockpit throat (old model: ≥ 0.81 m) — over the halo or beside it, never through', async () => {
     const { AirflowEffect } = await import('../effects.js');
     const airflow = new AirflowEffect(makeScene());
     airflow.setCarType('F1', glbF1Measure());
     const sec = airflow._sections.halo;
     // Closest lateral approach of any halo-band lane inside the throat
     // window. With the whole-car cylinder every line bulged to ≥ halfW
-    // (0.8125 m); with the cockpit cross-section inner lanes skim the halo.
-    let closest = Infinity;
+    // (0.8125 m); with the cockpit cross-section inner lanes skim the halo
+    // — or, traced in 3-D, rise over it.
+    const haloTop = glbF1Measure().anchors.halo.bbox.maxY;
+    let closest = Infinity, beside = Infinity;
     airflow._seeds.forEach((s, i) => {
       if (s.band !== 'halo') return;
       for (const p of airflow._paths[i]) {
         if (Math.abs(p.eta - sec.etaC) > 0.4 * sec.rl) continue;
-        closest = Math.min(closest, Math.abs(p.xi) * airflow._halfW);
+        const d = Math.abs(p.xi) * airflow._halfW;
+        closest = Math.min(closest, d);
+        if (p.y < haloTop) beside = Math.min(beside, d);
       }
     });
     expect(closest).toBeLessThan(0.55);
-    expect(closest).toBeGreaterThanOrEqual(0.38);   // …but never clips the halo
+    // The 2-D model's floor (closest ≥ 0.38) still holds for every point
+    // level with the halo; only lanes already above its top cross inside it.
+    expect(beside).toBeGreaterThanOrEqual(0.38);    // …but never clips the halo
   });
 
   it('P2.10 procedural (no bboxes) keeps the whole-car cylinder — sections all null', async () => {
@@ -1071,10 +1077,15 @@ describe('Ingestion calibration — trace-time sink cap + tail fade', () => {
     airflow.setCarType('F1', glbF1Measure());
     airflow.setSpeed(350);
     airflow.setVisible(true);
-    // Lower pod height, xi −0.45: stagnation-terminated at every bucket —
-    // a deterministic early-terminated ribbon.
-    const earlyIdx = airflow._seeds.findIndex(s =>
+    // Axle height on the centreline: too low to climb over the nose, so
+    // it stagnates on it — a deterministic early-terminated ribbon. (The
+    // lower pod lane at xi −0.45 used to be the one; traced in 3-D it now
+    // rises over the sidepod and runs its full length.)
+    const podIdx = airflow._seeds.findIndex(s =>
       s.band === 'pod' && Math.abs(s.seedXi - (-0.45)) < 1e-6 && s.y < 0);
+    expect(airflow._paths[podIdx].length).toBe(200);
+    const earlyIdx = airflow._seeds.findIndex(s =>
+      s.band === 'axle' && Math.abs(s.seedXi) < 1e-6);
     expect(earlyIdx).toBeGreaterThanOrEqual(0);
     const earlyPath = airflow._paths[earlyIdx];
     expect(earlyPath.length).toBeLessThan(0.95 * 200);   // genuinely truncated
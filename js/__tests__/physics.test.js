@@ -212,4 +212,21 @@ describe('lerpSpeed', () => {
   it('returns current speed unchanged when target equals current (within snap)', () => {
     expect(lerpSpeed(100, 100, 60, 90, 0.016)).toBe(100);
   });
+
+  it('a climb slows the acceleration and speeds the braking; a descent the reverse', () => {
+    const g = 9.81 * 3.6 * Math.sin(Math.atan(0.1));   // km/h/s of gravity on 10 %
+    expect(lerpSpeed(0, 200, 60, 90, 0.1, 0.1)).toBeCloseTo((60 - g) * 0.1, 9);
+    expect(lerpSpeed(200, 0, 60, 90, 0.1, 0.1)).toBeCloseTo(200 - (90 + g) * 0.1, 9);
+    expect(lerpSpeed(0, 200, 60, 90, 0.1, -0.1)).toBeCloseTo((60 + g) * 0.1, 9);
+    expect(lerpSpeed(0, 200, 60, 90, 0.1, 0)).toBe(lerpSpeed(0, 200, 60, 90, 0.1));
+    // A wall of a hill still leaves a fifth of the drive.
+    expect(lerpSpeed(0, 200, 20, 90, 0.1, 1)).toBeCloseTo(20 * 0.2 * 0.1, 9);
+  });
+
+  it('traction and braking scale with the surface grip', () => {
+    expect(lerpSpeed(0, 200, 60, 90, 0.1, 0, 0.35)).toBeCloseTo(60 * 0.35 * 0.1, 9);
+    expect(lerpSpeed(200, 0, 60, 90, 0.1, 0, 0.5)).toBeCloseTo(200 - 90 * 0.5 * 0.1, 9);
+    expect(lerpSpeed(0, 200, 60, 90, 0.1, 0, 1)).toBe(lerpSpeed(0, 200, 60, 90, 0.1));
+    expect(lerpSpeed(99.8, 100, 60, 90, 0.016, 0, 0.35)).toBe(100);   // still snaps
+  });
 });
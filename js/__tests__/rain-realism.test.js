@@ -174,12 +174,13 @@ vi.mock('../airflow-core.js', () => ({
   cpToColor:           () => ({ r: 0.5, g: 0.5, b: 0.5 }),
   vortexVelocity:      () => ({ vxi: 0.1, veta: 0.2 }),
   sideViewVelocity:    () => ({ veta: 1, vy: 0 }),
+  quasi3dVelocity:     () => ({ vxi: 0, veta: 1, vy: 0 }),
   sumVelocity:         (xi, eta, baseFn) => baseFn(xi, eta),
   venturiSpeedRatio:   cp => Math.sqrt(Math.max(0, 1 - cp)),
-  traceStreamlinePath: (seedXi, seedEta) => {
+  traceStreamline3D:   (seedXi, seedEta, seedY) => {
     const path = [];
     for (let i = 0; i < 16; i++) {
-      path.push({ xi: seedXi, eta: seedEta + i * 0.5, vxi: 0, veta: 1 });
+      path.push({ xi: seedXi, eta: seedEta + i * 0.5, y: seedY, vxi: 0, veta: 1, vy: 0 });
     }
     return path;
   },
@@ -0,0 +1,160 @@
+/**
+ * ribbon-color.test.js — airflow ribbon colour-by modes.
+ *
+ *   RC1    ribbonRampColor — the cpToColor ramp stretched over a scale
+ *   RC2–3  AirflowEffect.setColorMode — speed / Cp / total-pressure loss /
+ *          height per vertex, underfloor lanes included; cached per trace
+ *   RC4    getColorScale + syncRibbonLegend — legend title and labels
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AirflowEffect, ribbonRampColor, syncRibbonLegend, RIBBON_COLOR_MODES } from '../effects.js';
+import { cpToColor, venturiSpeedRatio } from '../airflow-core.js';
+
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+/* GLB F1 frame (body-centred, ground contact at −0.6187) — part-flow.test.js. */
+const F1_MEASURE = {
+  groundContactY: -0.6187,
+  frontAxleX: 0.82, frontAxleZ: -1.47, rearAxleX: 0.80, rearAxleZ: 2.10,
+  wheelRadius: 0.345,
+  anchors: {
+    halo:      { x: 0, y: 0.373, z: 0.09, bbox: { minX: -0.38, maxX: 0.38, minY: 0.05, maxY: 0.373, minZ: -0.47, maxZ: 0.65 } },
+    frontWing: { x: 0, y: -0.0524, z: -2.297, bbox: { minX: -0.90, maxX: 0.90, minY: -0.4163, maxY: -0.0524, minZ: -2.55, maxZ: -2.04 } },
+    rearWing:  { x: 0, y: 0.454, z: 2.412, bbox: { minX: -0.50, maxX: 0.50, minY: 0.05, maxY: 0.454, minZ: 2.00, maxZ: 2.42 } },
+    bodyShell: { x: 0, y: 0.0142, z: 0, bbox: { minX: -0.8125, maxX: 0.8125, minY: -0.4674, maxY: 0.4958, minZ: -2.40, maxZ: 2.30 } },
+    floor:     { x: 0, y: -0.371, z: 0 },
+  },
+};
+
+function f1(mode) {
+  const fx = new AirflowEffect(makeScene());
+  fx.setCarType('F1', F1_MEASURE);
+  fx.setColorMode(mode);
+  fx.setVisible(true);
+  fx.setSpeed(250);
+  return fx;
+}
+const idxOf = (fx, group) => fx._seeds.map((s, i) => (s.group === group ? i : -1)).filter(i => i >= 0);
+
+describe('ribbonRampColor', () => {
+  it('RC1. blue at the bottom of the scale, red at the top, clamped; cpToColor on [−3, 1]', () => {
+    const scale = { min: 0.4, max: 1.6 };
+    expect(ribbonRampColor(0.4, scale)).toEqual({ r: 0, g: 0, b: 1 });
+    expect(ribbonRampColor(1.6, scale)).toEqual({ r: 1, g: 0, b: 0 });
+    expect(ribbonRampColor(9, scale)).toEqual(ribbonRampColor(1.6, scale));
+    expect(ribbonRampColor(-9, scale)).toEqual(ribbonRampColor(0.4, scale));
+    const mid = ribbonRampColor(1.0, scale);                   // freestream reads green
+    expect(mid.g).toBe(1);
+    expect(mid.r + mid.b).toBeCloseTo(0, 12);
+    for (const cp of [-2.5, -1, 0, 0.7]) expect(ribbonRampColor(cp, { min: -3, max: 1 })).toEqual(cpToColor(cp));
+  });
+});
+
+describe('AirflowEffect.setColorMode', () => {
+  it('RC2. speed and Cp agree by Bernoulli; the flank is fast, the floor throat faster than freestream', () => {
+    const fx = f1('speed');
+    expect(RIBBON_COLOR_MODES).toContain(fx._colorMode);
+    const ribbons = idxOf(fx, 'ribbon');
+    const speed = ribbons.map(i => fx._pathValues(i));
+    const all = speed.flatMap(a => [...a]);
+    expect(Math.max(...all)).toBeGreaterThan(1.05);           // accelerating round the body
+    expect(Math.min(...all)).toBeLessThan(0.95);              // slowing into stagnation
+    // Far upstream every ribbon is at freestream.
+    for (const a of speed) expect(a[0]).toBeCloseTo(1, 1);
+
+    fx.setColorMode('cp');
+    for (const [k, i] of ribbons.entries()) {
+      const cp = fx._pathValues(i);
+      for (let v = 0; v < cp.length; v += 17) expect(cp[v]).toBeCloseTo(1 - speed[k][v] ** 2, 4);
+    }
+
+    // Underfloor: channel Cp at full speed — suction, so faster than V∞.
+    fx.setColorMode('speed');
+    const uf = fx._pathValues(idxOf(fx, 'underfloor')[2]);
+    expect(Math.max(...uf)).toBeGreaterThan(1.3);
+    expect(Math.max(...uf)).toBeCloseTo(venturiSpeedRatio(-1.10), 1);
+
+    // Painted: a fast vertex is redder than a slow one.
+    fx.update(0.016, 0);
+    const R = fx._ribbonLines[ribbons[0]];
+    const a = speed[0];
+    const hi = a.indexOf(Math.max(...a)), lo = a.indexOf(Math.min(...a));
+    const red = v => R.colors[v * 3] / (R.colors[v * 3] + R.colors[v * 3 + 2] + 1e-9);
+    expect(red(hi)).toBeGreaterThan(red(lo));
+  });
+
+  it('RC3. loss is zero upstream and lives in the wake; height is the traced vertex height; cached per trace', () => {
+    const fx = f1('loss');
+    const ribbons = idxOf(fx, 'ribbon');
+    let wakeMax = 0;
+    for (const i of ribbons) {
+      const v = fx._pathValues(i);
+      const path = fx._paths[i];
+      path.forEach((p, k) => {
+        if (p.eta * fx._halfL < -fx._halfL) expect(v[k]).toBe(0);
+        else wakeMax = Math.max(wakeMax, v[k]);
+      });
+    }
+    expect(wakeMax).toBeGreaterThan(0.05);
+    expect(wakeMax).toBeLessThanOrEqual(1 - 0.4 ** 2 + 1e-9);  // deficit cap 0.6
+
+    fx.setColorMode('height');
+    const i0 = ribbons[0];
+    const h = fx._pathValues(i0);
+    const path0 = fx._paths[i0];
+    expect(h.every((v, k) => Math.abs(v - (path0[k].y - F1_MEASURE.groundContactY)) < 1e-6)).toBe(true);
+    expect(fx._pathValues(i0)).toBe(h);                       // cached
+    fx.setSpeed(60);                                          // new speed bucket ⇒ retrace
+    expect(fx._pathValues(i0)).not.toBe(h);
+
+    // Smoke mode keeps the white tunnel look.
+    fx.setColorMode('smoke');
+    fx.update(0.016, 0);
+    const c = fx._ribbonLines[i0].colors;
+    expect(c[30 * 3 + 2]).toBeGreaterThan(c[30 * 3] * 0.99);
+    fx.setColorMode('nonsense');
+    expect(fx._colorMode).toBe('smoke');
+  });
+});
+
+describe('getColorScale / syncRibbonLegend', () => {
+  function legendEl() {
+    const spans = { '.ribbon-legend-title': {}, '[data-at="max"]': {}, '[data-at="mid"]': {}, '[data-at="min"]': {} };
+    const shown = [];
+    return {
+      spans, shown,
+      classList: { toggle: (cls, on) => shown.push([cls, on]) },
+      querySelector: sel => spans[sel] ?? null,
+    };
+  }
+
+  it('RC4. the legend shows the scale of the active mode and hides in smoke mode', () => {
+    const fx = f1('smoke');
+    expect(fx.getColorScale()).toBeNull();
+    const el = legendEl();
+    expect(syncRibbonLegend(el, fx.getColorScale())).toBe(false);
+
+    fx.setColorMode('cp');
+    expect(syncRibbonLegend(el, fx.getColorScale())).toBe(true);
+    expect(el.spans['.ribbon-legend-title'].textContent).toBe('Cp');
+    expect(el.spans['[data-at="max"]'].textContent).toBe('1');
+    expect(el.spans['[data-at="mid"]'].textContent).toBe('−0.5');
+    expect(el.spans['[data-at="min"]'].textContent).toBe('−2');
+    expect(el.shown).toEqual([['show', false], ['show', true]]);
+
+    fx.setColorMode('height');
+    const top = Math.max(...fx._seeds.map(s => s.y - F1_MEASURE.groundContactY));
+    const s = fx.getColorScale();
+    expect(s.min).toBe(0);
+    expect(s.max).toBeGreaterThanOrEqual(top);
+    expect(s.max - top).toBeLessThan(0.1 + 1e-9);
+    expect(syncRibbonLegend(null, s)).toBe(false);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * ride-height.test.js — ride height / rake setup and ground-effect sensitivity.
+ *
+ * The floor gap is the one parameter that matters most for ground effect:
+ * lowering the car strengthens the underfloor suction until the floor
+ * stalls. aero-setup.js owns the gap model; the consumers are the airflow
+ * venturi (underfloorChannelCp / underfloorCp), the CFD UNDER profile
+ * (lerpCpProfile → computeSurfaceCp), the floor / diffuser patches and the
+ * integrated loads.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import {
+  normalizeRideSetup, rideHeightOffset, rakeAngle, floorGapAt,
+  groundEffectGain, underfloorGain, DEFAULT_RIDE_SETUP,
+  RIDE_HEIGHT_MIN, RIDE_HEIGHT_MAX, RAKE_MAX,
+} from '../aero-setup.js';
+import { AirflowEffect, underfloorChannelCp, underfloorCp } from '../effects.js';
+import {
+  CfdEffect, lerpCpProfile, computePatchCp, computeSurfaceCp, CFD_PATCHES,
+} from '../cfd-effect.js';
+
+/* ── DOM stub (canvas for puff textures) ──────────────────────────── */
+if (typeof globalThis.document === 'undefined') {
+  globalThis.document = {
+    createElement(tag) {
+      if (tag === 'canvas') {
+        return {
+          width: 0, height: 0,
+          getContext() {
+            return {
+              createRadialGradient: () => ({ addColorStop: () => {} }),
+              fillRect: () => {},
+              set fillStyle(_v) {},
+            };
+          },
+        };
+      }
+      return {};
+    },
+  };
+}
+
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+const LOW   = { rideHeight: -12, rake: 0 };   // F1 near the suction peak
+const FLOOR = { rideHeight: RIDE_HEIGHT_MIN, rake: 0 };
+const HIGH  = { rideHeight: RIDE_HEIGHT_MAX, rake: 0 };
+
+describe('ride setup math', () => {
+  it('RH1. normalizeRideSetup clamps; offset in metres, rake in radians', () => {
+    expect(normalizeRideSetup({ rideHeight: 99, rake: 9 })).toEqual({ rideHeight: RIDE_HEIGHT_MAX, rake: RAKE_MAX });
+    expect(normalizeRideSetup(null)).toEqual({ rideHeight: 0, rake: 0 });
+    expect(rideHeightOffset({ rideHeight: 10 })).toBeCloseTo(0.010, 12);
+    expect(rakeAngle({ rake: 1 })).toBeCloseTo(Math.PI / 180, 12);
+    expect(Object.isFrozen(DEFAULT_RIDE_SETUP)).toBe(true);
+  });
+
+  it('RH2. gain is exactly 1 at the static gap, rises as the car is lowered, stalls too close', () => {
+    for (const type of ['F1', 'GT']) {
+      const g0 = floorGapAt(0, DEFAULT_RIDE_SETUP, type);
+      expect(groundEffectGain(g0, type)).toBe(1);
+      expect(groundEffectGain(g0 * 0.8, type)).toBeGreaterThan(1);
+      expect(groundEffectGain(g0 * 1.5, type)).toBeLessThan(1);
+      // Past the peak the floor stalls — suction collapses.
+      expect(groundEffectGain(g0 * 0.15, type)).toBeLessThan(groundEffectGain(g0 * 0.6, type));
+      expect(groundEffectGain(0, type)).toBeLessThan(0.5);
+    }
+  });
+
+  it('RH3. rake opens the gap toward the diffuser and closes it at the nose', () => {
+    const r = { rideHeight: 0, rake: 0.5 };
+    expect(floorGapAt(1.5, r)).toBeGreaterThan(floorGapAt(0, r));
+    expect(floorGapAt(-1.5, r)).toBeLessThan(floorGapAt(0, r));
+    expect(floorGapAt(-10, { rake: RAKE_MAX })).toBeGreaterThan(0);   // clamped on the plank
+    expect(underfloorGain(0.7, null)).toBe(1);
+    expect(underfloorGain(0.7, DEFAULT_RIDE_SETUP)).toBe(1);
+  });
+});
+
+describe('airflow venturi', () => {
+  it('RH4. underfloorChannelCp: static unchanged, lowered deeper, floored stalls back', () => {
+    for (const type of ['F1', 'GT']) {
+      const z = 1.4;
+      const base = underfloorChannelCp(z, type);
+      expect(base).toBeLessThan(0);
+      expect(underfloorChannelCp(z, type, DEFAULT_RIDE_SETUP)).toBe(base);
+      expect(underfloorChannelCp(z, type, HIGH)).toBeGreaterThan(base);
+    }
+    const base = underfloorChannelCp(1.4, 'F1');
+    expect(underfloorChannelCp(1.4, 'F1', LOW)).toBeLessThan(base);
+    expect(underfloorChannelCp(1.4, 'F1', FLOOR))
+      .toBeGreaterThan(underfloorChannelCp(1.4, 'F1', LOW));
+    // Positive (entry) Cp is not a suction — untouched.
+    expect(underfloorChannelCp(-3, 'F1', LOW)).toBe(underfloorChannelCp(-3, 'F1'));
+    expect(underfloorCp(1.4, 'F1', 2.45, 1, LOW)).toBeCloseTo(underfloorChannelCp(1.4, 'F1', LOW), 12);
+  });
+
+  it('RH5. AirflowEffect.setRideSetup stores the gap setup; default clears it', () => {
+    const fx = new AirflowEffect(makeScene());
+    fx.setRideSetup(LOW);
+    expect(fx._ride).toEqual(LOW);
+    fx.setRideSetup(DEFAULT_RIDE_SETUP);
+    expect(fx._ride).toBeNull();
+  });
+});
+
+describe('CFD ground effect', () => {
+  it('RH6. only the UNDER profile follows the gap', () => {
+    expect(lerpCpProfile(2.0, 'GT', 'under', LOW)).toBeLessThan(lerpCpProfile(2.0, 'GT', 'under'));
+    expect(lerpCpProfile(-0.1, 'GT', 'top', LOW)).toBe(lerpCpProfile(-0.1, 'GT', 'top'));
+    // Underbody vertex vs topside vertex on the body overlay.
+    const under = (ride) => computeSurfaceCp(0, 0.02, 0.5, 0, -1, 0, 'F1', null, 1, 1, 1, ride);
+    const top   = (ride) => computeSurfaceCp(0, 0.60, 0.5, 0,  1, 0, 'F1', null, 1, 1, 1, ride);
+    expect(under(LOW)).toBeLessThan(under(null));
+    expect(top(LOW)).toBe(top(null));
+  });
+
+  it('RH7. floor / diffuser patches scale; other roles ignore the ride setup', () => {
+    const floor = CFD_PATCHES.F1.find(p => p.role === 'floor');
+    const nose  = CFD_PATCHES.F1.find(p => p.role === 'nose');
+    const cp = (p, ride) => computePatchCp(p, 0, 0, 1, [], [], 'F1', null, 1, ride);
+    expect(cp(floor, null)).toBeLessThan(0);
+    expect(cp(floor, LOW)).toBeLessThan(cp(floor, null));
+    expect(cp(floor, HIGH)).toBeGreaterThan(cp(floor, null));
+    expect(cp(nose, LOW)).toBe(cp(nose, null));
+  });
+
+  it('RH8. CfdEffect.setRideSetup forces a recolor; lowering the car adds downforce', () => {
+    const cfd = new CfdEffect(makeScene());
+    const geo = new THREE.BoxGeometry(1.4, 0.3, 3.6, 2, 2, 8);
+    geo.translate(0, 0.18, 0);
+    const body = new THREE.Mesh(geo, new THREE.MeshStandardMaterial());
+    const carGroup = new THREE.Group();
+    carGroup.add(body);
+    carGroup.updateMatrixWorld(true);
+    cfd.setBodySurface([body], carGroup);
+    cfd.setCarType('F1', { frontAxleZ: -1.6, rearAxleZ: 1.5, anchors: { floor: { x: 0, y: 0.03, z: 0 } } });
+    cfd.setVisible(true);
+    cfd.setSpeed(300);
+    cfd.update(0.016, 1.0);
+    const stat = cfd.getAeroForces(300);
+
+    cfd.setRideSetup(LOW);
+    expect(cfd._lastBuiltSpeed).toBe(-9999);
+    cfd.update(0.016, 1.1);
+    const low = cfd.getAeroForces(300);
+    expect(low.downforce).toBeGreaterThan(stat.downforce);
+
+    cfd.setRideSetup({ ...LOW });                  // same setup ⇒ no recolor
+    expect(cfd._lastBuiltSpeed).not.toBe(-9999);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * slice.test.js — cross-section slice plane through the flow field.
+ *
+ *   SL1–4  slice-effect.js pure helpers — layout per axis, body cut-out
+ *          (occupancy / ellipsoid), field → RGBA, drag projection
+ *   SL5    AirflowEffect.sampleFlowAt — the floor-gap venturi channel
+ *   SL6–8  SliceEffect — lazy resampling, offset / axis, raycast
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import {
+  SliceEffect, sliceLayout, sliceOffsetRange, sliceMask, sliceFieldToRGBA, rayAxisParam,
+} from '../slice-effect.js';
+import { AirflowEffect, underfloorCp } from '../effects.js';
+import { cpToColor, venturiSpeedRatio } from '../airflow-core.js';
+
+/* ── DOM stub (canvas for puff textures) ──────────────────────────── */
+if (typeof globalThis.document === 'undefined') {
+  globalThis.document = {
+    createElement(tag) {
+      if (tag === 'canvas') {
+        return {
+          width: 0, height: 0,
+          getContext() {
+            return {
+              createRadialGradient: () => ({ addColorStop: () => {} }),
+              fillRect: () => {},
+              set fillStyle(_v) {},
+            };
+          },
+        };
+      }
+      return {};
+    },
+  };
+}
+
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+const DIMS = { halfW: 0.9, halfL: 2.45, halfH: 0.55, groundY: 0 };
+const free = V => () => ({ vx: 0, vy: 0, vz: V });
+
+describe('slice layout (slice-effect.js)', () => {
+  it('SL1. each axis maps its cells onto the right plane; the offset clamps to range', () => {
+    const z = sliceLayout('z', 1.2, DIMS);
+    expect(z.point(0, 0).z).toBe(1.2);
+    expect(z.point(z.nu - 1, 0).x).toBeCloseTo(-z.point(0, 0).x, 9);      // symmetric span
+    expect(z.point(0, 0).y).toBeGreaterThan(0);                            // from the road up
+    expect(Math.max(z.nu, z.nv)).toBe(96);
+
+    const x = sliceLayout('x', -0.4, DIMS);
+    expect(x.point(3, 5).x).toBe(-0.4);
+    expect(x.point(1, 0).z).toBeGreaterThan(x.point(0, 0).z);              // u runs with the flow
+    expect(x.nu).toBeGreaterThan(x.nv);
+
+    const y = sliceLayout('y', 0.3, { ...DIMS, groundY: -0.6 });
+    expect(y.point(0, 0).y).toBeCloseTo(-0.3, 12);                         // height over the road
+    expect(y.u0).toBe(x.u0);
+
+    const r = sliceOffsetRange('z', DIMS);
+    expect(sliceLayout('z', 99, DIMS).offset).toBe(r.max);
+    expect(sliceLayout('z', NaN, DIMS).offset).toBe(0);
+    expect(sliceOffsetRange('y', DIMS).min).toBeGreaterThan(0);
+  });
+
+  it('SL2. body cut-out: occupancy sampled world-frame at y + baseY; ellipsoid without it', () => {
+    const L = sliceLayout('z', 0, DIMS);
+    // A 1 m cube centred 0.5 m over the road, in a frame lifted by 0.2 m.
+    const occ = { sample: (x, y, z) => (Math.abs(x) < 0.5 && Math.abs(y - 0.7) < 0.5 && Math.abs(z) < 0.5 ? 1 : 0) };
+    const m = sliceMask(L, occ, 0.2, DIMS);
+    for (let j = 0; j < L.nv; j++) {
+      for (let i = 0; i < L.nu; i++) {
+        const p = L.point(i, j);
+        expect(m[i + j * L.nu]).toBe(Math.abs(p.x) < 0.5 && Math.abs(p.y - 0.5) < 0.5 ? 1 : 0);
+      }
+    }
+    const e = sliceMask(L, null, 0, DIMS);
+    expect(e[Math.floor(L.nu / 2)]).toBe(1);                               // under the body
+    expect(e[0]).toBe(0);                                                   // outboard is air
+    expect(sliceMask(sliceLayout('z', 3, DIMS), null, 0, DIMS).some(v => v)).toBe(false);
+  });
+
+  it('SL3. speed ramp / Bernoulli Cp; solid cells transparent', () => {
+    const L = sliceLayout('x', 0, DIMS);
+    const mask = new Uint8Array(L.nu * L.nv);
+    mask[0] = 1;
+    const px = sliceFieldToRGBA(L, free(50), 50, 'cp', mask);
+    expect(px.length).toBe(L.nu * L.nv * 4);
+    expect(px[3]).toBe(0);
+    const c0 = cpToColor(0);                                                // freestream ⇒ Cp 0
+    expect(Math.abs(px[4] - c0.r * 255)).toBeLessThanOrEqual(1);
+    expect(Math.abs(px[5] - c0.g * 255)).toBeLessThanOrEqual(1);
+    expect(px[7]).toBeGreaterThan(0);
+
+    const stag = sliceFieldToRGBA(L, free(0), 50, 'cp', null);             // at rest ⇒ Cp 1: red
+    expect(stag[0]).toBe(255);
+    expect(stag[2]).toBe(0);
+    const slow = sliceFieldToRGBA(L, free(0), 50, 'speed', null);          // slow ⇒ blue
+    expect(slow[2]).toBe(255);
+    expect(slow[0]).toBe(0);
+    const fast = sliceFieldToRGBA(L, free(80), 50, 'speed', null);         // 1.6·V ⇒ red
+    expect(fast[0]).toBe(255);
+    const out = new Uint8Array(L.nu * L.nv * 4);
+    expect(sliceFieldToRGBA(L, free(50), 50, 'speed', null, out)).toBe(out);
+  });
+
+  it('SL4. rayAxisParam: drag follows the pointer along the normal; null looking down it', () => {
+    // Camera 5 m to the side, looking across the z axis.
+    const origin = { x: 5, y: 0.5, z: 0 };
+    const point  = { x: 0, y: 0.5, z: 0 };
+    const t0 = rayAxisParam(origin, { x: -1, y: 0, z: 0 }, point, 'z');
+    expect(t0).toBeCloseTo(0, 12);
+    const t1 = rayAxisParam(origin, { x: -5, y: 0, z: 1.5 }, point, 'z');
+    expect(t1).toBeCloseTo(1.5, 9);
+    expect(rayAxisParam(origin, { x: -10, y: 0, z: 3 }, point, 'z')).toBeCloseTo(1.5, 9);   // length-free
+    expect(rayAxisParam({ x: 0, y: 0.5, z: -8 }, { x: 0, y: 0, z: 1 }, point, 'z')).toBeNull();
+    expect(rayAxisParam({ x: 0, y: 4, z: 0 }, { x: 0.3, y: -1, z: 0 }, point, 'x')).toBeCloseTo(1.05, 9);
+  });
+});
+
+describe('AirflowEffect.sampleFlowAt — floor gap', () => {
+  it('SL5. under the floor the channel runs at √(1 − Cp)·V; outside it the field is unchanged', () => {
+    const fx = new AirflowEffect(makeScene());
+    fx.setCarType('F1');
+    fx.setSpeed(300);
+    const V = 300 / 3.6;
+    const y = fx._floorY / 2;
+    const v = fx.sampleFlowAt(0, y, 0);
+    const cp = underfloorCp(0, 'F1', fx._halfL, 300 / 350, null);
+    expect(cp).toBeLessThan(0);
+    expect(v.vz).toBeCloseTo(venturiSpeedRatio(cp) * V, 9);
+    expect(v.vz).toBeGreaterThan(V);
+    expect(v.vx).toBe(0);
+    // Beside the car, below the road, and far upstream: not the channel.
+    expect(fx.sampleFlowAt(fx._halfW + 0.3, y, 0).vz).not.toBeCloseTo(v.vz, 3);
+    expect(fx.sampleFlowAt(0, -0.05, 0).vz).not.toBeCloseTo(v.vz, 3);
+    expect(fx.sampleFlowAt(0, y, -3 * fx._halfL).vz).toBeLessThan(v.vz);
+    // Lowering the car deepens the suction.
+    fx.setRideSetup({ rideHeight: -20, rake: 0 });
+    expect(fx.sampleFlowAt(0, y, 0).vz).toBeGreaterThan(v.vz);
+  });
+});
+
+describe('SliceEffect', () => {
+  function makeSlice(sampler = free(300 / 3.6)) {
+    const slice = new SliceEffect(makeScene());
+    slice.setCarType('F1');
+    slice.setSampler(sampler);
+    slice.setVisible(true);
+    return slice;
+  }
+
+  it('SL6. samples only when something changed; hidden at rest', () => {
+    let calls = 0;
+    const slice = makeSlice((...p) => { calls++; return free(300 / 3.6)(...p); });
+    slice.update(0.016);
+    expect(slice._mesh.visible).toBe(false);                               // speed 0
+    expect(calls).toBe(0);
+
+    slice.setSpeed(300);
+    slice.update(0.016);
+    expect(slice._mesh.visible).toBe(true);
+    const sampled = calls;
+    expect(sampled).toBeGreaterThan(0);
+    expect(slice._texture.image.data.some(v => v > 0)).toBe(true);
+    slice.update(0.2);
+    expect(calls).toBe(sampled);                                           // steady field
+
+    slice.setSpeed(301);                                                   // under the step
+    slice.update(0.2);
+    expect(calls).toBe(sampled);
+    slice.refresh();
+    slice.update(0.016);
+    expect(calls).toBe(2 * sampled);
+    slice.refresh();
+    slice.update(0.016);                                                   // 10 Hz ceiling…
+    expect(calls).toBe(2 * sampled);
+    slice.update(0.1);                                                     // …then resampled
+    expect(calls).toBe(3 * sampled);
+    slice.setField('cp');
+    slice.update(0.2);
+    expect(calls).toBe(4 * sampled);
+  });
+
+  it('SL7. offset moves the plane along its normal; axis swaps orientation and range', () => {
+    const slice = makeSlice();
+    slice.setBaseY(0.12);
+    expect(slice.group.position.y).toBe(0.12);
+    slice.setOffset(1.5);
+    expect(slice._mesh.position.z).toBeCloseTo(1.5, 12);
+    slice.setOffset(99);
+    expect(slice._offset).toBe(slice.getOffsetRange().max);
+
+    slice.setAxis('x');
+    const n = new THREE.Vector3(0, 0, 1).applyQuaternion(slice._mesh.quaternion);
+    expect(Math.abs(n.x)).toBeCloseTo(1, 9);                               // faces across the car
+    expect(slice._offset).toBe(slice.getOffsetRange().max);                // re-clamped
+    slice.setAxis('y');
+    const ny = new THREE.Vector3(0, 0, 1).applyQuaternion(slice._mesh.quaternion);
+    expect(Math.abs(ny.y)).toBeCloseTo(1, 9);
+    slice.setAxis('w');
+    expect(slice._axis).toBe('z');
+
+    const occ = { sample: () => 1 };
+    slice.setOccupancy(occ, 0);
+    expect(slice._mask.every(v => v === 1)).toBe(true);
+    slice.setCarType('GT');                                                // previous body dropped
+    expect(slice._occupancy).toBeNull();
+  });
+
+  it('SL8. raycast returns the grab point on the visible plane only', () => {
+    const slice = makeSlice();
+    slice.setSpeed(300);
+    slice.setOffset(0.5);
+    slice.update(0.016);
+    slice.group.updateMatrixWorld(true);
+    const rc = new THREE.Raycaster(new THREE.Vector3(0, 0.3, -10), new THREE.Vector3(0, 0, 1));
+    const hit = slice.raycast(rc);
+    expect(hit.z).toBeCloseTo(0.5, 6);
+    slice.setVisible(false);
+    expect(slice.raycast(rc)).toBeNull();
+    slice.dispose();
+    expect(slice._mesh).toBeNull();
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * slipstream.test.js — second car in the lead car's wake.
+ *
+ * The lead's wake sources (AirflowEffect.getWakeSources — wake emitters as
+ * plumes, rear-wing tip vortices as upwash) become the follower's inflow:
+ *
+ *   SS1–5  slipstream.js — setup / placement, plume deficit, upwash,
+ *          followerAero (tow, lost front downforce), yaw drift
+ *   SS6–7  AirflowEffect — wake-source shape, wake reach stretches the spirals
+ *   SS8–10 CFD — inflowCp, CfdEffect.setInflow / setPlacement
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import {
+  normalizeFollowSetup, followerPlacement, wakeDeficit, wakeQ, wakeUpwash,
+  frontWingUpwashLoss, followerAero, createFollowerInflow,
+  DEFAULT_FOLLOW, FOLLOW_GAP_MIN, FOLLOW_GAP_MAX, FOLLOW_OFFSET_MAX,
+} from '../slipstream.js';
+import { AirflowEffect } from '../effects.js';
+import { CfdEffect, inflowCp } from '../cfd-effect.js';
+
+/* ── DOM stub (canvas for puff textures) ──────────────────────────── */
+if (typeof globalThis.document === 'undefined') {
+  globalThis.document = {
+    createElement(tag) {
+      if (tag === 'canvas') {
+        return {
+          width: 0, height: 0,
+          getContext() {
+            return {
+              createRadialGradient: () => ({ addColorStop: () => {} }),
+              fillRect: () => {},
+              set fillStyle(_v) {},
+            };
+          },
+        };
+      }
+      return {};
+    },
+  };
+}
+
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+/* An F1-sized lead: four wheel plumes, the rear-body plume, a tip-vortex pair. */
+const HALF_L = 2.45;
+function leadWake(yaw = 0) {
+  return {
+    emitters: [
+      { x: -0.8, y: 0.33, z: -1.6, weight: 0.2 },
+      { x:  0.8, y: 0.33, z: -1.6, weight: 0.2 },
+      { x: -0.8, y: 0.33, z:  1.5, weight: 0.2 },
+      { x:  0.8, y: 0.33, z:  1.5, weight: 0.2 },
+      { x:  0,   y: 0.45, z:  2.2, weight: 0.45 },
+    ],
+    vortices: [
+      { x: -0.5, y: 0.95, z: 2.3, gamma: 1, sign: -1, rc: 0.15 },
+      { x:  0.5, y: 0.95, z: 2.3, gamma: 1, sign:  1, rc: 0.15 },
+    ],
+    halfW: 0.9, halfL: HALF_L, yaw,
+  };
+}
+const at = (gap, offset = 0) => followerPlacement({ enabled: true, gap, offset }, HALF_L);
+
+describe('wake model (slipstream.js)', () => {
+  it('SS1. normalizeFollowSetup clamps; placement is gap + both half lengths', () => {
+    expect(normalizeFollowSetup({ enabled: 1, gap: 99, offset: -9 }))
+      .toEqual({ enabled: true, gap: FOLLOW_GAP_MAX, offset: -FOLLOW_OFFSET_MAX });
+    expect(normalizeFollowSetup({ gap: 0 }).gap).toBe(FOLLOW_GAP_MIN);
+    expect(normalizeFollowSetup(null)).toEqual({ ...DEFAULT_FOLLOW });
+    expect(Object.isFrozen(DEFAULT_FOLLOW)).toBe(true);
+    expect(followerPlacement({ gap: 10, offset: 1.5 }, 2.45, 2.2)).toEqual({ x: 1.5, z: 2.45 + 10 + 2.2 });
+  });
+
+  it('SS2. deficit: none upstream, decays down the road, vanishes to the side', () => {
+    const src = leadWake();
+    expect(wakeDeficit(0, 0.45, -5, src)).toBe(0);
+    const near = wakeDeficit(0, 0.45, 8, src);
+    const far  = wakeDeficit(0, 0.45, 40, src);
+    expect(near).toBeGreaterThan(far);
+    expect(far).toBeGreaterThan(0);
+    expect(wakeDeficit(6, 0.45, 8, src)).toBeLessThan(near * 0.05);
+    expect(wakeDeficit(0, 0.45, 2.6, src)).toBeLessThanOrEqual(0.6);   // capped
+    expect(wakeQ(0, 0.45, 8, src)).toBeCloseTo((1 - near) ** 2, 12);
+    expect(wakeQ(0, 0.45, 8, null)).toBe(1);
+  });
+
+  it('SS3. the inverted wing\'s vortex pair washes up between the tips', () => {
+    const src = leadWake();
+    expect(wakeUpwash(0, 0.95, 10, src)).toBeGreaterThan(0);
+    expect(wakeUpwash(0, 0.95, 0, src)).toBe(0);                  // upstream of the wing
+    expect(wakeUpwash(0, 0.95, 40, src)).toBeLessThan(wakeUpwash(0, 0.95, 10, src));
+    expect(frontWingUpwashLoss(0)).toBe(1);
+    expect(frontWingUpwashLoss(-0.1)).toBe(1);                    // downwash is not a loss here
+    expect(frontWingUpwashLoss(0.05)).toBeLessThan(1);
+    expect(frontWingUpwashLoss(10)).toBe(0);
+  });
+
+  it('SS4. followerAero: a tow behind, the front wing loses the most, clean air beside', () => {
+    const src = leadWake();
+    const behind = followerAero(src, at(10), { halfW: 0.9, halfL: HALF_L });
+    expect(behind.drag).toBeLessThan(0.9);
+    expect(behind.front).toBeLessThan(behind.rear);
+    expect(behind.rear).toBeLessThan(1);
+    const farther = followerAero(src, at(30), { halfW: 0.9, halfL: HALF_L });
+    expect(farther.drag).toBeGreaterThan(behind.drag);
+    expect(farther.front).toBeGreaterThan(behind.front);
+    const beside = followerAero(src, at(10, FOLLOW_OFFSET_MAX), { halfW: 0.9, halfL: HALF_L });
+    expect(beside.drag).toBeGreaterThan(0.97);
+    expect(beside.front).toBeGreaterThan(0.97);
+  });
+
+  it('SS5. a crosswind carries the wake downwind', () => {
+    const yaw = 8 * Math.PI / 180;
+    const src = leadWake(yaw);
+    const d = 12;
+    // Plume centre moves to +x by d·tan(yaw): the downwind side is dirtier.
+    expect(wakeDeficit(d * Math.tan(yaw), 0.45, d + 2.2, src))
+      .toBeGreaterThan(wakeDeficit(-d * Math.tan(yaw), 0.45, d + 2.2, src));
+    const straight = followerAero(leadWake(), at(10), {});
+    const yawed    = followerAero(src, at(10), {});
+    expect(yawed.drag).toBeGreaterThan(straight.drag);             // the tow is weaker in line
+  });
+});
+
+describe('AirflowEffect wake', () => {
+  it('SS6. getWakeSources: road-referenced emitters with the body plume heaviest, wing vortices', () => {
+    const fx = new AirflowEffect(makeScene());
+    fx.setCarType('F1');
+    const src = fx.getWakeSources();
+    expect(src.emitters.length).toBeGreaterThan(0);
+    const w = src.emitters.map(e => e.weight);
+    expect(w[w.length - 1]).toBeGreaterThan(Math.max(...w.slice(0, -1)));
+    for (const e of src.emitters) expect(e.y).toBeGreaterThanOrEqual(0);
+    expect(src.vortices.length).toBeGreaterThan(0);
+    for (const v of src.vortices) {
+      expect(Math.abs(v.sign)).toBe(1);
+      expect(v.z).toBeGreaterThan(0);                             // rear wing, behind the axle line
+    }
+    expect(src.halfL).toBe(fx._halfL);
+    expect(src.yaw).toBe(0);
+  });
+
+  it('SS7. setWakeReach stretches the tip-vortex spirals to the follower', () => {
+    const fx = new AirflowEffect(makeScene());
+    fx.setCarType('F1');
+    fx.setVisible(true);
+    fx.setSpeed(250);
+    const tailZ = () => {
+      fx.update(0.016, 1.0);
+      let z = -Infinity;
+      for (const { positions } of fx._vortexLines) {
+        for (let i = 2; i < positions.length; i += 3) z = Math.max(z, positions[i]);
+      }
+      return z;
+    };
+    const own = tailZ();
+    fx.setWakeReach(20);
+    expect(tailZ()).toBeGreaterThan(own + 10);
+    fx.setWakeReach(-3);                                          // invalid ⇒ own length
+    expect(fx._wakeReach).toBe(0);
+    expect(tailZ()).toBeCloseTo(own, 6);
+  });
+});
+
+describe('follower CFD', () => {
+  const inflow = createFollowerInflow(leadWake(), at(6), { halfW: 0.9, halfL: HALF_L });
+
+  it('SS8. inflowCp: identity in clean air; scales by q; extra suction loss at the front wing', () => {
+    expect(inflowCp(-1.2, 0, 0.3, 0, null)).toBe(-1.2);
+    const q = inflow.qAt(0, 0.6, 0);
+    expect(q).toBeLessThan(1);
+    expect(inflowCp(-1.2, 0, 0.6, 0, inflow)).toBeCloseTo(-1.2 * q, 12);
+    expect(inflowCp(0.8, 0, 0.6, 0, inflow)).toBeCloseTo(0.8 * q, 12);
+    const { y, z } = inflow.frontWing;
+    expect(inflow.frontWingLoss).toBeLessThan(1);
+    expect(inflowCp(-2, 0, y, z, inflow))
+      .toBeCloseTo(-2 * inflow.qAt(0, y, z) * inflow.frontWingLoss, 12);
+    expect(inflowCp(0.5, 0, y, z, inflow)).toBeCloseTo(0.5 * inflow.qAt(0, y, z), 12);   // stagnation isn't a wing load
+  });
+
+  it('SS9. CfdEffect.setInflow forces a recolor; the wake cuts downforce and drag', () => {
+    const cfd = new CfdEffect(makeScene());
+    const geo = new THREE.BoxGeometry(1.4, 0.6, 3.6, 2, 2, 8);
+    geo.translate(0, 0.5, 0);
+    const body = new THREE.Mesh(geo, new THREE.MeshStandardMaterial());
+    const carGroup = new THREE.Group();
+    carGroup.add(body);
+    carGroup.updateMatrixWorld(true);
+    cfd.setBodySurface([body], carGroup);
+    cfd.setCarType('GT', { frontAxleZ: -1.4, rearAxleZ: 1.3, anchors: {} });
+    cfd.setVisible(true);
+    cfd.setSpeed(250);
+    cfd.update(0.016, 1.0);
+    const clean = cfd.getAeroForces(250);
+
+    cfd.setInflow(inflow);
+    expect(cfd._lastBuiltSpeed).toBe(-9999);
+    cfd.update(0.016, 1.1);
+    const dirty = cfd.getAeroForces(250);
+    expect(Math.abs(dirty.drag)).toBeLessThan(Math.abs(clean.drag));
+    expect(Math.abs(dirty.downforce)).toBeLessThan(Math.abs(clean.downforce));
+
+    cfd.setInflow(null);
+    cfd.update(0.016, 1.2);
+    expect(cfd.getAeroForces(250).drag).toBeCloseTo(clean.drag, 9);
+  });
+
+  it('SS10. setPlacement moves and turns the overlay with the follower; baseY still owns y', () => {
+    const cfd = new CfdEffect(makeScene());
+    cfd.setBaseY(0.12);
+    cfd.setPlacement(1.5, 14.9);
+    expect(cfd.group.position.x).toBe(1.5);
+    expect(cfd.group.position.z).toBe(14.9);
+    expect(cfd.group.position.y).toBe(0.12);
+    expect(cfd.group.rotation.y).toBe(0);
+    cfd.setPlacement(1.5, 14.9, -0.12);              // turned with the road behind
+    expect(cfd.group.rotation.y).toBe(-0.12);
+    cfd.setPlacement(undefined, NaN);
+    expect(cfd.group.position.x).toBe(0);
+    expect(cfd.group.position.z).toBe(0);
+    expect(cfd.group.rotation.y).toBe(0);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * smoke-wand.test.js — user-placed smoke emitter.
+ *
+ *   SW1–2  smokeStep — slow-motion tracer of the field, rise at rest,
+ *          slide along the body against the occupancy gradient
+ *   SW3–4  SmokeWandEffect — emission / lifetime, and a trail released
+ *          ahead of a body in the real AirflowEffect field goes around it
+ */
+
+import { describe, it, expect } from 'vitest';
+import { SmokeWandEffect, smokeStep, SMOKE_VIS_SPEED } from '../smoke-wand.js';
+import { AirflowEffect } from '../effects.js';
+
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+/** Box occupancy with the body-sdf central-difference gradient (points in). */
+function boxOcc(min, max, h = 0.02) {
+  const sample = (x, y, z) =>
+    (x > min[0] && x < max[0] && y > min[1] && y < max[1] && z > min[2] && z < max[2]) ? 1 : 0;
+  return {
+    sample,
+    gradient: (x, y, z) => ({
+      x: sample(x + h, y, z) - sample(x - h, y, z),
+      y: sample(x, y + h, z) - sample(x, y - h, z),
+      z: sample(x, y, z + h) - sample(x, y, z - h),
+    }),
+  };
+}
+
+describe('smokeStep', () => {
+  it('SW1. replays the field in slow motion; rises at rest or without a field', () => {
+    const V = 80;
+    const q = smokeStep({ x: 0, y: 1, z: 0 }, () => ({ vx: 0, vy: 0, vz: V }), null, V, 0.1);
+    expect(q.z).toBeCloseTo(SMOKE_VIS_SPEED * 0.1, 12);
+    expect(q.y).toBe(1);
+    expect(q.deflected).toBe(false);
+    // Speed ratios survive the time scaling.
+    const fast = smokeStep({ x: 0, y: 1, z: 0 }, () => ({ vx: 0, vy: 0, vz: 1.5 * V }), null, V, 0.1);
+    expect(fast.z / q.z).toBeCloseTo(1.5, 12);
+    const rest = smokeStep({ x: 0, y: 1, z: 0 }, () => ({ vx: 0, vy: 0, vz: 0 }), null, 0, 0.1);
+    expect(rest.y).toBeGreaterThan(1);
+    expect(rest.z).toBe(0);
+    expect(smokeStep({ x: 0, y: 1, z: 0 }, null, null, V, 0.1).y).toBeGreaterThan(1);
+  });
+
+  it('SW2. a puff entering the body slides along it and is nudged back out', () => {
+    const occ = boxOcc([-1, -1, -1], [1, 0, 1]);       // slab with its top at y = 0
+    const V = 50;
+    const down = () => ({ vx: 0, vy: -V, vz: V });
+    const q = smokeStep({ x: 0, y: 0.01, z: 0 }, down, occ, V, 0.05);
+    expect(q.deflected).toBe(true);
+    expect(occ.sample(q.x, q.y, q.z)).toBe(0);
+    expect(q.z).toBeCloseTo(SMOKE_VIS_SPEED * 0.05, 9);   // tangential motion kept
+    // Deep inside (flat occupancy, zero gradient) ⇒ pushed straight up.
+    const deep = smokeStep({ x: 0, y: -0.5, z: 0 }, down, occ, V, 0.05);
+    expect(deep.y).toBeGreaterThan(-0.5);
+    // No gradient function at all ⇒ the same upward fallback.
+    const bare = smokeStep({ x: 0, y: 0.01, z: 0 }, down, { sample: occ.sample }, V, 0.05);
+    expect(bare.deflected).toBe(true);
+    expect(bare.y).toBeGreaterThan(0.01);
+  });
+});
+
+describe('SmokeWandEffect', () => {
+  it('SW3. emits from the wand while placed; puffs live out; clear / invalid points', () => {
+    const wand = new SmokeWandEffect(makeScene());
+    wand.setVisible(true);
+    wand.setSpeed(200);
+    wand.setFlowCoupling((_x, _y, _z) => ({ vx: 0, vy: 0, vz: 200 / 3.6 }), null);
+    const alive = () => wand._age.filter(a => a < 3).length;
+    wand.update(0.1);
+    expect(alive()).toBe(0);                            // no wand yet
+
+    wand.setEmitter({ x: 0.5, y: 0.4, z: -3 });
+    expect(wand.getEmitter()).toEqual({ x: 0.5, y: 0.4, z: -3 });
+    for (let k = 0; k < 10; k++) wand.update(0.05);
+    const n = alive();
+    expect(n).toBeGreaterThanOrEqual(44);
+    let zMax = -Infinity;
+    for (let i = 0; i < wand._age.length; i++) {
+      if (wand._age[i] < 3) zMax = Math.max(zMax, wand._pos[i * 3 + 2]);
+    }
+    expect(zMax).toBeGreaterThan(-3 + 0.3 * SMOKE_VIS_SPEED);   // downstream of the wand
+
+    wand.setEmitter(null);
+    wand.update(0.05);
+    expect(alive()).toBe(n);                            // in flight, none new
+    wand.clear();
+    expect(alive()).toBe(0);
+    wand.setEmitter({ x: NaN, y: 0, z: 0 });
+    expect(wand.getEmitter()).toBeNull();
+
+    wand.setEmitter({ x: 0, y: 0.4, z: -3 });
+    wand.setVisible(false);
+    wand.update(0.1);
+    expect(alive()).toBe(0);                            // hidden ⇒ frozen
+  });
+
+  it('SW4. released ahead of the body, the trail goes around it, not through', () => {
+    const airflow = new AirflowEffect(makeScene());
+    airflow.setCarType('F1');
+    airflow.setSpeed(200);
+    const occ = boxOcc([-0.45, 0.05, -2.2], [0.45, 0.65, 2.0]);
+    const wand = new SmokeWandEffect(makeScene());
+    wand.setVisible(true);
+    wand.setSpeed(200);
+    wand.setFlowCoupling((x, y, z) => airflow.sampleFlowAt(x, y, z), occ);
+    wand.setEmitter({ x: 0.1, y: 0.35, z: -3.2 });
+    for (let k = 0; k < 90; k++) wand.update(1 / 30);
+
+    let live = 0, inside = 0, past = 0;
+    for (let i = 0; i < wand._age.length; i++) {
+      if (wand._age[i] >= 3) continue;
+      live++;
+      const x = wand._pos[i * 3], y = wand._pos[i * 3 + 1], z = wand._pos[i * 3 + 2];
+      if (occ.sample(x, y, z)) inside++;
+      if (z > 2.0) past++;
+    }
+    expect(live).toBeGreaterThan(100);
+    expect(past).toBeGreaterThan(0);                    // made it to the wake
+    expect(inside / live).toBeLessThan(0.05);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * stream-rake.test.js — user-placed streamline rakes.
+ *
+ *   RK1    normalizeRake / rakeNozzles — clamped bar, evenly spaced nozzles
+ *   RK2    loadRakes / saveRakes — one scene per car, junk-tolerant
+ *   RK3–5  AirflowEffect.setRakes — amber 'rake' ribbons appended to the
+ *          grid and retraced alone; heights above the measured ground,
+ *          bar clamped upstream, traced around the per-band body
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeRake, rakeNozzles, loadRakes, saveRakes,
+  DEFAULT_RAKE, RAKE_STORE_KEY, RAKE_COUNT_MAX, MAX_RAKES,
+} from '../stream-rake.js';
+import { AirflowEffect } from '../effects.js';
+
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+function memoryStorage() {
+  const m = new Map();
+  return { getItem: k => (m.has(k) ? m.get(k) : null), setItem: (k, v) => m.set(k, String(v)) };
+}
+
+/* GLB F1 frame (body-centred, ground contact at −0.6187) — part-flow.test.js. */
+const F1_MEASURE = {
+  groundContactY: -0.6187,
+  wheelRadius: 0.345,
+  anchors: {
+    halo:      { x: 0, y: 0.373, z: 0.09, bbox: { minX: -0.38, maxX: 0.38, minY: 0.05, maxY: 0.373, minZ: -0.47, maxZ: 0.65 } },
+    frontWing: { x: 0, y: -0.0524, z: -2.297, bbox: { minX: -0.90, maxX: 0.90, minY: -0.4163, maxY: -0.0524, minZ: -2.55, maxZ: -2.04 } },
+    rearWing:  { x: 0, y: 0.454, z: 2.412, bbox: { minX: -0.50, maxX: 0.50, minY: 0.05, maxY: 0.454, minZ: 2.00, maxZ: 2.42 } },
+    bodyShell: { x: 0, y: 0.0142, z: 0, bbox: { minX: -0.8125, maxX: 0.8125, minY: -0.4674, maxY: 0.4958, minZ: -2.40, maxZ: 2.30 } },
+    floor:     { x: 0, y: -0.371, z: 0 },
+  },
+};
+
+describe('normalizeRake / rakeNozzles', () => {
+  it('RK1. junk takes the defaults, ranges clamp, nozzles span the bar end to end', () => {
+    expect(normalizeRake(null)).toEqual({ ...DEFAULT_RAKE });
+    const r = normalizeRake({ x: '1', z: 5, height: -1, width: 99, count: 40.4 });
+    expect(r.x).toBe(DEFAULT_RAKE.x);
+    expect(r.z).toBe(0);
+    expect(r.height).toBeGreaterThan(0);
+    expect(r.width).toBe(4);
+    expect(r.count).toBe(RAKE_COUNT_MAX);
+
+    const n = rakeNozzles({ x: 0.5, z: -3, height: 0.4, width: 1, count: 5 });
+    expect(n.map(p => p.x)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    expect(n.every(p => p.z === -3 && p.height === 0.4)).toBe(true);
+    expect(rakeNozzles({ count: 1 })).toHaveLength(2);
+  });
+});
+
+describe('loadRakes / saveRakes', () => {
+  it('RK2. each car keeps its own scene; empty lists drop; junk reads as none', () => {
+    const st = memoryStorage();
+    expect(loadRakes(st, 'F1')).toEqual([]);
+    saveRakes(st, 'F1', [{ x: 0.6, z: -3, height: 0.25, width: 0.5, count: 4 }]);
+    saveRakes(st, 'GT', [{}, {}]);
+    expect(loadRakes(st, 'F1')).toEqual([{ x: 0.6, z: -3, height: 0.25, width: 0.5, count: 4 }]);
+    expect(loadRakes(st, 'GT')).toHaveLength(2);
+    saveRakes(st, 'GT', []);
+    expect(loadRakes(st, 'GT')).toEqual([]);
+    expect(loadRakes(st, 'F1')).toHaveLength(1);              // untouched
+
+    saveRakes(st, 'F1', Array.from({ length: 10 }, () => ({})));
+    expect(loadRakes(st, 'F1')).toHaveLength(MAX_RAKES);
+
+    st.setItem(RAKE_STORE_KEY, '{not json');
+    expect(loadRakes(st, 'F1')).toEqual([]);
+    saveRakes(st, 'F1', [{}]);                                 // recovers from junk
+    expect(loadRakes(st, 'F1')).toHaveLength(1);
+    expect(loadRakes(null, 'F1')).toEqual([]);
+    expect(() => saveRakes({ getItem: () => null, setItem: () => { throw new Error('quota'); } }, 'F1', [{}])).not.toThrow();
+  });
+});
+
+describe('AirflowEffect.setRakes', () => {
+  function f1() {
+    const fx = new AirflowEffect(makeScene());
+    fx.setCarType('F1', F1_MEASURE);
+    return fx;
+  }
+  const rakeSeeds = fx => fx._seeds.filter(s => s.group === 'rake');
+
+  it('RK3. appends amber rake ribbons and retraces only them; clamps and budgets', () => {
+    const fx = f1();
+    const gridN = fx._seeds.length;
+    const gridPaths = fx._paths.slice();
+    const childN = fx.group.children.length;
+
+    fx.setRakes([{ x: 0.4, z: -4, height: 0.3, width: 0.6, count: 4 }], 0);
+    expect(fx._seeds).toHaveLength(gridN + 4);
+    expect(fx._paths.slice(0, gridN).every((p, i) => p === gridPaths[i])).toBe(true);
+    expect(fx._ribbonLines).toHaveLength(gridN + 4);
+    expect(fx._ribbonLines.at(-1).seedIdx).toBe(gridN + 3);
+    const seeds = rakeSeeds(fx);
+    for (const s of seeds) expect(s.y).toBeCloseTo(F1_MEASURE.groundContactY + 0.3, 12);
+    [0.1, 0.3, 0.5, 0.7].forEach((x, i) => expect(seeds[i].seedXi * fx._halfW).toBeCloseTo(x, 12));
+    expect(seeds[0].seedEta * fx._halfL).toBeCloseTo(-4, 12);
+    expect(fx._rakeBars).toHaveLength(2);                      // bar + nozzles
+    expect(fx._rakeBars[0].position.z).toBeCloseTo(-4, 12);
+
+    // Amber ribbons; the grid stays white.
+    fx.setVisible(true);
+    fx.setSpeed(200);
+    fx.update(0.016, 0);
+    const rl = fx._ribbonLines.at(-1).colors, gl = fx._ribbonLines[0].colors;
+    expect(rl[30] / rl[32]).toBeGreaterThan(2);
+    expect(gl[30] / gl[32]).toBeLessThan(1);
+
+    // A bar dropped beside the car goes back upstream of the nose.
+    const { zMin, zMax } = fx.getRakeFrame();
+    expect(zMax).toBeLessThan(-fx._halfL);
+    fx.setRakes([{ z: 0 }, { z: -20 }]);
+    const [near, far] = [rakeSeeds(fx)[0], rakeSeeds(fx).at(-1)];
+    expect(near.seedEta * fx._halfL).toBeCloseTo(zMax, 12);
+    expect(far.seedEta * fx._halfL).toBeCloseTo(zMin, 12);
+
+    // Nozzle budget across rakes; an empty scene leaves the grid alone.
+    fx.setRakes(Array.from({ length: 6 }, () => ({ count: 16 })));
+    expect(rakeSeeds(fx)).toHaveLength(48);
+    fx.setRakes([]);
+    expect(fx._seeds).toHaveLength(gridN);
+    expect(fx._rakeBars).toHaveLength(0);
+    expect(fx.group.children.length).toBe(childN);
+
+    // A car rebuild keeps the scene.
+    fx.setRakes([{ count: 3 }]);
+    fx.setYaw(0.1);
+    expect(rakeSeeds(fx)).toHaveLength(3);
+    expect(rakeSeeds(fx)[1].seedXi).toBe(0);                   // yaw doesn't slant a rake
+  });
+
+  it('RK4. a rake on the centreline at pod height parts round the body; above the car it runs straight', () => {
+    const fx = f1();
+    const spread = () => {
+      const paths = fx._paths.filter((_, i) => fx._seeds[i].group === 'rake');
+      return Math.max(...paths.map(p => Math.max(...p.map(q => Math.abs(q.xi)))));
+    };
+    fx.setRakes([{ x: 0, z: -4, height: 0.45, width: 0.2, count: 2 }]);
+    const low = spread();
+    fx.setRakes([{ x: 0, z: -4, height: 2.4, width: 0.2, count: 2 }]);
+    const high = spread();
+    expect(low).toBeGreaterThan(0.8);                          // swept round the flank
+    expect(high).toBeLessThan(0.3);
+  });
+
+  it('RK5. repeated setRakes replace only the rake tail; the grid ribbons stay put', () => {
+    const fx = f1();
+    const gridN = fx._seeds.length;
+    const gridLines = fx._ribbonLines.slice();
+    const isTail = () => {
+      const first = fx._seeds.findIndex(s => s.group === 'rake');
+      return first < 0 || fx._seeds.slice(first).every(s => s.group === 'rake');
+    };
+    fx.setRakes([{ count: 5 }], 0);
+    fx.setRakes([{ x: 0.2, count: 3 }, { x: -0.2, count: 2 }], 1);
+    expect(isTail()).toBe(true);
+    expect(fx._seeds.filter(s => s.group !== 'rake')).toHaveLength(gridN);
+    expect(fx._ribbonLines).toHaveLength(gridN + 5);
+    expect(fx._ribbonLines.slice(0, gridN).every((R, i) => R === gridLines[i])).toBe(true);
+    expect(fx._paths).toHaveLength(gridN + 5);
+    expect(fx._pathEarly).toHaveLength(gridN + 5);
+    fx.setYaw(0.05);                                           // rebuild keeps rakes last
+    expect(isTail()).toBe(true);
+    expect(rakeSeeds(fx)).toHaveLength(5);
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * surface.test.js — the surface-type map along the track path and what it
+ * does to the car (surface.js), and the `wet` tags TrackPath puts on its
+ * turns.
+ *
+ *   SF1  surfaceAt — kerbs, the apex kerb inside, gravel outside, run-off
+ *   SF2  every WET_EVERY_NTH turn / corner is wet; its entry is damp
+ *   SF3  racingLine — out, over the apex kerb, out again; smooth
+ *   SF7  racingLinePose — heading and curvature of the line the car drives
+ *   SF8  trailingPose — a car behind on the road, in the lead car's frame
+ *   SF4  surfaceEffect — grip, lift and roll from the two wheel tracks
+ *   SF5  cornerGripScale — √grip at the limit, nothing on a straight
+ *   SF6  patches and barriers ride the turns through a rebase
+ *
+ * Pure modules — no THREE, no DOM.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  surfaceAt, surfacePatches, surfaceEffect, racingLine, racingLinePose, trailingPose, cornerGripScale, wheelLift,
+  barrierLine, kerbEdge, SURFACES, KERB_W, APEX_KERB_W, WHEEL_HALF_TRACK, GRAVEL_GAP,
+  GRAVEL_RUN, WET_LEN, RACING_LEAD,
+} from '../surface.js';
+import { TrackPath, CIRCUITS, WET_EVERY_NTH, TRACK_WIDTH } from '../track-path.js';
+
+const V = 60;
+const EDGE = TRACK_WIDTH / 2;
+
+function makeRng(seed) {
+  let s = seed >>> 0;
+  return () => ((s = (s * 1664525 + 1013904223) >>> 0) / 2 ** 32);
+}
+
+/* One LEFT turn over [100, 300] on the open road. */
+function leftTurn(extra = {}) {
+  const p = new TrackPath(makeRng(1));
+  p._emitTurn({ s0: 100, L: 200, dir: 1, vEmit: V });
+  Object.assign(p.turns[0], extra);
+  return p;
+}
+
+describe('surface map', () => {
+  it('SF1. kerbs line the road, the apex kerb sits inside, gravel outside the exit', () => {
+    const p = leftTurn();
+    expect(surfaceAt(p, 50, 0)).toBe('asphalt');
+    expect(surfaceAt(p, 50, EDGE)).toBe('kerb');
+    expect(surfaceAt(p, 50, -EDGE - KERB_W / 2 + 0.01)).toBe('kerb');
+    expect(surfaceAt(p, 50, EDGE + KERB_W / 2 + 0.1)).toBe('asphalt');   // run-off
+    expect(surfaceAt(p, 50, 16)).toBe('grass');
+
+    // Apex kerb: inside (left, −lat) at mid-turn only.
+    const apexLat = -(EDGE - KERB_W / 2 - APEX_KERB_W / 2);
+    expect(surfaceAt(p, 200, apexLat)).toBe('kerb');
+    expect(surfaceAt(p, 200, -apexLat)).toBe('asphalt');
+    expect(surfaceAt(p, 120, apexLat)).toBe('asphalt');
+    const kerb = surfacePatches(p).find(q => q.kind === 'kerb');
+    expect(kerb.lat0).toBeCloseTo(-(EDGE - KERB_W / 2), 9);
+    expect(kerb.lat1 - kerb.lat0).toBeCloseTo(APEX_KERB_W, 9);
+    expect((kerb.s0 + kerb.s1) / 2).toBeCloseTo(200, 9);
+
+    // Gravel: outside (right), from mid-turn to GRAVEL_RUN past the exit,
+    // a strip of asphalt between it and the kerb.
+    const g = EDGE + KERB_W / 2 + GRAVEL_GAP + 1;
+    expect(surfaceAt(p, 250, g)).toBe('gravel');
+    expect(surfaceAt(p, 300 + GRAVEL_RUN - 1, g)).toBe('gravel');
+    expect(surfaceAt(p, 300 + GRAVEL_RUN + 1, g)).toBe('asphalt');
+    expect(surfaceAt(p, 150, g)).toBe('asphalt');
+    expect(surfaceAt(p, 250, -g)).toBe('asphalt');
+    expect(surfaceAt(p, 250, EDGE + KERB_W / 2 + GRAVEL_GAP / 2)).toBe('asphalt');
+    expect(surfaceAt(p, 250, 0)).toBe('asphalt');                   // not wet
+  });
+
+  it('SF2. every WET_EVERY_NTH turn is wet, its entry damp kerb to kerb', () => {
+    const p = new TrackPath(makeRng(2));
+    let emitted = 0;
+    for (let i = 0; i < 60 * 400 && emitted < 2 * WET_EVERY_NTH; i++) {
+      const n = p.turns.length;
+      p.update(1 / 60, V);
+      if (p.turns.length > n) {
+        emitted += 1;
+        expect(p.turns[p.turns.length - 1].wet).toBe(emitted % WET_EVERY_NTH === 0);
+      }
+    }
+    expect(emitted).toBe(2 * WET_EVERY_NTH);
+
+    const c = new TrackPath(makeRng(3));
+    const circuit = CIRCUITS[Object.keys(CIRCUITS)[0]];
+    c.setCircuit(circuit);
+    const L = circuit.length;
+    const corner = (t) => {                            // index of the layout corner a turn came from
+      const u = (((t.s0 - c._lapS0) % L) + L) % L;
+      return circuit.corners.findIndex(q => Math.abs(q.s0 - u) < 1e-6 || Math.abs(q.s0 - u + L) < 1e-6);
+    };
+    const tags = [];
+    for (let i = 0; i < 60 * 120; i++) {
+      const n = c.turns.length;
+      c.update(1 / 60, V);
+      for (const t of c.turns.slice(n)) tags.push([corner(t), t.wet]);
+      c.rebaseIfNeeded();
+    }
+    expect(tags.length).toBeGreaterThan(circuit.corners.length);   // past the first lap
+    for (const [k, wet] of tags) {
+      expect(k).toBeGreaterThanOrEqual(0);
+      expect(wet).toBe(k % WET_EVERY_NTH === WET_EVERY_NTH - 1);
+    }
+
+    const w = leftTurn({ wet: true });
+    expect(surfaceAt(w, 100 + WET_LEN - 1, 0)).toBe('wet');
+    expect(surfaceAt(w, 100 + WET_LEN - 1, -EDGE + KERB_W / 2 + 0.1)).toBe('wet');
+    expect(surfaceAt(w, 100 + WET_LEN - 1, EDGE)).toBe('kerb');     // kerbs stay kerbs
+    expect(surfaceAt(w, 100 + WET_LEN + 1, 0)).toBe('asphalt');
+    expect(surfaceAt(w, 99, 0)).toBe('asphalt');
+  });
+});
+
+describe('racing line', () => {
+  it('SF3. out before the turn, the inside wheel over the apex kerb, out again — smoothly', () => {
+    const p = leftTurn();
+    expect(racingLine(p, 100 - RACING_LEAD - 1)).toBe(0);
+    expect(racingLine(p, 300 + RACING_LEAD + 1)).toBe(0);
+    const out = racingLine(p, 100);
+    expect(out).toBeGreaterThan(EDGE - KERB_W / 2 - WHEEL_HALF_TRACK);   // LEFT turn: out is right
+    expect(surfaceAt(p, 100, out + WHEEL_HALF_TRACK)).toBe('kerb');     // outside wheel on the rumble
+    const apex = racingLine(p, 200);
+    expect(apex).toBeLessThan(0);
+    expect(surfaceAt(p, 200, apex - WHEEL_HALF_TRACK)).toBe('kerb');   // inside wheel on the apex kerb
+    expect(surfaceAt(p, 200, apex + WHEEL_HALF_TRACK)).toBe('asphalt');
+    expect(racingLine(p, 300)).toBeCloseTo(out, 9);
+
+    let prev = racingLine(p, 0);
+    for (let s = 0.5; s < 400; s += 0.5) {
+      const lat = racingLine(p, s);
+      expect(Math.abs(lat - prev)).toBeLessThan(0.15);
+      expect(Math.abs(lat)).toBeLessThanOrEqual(EDGE - WHEEL_HALF_TRACK);   // wheels on the road
+      prev = lat;
+    }
+
+    const right = new TrackPath(makeRng(1));
+    right._emitTurn({ s0: 100, L: 200, dir: -1, vEmit: V });
+    expect(racingLine(right, 200)).toBeCloseTo(-apex, 9);              // mirrored
+    const kink = new TrackPath(makeRng(1));
+    kink._emitTurn({ s0: 100, L: 20, dir: 1, vEmit: V });
+    expect(Math.abs(racingLine(kink, 110))).toBeLessThan(Math.abs(apex) / 2);
+  });
+
+  it('SF7. racingLinePose: the heading across the road and a curvature that turns the same corner', () => {
+    const p = leftTurn();
+    const flat = racingLinePose(p, 20);                       // before the swing
+    for (const v of [flat.lat, flat.heading, flat.kappa]) expect(v).toBeCloseTo(0, 12);
+    const swing = racingLinePose(p, 100 - RACING_LEAD / 2);   // drifting out to the right
+    expect(swing.lat).toBe(racingLine(p, 100 - RACING_LEAD / 2));
+    expect(swing.heading).toBeLessThan(-0.05);                // nose right of the road
+    expect(swing.kappa).toBeLessThan(0);                      // a right-hand swing first
+    expect(racingLinePose(p, 300 + RACING_LEAD / 2).heading).toBeGreaterThan(0.05);   // back in
+
+    // Over the whole swing the line turns through the same heading as the
+    // road: Σ κ_line · (1 + κ·lat) ds = Σ κ ds.
+    let road = 0, line = 0;
+    for (let s = 0; s < 400; s += 0.5) {
+      const k = p.curvatureAt(s);
+      const q = racingLinePose(p, s);
+      road += k * 0.5;
+      line += q.kappa * (1 + k * q.lat) * 0.5;
+      expect(Math.abs(q.heading)).toBeLessThan(0.25);
+    }
+    expect(line).toBeCloseTo(road, 6);
+
+    const right = new TrackPath(makeRng(1));
+    right._emitTurn({ s0: 100, L: 200, dir: -1, vEmit: V });
+    for (const s of [80, 150, 200, 310]) {
+      const a = racingLinePose(p, s), b = racingLinePose(right, s);
+      expect(b.heading).toBeCloseTo(-a.heading, 12);
+      expect(b.kappa).toBeCloseTo(-a.kappa, 12);
+    }
+  });
+
+  it('SF8. trailingPose: straight behind on a straight, round the corner in a turn', () => {
+    const p = leftTurn();
+    const here = trailingPose(p, 250, 0);
+    for (const v of [here.x, here.y, here.z]) expect(v).toBeCloseTo(0, 9);
+    expect(here.rotY).toBeCloseTo(racingLinePose(p, 250).heading, 12);
+
+    const straight = trailingPose(p, 40, 12, 1.5);
+    expect(straight.x).toBeCloseTo(1.5, 9);
+    expect(straight.z).toBeCloseTo(12, 9);
+    expect(straight.y).toBeCloseTo(0, 9);
+    expect(straight.rotY).toBeCloseTo(0, 12);
+
+    // Mid LEFT turn: the arc behind bends toward the inside too (≈ κ·d²/2
+    // to the left at the same lateral) and the car on it is yawed by the
+    // road's turn between the two.
+    const k = p.curvatureAt(250);
+    const same = trailingPose(p, 250, 15, racingLine(p, 250) - racingLine(p, 235));
+    expect(same.x).toBeLessThan(-0.8 * k * 15 * 15 / 2);
+    expect(same.x).toBeGreaterThan(-1.3 * k * 15 * 15 / 2);
+    expect(same.z).toBeCloseTo(15, 1);
+    expect(same.rotY - same.line.heading).toBeCloseTo(-(p.poseAt(250).theta - p.poseAt(235).theta), 12);
+    // With no offset it keeps to its own line, which is still crossing.
+    const turn = trailingPose(p, 250, 15);
+    expect(turn.line).toEqual(racingLinePose(p, 235));
+    expect(turn.x - same.x).toBeCloseTo(racingLine(p, 235) - racingLine(p, 250), 1);
+
+    const right = new TrackPath(makeRng(1));
+    right._emitTurn({ s0: 100, L: 200, dir: -1, vEmit: V });
+    const m = trailingPose(right, 250, 15);
+    expect(m.x).toBeCloseTo(-turn.x, 9);
+    expect(m.z).toBeCloseTo(turn.z, 9);
+    expect(m.rotY).toBeCloseTo(-turn.rotY, 12);
+  });
+});
+
+describe('surface effects', () => {
+  it('SF4. grip, lift and roll come from the surfaces under the two wheel tracks', () => {
+    const p = leftTurn();
+    const flat = surfaceEffect(p, 50, 0, V);
+    expect(flat).toEqual({ left: 'asphalt', right: 'asphalt', surface: 'asphalt', grip: 1, lift: 0, roll: 0 });
+
+    // Mid-turn on the racing line: the left (inside) wheels ride the apex kerb.
+    let lifted = 0;
+    for (let s = 195; s < 205; s += 0.1) {
+      const fx = surfaceEffect(p, s, racingLine(p, s), V);
+      expect(fx.left).toBe('kerb');
+      expect(fx.right).toBe('asphalt');
+      expect(fx.surface).toBe('kerb');
+      expect(fx.grip).toBeCloseTo((SURFACES.kerb.grip + 1) / 2, 9);
+      expect(fx.lift).toBeGreaterThanOrEqual(0);
+      expect(fx.lift).toBeLessThanOrEqual(SURFACES.kerb.amp / 2 + 1e-12);
+      expect(fx.roll).toBeCloseTo(-fx.lift / WHEEL_HALF_TRACK, 12);   // the left side up
+      lifted = Math.max(lifted, fx.lift);
+    }
+    expect(lifted).toBeGreaterThan(0.8 * SURFACES.kerb.amp / 2);
+    expect(surfaceEffect(p, 200, racingLine(p, 200), 0).lift).toBe(0);   // no bounce at rest
+
+    // Gravel is the roughest and the least grippy.
+    const g = EDGE + KERB_W / 2 + GRAVEL_GAP + 3;
+    const fx = surfaceEffect(p, 250, g, V);
+    expect(fx.surface).toBe('gravel');
+    expect(fx.grip).toBe(SURFACES.gravel.grip);
+    for (const name of Object.keys(SURFACES)) {
+      for (let s = 0; s < 10; s += 0.13) {
+        expect(wheelLift(name, s)).toBeGreaterThanOrEqual(0);
+        expect(wheelLift(name, s)).toBeLessThanOrEqual(SURFACES[name].amp + 1e-12);
+      }
+    }
+    expect(wheelLift('asphalt', 3.3)).toBe(0);
+  });
+
+  it('SF5. cornerGripScale costs √grip at the limit and nothing on a straight', () => {
+    expect(cornerGripScale(V, 0, 0.35)).toBe(1);
+    expect(cornerGripScale(V, 1 / 85, 1)).toBe(1);
+    expect(cornerGripScale(V, 1 / 85, 0.49)).toBeCloseTo(0.7, 9);         // 4.3 g: saturated
+    const half = cornerGripScale(Math.sqrt(9.81 * 85), 1 / 85, 0.49);     // 1 g: half the load
+    expect(half).toBeCloseTo(1 - 0.5 * 0.3, 9);
+    expect(cornerGripScale(V, -1 / 85, 0.49)).toBe(cornerGripScale(V, 1 / 85, 0.49));
+  });
+});
+
+describe('through a rebase', () => {
+  it('SF6. patches and the barrier line follow the turns; barriers step behind gravel', () => {
+    const p = leftTurn({ wet: true });
+    const g = EDGE + KERB_W / 2 + GRAVEL_GAP + 3;
+    expect(barrierLine(p, 150, 1)).toBe(kerbEdge(p, 150));
+    expect(barrierLine(p, 250, 1)).toBeGreaterThan(g);
+    expect(barrierLine(p, 250, -1)).toBe(EDGE);
+
+    for (let i = 0; i < 60; i++) p.update(1 / 60, V);                 // 60 m
+    const probe = [[110, 0], [200, -4.5], [250, g], [310, g], [200, 0]];
+    const before = probe.map(([s, lat]) => surfaceAt(p, s, lat));
+    const line = racingLine(p, 180);
+    const shift = p.pose.s;
+    p.rebase();
+    expect(probe.map(([s, lat]) => surfaceAt(p, s - shift, lat))).toEqual(before);
+    expect(before).toEqual(['wet', 'kerb', 'gravel', 'gravel', 'asphalt']);
+    expect(racingLine(p, 180 - shift)).toBeCloseTo(line, 9);
+    expect(barrierLine(p, 250 - shift, 1)).toBeGreaterThan(g);
+  });
+});
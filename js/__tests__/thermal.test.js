@@ -0,0 +1,128 @@
+/**
+ * thermal.test.js — lumped brake-disc and tyre temperatures (thermal.js).
+ *
+ * Heat in from the speed history (braking power beyond aero drag) and the
+ * cornering load under the car; heat out through the brake ducts the car
+ * publishes as anchors, forced convection and disc radiation.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createThermalState, stepThermal, brakeDuctAreas, brakePower, cornerLoads,
+  tyreBand, brakeGlowColor, tyreHeatColor, cornerOf, AMBIENT_C, CORNERS,
+} from '../thermal.js';
+
+const DT = 1 / 60;
+const DUCTED = { frontBrakeDuctL: { x: -0.5 }, rearBrakeDuctR: { x: 0.9 } };
+
+/** Brake from `from` to `to` km/h at the lerpSpeed rate (90 km/h/s). */
+function brakeDown(st, from, to, ducts) {
+  let v = from;
+  while (v > to) {
+    v = Math.max(to, v - 90 * DT);
+    st = stepThermal(st, { speedKmh: v, decel: 90 / 3.6, ducts }, DT);
+  }
+  return st;
+}
+
+function cruise(st, kmh, seconds, ducts, kappa = 0) {
+  for (let t = 0; t < seconds; t += DT) st = stepThermal(st, { speedKmh: kmh, decel: 0, kappa, ducts }, DT);
+  return st;
+}
+
+describe('thermal state', () => {
+  it('TH1. discs start at ambient; F1 tyres leave the blankets warm, GT tyres cold', () => {
+    const f1 = createThermalState('F1');
+    const gt = createThermalState('GT');
+    for (const c of CORNERS) {
+      expect(f1.brake[c]).toBe(AMBIENT_C);
+      expect(f1.tyre[c]).toBeGreaterThan(AMBIENT_C);
+      expect(gt.tyre[c]).toBe(AMBIENT_C);
+    }
+    expect(createThermalState('kart').type).toBe('F1');
+  });
+
+  it('TH2. brake ducts come from the anchors; a duct-less axle only gets wheel wash', () => {
+    const d = brakeDuctAreas(DUCTED, 'F1');
+    expect(d.front).toBe(d.rear);
+    const none = brakeDuctAreas(null, 'F1');
+    expect(none.front).toBeLessThan(d.front);
+    expect(brakeDuctAreas({ frontBrakeDuctR: {} }, 'F1').rear).toBe(none.rear);
+  });
+});
+
+describe('brakes', () => {
+  it('TH3. braking power is what the deceleration asks beyond aero drag', () => {
+    expect(brakePower(80, 0)).toBe(0);
+    expect(brakePower(0, 25)).toBe(0);
+    expect(brakePower(80, 25)).toBeLessThan(798 * 25 * 80);
+    expect(brakePower(80, 25)).toBeGreaterThan(brakePower(40, 25));
+  });
+
+  it('TH4. one big stop heats the fronts hotter than the rears; straights cool them', () => {
+    const ducts = brakeDuctAreas(DUCTED, 'F1');
+    let st = brakeDown(createThermalState('F1'), 320, 80, ducts);
+    expect(st.brake.FL).toBeGreaterThan(300);
+    expect(st.brake.FL).toBeGreaterThan(st.brake.RL);
+    expect(st.brake.FL).toBeCloseTo(st.brake.FR, 9);
+    const hot = st.brake.FL;
+    st = cruise(st, 250, 10, ducts);
+    expect(st.brake.FL).toBeLessThan(hot - 100);
+  });
+
+  it('TH5. repeated hard stops carry the carbon discs to ~1000 °C, not beyond reason', () => {
+    const ducts = brakeDuctAreas(DUCTED, 'F1');
+    let st = createThermalState('F1');
+    let peak = 0;
+    for (let i = 0; i < 6; i++) {
+      st = brakeDown(st, 320, 100, ducts);
+      peak = Math.max(peak, st.brake.FL);
+      st = cruise(st, 320, 4, ducts);
+    }
+    expect(peak).toBeGreaterThan(850);
+    expect(peak).toBeLessThan(1300);
+  });
+
+  it('TH6. without ducts the same stops run hotter', () => {
+    const run = (ducts) => {
+      let st = createThermalState('F1');
+      for (let i = 0; i < 3; i++) st = cruise(brakeDown(st, 300, 100, ducts), 280, 5, ducts);
+      return st.brake.FL;
+    };
+    expect(run(brakeDuctAreas(null, 'F1'))).toBeGreaterThan(run(brakeDuctAreas(DUCTED, 'F1')) + 50);
+  });
+});
+
+describe('tyres', () => {
+  it('TH7. a left turn loads the right-hand (+x) corners and heats them more', () => {
+    const loads = cornerLoads(40, 1 / 85, 'F1');
+    expect(loads.FR).toBeGreaterThan(loads.FL);
+    expect(loads.RR).toBeGreaterThan(loads.RL);
+    const st = cruise(createThermalState('F1'), 150, 20, undefined, 1 / 85);
+    expect(st.tyre.FR).toBeGreaterThan(st.tyre.FL);
+    const straight = cruise(createThermalState('F1'), 150, 20);
+    expect(st.tyre.FL + st.tyre.FR).toBeGreaterThan(straight.tyre.FL + straight.tyre.FR);
+  });
+
+  it('TH8. tyre band and colour follow the car window', () => {
+    expect(tyreBand(60, 'F1')).toBe('cold');
+    expect(tyreBand(100, 'F1')).toBe('ok');
+    expect(tyreBand(140, 'F1')).toBe('hot');
+    expect(tyreBand(100, 'GT')).toBe('ok');
+    const cold = tyreHeatColor(40), ok = tyreHeatColor(105), hot = tyreHeatColor(150);
+    expect(cold.b).toBeGreaterThan(cold.r);
+    expect(ok.g).toBeGreaterThan(ok.r);
+    expect(hot.r).toBeGreaterThan(hot.g);
+  });
+});
+
+describe('glow + names', () => {
+  it('TH9. discs glow only once hot, whiter as they heat', () => {
+    expect(brakeGlowColor(200).intensity).toBe(0);
+    expect(brakeGlowColor(600).intensity).toBeGreaterThan(0);
+    expect(brakeGlowColor(1000).g).toBeGreaterThan(brakeGlowColor(600).g);
+    expect(cornerOf('brake_cal_wRL')).toBe('RL');
+    expect(cornerOf('FR')).toBe('FR');
+    expect(cornerOf('sw_rim')).toBeNull();
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * track-editor.test.js — user-authored layouts (track-editor.js).
+ *
+ *   TE1  normalizeTurn / normalizeLayout — clamped turns, junk tolerated
+ *   TE2  editorCircuit — each turn turns through its angle with its own
+ *        clothoid ramps; the default rectangle closes
+ *   TE3  layoutToJSON / parseLayout, loadLayout / saveLayout
+ *   TE4  editorScale / nearestS / pickTurn / insertTurnAt — the view maths
+ *   TE5  TrackPath drives a layout with asymmetric ramps like the circuit
+ *
+ * Pure modules — no THREE, no DOM.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTurn, normalizeLayout, turnAngle, editorCircuit, layoutTrace,
+  editorScale, nearestS, pickTurn, insertTurnAt, layoutToJSON, parseLayout,
+  loadLayout, saveLayout, DEFAULT_LAYOUT, DEFAULT_TURN, EDITOR_LIMITS,
+  LAYOUT_STORE_KEY, MAX_TURNS,
+} from '../track-editor.js';
+import { TrackPath, circuitCurvature } from '../track-path.js';
+
+function memoryStorage() {
+  const m = new Map();
+  return { getItem: k => (m.has(k) ? m.get(k) : null), setItem: (k, v) => m.set(k, String(v)) };
+}
+
+/* A hairpin with a long ramp in and a short one out, and a kink back. */
+const HAIRPIN = {
+  name: 'Hairpin',
+  turns: [
+    { gap: 300, dir: 1, radius: 40, length: 50, rampIn: 60, rampOut: 10 },
+    { gap: 150, dir: -1, radius: 120, length: 20, rampIn: 0, rampOut: 30 },
+  ],
+};
+
+describe('layout model', () => {
+  it('TE1. turns clamp into the editor ranges; junk falls back to the defaults', () => {
+    const t = normalizeTurn({ gap: -5, dir: -3, radius: 5, length: 'x', rampIn: 999, rampOut: NaN });
+    expect(t).toEqual({
+      gap: 0, dir: -1, radius: EDITOR_LIMITS.radius[0], length: DEFAULT_TURN.length,
+      rampIn: EDITOR_LIMITS.rampIn[1], rampOut: DEFAULT_TURN.rampOut,
+    });
+    expect(normalizeTurn({ length: 0, rampIn: 0, rampOut: 0 }).length).toBe(1);   // can't vanish
+
+    expect(normalizeLayout(null)).toEqual(normalizeLayout(DEFAULT_LAYOUT));
+    expect(normalizeLayout({ name: '   ', turns: [null, 4] }).name).toBe(DEFAULT_LAYOUT.name);
+    expect(normalizeLayout({ name: 'x'.repeat(40), turns: [{}] }).name).toHaveLength(24);
+    const many = normalizeLayout({ turns: Array.from({ length: 50 }, () => ({})) });
+    expect(many.turns).toHaveLength(MAX_TURNS);
+  });
+
+  it('TE2. each turn turns through its angle with its own ramps; the default closes', () => {
+    const c = editorCircuit(HAIRPIN);
+    expect(c.name).toBe('Hairpin');
+    expect(c.corners).toHaveLength(2);
+    const [a, b] = c.corners;
+    expect(a.s0).toBeCloseTo(300, 9);
+    expect(a.s1 - a.s0).toBeCloseTo(50 + 60 + 10, 9);          // ramps + hold
+    expect(b.s0).toBeCloseTo(a.s1 + 150, 9);
+    expect(c.length).toBeCloseTo(b.s1, 9);
+
+    // κ ramps in over 60 m and out over 10 m, holding 1/R between.
+    expect(circuitCurvature(c, a.s0 + 30)).toBeCloseTo(0.5 / 40, 9);
+    expect(circuitCurvature(c, a.s0 + 80)).toBeCloseTo(1 / 40, 9);
+    expect(circuitCurvature(c, a.s1 - 5)).toBeCloseTo(0.5 / 40, 9);
+    expect(circuitCurvature(c, b.s0 + 1)).toBeCloseTo(-1 / 120, 9);   // no ramp in
+    for (const [i, k] of c.corners.entries()) {
+      let heading = 0;
+      for (let s = k.s0; s < k.s1; s += 0.01) heading += circuitCurvature(c, s + 0.005) * 0.01;
+      expect(heading).toBeCloseTo(turnAngle(normalizeTurn(HAIRPIN.turns[i])), 4);
+    }
+
+    const square = layoutTrace(editorCircuit(DEFAULT_LAYOUT), 0.5);
+    expect(square.gap).toBeLessThan(0.05);
+    expect(Math.abs(square.heading)).toBeLessThan(1e-6);
+    const open = layoutTrace(c);
+    expect(open.gap).toBeGreaterThan(100);
+    const turned = HAIRPIN.turns.reduce((sum, t) => sum + turnAngle(normalizeTurn(t)), 0);
+    expect(open.heading).toBeCloseTo(turned, 3);                  // under a full turn
+  });
+
+  it('TE3. layouts round-trip through JSON files and storage; bad files say why', () => {
+    const layout = normalizeLayout(HAIRPIN);
+    expect(parseLayout(layoutToJSON(HAIRPIN))).toEqual(layout);
+    expect(() => parseLayout('{ nope')).toThrow(/not a JSON layout/);
+    expect(() => parseLayout('{"turns": []}')).toThrow(/non-empty "turns"/);
+    expect(() => parseLayout('[1, 2]')).toThrow(/turns/);
+
+    const store = memoryStorage();
+    expect(loadLayout(store)).toEqual(normalizeLayout(DEFAULT_LAYOUT));
+    saveLayout(store, HAIRPIN);
+    expect(loadLayout(store)).toEqual(layout);
+    store.setItem(LAYOUT_STORE_KEY, '{ corrupt');
+    expect(loadLayout(store)).toEqual(normalizeLayout(DEFAULT_LAYOUT));
+    expect(loadLayout(null)).toEqual(normalizeLayout(DEFAULT_LAYOUT));
+    expect(() => saveLayout({ setItem() { throw new Error('quota'); } }, HAIRPIN)).not.toThrow();
+  });
+});
+
+describe('editor view', () => {
+  it('TE4. the view fits the trace square, clicks map back, and turns insert on straights', () => {
+    const c = editorCircuit(DEFAULT_LAYOUT);
+    const { points } = layoutTrace(c);
+    const view = editorScale(points, 400, 240, 14);
+    for (const p of points) {
+      expect(view.px(p.x)).toBeGreaterThanOrEqual(14 - 1e-9);
+      expect(view.px(p.x)).toBeLessThanOrEqual(386 + 1e-9);
+      expect(view.py(p.z)).toBeGreaterThanOrEqual(14 - 1e-9);
+      expect(view.py(p.z)).toBeLessThanOrEqual(226 + 1e-9);
+    }
+    expect(view.py(-100) < view.py(0)).toBe(true);                 // forward (−z) is up
+    const back = view.toTrack(view.px(37), view.py(-120));
+    expect(back.x).toBeCloseTo(37, 9);
+    expect(back.z).toBeCloseTo(-120, 9);
+
+    // 100 m down the start straight, then on and before the second turn.
+    const mid = points[Math.round(points.length * 100 / c.length)];
+    expect(nearestS(points, mid.x + 3, mid.z)).toBeCloseTo(mid.s, 9);
+    expect(pickTurn(c, 100)).toEqual({ index: 0, straight: true });
+    const k1 = c.corners[1];
+    expect(pickTurn(c, (k1.s0 + k1.s1) / 2)).toEqual({ index: 1, straight: false });
+    expect(pickTurn(c, k1.s0 - 10)).toEqual({ index: 1, straight: true });
+
+    const { layout, index } = insertTurnAt(DEFAULT_LAYOUT, c, k1.s0 - 50, 1);
+    expect(index).toBe(1);
+    expect(layout.turns).toHaveLength(5);
+    expect(layout.turns[1].gap).toBeCloseTo(150, 9);
+    expect(layout.turns[2].gap).toBeCloseTo(50, 9);
+    expect(layout.turns[1].radius).toBe(DEFAULT_TURN.radius);
+    const full = { turns: Array.from({ length: MAX_TURNS }, () => ({})) };
+    expect(insertTurnAt(full, editorCircuit(full), 10, 0).layout.turns).toHaveLength(MAX_TURNS);
+  });
+});
+
+describe('TrackPath on an editor layout', () => {
+  it('TE5. the path curves like the layout, asymmetric ramps included, lap after lap', () => {
+    const c = editorCircuit(HAIRPIN);
+    const p = new TrackPath(() => 0.5);
+    p.setCircuit(c);
+    let checked = 0;
+    while ((p.circuitPosition()?.lap ?? -1) < 2) {
+      p.update(1 / 120, 60);
+      p.rebaseIfNeeded();
+      const pos = p.circuitPosition();
+      if (pos.lap < 0) continue;
+      expect(p.curvatureAt(p.pose.s)).toBeCloseTo(circuitCurvature(c, pos.s), 6);
+      checked += 1;
+    }
+    expect(checked).toBeGreaterThan(2 * c.length / 0.5 - 10);   // two laps of 0.5 m steps
+    expect(p.epoch).toBeGreaterThan(0);
+  });
+});
@@ -26,6 +26,11 @@ import {
   poolSize,
   poolIndex,
   turnEdgeCounter,
+  REAL_CORNER,
+  CIRCUITS,
+  circuitGrade,
+  circuitBank,
+  cameraBankRad,
 } from '../track-path.js';
 
 /* Deterministic RNG (LCG) so turn schedules are reproducible. */
@@ -503,6 +508,89 @@ describe('rowPose — furniture layout along the path', () => {
   });
 });
 
+describe('Elevation and banking', () => {
+  const BANK = (REAL_CORNER.BANK * Math.PI) / 180;
+
+  it('the signature corner banks into the turn and climbs RISE, then the next one descends', () => {
+    const p = new TrackPath(makeRng(2));
+    p._emitRealCorner({ s0: 50, dir: -1, vEmit: V });
+    const t = p.turns[0];
+    const mid = (t.s0 + t.s1) / 2;
+    expect(p.bankAt(mid)).toBeCloseTo(-BANK, 9);                 // right turn: left edge up
+    expect(p.bankAt(t.s0 + REAL_CORNER.RAMP / 2)).toBeCloseTo(-BANK / 2, 9);   // follows the ramp
+    expect(p.bankAt(t.s0 - 1)).toBe(0);
+    expect(p.gradeAt(t.s0 - 1)).toBe(0);
+    expect(p.gradeAt(mid)).toBeGreaterThan(0);
+    expect(p.poseAt(t.s1 + 10).y - p.poseAt(t.s0 - 10).y).toBeCloseTo(REAL_CORNER.RISE, 3);
+    p._emitRealCorner({ s0: t.s1 + 100, dir: 1, vEmit: V });
+    const t2 = p.turns[1];
+    expect(p.bankAt((t2.s0 + t2.s1) / 2)).toBeCloseTo(BANK, 9);
+    expect(p.poseAt(t2.s1 + 10).y).toBeCloseTo(0, 3);             // back down again
+  });
+
+  it('a circuit closes in height lap after lap and banks its sweeper', () => {
+    const c = CIRCUITS.ring;
+    let climbed = 0;
+    for (let s = 0; s < c.length; s += 0.5) climbed += circuitGrade(c, s + 0.25) * 0.5;
+    expect(climbed).toBeCloseTo(0, 9);
+    const sweeper = c.corners[3];
+    const u = (sweeper.s0 + sweeper.s1) / 2;
+    expect(circuitBank(c, u)).toBeCloseTo((10 * Math.PI) / 180, 9);
+    expect(circuitBank(c, 250)).toBe(0);                          // main straight
+
+    const p = new TrackPath(() => 0.5);
+    p.setCircuit(c);
+    const s0 = p._lapS0 + 50;                                    // past the blend-in
+    expect(p.poseAt(s0 + c.length).y).toBeCloseTo(p.poseAt(s0).y, 4);
+    expect(p.poseAt(s0 + 250).y - p.poseAt(s0).y).toBeGreaterThan(2);   // up the straight
+    expect(p.bankAt(p._lapS0 + c.length + u)).toBeCloseTo(circuitBank(c, u), 9);
+  });
+
+  it('rebase keeps world height: the track group rides −y of the car', () => {
+    const p = new TrackPath(makeRng(2));
+    p._emitRealCorner({ s0: 50, dir: 1, vEmit: V });
+    drive(p, 3, V);                                              // mid-climb
+    expect(p.pose.y).toBeGreaterThan(0);
+    const ahead = p.pose.s + 40;
+    const before = p.poseAt(ahead).y + p.worldTransform().y;
+    p.rebase();
+    expect(p.pose.y).toBe(0);
+    expect(p.poseAt(40).y + p.worldTransform().y).toBeCloseTo(before, 6);
+  });
+
+  it('rowPose: the road banks kerb to kerb, the run-off stays level at kerb height', () => {
+    const p = new TrackPath(makeRng(2));
+    p._emitRealCorner({ s0: 20, dir: 1, vEmit: V });
+    const t = p.turns[0];
+    const s = t.s0 + 60;                                         // hold, climbing
+    const c = p.poseAt(s);
+    const half = p.widthAt(s) / 2;
+    const kerb = rowPose(p, s, half);
+    expect(kerb.y - c.y).toBeCloseTo(Math.sin(BANK) * half, 9);   // right edge up on a left bank
+    expect(rowPose(p, s, -half).y - c.y).toBeCloseTo(-Math.sin(BANK) * half, 9);
+    expect(kerb.bank).toBeCloseTo(BANK, 9);
+    const runOff = rowPose(p, s, half + 3);
+    expect(runOff.y).toBeCloseTo(kerb.y, 9);
+    expect(runOff.bank).toBe(0);
+    expect(kerb.pitch).toBeCloseTo(Math.atan(p.gradeAt(s)), 12);
+    expect(kerb.pitch).toBeGreaterThan(0);
+  });
+
+  it('rollAngleRad / cameraBankRad lean with the banking', () => {
+    const g = 9.81;
+    // Balanced speed on a banked left-hander: no lean against the road.
+    const kappa = 1 / 85;
+    const v = Math.sqrt((g * Math.tan(BANK)) / kappa);
+    expect(rollAngleRad(v, v * kappa, BANK)).toBeCloseTo(BANK, 9);
+    // Parked on the banking the body leans further downhill (+rot.z).
+    expect(rollAngleRad(0, 0, BANK)).toBeGreaterThan(BANK);
+    // Flat road: unchanged.
+    expect(rollAngleRad(50, 0.14, 0)).toBeCloseTo(rollAngleRad(50, 0.14), 12);
+    expect(cameraBankRad(0, BANK)).toBeCloseTo(BANK / 2, 12);
+    expect(cameraBankRad(0.15, 0)).toBeCloseTo(cameraBankRad(0.15), 12);
+  });
+});
+
 describe('rowWindow / poolIndex — sliding furniture window', () => {
   it('covers [s−behind, s+ahead] on the spacing grid', () => {
     const { kMin, kMax } = rowWindow(100, 4, 35, 41);
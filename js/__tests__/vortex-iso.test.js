@@ -0,0 +1,183 @@
+/**
+ * vortex-iso.test.js — vortex cores extracted from the flow field.
+ *
+ *   VI1    marchingCubes — a sphere's level set lands on the sphere
+ *   VI2    vortexCriterion — |ω| and Q on solid rotation vs pure strain;
+ *          masked nodes read 0
+ *   VI3–4  VortexIsoEffect — a streamwise Rankine vortex comes out as a
+ *          tube around its axis, sampled over frames, resampled only on
+ *          change; the body mask removes it where the car is
+ *   VI5    CfdEffect.setVortexSpirals hides the table-placed spirals
+ */
+
+import { describe, it, expect } from 'vitest';
+import { marchingCubes } from '../marching-cubes.js';
+import { VortexIsoEffect, vortexCriterion, isoGridLayout, isoGridMask } from '../vortex-iso.js';
+import { CfdEffect } from '../cfd-effect.js';
+
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+/** v / V of a linear field v = M·(x, y, z) sampled on layout L. */
+function linearField(L, M) {
+  const vel = new Float32Array(L.nx * L.ny * L.nz * 3);
+  let n = 0;
+  for (let k = 0; k < L.nz; k++) {
+    for (let j = 0; j < L.ny; j++) {
+      for (let i = 0; i < L.nx; i++, n++) {
+        const p = [L.x0 + i * L.dx, L.y0 + j * L.dy, L.z0 + k * L.dz];
+        for (let c = 0; c < 3; c++) vel[n * 3 + c] = M[c][0] * p[0] + M[c][1] * p[1] + M[c][2] * p[2];
+      }
+    }
+  }
+  return vel;
+}
+
+/* Streamwise Rankine vortex (axis ∥ z through (ax, ay)) in a V freestream. */
+const AXIS = { x: 0.3, y: 0.6 }, CORE = 0.3;
+function rankine(V, omega = 6) {
+  return (x, y) => {
+    const dx = x - AXIS.x, dy = y - AXIS.y, r = Math.hypot(dx, dy);
+    // Solid rotation inside the core, irrotational 1/r outside.
+    const ut = r < CORE ? omega * r : omega * CORE * CORE / Math.max(r, 1e-9);
+    return { vx: r > 0 ? -ut * dy / r * V : 0, vy: r > 0 ? ut * dx / r * V : 0, vz: V };
+  };
+}
+
+describe('marchingCubes', () => {
+  it('VI1. the level set of a distance field is the sphere; one-sided grids give nothing', () => {
+    const n = 16, R = 5.5, c = 7.5;
+    const f = new Float32Array(n * n * n);
+    for (let k = 0; k < n; k++) for (let j = 0; j < n; j++) for (let i = 0; i < n; i++) {
+      f[i + n * (j + n * k)] = R - Math.hypot(i - c, j - c, k - c);
+    }
+    const tri = marchingCubes(f, n, n, n, 0);
+    expect(tri.length % 9).toBe(0);
+    expect(tri.length / 9).toBeGreaterThan(500);
+    for (let p = 0; p < tri.length; p += 3) {
+      expect(Math.abs(Math.hypot(tri[p] - c, tri[p + 1] - c, tri[p + 2] - c) - R)).toBeLessThan(0.1);
+    }
+    expect(marchingCubes(f, n, n, n, 100).length).toBe(0);
+    expect(marchingCubes(f, n, n, n, -100).length).toBe(0);
+  });
+});
+
+describe('vortexCriterion', () => {
+  const L = isoGridLayout({ halfW: 1, halfL: 2, halfH: 0.5 }, { nx: 6, ny: 5, nz: 7 });
+  const mid = 3 + L.nx * (2 + L.ny * 3);
+
+  it('VI2. solid rotation: |ω| = 2Ω, Q = Ω²; pure strain: |ω| = 0, Q < 0; mask zeroes', () => {
+    const spin = linearField(L, [[0, -1.5, 0], [1.5, 0, 0], [0, 0, 0]]);   // Ω = 1.5 about z
+    expect(vortexCriterion(spin, L, 'vorticity', 1)[mid]).toBeCloseTo(3, 5);
+    expect(vortexCriterion(spin, L, 'q', 1)[mid]).toBeCloseTo(2.25, 5);
+    expect(vortexCriterion(spin, L, 'q', 2)[mid]).toBeCloseTo(9, 5);          // (halfL)² scaling
+    const q = vortexCriterion(spin, L, 'q', 1);
+    expect(q[0]).toBeCloseTo(2.25, 5);                                         // one-sided faces
+
+    const strain = linearField(L, [[1, 0, 0], [0, -1, 0], [0, 0, 0]]);
+    expect(vortexCriterion(strain, L, 'vorticity', 1)[mid]).toBeCloseTo(0, 6);
+    expect(vortexCriterion(strain, L, 'q', 1)[mid]).toBeCloseTo(-1, 5);
+
+    const occ = { sample: (x, y, z) => (Math.abs(z - (L.z0 + 3 * L.dz)) < 1e-6 ? 1 : 0) };
+    const mask = isoGridMask(L, occ, 0);
+    expect(mask[mid]).toBe(1);
+    expect(vortexCriterion(spin, L, 'q', 1, mask)[mid]).toBe(0);
+    expect(isoGridMask(L, null)).toBeNull();
+  });
+});
+
+describe('VortexIsoEffect', () => {
+  function settle(iso, maxFrames = 200) {
+    let frames = 0;
+    do { iso.update(0.016); frames++; } while ((iso._cursor >= 0 || iso._dirty) && frames < maxFrames);
+    return frames;
+  }
+  function vertexRadii(iso) {
+    const pos = iso._mesh.geometry.attributes.position.array;
+    const r = [];
+    for (let p = 0; p < pos.length; p += 3) r.push(Math.hypot(pos[p] - AXIS.x, pos[p + 1] - AXIS.y));
+    return r;
+  }
+
+  it('VI3. a Rankine vortex becomes a tube round its axis; sampled over frames, only on change', () => {
+    const V = 300 / 3.6;
+    let calls = 0;
+    const field = rankine(V);
+    const iso = new VortexIsoEffect(makeScene());
+    iso.setCarType('F1');
+    iso.setSampler((x, y, z) => { calls++; return field(x, y, z); });
+    iso.setVisible(true);
+    iso.update(0.016);
+    expect(calls).toBe(0);                                  // at rest: no field
+    expect(iso._mesh.visible).toBe(false);
+
+    iso.setSpeed(300);
+    iso.update(0.016);
+    expect(calls).toBeGreaterThan(0);
+    expect(iso.getTriangleCount()).toBe(0);                 // a pass spans frames
+    const frames = settle(iso);
+    expect(frames).toBeGreaterThan(5);
+    expect(iso.getTriangleCount()).toBeGreaterThan(50);
+    expect(iso._mesh.visible).toBe(true);
+    // Q: the core tube (Q* = Ω²·halfL² inside, < 0 just outside).
+    const q = vertexRadii(iso);
+    expect(Math.max(...q)).toBeLessThan(CORE + 0.15);
+
+    const sampled = calls;
+    iso.setSpeed(305);                                      // under the step
+    settle(iso);
+    expect(calls).toBe(sampled);
+    iso.setMode('vorticity');                               // re-extracted, not resampled
+    expect(calls).toBe(sampled);
+    expect(iso.getTriangleCount()).toBeGreaterThan(50);
+    expect(Math.max(...vertexRadii(iso))).toBeLessThan(CORE + 0.15);
+    iso.refresh();
+    settle(iso);
+    expect(calls).toBe(2 * sampled);
+
+    iso.setSpeed(0);
+    iso.update(0.016);
+    expect(iso._mesh.visible).toBe(false);
+  });
+
+  it('VI4. the body mask removes the surface inside the car; a car swap drops it', () => {
+    const iso = new VortexIsoEffect(makeScene());
+    iso.setCarType('F1');
+    iso.setSampler(rankine(300 / 3.6));
+    iso.setVisible(true);
+    iso.setSpeed(300);
+    // A block over the front half of the vortex (world frame, baseY 0.2).
+    iso.setOccupancy({ sample: (x, y, z) => (z < 0 && Math.abs(y - 0.2 - AXIS.y) < 0.6 ? 1 : 0) }, 0.2);
+    settle(iso);
+    const pos = iso._mesh.geometry.attributes.position.array;
+    let zMin = Infinity;
+    for (let p = 2; p < pos.length; p += 3) zMin = Math.min(zMin, pos[p]);
+    expect(iso.getTriangleCount()).toBeGreaterThan(20);
+    expect(zMin).toBeGreaterThan(-0.2);
+
+    iso.setBaseY(0.2);
+    expect(iso.group.position.y).toBe(0.2);
+    iso.setCarType('GT');
+    expect(iso._occupancy).toBeNull();
+    expect(iso.getTriangleCount()).toBe(0);
+    iso.dispose();
+  });
+});
+
+describe('CfdEffect.setVortexSpirals', () => {
+  it('VI5. hides the table spirals and keeps them hidden across a rebuild', () => {
+    const cfd = new CfdEffect(makeScene());
+    expect(cfd._vortexLines.length).toBeGreaterThan(0);
+    cfd.setVortexSpirals(false);
+    expect(cfd._vortexLines.every(v => !v.line.visible)).toBe(true);
+    cfd.setCarType('GT');
+    expect(cfd._vortexLines.every(v => !v.line.visible)).toBe(true);
+    cfd.setVortexSpirals(true);
+    expect(cfd._vortexLines.every(v => v.line.visible)).toBe(true);
+  });
+});
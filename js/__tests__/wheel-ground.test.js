@@ -0,0 +1,198 @@
+/**
+ * wheel-ground.test.js — rotating-wheel aerodynamics and the tunnel ground.
+ *
+ * The classic tunnel lesson: a rolling wheel over a moving belt is not a
+ * stationary cylinder on a fixed floor. aero-setup.js owns whether the
+ * wheels roll (by ground mode) and the fixed-floor boundary layer;
+ * airflow-core.js adds the spinning tires' side-view circulation to the
+ * quasi-3-D field; cfd-effect.js paints the Magnus / jetting tread terms
+ * on the tire proxies.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  wheelsRolling, groundedRide, fixedGroundGain, roadBoundaryLayer,
+  underfloorGain, floorGapAt, normalizeGroundMode, DEFAULT_RIDE_SETUP,
+} from '../aero-setup.js';
+import { rotatingWheelVelocity, quasi3dVelocity } from '../airflow-core.js';
+import { AirflowEffect, underfloorChannelCp } from '../effects.js';
+import { CfdEffect, wheelSpinDeltaCp } from '../cfd-effect.js';
+
+/* ── DOM stub (canvas for puff textures) ──────────────────────────── */
+if (typeof globalThis.document === 'undefined') {
+  globalThis.document = {
+    createElement(tag) {
+      if (tag === 'canvas') {
+        return {
+          width: 0, height: 0,
+          getContext() {
+            return {
+              createRadialGradient: () => ({ addColorStop: () => {} }),
+              fillRect: () => {},
+              set fillStyle(_v) {},
+            };
+          },
+        };
+      }
+      return {};
+    },
+  };
+}
+
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+const R = 0.33;   // tyre radius (m)
+
+describe('wheel spin', () => {
+  it('WG1. the wheels roll on the moving belt and stand still over a fixed floor', () => {
+    expect(wheelsRolling('moving')).toBe(true);
+    expect(wheelsRolling('fixed')).toBe(false);
+    expect(wheelsRolling(undefined)).toBe(true);   // default belt
+  });
+});
+
+describe('tunnel ground', () => {
+  it('WG2. groundedRide: null only for the static pose on a moving belt', () => {
+    expect(groundedRide(DEFAULT_RIDE_SETUP, 'moving')).toBeNull();
+    expect(groundedRide(null)).toBeNull();
+    expect(groundedRide({ rideHeight: -10, rake: 0 }, 'moving')).toEqual({ rideHeight: -10, rake: 0 });
+    expect(groundedRide(null, 'fixed')).toEqual({ rideHeight: 0, rake: 0, ground: 'fixed' });
+    expect(normalizeGroundMode('belt')).toBe('moving');
+  });
+
+  it('WG3. the road boundary layer grows downstream of the suction slot', () => {
+    expect(roadBoundaryLayer(-5)).toBe(0);
+    expect(roadBoundaryLayer(2)).toBeGreaterThan(roadBoundaryLayer(0));
+  });
+
+  it('WG4. a fixed floor loses underfloor suction, most on the F1 and toward the diffuser', () => {
+    const fixed = groundedRide(null, 'fixed');
+    const loss = (z, type) => 1 - underfloorGain(z, fixed, type);
+    for (const type of ['F1', 'GT']) {
+      expect(underfloorGain(0, fixed, type)).toBeLessThan(1);
+      expect(loss(1.8, type)).toBeGreaterThan(loss(-1, type));
+      expect(underfloorGain(0, fixed, type))
+        .toBeCloseTo(fixedGroundGain(floorGapAt(0, DEFAULT_RIDE_SETUP, type), 0, type), 12);
+    }
+    expect(loss(0, 'F1')).toBeGreaterThan(loss(0, 'GT'));
+    // The airflow venturi follows: less suction over the fixed floor.
+    expect(underfloorChannelCp(1.4, 'F1', fixed)).toBeGreaterThan(underfloorChannelCp(1.4, 'F1'));
+  });
+});
+
+describe('rotating-wheel flow', () => {
+  const hub = R, g = 0;
+
+  it('WG5. slows the air over the tread, speeds it beneath, keeps the road impermeable', () => {
+    const top = rotatingWheelVelocity(0, hub + R, 0, hub, g, R, 1);
+    expect(top.vz).toBeLessThan(0);
+    // Tread speed = spin, less the image vortex 3R below.
+    expect(top.vz).toBeCloseTo(-2 / 3, 12);
+    for (const z of [-0.6, -0.2, 0.3]) {
+      const onRoad = rotatingWheelVelocity(z, g, 0, hub, g, R, 1);
+      expect(onRoad.vy).toBeCloseTo(0, 12);
+      expect(onRoad.vz).toBeGreaterThan(0);
+    }
+    // Ahead of the wheel the tread turns the air down toward the contact.
+    expect(rotatingWheelVelocity(-0.5, hub, 0, hub, g, R, 1).vy).toBeLessThan(0);
+    const none = rotatingWheelVelocity(0, hub + R, 0, hub, g, R, 0);
+    expect(Math.abs(none.vz) + Math.abs(none.vy)).toBe(0);
+  });
+
+  it('WG6. quasi3dVelocity adds the circulation of spinning tire doublets only at the tread', () => {
+    const tire = { type: 'doublet', x: 0.8, e: -0.5, R: 0.28, rc: 0.08 };
+    // No body section: only the wheels act.
+    const field = (mods) => ({
+      halfW: 1, halfL: 2.5, groundY: 0, topY: 0.9, sectionAt: () => ({ rw: 0 }), modifiers: mods,
+    });
+    const spun = { ...tire, spin: 1, hubY: hub, wr: R, hw: 0.17 };
+    const over = [0.8, -0.5, hub + R + 0.05];
+    const still = quasi3dVelocity(...over, field([tire]));
+    const roll  = quasi3dVelocity(...over, field([spun]));
+    expect(roll.veta).toBeLessThan(still.veta);
+    // Well outboard of the tread the spin is not felt.
+    const out = [1.6, -0.5, hub + R + 0.05];
+    expect(quasi3dVelocity(...out, field([spun]))).toEqual(quasi3dVelocity(...out, field([tire])));
+  });
+});
+
+describe('rolling-wheel Cp', () => {
+  it('WG7. the tread terms vanish without spin and trim ≈ 0.3 of wheel lift', () => {
+    const wheel = { groundY: 0, r: R };
+    expect(wheelSpinDeltaCp(0.1, 0, -1, 0, wheel, 0)).toBe(0);
+    // Side-view ring of the tread: lift per unit span / (q · 2R).
+    let lift = 0;
+    const n = 720;
+    for (let i = 0; i < n; i++) {
+      const th = (i + 0.5) / n * 2 * Math.PI;
+      const ny = Math.cos(th), nz = Math.sin(th);
+      const dcp = wheelSpinDeltaCp(R + R * ny, 0, ny, nz, wheel, 1);
+      lift += -dcp * ny * R * (2 * Math.PI / n);
+    }
+    const dCL = lift / (2 * R);
+    expect(dCL).toBeLessThan(-0.2);
+    expect(dCL).toBeGreaterThan(-0.4);
+    // The jetting peak sits on the forward-facing lower tread.
+    expect(wheelSpinDeltaCp(0.02, 0, -0.7, -0.7, wheel, 1))
+      .toBeGreaterThan(wheelSpinDeltaCp(0.02, 0, -0.7, 0.7, wheel, 1));
+  });
+});
+
+/* GT-like measure with anchors + the axle fields the tires key off. */
+const GT_MEASURE = {
+  anchors: {
+    frontWing: { x: 0, y: 0.00, z: -2.08 },
+    rearWing:  { x: 0, y: 0.84, z:  1.92 },
+    noseTip:   { x: 0, y: 0.00, z: -2.13 },
+    floor:     { x: 0, y: 0.10, z:  0.03 },
+    halo:      { x: 0, y: 1.29, z:  0.10 },
+    cockpit:   { x: 0, y: 0.88, z:  0.48 },
+  },
+  groundContactY: 0.00,
+  frontAxleZ: -1.23,
+  rearAxleZ:   1.23,
+  frontAxleX:  0.80,
+  rearAxleX:   0.84,
+  wheelRadius: 0.39,
+  wheelWidth:  0.33,
+};
+
+describe('effects wiring', () => {
+  it('WG8. AirflowEffect.setWheelSpin tags the tire doublets; 0 clears them', () => {
+    const fx = new AirflowEffect(makeScene());
+    fx.setCarType('GT', GT_MEASURE);
+    const tires = () => fx.getModifiers().filter(m => m.type === 'doublet');
+    expect(tires()).toHaveLength(4);
+    expect(tires().every(m => m.spin === undefined)).toBe(true);
+    fx.setWheelSpin(1);
+    for (const m of tires()) {
+      expect(m.spin).toBe(1);
+      expect(m.hubY).toBeCloseTo(0.39, 12);
+      expect(m.wr).toBe(0.39);
+      expect(m.hw).toBeCloseTo(0.165, 12);
+    }
+    fx.setWheelSpin(0);
+    expect(tires().every(m => m.spin === undefined)).toBe(true);
+  });
+
+  it('WG9. setGroundMode keeps the ride setup and tags it fixed', () => {
+    const fx = new AirflowEffect(makeScene());
+    fx.setRideSetup({ rideHeight: -10, rake: 0 });
+    fx.setGroundMode('fixed');
+    expect(fx._ride).toEqual({ rideHeight: -10, rake: 0, ground: 'fixed' });
+    fx.setGroundMode('moving');
+    expect(fx._ride).toEqual({ rideHeight: -10, rake: 0 });
+
+    const cfd = new CfdEffect(makeScene());
+    cfd.setGroundMode('fixed');
+    expect(cfd._ride).toEqual({ rideHeight: 0, rake: 0, ground: 'fixed' });
+    cfd.setGroundMode('moving');
+    expect(cfd._ride).toBeNull();
+  });
+});
@@ -16,6 +16,7 @@
 
 import { describe, it, expect } from 'vitest';
 import { wheelRotationRate } from '../physics.js';
+import { paintBrakes, brakeGlowColor } from '../thermal.js';
 
 /* Stand-in for a wheel object — minimal rotation.x support. */
 function makeWheel(initialX = 0) {
@@ -81,35 +82,32 @@ describe('wheel rotation tick — Phase 4', () => {
   });
 });
 
-/* ── Brake-glow loop guard (mirrors main.js animateCar) ────────────
- * The brake-glow pass walks Object.values(state.brakes) and writes
- * `b.material.emissiveIntensity`. If any entry lacks `.material` (a future
- * GLB extraction wrapping discs in an empty parent, a test fixture, etc.),
- * the loop must skip it rather than throw and kill the render frame. */
-function tickBrakeGlow(brakes, brakeGlow) {
-  Object.values(brakes).forEach(b => {
-    if (b?.material) b.material.emissiveIntensity = brakeGlow * brakeGlow * 1.2;
-  });
-}
+/* ── Brake-glow loop guard (thermal.js paintBrakes, run by animateCar) ──
+ * The brake-glow pass walks state.brakes and writes each disc's
+ * `material.emissiveIntensity` from its temperature. If any entry lacks
+ * `.material` (a future GLB extraction wrapping discs in an empty parent, a
+ * test fixture, etc.), the loop must skip it rather than throw and kill the
+ * render frame. */
+const HOT = { type: 'F1', brake: { FL: 900, FR: 900, RL: 900, RR: 900 }, tyre: {} };
 
 describe('brake glow loop — defensive guard', () => {
   it('BG1. material entry writes emissiveIntensity', () => {
-    const brakes = { brake_FL: { material: { emissiveIntensity: 0 } } };
-    tickBrakeGlow(brakes, 0.5);
-    expect(brakes.brake_FL.material.emissiveIntensity).toBeCloseTo(0.5 * 0.5 * 1.2, 10);
+    const brakes = { brake_wFL: { material: { emissiveIntensity: 0 } } };
+    paintBrakes(brakes, HOT);
+    expect(brakes.brake_wFL.material.emissiveIntensity).toBeCloseTo(brakeGlowColor(900).intensity, 10);
   });
 
   it('BG2. entry without .material does not throw', () => {
     const brakes = {
-      brake_FL: { material: { emissiveIntensity: 0 } },
-      brake_FR: {},   // ← no material — must skip
-      brake_RL: null, // ← null entry — must skip
+      brake_wFL: { material: { emissiveIntensity: 0 } },
+      brake_wFR: {},   // ← no material — must skip
+      brake_wRL: null, // ← null entry — must skip
     };
-    expect(() => tickBrakeGlow(brakes, 0.5)).not.toThrow();
-    expect(brakes.brake_FL.material.emissiveIntensity).toBeGreaterThan(0);
+    expect(() => paintBrakes(brakes, HOT)).not.toThrow();
+    expect(brakes.brake_wFL.material.emissiveIntensity).toBeGreaterThan(0);
   });
 
   it('BG3. completely empty brakes object is a no-op', () => {
-    expect(() => tickBrakeGlow({}, 1.0)).not.toThrow();
+    expect(() => paintBrakes({}, HOT)).not.toThrow();
   });
 });
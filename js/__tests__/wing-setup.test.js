@@ -0,0 +1,223 @@
+/**
+ * wing-setup.test.js — rear-wing angle + DRS (aero-setup.js).
+ *
+ * One setup object drives every aero subsystem, so the suite checks each
+ * consumer moves with it:
+ *
+ *   WS1–3  pure math — clamping, load multiplier, flap pose
+ *   WS4–5  AirflowEffect — rear-wing vortex modifier + tip vortexDefs gamma
+ *   WS6–8  CFD — role Cp, surface suction, CfdEffect recolor + loads
+ *   WS9–10 flap geometry — procedural pivot, GLB split (real THREE + slicer,
+ *          GLTF/DRACO addons mocked as in gt-wheel-bake.test.js)
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import * as THREE from 'three';
+
+vi.mock('three/addons/loaders/GLTFLoader.js', () => ({
+  GLTFLoader: class {
+    setDRACOLoader() {}
+    async loadAsync() { throw new Error('no gltf fixture'); }
+  },
+}));
+vi.mock('three/addons/loaders/DRACOLoader.js', () => ({
+  DRACOLoader: class { setDecoderPath() {} },
+}));
+
+import {
+  normalizeWingSetup, rearWingLoad, rearFlapRotation,
+  WING_ANGLE_MIN, WING_ANGLE_MAX, DRS_FLAP_DEG, DRS_LOAD, DEFAULT_WING_SETUP,
+} from '../aero-setup.js';
+import { AirflowEffect } from '../effects.js';
+import { CfdEffect, getRoleCp, computeSurfaceCp } from '../cfd-effect.js';
+import { buildRearFlapFromGLB, collectOccupancyMeshes } from '../car-loader.js';
+
+/* ── DOM stub (canvas for puff textures) ──────────────────────────── */
+if (typeof globalThis.document === 'undefined') {
+  globalThis.document = {
+    createElement(tag) {
+      if (tag === 'canvas') {
+        return {
+          width: 0, height: 0,
+          getContext() {
+            return {
+              createRadialGradient: () => ({ addColorStop: () => {} }),
+              fillRect: () => {},
+              set fillStyle(_v) {},
+            };
+          },
+        };
+      }
+      return {};
+    },
+  };
+}
+
+function makeScene() {
+  return {
+    _objects: [],
+    add(obj)    { this._objects.push(obj); },
+    remove(obj) { this._objects = this._objects.filter(o => o !== obj); },
+  };
+}
+
+describe('aero-setup math', () => {
+  it('WS1. normalizeWingSetup clamps the angle and keeps DRS F1-only', () => {
+    expect(normalizeWingSetup({ wingAngle: 40, drs: true })).toEqual({ wingAngle: WING_ANGLE_MAX, drs: true });
+    expect(normalizeWingSetup({ wingAngle: -40 })).toEqual({ wingAngle: WING_ANGLE_MIN, drs: false });
+    expect(normalizeWingSetup({ wingAngle: 3, drs: true }, 'GT')).toEqual({ wingAngle: 3, drs: false });
+    expect(normalizeWingSetup(null)).toEqual({ wingAngle: 0, drs: false });
+    expect(normalizeWingSetup({ wingAngle: 'x' }).wingAngle).toBe(0);
+    expect(Object.isFrozen(DEFAULT_WING_SETUP)).toBe(true);
+  });
+
+  it('WS2. rearWingLoad: 1 at the baseline, monotonic in angle, DRS sheds load', () => {
+    expect(rearWingLoad(DEFAULT_WING_SETUP)).toBe(1);
+    const lo = rearWingLoad({ wingAngle: WING_ANGLE_MIN });
+    const hi = rearWingLoad({ wingAngle: WING_ANGLE_MAX });
+    expect(lo).toBeLessThan(1);
+    expect(hi).toBeGreaterThan(1);
+    expect(rearWingLoad({ wingAngle: 1 }) - 1).toBeCloseTo(0.05, 2);   // ≈ 5 %/°
+    expect(rearWingLoad({ wingAngle: 4, drs: true }))
+      .toBeCloseTo(rearWingLoad({ wingAngle: 4 }) * DRS_LOAD, 12);
+    expect(lo).toBeGreaterThan(0);
+  });
+
+  it('WS3. rearFlapRotation: DRS raises the flap, more angle lowers it', () => {
+    expect(rearFlapRotation(DEFAULT_WING_SETUP)).toBe(0);
+    expect(rearFlapRotation({ drs: true })).toBeCloseTo(DRS_FLAP_DEG * Math.PI / 180, 12);
+    expect(rearFlapRotation({ wingAngle: 5 })).toBeLessThan(0);
+  });
+});
+
+describe('AirflowEffect.setWingSetup', () => {
+  const rearVortex = (fx) => fx.getModifiers().find(m => m.type === 'vortex' && m.e > 0);
+  const MEASURE = { anchors: {
+    frontWing: { x: 0, y: 0.02, z: -2.70 },
+    rearWing:  { x: 0, y: 0.98, z:  1.95 },
+  } };
+
+  it('WS4. rear-wing vortex modifier scales with the load; baseline is untouched', () => {
+    const fx = new AirflowEffect(makeScene());
+    fx.setCarType('F1', MEASURE);
+    const base = rearVortex(fx);
+    expect(base).toBeTruthy();
+    fx.setWingSetup({ wingAngle: 0, drs: true });
+    expect(rearVortex(fx).gamma).toBeCloseTo(base.gamma * DRS_LOAD, 9);
+    fx.setWingSetup(DEFAULT_WING_SETUP);
+    expect(rearVortex(fx).gamma).toBeCloseTo(base.gamma, 12);
+  });
+
+  it('WS5. tip vortexDefs carry the load only on the rear-wing role; visibility survives the rebuild', () => {
+    const fx = new AirflowEffect(makeScene());
+    fx.setCarType('F1');
+    fx.setVisible(true);
+    fx.setBaseY(0.12);
+    const profile = { vortexDefs: [
+      { role: 'frontWing', wz: -2, gamma: 1 },
+      { role: 'rearWing',  wz:  2, gamma: 1 },
+    ] };
+    fx.setWingSetup({ wingAngle: WING_ANGLE_MAX });
+    const k = rearWingLoad({ wingAngle: WING_ANGLE_MAX });
+    const defs = fx._resolveVortexDefs(profile, null);
+    expect(defs[0].gamma).toBe(1);
+    expect(defs[1].gamma).toBeCloseTo(k, 12);
+    expect(profile.vortexDefs[1].gamma).toBe(1);   // never mutates the profile
+    expect(fx.group.visible).toBe(true);
+    expect(fx.group.position.y).toBe(0.12);
+  });
+});
+
+describe('CFD wing load', () => {
+  const RW = { x: 0, y: 0.98, z: 1.95, bbox: { minZ: 1.75, maxZ: 2.15, minY: 0.9, maxY: 1.1 } };
+
+  it('WS6. getRoleCp scales rearWing / rearWingFlap only', () => {
+    expect(getRoleCp('F1', 'rearWing', 1)).toBe(getRoleCp('F1', 'rearWing'));
+    const half = getRoleCp('F1', 'rearWingFlap', 0.5);
+    expect(half.bias).toBeCloseTo(getRoleCp('F1', 'rearWingFlap').bias * 0.5, 12);
+    expect(half.scale).toBeCloseTo(getRoleCp('F1', 'rearWingFlap').scale * 0.5, 12);
+    expect(getRoleCp('F1', 'frontWing', 0.5)).toEqual(getRoleCp('F1', 'frontWing'));
+  });
+
+  it('WS7. computeSurfaceCp: rear-wing suction deepens with load, bodywork elsewhere does not move', () => {
+    const anchors = { rearWing: RW };
+    // Suction face (forward-and-down normal) near the quarter chord.
+    const at = (load) => computeSurfaceCp(0, 0.95, 1.85, 0, -0.6, -0.8, 'F1', anchors, 1, 1, load);
+    expect(at(1.3)).toBeLessThan(at(1));
+    expect(at(0.55)).toBeGreaterThan(at(1));
+    const side = (load) => computeSurfaceCp(0.5, 0.4, 0, 1, 0, 0, 'F1', anchors, 1, 1, load);
+    expect(side(1.3)).toBe(side(1));
+  });
+
+  it('WS8. CfdEffect.setWingSetup forces a recolor; DRS cuts the integrated downforce', () => {
+    const cfd = new CfdEffect(makeScene());
+    const geo = new THREE.BoxGeometry(1.8, 0.2, 0.4, 2, 2, 4);
+    geo.translate(0, 0.98, 1.95);
+    const wing = new THREE.Mesh(geo, new THREE.MeshStandardMaterial());
+    const carGroup = new THREE.Group();
+    carGroup.add(wing);
+    carGroup.updateMatrixWorld(true);
+    cfd.setBodySurface([wing], carGroup);
+    cfd.setCarType('F1', { frontAxleZ: -1.6, rearAxleZ: 1.5, anchors: { rearWing: RW } });
+    cfd.setVisible(true);
+    cfd.setSpeed(300);
+    cfd.update(0.016, 1.0);
+    const closed = cfd.getAeroForces(300);
+
+    cfd.setWingSetup({ drs: true });
+    expect(cfd._lastBuiltSpeed).toBe(-9999);
+    cfd.update(0.016, 1.1);
+    const open = cfd.getAeroForces(300);
+    expect(open.downforce).toBeLessThan(closed.downforce);
+
+    cfd.setWingSetup({ drs: true });                // unchanged ⇒ no recolor
+    expect(cfd._lastBuiltSpeed).not.toBe(-9999);
+  });
+});
+
+describe('rear flap geometry', () => {
+  it('WS9. procedural F1 exposes a TE-pivoted flap; rotating it moves the leading edge', async () => {
+    const { buildCar } = await import('../cars.js');
+    const grp = await buildCar('F1');
+    const flap = grp.userData.rearFlap;
+    expect(flap?.name).toBe('rearWingFlap');
+    const box = () => new THREE.Box3().setFromObject(flap);
+    grp.updateMatrixWorld(true);
+    const before = box();
+    flap.rotation.x = rearFlapRotation({ drs: true });
+    grp.updateMatrixWorld(true);
+    const after = box();
+    expect(after.max.z).toBeCloseTo(before.max.z, 1);   // TE stays put
+    expect(after.max.y).toBeGreaterThan(before.max.y + 0.05);
+  });
+
+  it('WS10. buildRearFlapFromGLB splits the upper-rear region onto a pivot and keeps it in the occupancy set', () => {
+    const geo = new THREE.BoxGeometry(1.8, 0.6, 0.6, 8, 8, 8);
+    geo.translate(0, 0.9, 1.9);
+    const wing = new THREE.Mesh(geo, new THREE.MeshStandardMaterial());
+    wing.name = 'Object_9';
+    const scene = new THREE.Group();
+    scene.add(wing);
+    const srcCount = geo.attributes.position.count;
+
+    const cfg = { mesh: 'Object_9', minYFrac: 0.62, minZFrac: 0.45, endplateInset: 0.05 };
+    const res = buildRearFlapFromGLB(scene, cfg);
+    expect(res).not.toBeNull();
+    expect(res.pivot.name).toBe('rearWingFlap');
+    expect(res.pivot.userData.bodySurface).toBe(true);
+    const flapMesh = res.pivot.children[0];
+    expect(flapMesh.name).toBe('Object_9_flap');
+    expect(res.pivot.position.z).toBeCloseTo(2.2, 6);   // trailing edge
+    expect(wing.geometry.attributes.position.count).toBeLessThan(srcCount);
+
+    const car = new THREE.Group();
+    car.add(scene, res.pivot);
+    const names = collectOccupancyMeshes(car, { anchorSources: { rearWing: 'Object_9' }, rearFlap: cfg })
+      .map(m => m.name);
+    expect(names).toContain('Object_9_flap');
+
+    // Region empty ⇒ share out of range ⇒ null, flap stays fixed.
+    expect(buildRearFlapFromGLB(scene, { ...cfg, minYFrac: 2 })).toBeNull();
+    expect(buildRearFlapFromGLB(scene, { ...cfg, mesh: 'missing' })).toBeNull();
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * aero-setup.js — driver-adjustable aero setup: rear-wing angle + DRS,
+ * ride height + rake, and the tunnel's ground (moving belt / fixed floor).
+ *
+ * Pure math, no Three.js. One setup object drives every aero subsystem:
+ *
+ *   rearWingLoad(setup)    — multiplier on the rear wing's circulation. Scales
+ *                            the airflow rear-wing vortex modifier + tip
+ *                            vortexDefs (effects.js) and the rearWing /
+ *                            rearWingFlap Cp (cfd-effect.js), so the ribbons,
+ *                            the CFD colours and the integrated loads agree.
+ *   rearFlapRotation(setup) — flap pitch (rad, about car-local X) applied to
+ *                            the rear-flap pivot cars.js / car-loader.js publish
+ *                            as group.userData.rearFlap.
+ *   underfloorGain(z, ride) — ground-effect multiplier on underfloor suction
+ *                            from the local floor gap (see Ride height below).
+ *   wheelsRolling(ground)   — whether the wheels spin (ωR / U = 1) for the
+ *                            Magnus circulation of the rotating wheels (see
+ *                            Tunnel ground below).
+ *
+ * Wing angle is a DELTA on the authored baseline (0° ⇒ every table exactly as
+ * before). Thin-airfoil lift slope dCL/dα = 2π rad⁻¹ over the baseline wing CL
+ * gives ≈ 5 % load per degree; DRS lifts the flap out of the slot and the
+ * rear wing keeps a bit over half its load (F1 only — GT wings have no DRS).
+ */
+
+export const WING_ANGLE_MIN = -6;   // degrees vs baseline — low-drag trim
+export const WING_ANGLE_MAX =  8;   // degrees vs baseline — high-downforce trim
+export const DRS_FLAP_DEG   = 28;   // flap opening when DRS is active
+export const DRS_LOAD       = 0.55; // fraction of rear-wing load kept with DRS open
+
+const REAR_WING_CL = 2.2;                              // baseline element CL
+const LIFT_SLOPE   = 2 * Math.PI * Math.PI / 180;     // per degree
+
+export const DEFAULT_WING_SETUP = Object.freeze({ wingAngle: 0, drs: false });
+
+/**
+ * Clamp a user setup into range; DRS only exists on the F1.
+ * @param {{wingAngle?:number, drs?:boolean}} setup
+ * @param {string} [type='F1']
+ * @returns {{wingAngle:number, drs:boolean}}
+ */
+export function normalizeWingSetup(setup, type = 'F1') {
+  const a = Number(setup?.wingAngle);
+  return {
+    wingAngle: Number.isFinite(a) ? Math.min(WING_ANGLE_MAX, Math.max(WING_ANGLE_MIN, a)) : 0,
+    drs: type === 'F1' && !!setup?.drs,
+  };
+}
+
+/** Rear-wing circulation multiplier (1 at the baseline, closed DRS). */
+export function rearWingLoad(setup) {
+  const s = normalizeWingSetup(setup);
+  const k = 1 + (LIFT_SLOPE * s.wingAngle) / REAR_WING_CL;
+  return Math.max(0.1, s.drs ? k * DRS_LOAD : k);
+}
+
+/**
+ * Flap pitch about its trailing-edge pivot (rad). Positive raises the
+ * leading edge — flattening the flap, which is what DRS does; more wing
+ * angle lowers it.
+ */
+export function rearFlapRotation(setup) {
+  const s = normalizeWingSetup(setup);
+  return ((s.drs ? DRS_FLAP_DEG : 0) - s.wingAngle) * Math.PI / 180;
+}
+
+/* ── Ride height + rake ────────────────────────────────────────────── *
+ * Both are DELTAS on the measured static pose (baseY puts the tyres on
+ * TRACK.SURFACE_Y). rideHeight lifts the sprung body (mm); rake pitches it
+ * nose-down (deg), so the floor gap opens toward the diffuser:
+ *
+ *   gap(z) = staticGap + rideHeight + z·tan(rake)      (car frame, nose −z)
+ *
+ * Underfloor suction follows the gap: a venturi gains as the floor nears
+ * the road — (staticGap/gap)^0.7 — until the boundary layers on floor and
+ * road merge and the channel stalls (the 1 − e^−(gap/stall)² roll-off).
+ * The gain is normalised to exactly 1 at the static gap, so the default
+ * setup leaves every calibrated Cp table untouched.
+ */
+export const RIDE_HEIGHT_MIN = -20;   // mm vs static — lowest the plank allows
+export const RIDE_HEIGHT_MAX =  40;   // mm vs static
+export const RAKE_MIN        = -0.5;  // degrees, nose-up
+export const RAKE_MAX        =  1.0;  // degrees, nose-down
+
+export const DEFAULT_RIDE_SETUP = Object.freeze({ rideHeight: 0, rake: 0 });
+
+/* Static mid-floor gap and stall gap per car (m). */
+const FLOOR_GAP = {
+  F1: { gap: 0.030, stall: 0.012 },   // venturi tunnels, plank-limited
+  GT: { gap: 0.055, stall: 0.025 },   // flat floor + splitter
+};
+const GAP_MIN = 0.002;                // floor on the plank — never zero
+
+/**
+ * Clamp a user ride setup into range.
+ * @param {{rideHeight?:number, rake?:number}} setup
+ * @returns {{rideHeight:number, rake:number}}
+ */
+export function normalizeRideSetup(setup) {
+  const clamp = (v, lo, hi) => (Number.isFinite(v) ? Math.min(hi, Math.max(lo, v)) : 0);
+  return {
+    rideHeight: clamp(Number(setup?.rideHeight), RIDE_HEIGHT_MIN, RIDE_HEIGHT_MAX),
+    rake:       clamp(Number(setup?.rake), RAKE_MIN, RAKE_MAX),
+  };
+}
+
+/** Body lift above the static pose (m). */
+export function rideHeightOffset(setup) {
+  return normalizeRideSetup(setup).rideHeight / 1000;
+}
+
+/** Body pitch (rad); positive = nose down / rear up. */
+export function rakeAngle(setup) {
+  return normalizeRideSetup(setup).rake * Math.PI / 180;
+}
+
+/** Floor-to-road gap (m) at car-frame z. */
+export function floorGapAt(zCar, setup, type = 'F1') {
+  const g = FLOOR_GAP[type] || FLOOR_GAP.F1;
+  const gap = g.gap + rideHeightOffset(setup) + zCar * Math.tan(rakeAngle(setup));
+  return Math.max(GAP_MIN, gap);
+}
+
+function rawGain(gap, g) {
+  return (g.gap / gap) ** 0.7 * (1 - Math.exp(-((gap / g.stall) ** 2)));
+}
+
+/**
+ * Underfloor suction multiplier for a floor gap (m): 1 at the static gap,
+ * rising as the car is lowered, collapsing below the stall gap.
+ */
+export function groundEffectGain(gap, type = 'F1') {
+  const g = FLOOR_GAP[type] || FLOOR_GAP.F1;
+  return rawGain(Math.max(GAP_MIN, gap), g) / rawGain(g.gap, g);
+}
+
+/**
+ * Suction multiplier at car-frame z for a ride setup — what the underfloor
+ * Cp consumers apply. Null / default setup ⇒ exactly 1. A setup carrying
+ * `ground: 'fixed'` (groundedRide) reads the fixed-floor gain instead.
+ */
+export function underfloorGain(zCar, setup, type = 'F1') {
+  if (!setup) return 1;
+  const s = normalizeRideSetup(setup);
+  const fixed = setup.ground === 'fixed';
+  if (!fixed && s.rideHeight === 0 && s.rake === 0) return 1;
+  const gap = floorGapAt(zCar, s, type);
+  return fixed ? fixedGroundGain(gap, zCar, type) : groundEffectGain(gap, type);
+}
+
+/* ── Tunnel ground: moving belt vs fixed floor ─────────────────────── *
+ * On the road — and over a tunnel's moving belt — the ground travels at
+ * the air speed in the car frame, so no boundary layer grows on it and
+ * the wheels roll. A fixed floor is the classic cheap tunnel: the air
+ * slows against it, a road boundary layer thickens from the suction slot
+ * just ahead of the nose, and the wheels stand still.
+ *
+ * Under the car that layer does two things to the venturi channel: its
+ * displacement (δ* ≈ δ/8, turbulent 1/7-power profile) narrows the gap,
+ * and it reaches the floor's own layer sooner — the stall gap grows by δ.
+ * The net is a loss that grows toward the diffuser and bites hardest on
+ * the low, gap-sensitive F1 floor: the reason ground-effect cars are
+ * tested on a belt.
+ */
+export const GROUND_MODES   = ['moving', 'fixed'];
+export const DEFAULT_GROUND = 'moving';
+
+const GROUND_SLOT_Z   = -3.0;    // car-frame z of the floor suction slot (m)
+const ROAD_BL_GROWTH  = 0.004;   // road boundary-layer thickness per metre run
+
+/** 'fixed' or 'moving' (anything else). */
+export function normalizeGroundMode(mode) {
+  return mode === 'fixed' ? 'fixed' : 'moving';
+}
+
+/** Fixed-floor boundary-layer thickness δ (m) at car-frame z. */
+export function roadBoundaryLayer(zCar) {
+  return ROAD_BL_GROWTH * Math.max(0, zCar - GROUND_SLOT_Z);
+}
+
+/**
+ * Underfloor suction multiplier over a fixed floor: the gap narrowed by
+ * the road layer's displacement, the stall gap widened by its thickness.
+ * Normalised to the moving-ground static gap, so it compares directly
+ * with groundEffectGain.
+ */
+export function fixedGroundGain(gap, zCar, type = 'F1') {
+  const g = FLOOR_GAP[type] || FLOOR_GAP.F1;
+  const delta = roadBoundaryLayer(zCar);
+  const eff = Math.max(GAP_MIN, gap - delta / 8);
+  return rawGain(eff, { gap: g.gap, stall: g.stall + delta }) / rawGain(g.gap, g);
+}
+
+/**
+ * The ride setup the underfloor consumers carry for a ground mode: null
+ * for the static pose over a moving belt (every table untouched), else the
+ * normalised setup, tagged `ground: 'fixed'` over a fixed floor.
+ */
+export function groundedRide(setup, ground = DEFAULT_GROUND) {
+  const s = normalizeRideSetup(setup);
+  if (normalizeGroundMode(ground) === 'fixed') return { ...s, ground: 'fixed' };
+  return (s.rideHeight === 0 && s.rake === 0) ? null : s;
+}
+
+/**
+ * Whether the wheels roll in this tunnel: over the moving belt they turn
+ * with the road — spin ratio ωR / U = 1, rolling without slip — and over a
+ * fixed floor they stand still (0). A ground-mode property, not a per-frame
+ * reading: at rest there is no flow to spin into, so stopping the car
+ * leaves the flow model alone.
+ * @param {string} ground - GROUND_MODES entry
+ * @returns {boolean}
+ */
+export function wheelsRolling(ground) {
+  return normalizeGroundMode(ground) === 'moving';
+}
\ No newline at end of file
@@ -7,8 +7,57 @@
  *   eta — longitudinal axis (freestream flows in +eta direction)
  *
  * The car body is modelled as a unit circle centred at origin.
- * Points with r² ≤ 1 are inside the body.
+ * Points with r² ≤ 1 are inside the body. A real outline can replace the
+ * circle: `solvePanelBody` (source panels, optional Kutta vortex) returns a
+ * body every base-field consumer below accepts in place of the cylinder.
+ *
+ * Yaw / crosswind: every base field takes an optional flow-plane freestream
+ * `free = {vxi, veta}` (crosswindFreestream). Omitted ⇒ (0, 1), the
+ * straight-ahead tunnel — the original code path, bit for bit.
+ *
+ * Quasi-3-D: `quasi3dVelocity` joins the plan solution at each height with
+ * the side-view one into a single (xi, eta, y) field, and
+ * `traceStreamline3D` traces it — the field AirflowEffect.getFlowField
+ * shares with sampleFlowAt and the CFD streamlines.
+ */
+
+/**
+ * Flow-plane freestream for a yaw angle (rad). The car moves at V through
+ * air with a crosswind w; the relative wind arrives at yaw = atan(w/V),
+ * positive blowing toward +x (in from the −x side). The longitudinal
+ * component stays 1 (veta = V), the lateral one picks up the halfL/halfW
+ * aspect of the (xi, eta) plane — the inverse of the sampleFlowAt mapping.
+ * Returns null at zero yaw so callers keep the unyawed fast path.
+ *
+ * @param {number} yaw   - relative-wind yaw angle (rad)
+ * @param {number} halfW - flow-plane half-width (m)
+ * @param {number} halfL - flow-plane half-length (m)
+ * @returns {{vxi:number, veta:number}|null}
+ */
+export function crosswindFreestream(yaw, halfW, halfL) {
+  if (!yaw || !Number.isFinite(yaw)) return null;
+  return { vxi: Math.tan(yaw) * (halfL / halfW), veta: 1 };
+}
+
+function isYawed(free) {
+  return !!free && (free.vxi !== 0 || free.veta !== 1);
+}
+
+/**
+ * Unit cylinder in a uniform stream (ux, ue) — superposition of the
+ * +eta doublet flow and its +xi twin. Interior points return {0, 0}.
  */
+function cylinderVelocity(xi, eta, ux, ue) {
+  const r2 = xi * xi + eta * eta;
+  if (r2 <= 1) return { vxi: 0, veta: 0 };
+  const r4 = r2 * r2;
+  const cross = -2 * xi * eta / r4;
+  const d = (eta * eta - xi * xi) / r4;
+  return {
+    vxi:  ux * (1 + d) + ue * cross,
+    veta: ux * cross   + ue * (1 - d),
+  };
+}
 
 /**
  * Potential-flow velocity around a unit cylinder.
@@ -24,16 +73,30 @@
  * the wing planform). `{rw:1, rl:1, etaC:0}` ≡ default unit cylinder.
  * A non-positive rw/rl means NO body at this height → pure freestream.
  *
+ * Panel bodies: a `solvePanelBody` result — or a section carrying one as
+ * `body.panel` — evaluates the panel solution instead (real outline).
+ *
+ * `free` rotates the oncoming stream (yaw / crosswind). The scaled section
+ * sees it through the same scaling (lateral × rl/rw in scaled space).
+ *
  * @param {number} xi
  * @param {number} eta
- * @param {{rw:number, rl:number, etaC:number}} [body]
+ * @param {{rw:number, rl:number, etaC:number, panel?:object}|object} [body]
+ * @param {{vxi:number, veta:number}} [free] - freestream, default (0, 1)
  * @returns {{vxi: number, veta: number}}
  */
-export function topViewVelocity(xi, eta, body) {
+export function topViewVelocity(xi, eta, body, free) {
+  const yawed = isYawed(free);
   if (body) {
-    if (!(body.rw > 0) || !(body.rl > 0)) return { vxi: 0, veta: 1 };
+    const pb = panelOf(body);
+    if (pb) return panelVelocity(xi, eta, pb, free);
+    if (!(body.rw > 0) || !(body.rl > 0)) return yawed ? { vxi: free.vxi, veta: free.veta } : { vxi: 0, veta: 1 };
     const xs = xi / body.rw;
     const es = (eta - (body.etaC || 0)) / body.rl;
+    if (yawed) {
+      const c = cylinderVelocity(xs, es, free.vxi * (body.rl / body.rw), free.veta);
+      return { vxi: c.vxi * (body.rw / body.rl), veta: c.veta };
+    }
     const r2 = xs * xs + es * es;
     if (r2 <= 1) return { vxi: 0, veta: 0 };
     const r4 = r2 * r2;
@@ -47,6 +110,7 @@ export function topViewVelocity(xi, eta, body) {
       veta:  1 - (es * es - xs * xs) / r4,
     };
   }
+  if (yawed) return cylinderVelocity(xi, eta, free.vxi, free.veta);
   const r2 = xi * xi + eta * eta;
   if (r2 <= 1) return { vxi: 0, veta: 0 };
   const r4 = r2 * r2;
@@ -56,6 +120,70 @@ export function topViewVelocity(xi, eta, body) {
   };
 }
 
+/** The solved panel body behind a base-field `body` argument, or null. */
+function panelOf(body) {
+  if (!body) return null;
+  if (body.kind === 'panel') return body;
+  return body.panel?.kind === 'panel' ? body.panel : null;
+}
+
+/**
+ * Whether (xi, eta) lies inside a base-field body — panel polygon, scaled
+ * section, or (no body) the unit cylinder. An empty section never does.
+ */
+function sectionContains(body, xi, eta) {
+  const panel = panelOf(body);
+  if (panel) return panelBodyContains(panel, xi, eta);
+  if (body) {
+    if (!(body.rw > 0) || !(body.rl > 0)) return false;   // no body at this height
+    const xs = xi / body.rw;
+    const es = (eta - (body.etaC || 0)) / body.rl;
+    return xs * xs + es * es <= 1;
+  }
+  return xi * xi + eta * eta <= 1;
+}
+
+/**
+ * Move an interior point just outside the body: the nearest panel for a
+ * polygon, radially (in scaled space) for a section or the cylinder.
+ */
+function sectionPush(body, xi, eta) {
+  const panel = panelOf(body);
+  if (panel) return panelSurfacePush(panel, xi, eta);
+  if (body) {
+    const xs = xi / body.rw;
+    const es = (eta - (body.etaC || 0)) / body.rl;
+    const s  = 1.001 / (Math.hypot(xs, es) || 1e-9);
+    return { xi: xs * s * body.rw, eta: es * s * body.rl + (body.etaC || 0) };
+  }
+  const s = 1.001 / (Math.hypot(xi, eta) || 1e-9);
+  return { xi: xi * s, eta: eta * s };
+}
+
+/**
+ * The body's wall seen from an exterior point: unit outward normal in
+ * (xi, eta) and the distance to it — the nearest panel edge of a polygon,
+ * the scaled radial direction of a section or the cylinder. null when the
+ * section is empty.
+ */
+function planWall(body, xi, eta) {
+  const panel = panelOf(body);
+  if (panel) {
+    const b = nearestPanel(panel, xi, eta);
+    const nxi = b.p.nx * panel.aspect, m = Math.hypot(nxi, b.p.ne) || 1;
+    return { d: Math.sqrt(b.d2), nxi: nxi / m, neta: b.p.ne / m };
+  }
+  let xs = xi, es = eta, rw = 1, rl = 1;
+  if (body) {
+    if (!(body.rw > 0) || !(body.rl > 0)) return null;
+    rw = body.rw; rl = body.rl;
+    xs = xi / rw; es = (eta - (body.etaC || 0)) / rl;
+  }
+  const r = Math.hypot(xs, es) || 1e-9;
+  const nxi = xs / rw, neta = es / rl, m = Math.hypot(nxi, neta) || 1;
+  return { d: (r - 1) * Math.min(rw, rl), nxi: nxi / m, neta: neta / m };
+}
+
 /**
  * Pressure coefficient from velocity components (Bernoulli).
  * Cp = 1 − (vxi² + veta²)
@@ -158,11 +286,14 @@ export function cpToColor(cp) {
  * @param {{rw:number, rl:number, etaC:number}} [opts.body] - height-aware
  *          body cross-section forwarded to `topViewVelocity` (and, through
  *          `sumVelocity` opts, to the base field under modifiers). Omitted
- *          ⇒ the default whole-car unit cylinder.
+ *          ⇒ the default whole-car unit cylinder. A panel body (or a
+ *          section carrying `.panel`) slides paths along its polygon.
  * @param {number} [opts.seedY]  - seed height (m, car-local) for modifier
  *          y-band gating in `sumVelocity`.
  * @param {number} [opts.halfW]  - physical flow-plane half-dims, needed by
  * @param {number} [opts.halfL]    physical-space modifiers (tire doublets).
+ * @param {{vxi:number, veta:number}} [opts.free] - yawed freestream
+ *          (crosswindFreestream); omitted ⇒ straight-ahead (0, 1).
  * @returns {Array<{xi: number, eta: number, vxi: number, veta: number}>}
  */
 export function traceStreamlinePath(seedXi, seedEta, steps = 200, stepSize = 0.14, opts = {}) {
@@ -174,24 +305,15 @@ export function traceStreamlinePath(seedXi, seedEta, steps = 200, stepSize = 0.1
   const modifiers = opts.modifiers || null;
   const hasMods   = Array.isArray(modifiers) && modifiers.length > 0;
   const body      = opts.body || null;
-  const flowOpts  = (body || opts.seedY !== undefined || opts.halfW !== undefined)
-    ? { body, y: opts.seedY, halfW: opts.halfW, halfL: opts.halfL }
+  const free      = isYawed(opts.free) ? opts.free : null;
+  const flowOpts  = (body || free || opts.seedY !== undefined || opts.halfW !== undefined)
+    ? { body, y: opts.seedY, halfW: opts.halfW, halfL: opts.halfL, ...(free ? { free } : {}) }
     : undefined;
 
-  function insideBody(x, e) {
-    if (body) {
-      if (!(body.rw > 0) || !(body.rl > 0)) return false;   // no body at this height
-      const xs = x / body.rw;
-      const es = (e - (body.etaC || 0)) / body.rl;
-      return xs * xs + es * es <= 1;
-    }
-    return x * x + e * e <= 1;
-  }
-
   function normalizedDir(x, e) {
     const { vxi, veta } = hasMods
       ? sumVelocity(x, e, topViewVelocity, modifiers, flowOpts)
-      : topViewVelocity(x, e, body);
+      : topViewVelocity(x, e, body, free);
     const spd = Math.sqrt(vxi * vxi + veta * veta);
     if (spd < 1e-6) return { dxi: 0, deta: 0, vxi, veta, spd: 0 };
     return { dxi: vxi / spd, deta: veta / spd, vxi, veta, spd };
@@ -268,21 +390,8 @@ export function traceStreamlinePath(seedXi, seedEta, steps = 200, stepSize = 0.1
     // radially (in scaled space) just outside the surface — the ribbon
     // hugs the body and continues downstream, matching the occupancy-slide
     // behavior. A stalled projection (stagnation line) still terminates.
-    if (insideBody(nextXi, nextEta)) {
-      let px = nextXi, pe = nextEta;
-      if (body) {
-        const xs = px / body.rw;
-        const es = (pe - (body.etaC || 0)) / body.rl;
-        const r  = Math.hypot(xs, es) || 1e-9;
-        const s  = 1.001 / r;
-        px = xs * s * body.rw;
-        pe = es * s * body.rl + (body.etaC || 0);
-      } else {
-        const r = Math.hypot(px, pe) || 1e-9;
-        const s = 1.001 / r;
-        px *= s;
-        pe *= s;
-      }
+    if (sectionContains(body, nextXi, nextEta)) {
+      const { xi: px, eta: pe } = sectionPush(body, nextXi, nextEta);
       // Terminate when surface progress collapses — either a stagnation
       // line or a vent sink pinning the path against the wall (air being
       // ingested). 0.25·step keeps genuine tangential slides alive (they
@@ -323,6 +432,331 @@ export function sideViewVelocity(etaNorm, yNorm) {
   };
 }
 
+/* ── Quasi-3-D field ─────────────────────────────────────────────────── */
+
+/** Half-widths (xi) beyond the body side over which the rise fades out. */
+const SIDE_FADE = 0.2;
+/** Body heights above the top over which the default cylinder fades out. */
+const TOP_FADE = 0.25;
+/** Distance (trace units) over which the wall-slip correction fades out. */
+const WALL_SLIP = 0.15;
+
+/** 1 at t ≤ 0, cosine down to 0 at t ≥ 1. */
+function fadeOut(t) {
+  if (t <= 0) return 1;
+  if (t >= 1) return 0;
+  return 0.5 + 0.5 * Math.cos(Math.PI * t);
+}
+
+/** The side-view ellipse of a field: ground, height, and eta extent. */
+function sideEllipse(field) {
+  const groundY = field.groundY ?? 0;
+  return {
+    groundY,
+    H:    Math.max((field.topY ?? groundY + 1) - groundY, 0.05),
+    etaC: field.side?.etaC || 0,
+    rl:   field.side?.rl > 0 ? field.side.rl : 1,
+  };
+}
+
+/**
+ * Whether a point is inside the quasi-3-D body: inside its height's plan
+ * section, below the top. The default cylinder has no height of its own —
+ * the side-view ellipse cuts it, so that body is the intersection of the
+ * two views (h — height over the ground).
+ */
+function fieldContains(S, body, xi, eta, h) {
+  if (h >= S.H || !sectionContains(body, xi, eta)) return false;
+  if (body) return true;
+  const es = (eta - S.etaC) / S.rl, ys = h / S.H;
+  return es * es + ys * ys <= 1;
+}
+
+/**
+ * Quasi-3-D velocity: the top-view solution at the point's height
+ * (topViewVelocity on that height's cross-section, plus modifiers) and the
+ * side-view solution over the car's elevation (sideViewVelocity on an
+ * ellipse standing on the ground — the ground is its mirror plane) summed
+ * as perturbations of one freestream.
+ *
+ * A finite body sends part of the oncoming air round its flanks and part
+ * over its top. Where both solutions act — inside the body's width, below
+ * its top — they share the blockage by aspect: a = H / (H + halfW) to the
+ * plan view, the rest to the side view, so a low wide car is mostly flown
+ * over and a tall narrow one mostly round. Beside the body the rise fades
+ * out over SIDE_FADE half-widths; above it the plan section is empty (the
+ * default cylinder fades out over TOP_FADE heights) and the side view
+ * carries the whole perturbation. The side view is a 2-D solution — a body
+ * as wide as the stream — so its perturbation falls away with distance d
+ * from the ellipse as 1 / (1 + d / halfW), the faster decay of a body only
+ * 2·halfW across.
+ *
+ * Each view is impermeable only at full weight, so the blend can still
+ * carry air into the body; within WALL_SLIP of a wall the inward normal
+ * component is removed (fading to none at WALL_SLIP) — the plan wall below
+ * the top, and the default cylinder's side-view roof.
+ *
+ * The body itself is each height's plan section below the top; the default
+ * cylinder is cut to the side-view ellipse.
+ *
+ * `field` (AirflowEffect.getFlowField):
+ *   halfW, halfL   flow-plane half-dims (m)
+ *   groundY, topY  ground plane and body top (car-local y, m)
+ *   sectionAt(y)   plan section at height y — a topViewVelocity body;
+ *                  null ⇒ the unit cylinder, {rw: 0} ⇒ no body
+ *   side           {etaC, rl} — elevation extent along eta (default 0, 1)
+ *   modifiers      sumVelocity modifiers, y-gated at the point's height;
+ *                  spinning tire doublets add their side-view circulation
+ *                  (rotatingWheelVelocity) to veta / vy
+ *   free           yawed freestream (crosswindFreestream)
+ *
+ * @param {number} xi
+ * @param {number} eta
+ * @param {number} y     - car-local height (m)
+ * @param {object} field
+ * @returns {{vxi:number, veta:number, vy:number}} plan components in the
+ *   topViewVelocity convention (veta = 1 is the freestream), vy as a
+ *   fraction of the freestream speed. Zero inside the body.
+ */
+export function quasi3dVelocity(xi, eta, y, field) {
+  const { halfW, halfL } = field;
+  const free = isYawed(field.free) ? field.free : null;
+  const fxi = free ? free.vxi : 0, feta = free ? free.veta : 1;
+  const S = sideEllipse(field);
+  const H = S.H;
+  const h = Math.max(0, y - S.groundY);
+  const body = field.sectionAt?.(y) ?? null;
+  if (fieldContains(S, body, xi, eta, h)) return { vxi: 0, veta: 0, vy: 0 };
+
+  const empty = !!body && !panelOf(body) && !(body.rw > 0 && body.rl > 0);
+  const wTop  = empty ? 0 : body ? 1 : fadeOut((h - H) / (TOP_FADE * H));
+  const wSide = fadeOut((Math.abs(xi) - 1) / SIDE_FADE);
+  const a     = H / (H + halfW);
+  const kPlan = wTop * (1 - (1 - a) * wSide);
+  const kSide = wSide * (1 - a * wTop);
+
+  // Plan view, its perturbation scaled by kPlan. Over or under the body a
+  // point can sit within the section — it sees the flow at its surface.
+  const plan = (x, e, b, f) => {
+    if (kPlan === 0) return { vxi: fxi, veta: feta };
+    const p = sectionContains(b, x, e) ? sectionPush(b, x, e) : { xi: x, eta: e };
+    const v = topViewVelocity(p.xi, p.eta, b, f);
+    return { vxi: fxi + (v.vxi - fxi) * kPlan, veta: feta + (v.veta - feta) * kPlan };
+  };
+  const mods = field.modifiers;
+  const { vxi, veta: vPlan } = mods && mods.length > 0
+    ? sumVelocity(xi, eta, plan, mods, { body, y, halfW, halfL, ...(free ? { free } : {}) })
+    : plan(xi, eta, body, free);
+  const spin = wheelSpinField(mods, xi, eta, y, S.groundY, halfW, halfL);
+  const veta = vPlan + spin.vz;
+  if (kSide === 0) return wallSlip(S, body, xi, eta, h, { vxi, veta, vy: spin.vy }, halfL);
+
+  // Side view in the ellipse's scaled frame; the scaled-field velocity maps
+  // back like topViewVelocity's sections (vy picks up the H / Lz aspect).
+  // Points within the ellipse but off the plan body read its surface.
+  const Lz = S.rl * halfL;
+  let es = (eta - S.etaC) / S.rl, ys = h / H;
+  const r = Math.hypot(es, ys);
+  if (r <= 1) {
+    if (r < 1e-9) { es = 0; ys = 1.001; } else { es *= 1.001 / r; ys *= 1.001 / r; }
+  }
+  const sv = sideViewVelocity(es, ys);
+  const k  = kSide / (1 + Math.max(0, r - 1) * Math.min(Lz, H) / halfW);
+  return wallSlip(S, body, xi, eta, h, {
+    vxi,
+    veta: veta + (sv.veta - 1) * k,
+    vy:   spin.vy + sv.vy * (H / Lz) * k,
+  }, halfL);
+}
+
+/**
+ * Side-view circulation of the spinning tires: every 'doublet' modifier
+ * carrying `spin` (ωR / U; 1 rolling), `hubY` and `wr` adds
+ * rotatingWheelVelocity across its tread half-width `hw` (m), fading out
+ * over one more half-width beside it.
+ */
+function wheelSpinField(mods, xi, eta, y, groundY, halfW, halfL) {
+  let vz = 0, vy = 0;
+  if (!mods) return { vz, vy };
+  for (const m of mods) {
+    if (m.type !== 'doublet' || !(m.spin > 0) || !Number.isFinite(m.hubY)) continue;
+    const w = fadeOut((Math.abs(xi - m.x) * halfW - m.hw) / m.hw);
+    if (w === 0) continue;
+    const v = rotatingWheelVelocity(eta * halfL, y, m.e * halfL, m.hubY, groundY, m.wr, m.spin);
+    vz += v.vz * w;
+    vy += v.vy * w;
+  }
+  return { vz, vy };
+}
+
+/**
+ * Rotating-cylinder circulation of a rolling wheel in the SIDE view (car-
+ * local z, y; freestream +z), as a perturbation in freestream units. A
+ * wheel rolling forward turns its top upstream: circulation
+ * Γ / U = 2π·R·spin, sensed so the air over the tread slows and the air
+ * beneath speeds up — the Magnus pair that trims an isolated wheel's lift.
+ * The ground is a mirror plane (an image vortex of opposite sense below
+ * it), so the road stays impermeable and the flow into the contact patch
+ * is doubled — the jetting that jacks the wheel up. Rankine core of the
+ * wheel radius: solid-body rotation inside, spin at the tread.
+ *
+ *   u_z = −k·dy / max(r², R²)     u_y = k·dz / max(r², R²)     k = R·spin
+ *
+ * @param {number} z       - sample z (m)
+ * @param {number} y       - sample height (m)
+ * @param {number} z0      - hub z (m)
+ * @param {number} hubY    - hub height (m)
+ * @param {number} groundY - ground plane height (m)
+ * @param {number} R       - tyre radius (m)
+ * @param {number} spin    - ωR / U (1 rolling, 0 stopped — aero-setup.js wheelsRolling)
+ * @returns {{vz: number, vy: number}}
+ */
+export function rotatingWheelVelocity(z, y, z0, hubY, groundY, R, spin) {
+  const k  = R * spin;
+  const R2 = R * R;
+  const dz = z - z0, dy = y - hubY, dyi = y - (2 * groundY - hubY);
+  const r2  = Math.max(dz * dz + dy * dy, R2);
+  const ri2 = Math.max(dz * dz + dyi * dyi, R2);
+  return {
+    vz: -k * dy / r2 + k * dyi / ri2,
+    vy:  k * dz / r2 - k * dz / ri2,
+  };
+}
+
+/**
+ * Remove the into-the-wall component of a blended velocity near the body
+ * (quasi3dVelocity). Works in trace space (xi, eta, y / halfL), where the
+ * velocity is (vxi, veta, vy).
+ */
+function wallSlip(S, body, xi, eta, h, v, halfL) {
+  const Ht = S.H / halfL;
+  const es = (eta - S.etaC) / S.rl, ys = h / S.H;
+  const inSide = es * es + ys * ys <= 1;
+  if (h < S.H && (body || inSide)) {
+    const w = planWall(body, xi, eta);
+    if (w && w.d < WALL_SLIP) {
+      const vn = v.vxi * w.nxi + v.veta * w.neta;
+      if (vn < 0) {
+        const f = vn * fadeOut(w.d / WALL_SLIP);
+        v.vxi  -= f * w.nxi;
+        v.veta -= f * w.neta;
+      }
+    }
+  }
+  if (!body && sectionContains(null, xi, eta) && !inSide) {
+    const r = Math.hypot(es, ys) || 1e-9;
+    const ne = es / S.rl, ny = ys / Ht, m = Math.hypot(ne, ny) || 1;
+    const d = (r - 1) * Math.min(S.rl, Ht);
+    if (d < WALL_SLIP) {
+      const vn = (v.veta * ne + v.vy * ny) / m;
+      if (vn < 0) {
+        const f = vn * fadeOut(d / WALL_SLIP);
+        v.veta -= f * ne / m;
+        v.vy   -= f * ny / m;
+      }
+    }
+  }
+  return v;
+}
+
+/**
+ * Trace a streamline through the quasi-3-D field by RK4 in (xi, eta, y):
+ * the path climbs over the body while it turns round it, and the plan
+ * section it sees follows its height. Height is stepped in half-lengths,
+ * the unit eta is measured in, so vertex spacing matches
+ * traceStreamlinePath.
+ *
+ * Body contact: a step into the occupancy field slides along its surface
+ * (the step minus its component along the gradient) and a step that stays
+ * inside ends the path; a step into the analytic body is pushed out like
+ * traceStreamlinePath's — the default cylinder by its nearer face, round
+ * the flank or over the top — ending when progress stalls.
+ *
+ * @param {number} seedXi
+ * @param {number} seedEta
+ * @param {number} seedY    - car-local seed height (m)
+ * @param {number} steps
+ * @param {number} stepSize
+ * @param {object} field    - quasi3dVelocity field
+ * @param {object} [opts]
+ * @param {{sample:Function, gradient?:Function}} [opts.occupancy] - world-
+ *          frame occupancy (body-sdf.js), looked up at
+ *          (xi·halfW, y + baseY, eta·halfL)
+ * @param {number} [opts.baseY=0]
+ * @returns {Array<{xi:number, eta:number, y:number, vxi:number, veta:number, vy:number}>}
+ */
+export function traceStreamline3D(seedXi, seedEta, seedY, steps = 200, stepSize = 0.14, field, opts = {}) {
+  const path = [];
+  const { halfW, halfL } = field;
+  const S       = sideEllipse(field);
+  const occ     = opts.occupancy || null;
+  const baseY   = opts.baseY || 0;
+  let xi = seedXi, eta = seedEta, y = seedY;
+
+  function dir(x, e, yy) {
+    const v = quasi3dVelocity(x, e, yy, field);
+    const spd = Math.hypot(v.vxi, v.veta, v.vy);
+    if (spd < 1e-6) return { dx: 0, de: 0, dy: 0, v, spd: 0 };
+    return { dx: v.vxi / spd, de: v.veta / spd, dy: (v.vy / spd) * halfL, v, spd };
+  }
+
+  const h2 = stepSize / 2;
+  for (let i = 0; i < steps; i++) {
+    const k1 = dir(xi, eta, y);
+    path.push({ xi, eta, y, vxi: k1.v.vxi, veta: k1.v.veta, vy: k1.v.vy });
+    if (k1.spd === 0) break;
+    const k2 = dir(xi + h2 * k1.dx, eta + h2 * k1.de, y + h2 * k1.dy);
+    if (k2.spd === 0) break;
+    const k3 = dir(xi + h2 * k2.dx, eta + h2 * k2.de, y + h2 * k2.dy);
+    if (k3.spd === 0) break;
+    const k4 = dir(xi + stepSize * k3.dx, eta + stepSize * k3.de, y + stepSize * k3.dy);
+
+    let nXi  = xi  + (stepSize / 6) * (k1.dx + 2 * k2.dx + 2 * k3.dx + k4.dx);
+    let nEta = eta + (stepSize / 6) * (k1.de + 2 * k2.de + 2 * k3.de + k4.de);
+    let nY   = Math.max(S.groundY, y + (stepSize / 6) * (k1.dy + 2 * k2.dy + 2 * k3.dy + k4.dy));
+
+    if (occ && occ.sample(nXi * halfW, nY + baseY, nEta * halfL) > 0.5) {
+      const g = occ.gradient
+        ? occ.gradient(nXi * halfW, nY + baseY, nEta * halfL)
+        : { x: 0, y: 1, z: 0 };
+      const gMag = Math.hypot(g.x, g.y, g.z);
+      if (gMag < 1e-9) break;                      // deep inside
+      const nx = g.x / gMag, ny = g.y / gMag, nz = g.z / gMag;
+      const sx = (nXi - xi) * halfW, sy = nY - y, sz = (nEta - eta) * halfL;
+      const dot = sx * nx + sy * ny + sz * nz;
+      nXi  = xi  + (sx - dot * nx) / halfW;
+      nY   = y   +  sy - dot * ny;
+      nEta = eta + (sz - dot * nz) / halfL;
+      if (occ.sample(nXi * halfW, nY + baseY, nEta * halfL) > 0.5) break;
+    }
+
+    const body = field.sectionAt?.(nY) ?? null;
+    if (fieldContains(S, body, nXi, nEta, nY - S.groundY)) {
+      let p = sectionPush(body, nXi, nEta), pY = nY;
+      if (!body) {
+        const es = (nEta - S.etaC) / S.rl, ys = (nY - S.groundY) / S.H;
+        const k  = 1.001 / (Math.hypot(es, ys) || 1e-9);
+        const overEta = S.etaC + es * k * S.rl, overY = S.groundY + ys * k * S.H;
+        if (Math.hypot((overEta - nEta) * halfL, overY - nY)
+            < Math.hypot((p.xi - nXi) * halfW, (p.eta - nEta) * halfL)) {
+          p  = { xi: nXi, eta: overEta };
+          pY = overY;
+        }
+      }
+      if (Math.hypot(p.xi - xi, p.eta - eta, (pY - y) / halfL) < stepSize * 0.25) break;
+      nXi  = p.xi;
+      nEta = p.eta;
+      nY   = pY;
+    }
+
+    xi  = nXi;
+    eta = nEta;
+    y   = nY;
+  }
+
+  return path;
+}
+
 /**
  * Analytical point-sink velocity contribution at (xi, eta) from a sink
  * centred at (x0, e0) with visual strength `strength` and Rankine-core
@@ -402,16 +836,21 @@ export function sourceVelocity(xi, eta, x0, e0, strength = 0.2, rc = 0.12) {
  *                'doublet' modifiers (tire bluff bodies), which evaluate in
  *                physical car-local xz so wheels stay circular; doublets
  *                are skipped when the dims are absent.
+ *   opts.free  — yawed freestream (crosswindFreestream), forwarded to
+ *                `baseFn`; tire doublets turn into the same stream. Vent
+ *                sinks/sources and wing vortices are body-fixed features
+ *                and stay put.
  *
  * @param {number} xi
  * @param {number} eta
- * @param {(xi:number, eta:number, body?:object)=>{vxi:number, veta:number}} baseFn
+ * @param {(xi:number, eta:number, body?:object, free?:object)=>{vxi:number, veta:number}} baseFn
  * @param {Array<object>} [modifiers=[]]
- * @param {{body?:object, y?:number, halfW?:number, halfL?:number}} [opts]
+ * @param {{body?:object, y?:number, halfW?:number, halfL?:number, free?:object}} [opts]
  * @returns {{vxi: number, veta: number}}
  */
 export function sumVelocity(xi, eta, baseFn, modifiers = [], opts) {
-  const base = baseFn(xi, eta, opts?.body);
+  const free = isYawed(opts?.free) ? opts.free : null;
+  const base = free ? baseFn(xi, eta, opts?.body, free) : baseFn(xi, eta, opts?.body);
   let vxi = base.vxi, veta = base.veta;
   if (!modifiers || modifiers.length === 0) return { vxi, veta };
   const gateY = opts && Number.isFinite(opts.y);
@@ -429,11 +868,13 @@ export function sumVelocity(xi, eta, baseFn, modifiers = [], opts) {
       c = vortexVelocity(xi, eta, m.x, m.e, m.gamma, m.rc);
     } else if (m.type === 'doublet') {
       if (!hasDims) continue;   // physical-space modifier needs real dims
-      const p = doubletVelocity(
-        xi * opts.halfW, eta * opts.halfL,
-        m.x * opts.halfW, m.e * opts.halfL,
-        m.R, m.rc
-      );
+      const p = free
+        ? yawedDoublet(xi, eta, m, opts.halfW, opts.halfL, free)
+        : doubletVelocity(
+          xi * opts.halfW, eta * opts.halfL,
+          m.x * opts.halfW, m.e * opts.halfL,
+          m.R, m.rc
+        );
       // Physical→(xi,eta): freestream (veta=1) maps to a physical speed of
       // halfL per unit parameter, so a dimensionless physical perturbation
       // (freestream=1) contributes vxi += pvx·halfL/halfW, veta += pvz.
@@ -447,6 +888,21 @@ export function sumVelocity(xi, eta, baseFn, modifiers = [], opts) {
   return { vxi, veta };
 }
 
+/**
+ * Tire doublet in a yawed stream: rotate the sample into the wind frame,
+ * evaluate the +z doublet, rotate the perturbation back and scale by the
+ * physical stream speed. Physical stream = (vxi·halfW/halfL, veta).
+ */
+function yawedDoublet(xi, eta, m, halfW, halfL, free) {
+  const fx = free.vxi * (halfW / halfL), fz = free.veta;
+  const U = Math.hypot(fx, fz);
+  const c = fz / U, s = fx / U;
+  const x = xi * halfW, z = eta * halfL, x0 = m.x * halfW, z0 = m.e * halfL;
+  // Wind frame: (x, z) → (x·c − z·s, x·s + z·c) maps the stream onto +z.
+  const p = doubletVelocity(x * c - z * s, x * s + z * c, x0 * c - z0 * s, x0 * s + z0 * c, m.R, m.rc);
+  return { vx: U * (p.vx * c + p.vz * s), vz: U * (-p.vx * s + p.vz * c) };
+}
+
 /**
  * Ideal-cylinder (doublet) bluff-body perturbation in PHYSICAL 2-D
  * coordinates — used for tires, which must stay circular regardless of the
@@ -528,3 +984,380 @@ export function vortexVelocity(xi, eta, x0, e0, gamma, rc) {
     veta:  tangentialSpeed * (dx / r),
   };
 }
+
+/* ── Source-panel body (Hess–Smith) ──────────────────────────────────── */
+
+const TWO_PI = 2 * Math.PI;
+
+/**
+ * Unit-strength (σ = 1 per length) constant-source panel velocity at
+ * (px, pe). Panel-local frame: ξ along the panel tangent from its start
+ * point, ζ along the outward normal.
+ *   uξ = ln(r1² / r2²) / 4π        uζ = (θ2 − θ1) / 2π
+ * A unit vortex sheet is the same field rotated by −90° (uξ = uζs,
+ * uζ = −uξs), so one evaluation serves both influences.
+ */
+function panelSourceLocal(p, px, pe) {
+  const dx = px - p.ax, de = pe - p.ae;
+  const xs = dx * p.tx + de * p.te;
+  const zs = dx * p.nx + de * p.ne;
+  const r1 = xs * xs + zs * zs;
+  const r2 = (xs - p.len) * (xs - p.len) + zs * zs;
+  if (r1 < 1e-18 || r2 < 1e-18) return { us: 0, un: 0 };   // on an end point
+  return {
+    us: Math.log(r1 / r2) / (2 * TWO_PI),
+    // θ2 − θ1 as ONE atan2: the angle the panel subtends at the point.
+    un: Math.atan2(zs * p.len, xs * (xs - p.len) + zs * zs) / TWO_PI,
+  };
+}
+
+/** Dense Gaussian elimination with partial pivoting (A, b overwritten). */
+function solveDense(A, b) {
+  const n = b.length;
+  for (let k = 0; k < n; k++) {
+    let piv = k;
+    for (let i = k + 1; i < n; i++) {
+      if (Math.abs(A[i][k]) > Math.abs(A[piv][k])) piv = i;
+    }
+    if (Math.abs(A[piv][k]) < 1e-14) return null;   // singular outline
+    if (piv !== k) {
+      [A[k], A[piv]] = [A[piv], A[k]];
+      [b[k], b[piv]] = [b[piv], b[k]];
+    }
+    for (let i = k + 1; i < n; i++) {
+      const f = A[i][k] / A[k][k];
+      if (f === 0) continue;
+      for (let j = k; j < n; j++) A[i][j] -= f * A[k][j];
+      b[i] -= f * b[k];
+    }
+  }
+  const x = new Float64Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    let s = b[i];
+    for (let j = i + 1; j < n; j++) s -= A[i][j] * x[j];
+    x[i] = s / A[i][i];
+  }
+  return x;
+}
+
+/**
+ * Solve a 2-D source-panel body for a real top-view outline, freestream in
+ * +eta (the same convention as `topViewVelocity`). Constant-strength source
+ * panels enforce zero normal flow at each panel midpoint; with
+ * `opts.kutta` a uniform vortex sheet joins the unknowns and the Kutta
+ * condition (equal-and-opposite tangential speed on the two panels meeting
+ * at the most-downstream vertex) fixes its strength — Hess–Smith. Without
+ * it the body is non-lifting (γ = 0), the right default for a symmetric
+ * car plan view.
+ *
+ * The outline is given in the flow plane (xi, eta). Because xi/eta are
+ * normalised by DIFFERENT half-dims, `opts.aspect = halfW / halfL` solves
+ * in physical proportions (xi·aspect, eta) and maps velocities back with
+ * the doublet convention (vxi = vx / aspect) — a round wheel stays round.
+ *
+ * The returned body plugs straight into `topViewVelocity(xi, eta, body)`,
+ * `sumVelocity` (opts.body) and `traceStreamlinePath` (opts.body).
+ *
+ * The system is linear in the freestream, so a second solve for a unit
+ * +x stream (`sigmaX`, `gammaX`) lets panelVelocity superpose any yawed
+ * stream without re-solving.
+ *
+ * @param {Array<{xi:number, eta:number}>} outline - closed polygon, ≥ 3
+ *          vertices, either winding (the last→first edge closes it)
+ * @param {{aspect?:number, kutta?:boolean}} [opts]
+ * @returns {{kind:'panel', panels:Array<object>, sigma:Float64Array,
+ *            gamma:number, sigmaX:Float64Array, gammaX:number,
+ *            aspect:number}|null} null for a degenerate outline
+ */
+export function solvePanelBody(outline, opts = {}) {
+  if (!Array.isArray(outline) || outline.length < 3) return null;
+  const aspect = opts.aspect > 0 ? opts.aspect : 1;
+  let pts = outline
+    .filter(p => Number.isFinite(p?.xi) && Number.isFinite(p?.eta))
+    .map(p => ({ x: p.xi * aspect, e: p.eta }));
+  if (pts.length < 3) return null;
+
+  // CCW in (x, e) ⇒ outward normal = (te, −tx).
+  let area2 = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const a = pts[i], b = pts[(i + 1) % pts.length];
+    area2 += a.x * b.e - b.x * a.e;
+  }
+  if (Math.abs(area2) < 1e-9) return null;
+  if (area2 < 0) pts = pts.reverse();
+
+  // Kutta needs the panel list to START at the trailing edge.
+  const kutta = !!opts.kutta;
+  if (kutta) {
+    let te = 0;
+    for (let i = 1; i < pts.length; i++) if (pts[i].e > pts[te].e) te = i;
+    pts = pts.slice(te).concat(pts.slice(0, te));
+  }
+
+  const panels = [];
+  for (let i = 0; i < pts.length; i++) {
+    const a = pts[i], b = pts[(i + 1) % pts.length];
+    const len = Math.hypot(b.x - a.x, b.e - a.e);
+    if (len < 1e-9) continue;   // duplicate vertex
+    const tx = (b.x - a.x) / len, te = (b.e - a.e) / len;
+    panels.push({
+      ax: a.x, ae: a.e, bx: b.x, be: b.e, len, tx, te, nx: te, ne: -tx,
+      mx: (a.x + b.x) / 2, me: (a.e + b.e) / 2,
+    });
+  }
+  const N = panels.length;
+  if (N < 3) return null;
+
+  const n = kutta ? N + 1 : N;
+  const A = Array.from({ length: n }, () => new Float64Array(n));
+  const rhs = new Float64Array(n);
+  const rhsX = new Float64Array(n);   // V∞ = (1, 0) — crosswind component
+  // Tangential rows for the Kutta condition (first + last panel).
+  const kRow = kutta ? new Float64Array(n) : null;
+
+  for (let i = 0; i < N; i++) {
+    const pi = panels[i];
+    let vortexN = 0;
+    for (let j = 0; j < N; j++) {
+      const pj = panels[j];
+      // Self-influence: uξ = 0 by symmetry, uζ = ½ from the outer side.
+      const { us, un } = (i === j) ? { us: 0, un: 0.5 } : panelSourceLocal(pj, pi.mx, pi.me);
+      const vx = us * pj.tx + un * pj.nx, ve = us * pj.te + un * pj.ne;
+      const wx = un * pj.tx - us * pj.nx, we = un * pj.te - us * pj.ne;   // vortex
+      A[i][j] = vx * pi.nx + ve * pi.ne;
+      vortexN += wx * pi.nx + we * pi.ne;
+      if (kutta && (i === 0 || i === N - 1)) {
+        kRow[j] += vx * pi.tx + ve * pi.te;
+        kRow[N] += wx * pi.tx + we * pi.te;
+      }
+    }
+    if (kutta) A[i][N] = vortexN;
+    rhs[i]  = -pi.ne;   // V∞ = (0, 1)
+    rhsX[i] = -pi.nx;
+  }
+  if (kutta) {
+    A[N] = kRow;
+    rhs[N]  = -(panels[0].te + panels[N - 1].te);
+    rhsX[N] = -(panels[0].tx + panels[N - 1].tx);
+  }
+
+  const AX = A.map(row => Float64Array.from(row));   // solveDense overwrites A
+  const sol = solveDense(A, rhs);
+  if (!sol) return null;
+  const solX = solveDense(AX, rhsX);
+  return {
+    kind:   'panel',
+    panels,
+    sigma:  sol.subarray(0, N),
+    gamma:  kutta ? sol[N] : 0,
+    sigmaX: solX ? solX.subarray(0, N) : new Float64Array(N),
+    gammaX: (kutta && solX) ? solX[N] : 0,
+    aspect,
+  };
+}
+
+/**
+ * Ray-crossing point-in-polygon test against a solved panel body, in the
+ * flow-plane (xi, eta) coordinates the body was built from.
+ */
+export function panelBodyContains(body, xi, eta) {
+  const x = xi * body.aspect, e = eta;
+  let inside = false;
+  for (const p of body.panels) {
+    if ((p.ae > e) !== (p.be > e)) {
+      const xc = p.ax + (e - p.ae) * (p.bx - p.ax) / (p.be - p.ae);
+      if (x < xc) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Velocity at (xi, eta) around a solved panel body: freestream + Σσ·source
+ * + γ·Σvortex. Interior points return {0, 0}, exactly like the cylinder.
+ * A yawed `free` superposes the +x solution (physical stream
+ * (vxi·aspect, veta)).
+ *
+ * @returns {{vxi: number, veta: number}}
+ */
+export function panelVelocity(xi, eta, body, free) {
+  if (panelBodyContains(body, xi, eta)) return { vxi: 0, veta: 0 };
+  const x = xi * body.aspect, e = eta;
+  let vx = 0, ve = 1;
+  let { panels, sigma, gamma } = body;
+  if (isYawed(free) && body.sigmaX) {
+    const ux = free.vxi * body.aspect, ue = free.veta;
+    const mixed = new Float64Array(sigma.length);
+    for (let j = 0; j < mixed.length; j++) mixed[j] = ue * sigma[j] + ux * body.sigmaX[j];
+    sigma = mixed;
+    gamma = ue * gamma + ux * body.gammaX;
+    vx = ux; ve = ue;
+  }
+  // panelSourceLocal inlined — this is the per-sample hot loop (ribbon
+  // tracing + rain coupling), so no per-panel allocation.
+  for (let j = 0; j < panels.length; j++) {
+    const p = panels[j];
+    const dx = x - p.ax, de = e - p.ae;
+    const xs = dx * p.tx + de * p.te;
+    const zs = dx * p.nx + de * p.ne;
+    const xb = xs - p.len;
+    const r1 = xs * xs + zs * zs;
+    const r2 = xb * xb + zs * zs;
+    if (r1 < 1e-18 || r2 < 1e-18) continue;
+    const us = Math.log(r1 / r2) / (2 * TWO_PI);
+    const un = Math.atan2(zs * p.len, xs * xb + zs * zs) / TWO_PI;
+    const s = sigma[j];
+    vx += s * (us * p.tx + un * p.nx) + gamma * (un * p.tx - us * p.nx);
+    ve += s * (us * p.te + un * p.ne) + gamma * (un * p.te - us * p.ne);
+  }
+  return { vxi: vx / body.aspect, veta: ve };
+}
+
+/**
+ * Push an interior point just outside the nearest panel (along that
+ * panel's outward normal) — the polygon counterpart of the radial slide
+ * traceStreamlinePath applies to the cylinder.
+ */
+function panelSurfacePush(body, xi, eta) {
+  const best = nearestPanel(body, xi, eta);
+  const PUSH = 1e-3;
+  return {
+    xi:  (best.qx + best.p.nx * PUSH) / body.aspect,
+    eta:  best.qe + best.p.ne * PUSH,
+  };
+}
+
+/** Nearest point of the panel polygon to (xi, eta): {qx, qe, p, j, d2} in the aspect-scaled frame. */
+function nearestPanel(body, xi, eta) {
+  const x = xi * body.aspect, e = eta;
+  let best = null, bestD = Infinity;
+  for (let j = 0; j < body.panels.length; j++) {
+    const p = body.panels[j];
+    const s = Math.max(0, Math.min(p.len, (x - p.ax) * p.tx + (e - p.ae) * p.te));
+    const qx = p.ax + s * p.tx, qe = p.ae + s * p.te;
+    const d = (x - qx) * (x - qx) + (e - qe) * (e - qe);
+    if (d < bestD) { bestD = d; best = { qx, qe, p, j, d2: d }; }
+  }
+  return best;
+}
+
+/**
+ * Wall Cp of a solved panel body: 1 − |v|² just outside each panel
+ * midpoint in the straight (+eta) stream, speed taken in physical
+ * proportions — the classic panel-method surface pressure along the real
+ * outline. Pairs with `nearestPanelIndex` for a per-point lookup.
+ *
+ * @returns {Float64Array} one Cp per panel, in `body.panels` order
+ */
+export function panelSurfaceCp(body) {
+  const PUSH = 1e-4;
+  return Float64Array.from(body.panels, p => {
+    const v = panelVelocity((p.mx + p.nx * PUSH) / body.aspect, p.me + p.ne * PUSH, body);
+    return pressureCoeff(v.vxi * body.aspect, v.veta);
+  });
+}
+
+/** Index (into `body.panels`) of the panel nearest (xi, eta). */
+export function nearestPanelIndex(body, xi, eta) {
+  return nearestPanel(body, xi, eta).j;
+}
+
+/* ── Outlines for the panel solver ───────────────────────────────────── */
+
+/**
+ * Stations [{z, minX, maxX}] (car-local metres, nose → tail) → closed
+ * (xi, eta) outline: trailing-edge point, port side nose-ward, nose point,
+ * starboard side tail-ward. `inflate` widens the sides like the cylinder
+ * sections (+0.05 m) so ribbons skim rather than clip. Interior stations
+ * with no hits keep a thin waist so the polygon never self-touches.
+ */
+function stationOutline(stations, dz, halfW, halfL, inflate) {
+  const first = stations.findIndex(s => s);
+  let last = stations.length - 1;
+  while (last >= 0 && !stations[last]) last--;
+  if (first < 0 || last - first < 1) return null;
+  let prev = stations[first];
+  const filled = [];
+  for (let k = first; k <= last; k++) {
+    const s = stations[k];
+    if (s) { prev = s; filled.push(s); continue; }
+    const mid = (prev.minX + prev.maxX) / 2;
+    filled.push({ z: stations[first].z + (k - first) * dz, minX: mid - 0.02, maxX: mid + 0.02 });
+  }
+
+  const head = filled[0], tail = filled[filled.length - 1];
+  const out = [{ xi: ((tail.minX + tail.maxX) / 2) / halfW, eta: (tail.z + dz / 2) / halfL }];
+  for (let k = filled.length - 1; k >= 0; k--) {
+    out.push({ xi: (filled[k].minX - inflate) / halfW, eta: filled[k].z / halfL });
+  }
+  out.push({ xi: ((head.minX + head.maxX) / 2) / halfW, eta: (head.z - dz / 2) / halfL });
+  for (let k = 0; k < filled.length; k++) {
+    out.push({ xi: (filled[k].maxX + inflate) / halfW, eta: filled[k].z / halfL });
+  }
+  return out;
+}
+
+/**
+ * Top-view outline of one horizontal occupancy slice (body-sdf output).
+ * Each z station scans `nx` lateral samples over ±1.3·halfW and keeps the
+ * occupied lateral extent — asymmetric bodies keep their asymmetry.
+ * Returns null when fewer than two stations are occupied.
+ *
+ * @param {{sample:(x:number,y:number,z:number)=>number}} occ
+ * @param {number} y - slice height in the OCCUPANCY frame (world y)
+ * @param {{halfW:number, halfL:number, stations?:number, nx?:number,
+ *          inflate?:number}} opts
+ * @returns {Array<{xi:number, eta:number}>|null}
+ */
+export function outlineFromOccupancy(occ, y, opts) {
+  if (!occ || typeof occ.sample !== 'function') return null;
+  const { halfW, halfL } = opts;
+  const NZ = opts.stations ?? 24, NX = opts.nx ?? 32;
+  const dz = (2 * halfL) / (NZ - 1);
+  const stations = [];
+  for (let iz = 0; iz < NZ; iz++) {
+    const z = -halfL + dz * iz;
+    let minX = Infinity, maxX = -Infinity;
+    for (let ix = 0; ix < NX; ix++) {
+      const x = -halfW * 1.3 + (2.6 * halfW * ix) / (NX - 1);
+      if (occ.sample(x, y, z) > 0.5) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+      }
+    }
+    stations.push(maxX >= minX ? { z, minX, maxX } : null);
+  }
+  return stationOutline(stations, dz, halfW, halfL, opts.inflate ?? 0.05);
+}
+
+/**
+ * Top-view outline of the union of axis-aligned boxes (anchor bboxes,
+ * car-local metres): per z station the lateral extent of every box that
+ * covers it. Returns null when no finite box is given.
+ *
+ * @param {Array<{minX:number, maxX:number, minZ:number, maxZ:number}>} boxes
+ * @param {{halfW:number, halfL:number, stations?:number, inflate?:number}} opts
+ * @returns {Array<{xi:number, eta:number}>|null}
+ */
+export function outlineFromBoxes(boxes, opts) {
+  const bbs = (boxes || []).filter(b => b
+    && [b.minX, b.maxX, b.minZ, b.maxZ].every(Number.isFinite) && b.maxZ > b.minZ);
+  if (bbs.length === 0) return null;
+  const { halfW, halfL } = opts;
+  const NZ = opts.stations ?? 24;
+  const z0 = Math.min(...bbs.map(b => b.minZ));
+  const z1 = Math.max(...bbs.map(b => b.maxZ));
+  const dz = (z1 - z0) / (NZ - 1);
+  const stations = [];
+  for (let iz = 0; iz < NZ; iz++) {
+    const z = z0 + dz * iz;
+    let minX = Infinity, maxX = -Infinity;
+    for (const b of bbs) {
+      if (z < b.minZ - 1e-9 || z > b.maxZ + 1e-9) continue;
+      minX = Math.min(minX, b.minX);
+      maxX = Math.max(maxX, b.maxX);
+    }
+    stations.push(maxX >= minX ? { z, minX, maxX } : null);
+  }
+  return stationOutline(stations, dz, halfW, halfL, opts.inflate ?? 0.05);
+}
@@ -636,6 +636,86 @@ export function buildWheelsFromMonolith(scene, wheelBake) {
   return { wheelsRoot, wheels, measure: { ...cls.measure }, debug };
 }
 
+/**
+ * Split the movable rear-wing flap out of a merged GLB rear-wing mesh so the
+ * wing-angle / DRS setup (aero-setup.js) can pitch it.
+ *
+ * The flap is the upper-rear element of the wing assembly: vertices above
+ * `minYFrac` and aft of `minZFrac` of the source bbox (car-local, nose −z),
+ * inboard of the endplates by `endplateInset` m. Triangles straddling the
+ * slot gap are dropped, same contract as the wheel splits.
+ *
+ * The flap fragment is re-homed under a pivot Group at its trailing edge
+ * (car-local coordinates — the caller adds it next to wheelsRoot); the
+ * source mesh keeps the remainder in place. Returns null — source mesh
+ * untouched — when the mesh is missing or the flap share is implausible
+ * (`minShare`…`maxShare` of the vertices), i.e. the layout didn't match.
+ *
+ * @param {THREE.Object3D} scene
+ * @param {{mesh:string, minYFrac:number, minZFrac:number, endplateInset:number,
+ *          minShare?:number, maxShare?:number}} cfg — manifest.rearFlap
+ * @returns {{ pivot: THREE.Group, debug: { flapVertCount, sourceVertCount } } | null}
+ */
+export function buildRearFlapFromGLB(scene, cfg) {
+  if (!scene || typeof scene.traverse !== 'function' || !cfg?.mesh) return null;
+  const srcMesh = findByName(scene, cfg.mesh);
+  if (!srcMesh?.isMesh || !srcMesh.geometry?.attributes?.position) return null;
+
+  scene.updateMatrixWorld?.(true);
+  const srcGeo   = srcMesh.geometry;
+  const worldGeo = srcGeo.clone();
+  worldGeo.applyMatrix4(srcMesh.matrixWorld);
+  worldGeo.computeBoundingBox();
+  const bb = worldGeo.boundingBox;
+
+  const yCut  = bb.min.y + cfg.minYFrac * (bb.max.y - bb.min.y);
+  const zCut  = bb.min.z + cfg.minZFrac * (bb.max.z - bb.min.z);
+  const cx    = (bb.min.x + bb.max.x) / 2;
+  const halfX = (bb.max.x - bb.min.x) / 2 - cfg.endplateInset;
+
+  const pos = worldGeo.attributes.position;
+  const isFlap = new Uint8Array(pos.count);
+  let flapVerts = 0;
+  for (let v = 0; v < pos.count; v++) {
+    if (pos.getY(v) >= yCut && pos.getZ(v) >= zCut && Math.abs(pos.getX(v) - cx) <= halfX) {
+      isFlap[v] = 1;
+      flapVerts++;
+    }
+  }
+  const share = flapVerts / pos.count;
+  if (share < (cfg.minShare ?? 0.02) || share > (cfg.maxShare ?? 0.6)) {
+    console.warn(`[car-loader] rearFlap: flap share ${(share * 100).toFixed(1)}% out of range — flap stays fixed`);
+    worldGeo.dispose();
+    return null;
+  }
+
+  const flapGeo = sliceGeometryByPredicate(worldGeo, (_x, _y, _z, v) => isFlap[v] === 1);
+  flapGeo.computeBoundingBox();
+  const fb = flapGeo.boundingBox;
+  const te = new THREE.Vector3(cx, (fb.min.y + fb.max.y) / 2, fb.max.z);
+  flapGeo.translate(-te.x, -te.y, -te.z);
+
+  const flap = new THREE.Mesh(flapGeo, srcMesh.material);
+  flap.name = `${srcMesh.name}_flap`;
+  flap.castShadow    = true;
+  flap.receiveShadow = true;
+  const pivot = new THREE.Group();
+  pivot.name = 'rearWingFlap';
+  pivot.position.copy(te);
+  pivot.add(flap);
+  // The flap stays in the occupancy / CFD overlay set — posing it means the
+  // overlay must be re-cloned (main.js applyWingSetup).
+  pivot.userData.bodySurface = true;
+
+  // Remainder from the ORIGINAL local-space geometry, same vertex mask.
+  const remainderGeo = sliceGeometryByPredicate(srcGeo, (_x, _y, _z, v) => isFlap[v] === 0);
+  srcGeo.dispose();
+  srcMesh.geometry = remainderGeo;
+  worldGeo.dispose();
+
+  return { pivot, debug: { flapVertCount: flapVerts, sourceVertCount: pos.count } };
+}
+
 /**
  * Collect the meshes that define a car's collision envelope for the
  * body-occupancy SDF: the anchorSources body roles (bodyShell, halo,
@@ -655,6 +735,8 @@ export function collectOccupancyMeshes(root, manifest) {
     if (src?.mesh) wanted.push(src.mesh);
   }
   wanted.push(...(manifest.occupancyMeshes || []));
+  // The split-out rear flap (buildRearFlapFromGLB) is still rear wing.
+  if (manifest.rearFlap?.mesh) wanted.push(`${manifest.rearFlap.mesh}_flap`);
 
   const meshes = [];
   root.traverse(obj => {
@@ -666,9 +748,10 @@ export function collectOccupancyMeshes(root, manifest) {
 /**
  * Manifest-aware GLB loader.
  * @param {object} manifest  — entry from CAR_MANIFEST (not a type string).
- * @returns {{ scene, liveryMeshes, glbMeasure, wheelsRoot } | null}
+ * @returns {{ scene, liveryMeshes, glbMeasure, wheelsRoot, rearFlap } | null}
  *   glbMeasure is null when manifest.wheelSources is not set.
  *   wheelsRoot is null when no merged-wheel meshes are present (procedural path).
+ *   rearFlap is the flap pivot Group (car-local) when manifest.rearFlap split.
  */
 export async function loadCarFromManifest(manifest) {
   const loaded = await loadCarModel(manifest.url);
@@ -718,6 +801,10 @@ export async function loadCarFromManifest(manifest) {
     }
   }
 
+  // Movable rear flap (wing angle / DRS) — split after the anchors are
+  // measured, so the rearWing anchor still spans the full wing assembly.
+  const rearFlap = manifest.rearFlap ? (buildRearFlapFromGLB(scene, manifest.rearFlap)?.pivot ?? null) : null;
+
   const toStrip      = [];
   const liveryMeshes = [];
 
@@ -730,5 +817,5 @@ export async function loadCarFromManifest(manifest) {
 
   toStrip.forEach(m => m.parent?.remove(m));
 
-  return { scene, liveryMeshes, glbMeasure, wheelsRoot };
+  return { scene, liveryMeshes, glbMeasure, wheelsRoot, rearFlap };
 }
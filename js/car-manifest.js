@@ -90,6 +90,11 @@ export const CAR_MANIFEST = {
     // deflection) beyond the anchorSources body roles. Per docs/f1-bboxes.json:
     // Object_20 = mirror, Object_6 = suspensions.
     occupancyMeshes: ['Object_20', 'Object_6'],
+    // Movable DRS flap split out of Object_9 (buildRearFlapFromGLB): the
+    // upper-rear element of the rear-wing assembly, inboard of the endplates.
+    // Fractions of the Object_9 car-local bbox; the split refuses (flap stays
+    // fixed, setup still scales the aero) when the flap share is implausible.
+    rearFlap: { mesh: 'Object_9', minYFrac: 0.62, minZFrac: 0.45, endplateInset: 0.05 },
   },
   gt: {
     url: new URL('../assets/models/gt.glb', import.meta.url).href,
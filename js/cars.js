@@ -183,6 +183,19 @@ function wingGeo(span, chord, thickness) {
   return g;
 }
 
+/**
+ * Rear-wing flap on a trailing-edge pivot. The flap sits where a plain
+ * mesh(geo, mat, 0, y, z) would; the returned group (named 'rearWingFlap',
+ * picked up as group.userData.rearFlap) rotates about X at the TE.
+ */
+function flapPivot(geo, mat, y, z, chord) {
+  const pivot = new THREE.Group();
+  pivot.name = 'rearWingFlap';
+  pivot.position.set(0, y, z + chord / 2);
+  pivot.add(mesh(geo, mat, 0, 0, -chord / 2));
+  return pivot;
+}
+
 /** Smooth oval nose cone.  Base at z=0, tip at z=−length. */
 function noseTip(baseW, baseH, length) {
   const g = new THREE.ConeGeometry(1, length, 24, 4);
@@ -462,6 +475,9 @@ export async function buildF1Hybrid({ color }) {
   // Fallback path (no wheelsRoot): build procedural cylinder wheels at the
   // same measured axle points — this covers the case where GLB loaded but
   // split failed OR wheelSources was omitted from the manifest.
+  // Movable rear flap (car-local pivot, split out of the wing by the loader).
+  if (loaded.rearFlap) grp.add(loaded.rearFlap);
+
   if (loaded.wheelsRoot) {
     grp.add(loaded.wheelsRoot);
     grp.userData.wheels = { ...loaded.wheelsRoot.children.reduce((o, g) => { o[g.name] = g; return o; }, {}) };
@@ -482,6 +498,7 @@ export async function buildF1Hybrid({ color }) {
   // measure any (e.g. GLB missing the named meshes).
   measure.anchors = (gm && gm.anchors) ? gm.anchors : proceduralAnchors('F1');
   grp.userData.measure = measure;
+  grp.userData.rearFlap = loaded.rearFlap ?? null;   // GLB flap pivot (car-loader)
   grp.userData.baseY   = TRACK.SURFACE_Y - measure.groundContactY;
   grp.position.y       = grp.userData.baseY;
   return grp;
@@ -945,8 +962,10 @@ function buildF1Procedural({ color }) {
   rearWingGrp.position.set(0, 0.98, 1.95);   // pivot at main-plane leading edge
   // Main plane at pivot origin
   rearWingGrp.add(mesh(wingGeo(1.92, 0.36, 0.100), matBody, 0, 0, 0));
-  // DRS flap
-  rearWingGrp.add(mesh(wingGeo(1.92, 0.26, 0.080), matBody, 0, -0.11, -0.06));
+  // DRS flap — hung from a trailing-edge pivot so the wing-angle / DRS
+  // setup (aero-setup.js rearFlapRotation) pitches it about the TE.
+  const rearFlap = flapPivot(wingGeo(1.92, 0.26, 0.080), matBody, -0.11, -0.06, 0.26);
+  rearWingGrp.add(rearFlap);
   // Endplates (tall, louvred)
   for (const s of [-1, 1]) {
     rearWingGrp.add(mesh(box(0.040, 0.56, 0.40), matCarbon, s * 0.96, -0.21, 0));
@@ -1017,6 +1036,7 @@ function buildF1Procedural({ color }) {
   const measure = measureFromWheels(wPos, wR);
   measure.anchors = proceduralAnchors('F1');
   grp.userData.measure = measure;
+  grp.userData.rearFlap = rearFlap;
   grp.userData.baseY   = TRACK.SURFACE_Y - measure.groundContactY;
   grp.position.y       = grp.userData.baseY;
   return grp;
@@ -1167,8 +1187,9 @@ function buildGTProcedural({ color }) {
   rearWingGrp.position.set(0, 0.84, 1.92);
   // Main element at pivot origin
   rearWingGrp.add(mesh(wingGeo(1.76, 0.42, 0.110), matBody, 0, 0, 0));
-  // Second element (Gurney-like flap)
-  rearWingGrp.add(mesh(wingGeo(1.76, 0.28, 0.075), matBody, 0, -0.10, -0.06));
+  // Second element (Gurney-like flap) — trailing-edge pivot, wing-angle setup
+  const rearFlap = flapPivot(wingGeo(1.76, 0.28, 0.075), matBody, -0.10, -0.06, 0.28);
+  rearWingGrp.add(rearFlap);
   // Large endplates with louvres
   for (const s of [-1, 1]) {
     rearWingGrp.add(mesh(box(0.046, 0.48, 0.46), matCarbon, s * 0.88, -0.20, 0));
@@ -1229,6 +1250,7 @@ function buildGTProcedural({ color }) {
   const measure = measureFromWheels(wPos, wR);
   measure.anchors = proceduralAnchors('GT');
   grp.userData.measure = measure;
+  grp.userData.rearFlap = rearFlap;
   grp.userData.baseY   = TRACK.SURFACE_Y - measure.groundContactY;
   grp.position.y       = grp.userData.baseY;
   return grp;
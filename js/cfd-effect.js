@@ -6,6 +6,29 @@
  *   • Zone blobs        — Sphere meshes at key stagnation / suction / separation points
  *   • Vortex cores      — Spiral traces at front wing tips, sidepod undercut, diffuser exits
  *   • Streamlines       — Animated nose→tail flow lines with Cp-gradient vertex colours
+ *   • Surface forces    — −Cp·q·n̂·dA integrated over the body overlay → downforce,
+ *                         drag and front/rear balance in newtons (getAeroForces)
+ *   • Wing setup        — rear-wing Cp scaled by the wing angle / DRS load
+ *                         (setWingSetup, aero-setup.js)
+ *   • Ride setup        — underbody suction follows the floor gap set by
+ *                         ride height / rake (setRideSetup, aero-setup.js)
+ *   • Tunnel ground     — a fixed floor's road boundary layer chokes that
+ *                         suction (setGroundMode); rolling tires carry the
+ *                         Magnus / jetting tread terms (setWheelSpin)
+ *   • Cooling           — the radiator opening shifts the inlet-mouth Cp by
+ *                         the duct's mass-flow ratio (setCooling, cooling.js)
+ *   • Yaw               — crosswind tunnel: the impact / wake terms and the
+ *                         upstream shadow march follow the relative wind, so
+ *                         the windward flank heats up and the lee side sucks
+ *                         (setYaw)
+ *   • Dirty air         — a following car's instance reads a slipstream.js
+ *                         inflow: Cp scales by the local wake q and the front
+ *                         wing loses suction to the lead's upwash (setInflow)
+ *   • Part breakdown    — each overlay vertex is tagged with the component
+ *                         that owns it (surfacePart) and the force integral
+ *                         splits per part (getPartForces)
+ *   • Centreline Cp    — painted Cp along the x = 0 cut, upper and lower
+ *                         skin, beside the authored profile (getCenterlineCp)
  *
  * Interface mirrors AirflowEffect:
  *   constructor(scene), setCarType(type), setSpeed(v), setVisible(v),
@@ -13,11 +36,27 @@
  */
 
 import * as THREE from 'three';
-import { topViewVelocity, pressureCoeff, cpToColor, vortexVelocity, sumVelocity } from './airflow-core.js';
+import {
+  topViewVelocity, pressureCoeff, cpToColor, vortexVelocity, sumVelocity, traceStreamline3D,
+  panelSurfaceCp, nearestPanelIndex,
+} from './airflow-core.js';
+import { rearWingLoad, underfloorGain, normalizeRideSetup, normalizeGroundMode, groundedRide } from './aero-setup.js';
+import { inletCpDelta, normalizeCoolingLevel, COOLING_INLET_RE } from './cooling.js';
 
 /* ── Helpers ──────────────────────────────────────────────────────── */
 function rnd(a, b) { return a + Math.random() * (b - a); }
 
+/** Contiguous xyz array of a (possibly interleaved, GLB) 3-component attribute. */
+function flatAttr(attr) {
+  if (!attr) return undefined;
+  if (!attr.isInterleavedBufferAttribute) return attr.array;
+  const out = new Float32Array(attr.count * 3);
+  for (let i = 0; i < attr.count; i++) {
+    out[i * 3] = attr.getX(i); out[i * 3 + 1] = attr.getY(i); out[i * 3 + 2] = attr.getZ(i);
+  }
+  return out;
+}
+
 /**
  * Piecewise-linear Cp profiles along the car body (car-frame z), PER CAR and
  * PER SURFACE. An open-wheel ground-effect F1 and a closed-body GT3 RS have
@@ -91,9 +130,19 @@ export function cpToEmphasisColor(cp, cpRefPos = 0.9, cpRefNeg = 2.2) {
   return { r: c.r * w, g: c.g * w, b: c.b * w };
 }
 
-export function lerpCpProfile(z, type = 'F1', surface = 'under') {
+/**
+ * Profile Cp at car-frame z. On the 'under' surface a ride setup
+ * (aero-setup.js) scales the suction by the local floor gap — lower ⇒
+ * stronger until the floor stalls; null keeps the calibrated table.
+ */
+export function lerpCpProfile(z, type = 'F1', surface = 'under', ride = null) {
   const tables = CP_TABLES[type] || CP_TABLES.F1;
   const table  = tables[surface] || tables.under;
+  const cp = tableCp(table, z);
+  return (ride && surface === 'under' && cp < 0) ? cp * underfloorGain(z, ride, type) : cp;
+}
+
+function tableCp(table, z) {
   if (z <= table[0][0]) return table[0][1];
   if (z >= table[table.length - 1][0]) return table[table.length - 1][1];
   for (let i = 0; i < table.length - 1; i++) {
@@ -141,9 +190,18 @@ const ROLE_CP = {
   },
 };
 
-export function getRoleCp(type, role) {
+/* Roles whose Cp follows the rear-wing setup (aero-setup.js rearWingLoad). */
+const REAR_WING_ROLES = new Set(['rearWing', 'rearWingFlap']);
+
+/**
+ * Role Cp entry; rear-wing roles are scaled by `wingLoad` (the wing angle /
+ * DRS multiplier — 1 returns the table verbatim).
+ */
+export function getRoleCp(type, role, wingLoad = 1) {
   const table = ROLE_CP[type] || ROLE_CP.F1;
-  return table[role] || ROLE_CP.F1[role] || { bias: 0, scale: 0.5 };
+  const def = table[role] || ROLE_CP.F1[role] || { bias: 0, scale: 0.5 };
+  if (wingLoad === 1 || !REAR_WING_ROLES.has(role)) return def;
+  return { bias: def.bias * wingLoad, scale: def.scale * wingLoad };
 }
 
 /* ── Per-car CFD patch definitions ─────────────────────────────────── *
@@ -285,6 +343,7 @@ const STREAMLINE_DEFS = {
 
 const VORTEX_PTS  = 70;
 const STREAM_PTS  = 90;
+const STREAM_STEP = 0.04;   // traceStreamline3D step (eta units) for the lanes
 const PATCH_SEG   = 14; // higher → smoother Cp gradients
 
 /* Under-body patch roles. For these we bypass the topViewVelocity sampler
@@ -306,10 +365,20 @@ const UNDERBODY_ROLES = new Set(['floor', 'diffuser']);
  * @param {number} speedFactor — normalised speed in [0, 1]
  * @param {Array}  modifiers   — analytical flow modifiers (sinks/sources/vortices)
  * @param {Array}  vortexCores — VORTEX_CORES[type] entries for vortex perturbation
+ * @param {string} type        — car type for the role biases
+ * @param {object} [body]      — base-field body for topViewVelocity (e.g. a
+ *                               solvePanelBody outline); null ⇒ unit cylinder
+ * @param {number} [wingLoad]  — rear-wing setup multiplier (rearWingLoad)
+ * @param {object} [ride]      — ride height / rake setup; scales floor and
+ *                               diffuser suction by the local gap
+ * @param {number} [yaw]       — relative-wind yaw (rad); side-facing patches
+ *                               pick up windward impact / leeward suction
+ * @param {number} [inletDCp]  — cooling-opening shift of the sidepod-inlet
+ *                               mouth Cp (cooling.js inletCpDelta)
  * @returns {number} pressure coefficient
  */
-export function computePatchCp(p, lx, ly, speedFactor, modifiers = [], vortexCores = [], type = 'F1') {
-  const roleDef = getRoleCp(type, p.role);
+export function computePatchCp(p, lx, ly, speedFactor, modifiers = [], vortexCores = [], type = 'F1', body = null, wingLoad = 1, ride = null, yaw = 0, inletDCp = 0) {
+  const roleDef = getRoleCp(type, p.role, wingLoad);
   const hw = p.w / 2;
   const hh = p.h / 2;
   const xi  = hw > 0 ? lx / hw : 0;
@@ -325,8 +394,8 @@ export function computePatchCp(p, lx, ly, speedFactor, modifiers = [], vortexCor
     const sampleXi  = xi  * 1.6 + 0.01;
     const sampleEta = eta * 1.6 + 0.01;
     const { vxi, veta } = (modifiers && modifiers.length > 0)
-      ? sumVelocity(sampleXi, sampleEta, topViewVelocity, modifiers)
-      : topViewVelocity(sampleXi, sampleEta);
+      ? sumVelocity(sampleXi, sampleEta, topViewVelocity, modifiers, body ? { body } : undefined)
+      : topViewVelocity(sampleXi, sampleEta, body || undefined);
     baseCp = pressureCoeff(vxi, veta);
   }
 
@@ -339,9 +408,12 @@ export function computePatchCp(p, lx, ly, speedFactor, modifiers = [], vortexCor
   if (p.role === 'nose') {
     cp += (1 - Math.abs(xi)) * 0.40 * speedFactor;
   }
+  if (p.role === 'sidepodInlet') cp += inletDCp;
   if (p.role === 'floor') {
     cp -= (eta + 1) * 0.20 * speedFactor;
   }
+  // Ground effect: floor / diffuser suction follows the ride-height gap.
+  if (UNDERBODY_ROLES.has(p.role) && cp < 0) cp *= underfloorGain(p.cz + ly, ride, type);
   // Closed-body windshield/roof station: the patch spans windscreen base →
   // roof header (rx = -π/2 ⇒ local +y faces the nose). The base half carries
   // a compression ramp toward stagnation; the header half keeps the suction
@@ -364,9 +436,47 @@ export function computePatchCp(p, lx, ly, speedFactor, modifiers = [], vortexCor
     }
   }
 
+  if (yaw) cp += patchYawCp(p, yaw) * speedFactor;
+
   return cp;
 }
 
+/**
+ * Crosswind share of a patch's Cp. Patches are double-sided planes, so the
+ * outward lateral normal is taken from the side of the car the patch sits on
+ * (sign of cx); its |x| component comes from the patch Euler (XYZ order,
+ * PlaneGeometry normal +z). Same Newtonian impact / wake model as the body
+ * overlay, applied to the crossflow only — zero at yaw 0 and for centreline
+ * or flow-aligned patches.
+ */
+function patchYawCp(p, yaw) {
+  const nxAbs = Math.abs(Math.sin(p.ry || 0));
+  if (nxAbs < 1e-6 || !p.cx) return 0;
+  const side = Math.sign(p.cx) * nxAbs * Math.sin(yaw);   // n·d of the crossflow
+  const facing = Math.max(0, -side);
+  const lee    = Math.max(0, side);
+  return 0.95 * Math.min(1, facing * facing * 1.4) - lee * lee * 0.35;
+}
+
+/* Wing chord boxes: the measured anchor bbox when the GLB provides one,
+ * else ±half chord about the anchor (procedural anchors are points). */
+const FRONT_WING_HALF_CHORD = 0.30;
+const REAR_WING_HALF_CHORD  = 0.35;
+
+function wingGeom(anchor, fallbackHalfChord) {
+  const bb = anchor.bbox;
+  if (bb && Number.isFinite(bb.minZ) && Number.isFinite(bb.maxZ) && bb.maxZ > bb.minZ) {
+    return { minZ: bb.minZ, maxZ: bb.maxZ, minY: bb.minY, maxY: bb.maxY };
+  }
+  return { minZ: anchor.z - fallbackHalfChord, maxZ: anchor.z + fallbackHalfChord, minY: null, maxY: null };
+}
+
+/* Chord-box membership; `fallbackYOk` gates height when there is no bbox. */
+function inWingBox(g, y, z, fallbackYOk) {
+  const yOk = (g.minY != null) ? (y >= g.minY - 0.10 && y <= g.maxY + 0.10) : fallbackYOk;
+  return yOk && z >= g.minZ && z <= g.maxZ;
+}
+
 /**
  * Cp at a point ON the real body surface — drives the per-vertex colouring
  * of the body-surface overlay (the replacement for the floating rectangle
@@ -386,7 +496,9 @@ export function computePatchCp(p, lx, ly, speedFactor, modifiers = [], vortexCor
  *      A-pillar leading edges — independent of where they sit along z.
  *      Rear-facing surfaces get base/wake suction instead. `shadow` (from
  *      the body-SDF upstream march) scales facing: a surface sitting in
- *      another part's wake gets impingement, not clean stagnation.
+ *      another part's wake gets impingement, not clean stagnation. At yaw
+ *      the freestream direction is d = (sin β, 0, cos β), so facing = −n·d:
+ *      the windward flank takes impact and the lee flank the wake suction.
  *   4. WING TREATMENT at the measured anchors — chord-resolved:
  *      • Leading-edge stagnation stripe: frontmost 12% of the chord with a
  *        forward normal (nz < −0.2) blends to Cp +0.90 — the classic red
@@ -408,24 +520,82 @@ export function computePatchCp(p, lx, ly, speedFactor, modifiers = [], vortexCor
  * @param {number} speedFactor  — [0, 1]
  * @param {number} shadow       — upstream-shadowing factor ∈ (0, 1]; 1 = clean
  *                                freestream, 0.35 = body part sits upstream
+ * @param {number} wingLoad     — rear-wing setup multiplier on the rear-wing
+ *                                suction peak (rearWingLoad; 1 = baseline)
+ * @param {object} ride         — ride height / rake setup for the UNDER
+ *                                profile (null = static gap)
+ * @param {number} yaw          — relative-wind yaw (rad); 0 = straight tunnel
+ * @param {object} plan         — real plan-view outline for the flanks
+ *                                (surfacePlan); null = z profile only
  */
-export function computeSurfaceCp(x, y, z, nx, ny, nz, type, anchors, speedFactor, shadow = 1) {
+export function computeSurfaceCp(x, y, z, nx, ny, nz, type, anchors, speedFactor, shadow = 1, wingLoad = 1, ride = null, yaw = 0, plan = null) {
   if (!speedFactor) return 0;
+  const parts = surfaceCpParts(x, y, z, nx, ny, nz, type, anchors, shadow, wingLoad, ride, yaw, plan);
+  return finishSurfaceCp(parts, underPaintGain(speedFactor)) * speedFactor;
+}
+
+/** Ground-effect emphasis the paint puts on underbody Cp at speedFactor sf. */
+function underPaintGain(sf) {
+  return 1 + sf * sf * 0.30;
+}
+
+/* computeSurfaceCp split at the underbody gain so the overlay colour and
+ * the force integral share one evaluation per vertex: surfaceCpParts
+ * returns the un-gained parts, finishSurfaceCp applies a gain and the LE
+ * stripe. The integral takes gain 1 and no speedFactor — the 1 + sf²·0.30
+ * underbody emphasis is for the eye and would make the integrated CL / CD
+ * drift with speed. */
+function finishSurfaceCp(parts, underGain) {
+  let cp = parts.cp;
+  if (parts.under) cp *= underGain;
 
+  // LE stagnation stripe LAST — the true heat line on the wing wins over
+  // suction and the underbody ground-effect gain.
+  if (parts.le > 0) cp = cp + (0.90 - cp) * parts.le;
+  return cp;
+}
+
+/**
+ * Plan-view outline for computeSurfaceCp: a solved panel body (the
+ * airflow's real slice outline, AirflowEffect.getBaseBody) with its wall
+ * Cp per panel and the half-dims that normalise car-local x / z onto it.
+ * null when there is no body or no usable dims.
+ *
+ * @param {object} body                         — solvePanelBody result
+ * @param {{halfW:number, halfL:number}} dims
+ * @returns {{body:object, cps:Float64Array, halfW:number, halfL:number}|null}
+ */
+export function surfacePlan(body, dims) {
+  if (body?.kind !== 'panel' || !(dims?.halfW > 0) || !(dims?.halfL > 0)) return null;
+  return { body, cps: panelSurfaceCp(body), halfW: dims.halfW, halfL: dims.halfL };
+}
+
+/* Share of a flank face's Cp taken from the plan-view wall Cp. The z
+ * profile keeps the other half — it carries the height-resolved pattern
+ * a 2-D outline cannot. */
+const PLAN_WALL_BLEND = 0.5;
+
+/** @returns {{cp:number, under:boolean, le:number}} Cp before the underbody gain and LE stripe */
+function surfaceCpParts(x, y, z, nx, ny, nz, type, anchors, shadow, wingLoad, ride, yaw, plan) {
   const floorY  = Number.isFinite(anchors?.floor?.y) ? anchors.floor.y : 0.03;
   const isUnder = ny < -0.35 || y < floorY + 0.05;
 
-  let cp = lerpCpProfile(z, type, isUnder ? 'under' : 'top');
+  let cp = lerpCpProfile(z, type, isUnder ? 'under' : 'top', ride);
 
-  // ── Wing classification (chord-resolved, normal-gated) ──────────
   const clamp01 = (v) => Math.min(1, Math.max(0, v));
-  const wingGeom = (anchor, fallbackHalfChord) => {
-    const bb = anchor.bbox;
-    if (bb && Number.isFinite(bb.minZ) && Number.isFinite(bb.maxZ) && bb.maxZ > bb.minZ) {
-      return { minZ: bb.minZ, maxZ: bb.maxZ, minY: bb.minY, maxY: bb.maxY };
+
+  // Flank faces read the panel solution on the real outline at their
+  // station: suction round the widest point, recompression toward the
+  // tail — a sidepod and a slab side no longer paint alike.
+  if (plan && !isUnder) {
+    const side = clamp01((Math.abs(nx) - 0.5) / 0.4);
+    if (side > 0) {
+      const j = nearestPanelIndex(plan.body, x / plan.halfW, z / plan.halfL);
+      cp += (plan.cps[j] - cp) * PLAN_WALL_BLEND * side;
     }
-    return { minZ: anchor.z - fallbackHalfChord, maxZ: anchor.z + fallbackHalfChord, minY: null, maxY: null };
-  };
+  }
+
+  // ── Wing classification (chord-resolved, normal-gated) ──────────
 
   let leW = 0;            // leading-edge stripe blend weight
   let wingSuction = 0;    // gaussian, gated suction contribution
@@ -433,12 +603,9 @@ export function computeSurfaceCp(x, y, z, nx, ny, nz, type, anchors, speedFactor
   if (Math.abs(nx) <= 0.7) {   // endplates excluded from all wing treatment
     const rw = anchors?.rearWing;
     if (rw) {
-      const g = wingGeom(rw, 0.35);
+      const g = wingGeom(rw, REAR_WING_HALF_CHORD);
       const chord = g.maxZ - g.minZ;
-      const yOk = (g.minY != null)
-        ? (y >= g.minY - 0.10 && y <= g.maxY + 0.10)
-        : (y > rw.y - 0.30);
-      if (yOk && z >= g.minZ && z <= g.maxZ) {
+      if (inWingBox(g, y, z, y > rw.y - 0.30)) {
         if (z < g.minZ + 0.12 * chord && nz < -0.2) {
           leW = Math.max(leW, clamp01((-nz - 0.2) / 0.4));
         }
@@ -448,19 +615,16 @@ export function computeSurfaceCp(x, y, z, nx, ny, nz, type, anchors, speedFactor
           const zp = g.minZ + 0.25 * chord;
           const sig = 0.35 * chord;
           const w = Math.exp(-((z - zp) ** 2) / (2 * sig * sig));
-          wingSuction -= 0.95 * w * gate;
+          wingSuction -= 0.95 * wingLoad * w * gate;
           sGate = Math.max(sGate, gate * w);
         }
       }
     }
     const fw = anchors?.frontWing;
     if (fw) {
-      const g = wingGeom(fw, 0.30);
+      const g = wingGeom(fw, FRONT_WING_HALF_CHORD);
       const chord = g.maxZ - g.minZ;
-      const yOk = (g.minY != null)
-        ? (y >= g.minY - 0.10 && y <= g.maxY + 0.10)
-        : (y < fw.y + 0.25);
-      if (yOk && z >= g.minZ && z <= g.maxZ) {
+      if (inWingBox(g, y, z, y < fw.y + 0.25)) {
         // LE stripe on both cars — F1 front wing / GT splitter lip.
         if (z < g.minZ + 0.12 * chord && nz < -0.2) {
           leW = Math.max(leW, clamp01((-nz - 0.2) / 0.4));
@@ -481,16 +645,17 @@ export function computeSurfaceCp(x, y, z, nx, ny, nz, type, anchors, speedFactor
 
   if (!isUnder) {
     // Newtonian impact: pull toward stagnation by how squarely the surface
-    // faces the flow. facing = −nz ∈ (0, 1]; impact = facing². Scaled by
+    // faces the flow. facing = −n·d ∈ (0, 1]; impact = facing². Scaled by
     // `shadow` (upstream body ⇒ wake impingement, not clean stagnation) and
     // suppressed on wing suction sides (accelerating flow, not blunt-body).
-    const facing = Math.max(0, -nz) * shadow;
+    const nd = yaw ? nx * Math.sin(yaw) + nz * Math.cos(yaw) : nz;
+    const facing = Math.max(0, -nd) * shadow;
     if (facing > 0) {
       const t = Math.min(1, facing * facing * 1.4) * (1 - sGate);
       cp = cp + (0.95 - cp) * t;
     }
-    // Leeward base/wake suction on rear-facing surfaces.
-    const lee = Math.max(0, nz);
+    // Leeward base/wake suction on surfaces facing downwind.
+    const lee = Math.max(0, nd);
     if (lee > 0) cp -= lee * lee * 0.35;
 
     // Mild residual nose blend — keeps the nose tip warm even where its
@@ -504,13 +669,59 @@ export function computeSurfaceCp(x, y, z, nx, ny, nz, type, anchors, speedFactor
 
   cp += wingSuction;
 
-  if (isUnder) cp *= 1 + speedFactor * speedFactor * 0.30;
+  return { cp, under: isUnder, le: leW };
+}
 
-  // LE stagnation stripe LAST — the true heat line on the wing wins over
-  // suction and the underbody ground-effect gain.
-  if (leW > 0) cp = cp + (0.90 - cp) * leW;
+/* ── Per-part force breakdown ─────────────────────────────────────── *
+ * The components the force table reports, in display order — the ROLE_CP
+ * roles grouped (flaps with their wing, inlet / top / side as sidepods,
+ * nose / tub / covers / GT cabin panels as bodywork); the tire proxies are
+ * 'wheels'.
+ */
+export const FORCE_PARTS = ['frontWing', 'floor', 'diffuser', 'rearWing', 'sidepods', 'bodywork', 'wheels'];
+
+/**
+ * The component an overlay vertex belongs to — the same chord boxes and
+ * underbody test computeSurfaceCp paints with, so the table splits the
+ * loads along the lines the colours show:
+ *
+ *   1. Inside a wing chord box (endplates included) → frontWing / rearWing.
+ *   2. Underbody → diffuser aft of the diffuser patch's leading edge (its
+ *      authored length, seated on the diffuser anchor), else floor.
+ *   3. Inside the sidepod patches' footprint (outboard of the top patches'
+ *      inner edge, inlet to the tail of the top patch, seated on the
+ *      sidepodTop anchor) → sidepods. GT has no sidepod patches.
+ *   4. Anything else → bodywork.
+ *
+ * Pure — exported for tests. Point + normal car-local.
+ * @returns {string} a FORCE_PARTS entry
+ */
+export function surfacePart(x, y, z, nx, ny, nz, type, anchors) {
+  const rw = anchors?.rearWing;
+  if (rw && inWingBox(wingGeom(rw, REAR_WING_HALF_CHORD), y, z, y > rw.y - 0.30)) return 'rearWing';
+  const fw = anchors?.frontWing;
+  if (fw && inWingBox(wingGeom(fw, FRONT_WING_HALF_CHORD), y, z, y < fw.y + 0.25)) return 'frontWing';
 
-  return cp * speedFactor;
+  const patches = CFD_PATCHES[type] || CFD_PATCHES.F1;
+  const floorY  = Number.isFinite(anchors?.floor?.y) ? anchors.floor.y : 0.03;
+  if (ny < -0.35 || y < floorY + 0.05) {
+    const dp = patches.find(p => p.role === 'diffuser');
+    if (!dp) return 'floor';
+    const dz = Number.isFinite(anchors?.diffuser?.z) ? anchors.diffuser.z : dp.cz;
+    return z >= dz - dp.h / 2 ? 'diffuser' : 'floor';
+  }
+
+  const top = patches.find(p => p.role === 'sidepodTop');
+  if (top) {
+    const shift = Number.isFinite(anchors?.sidepodTop?.z) ? anchors.sidepodTop.z - top.cz : 0;
+    const inlet = patches.find(p => p.role === 'sidepodInlet');
+    const z0 = (inlet ? inlet.cz : top.cz - top.h / 2) + shift;
+    const z1 = top.cz + top.h / 2 + shift;
+    if (Math.abs(x) >= Math.abs(top.cx) - top.w / 2 && y <= top.cy + 0.10 && z >= z0 && z <= z1) {
+      return 'sidepods';
+    }
+  }
+  return 'bodywork';
 }
 
 /**
@@ -525,10 +736,83 @@ export function computeSurfaceCp(x, y, z, nx, ny, nz, type, anchors, speedFactor
  * @param {number} sf     — speedFactor [0, 1]
  * @param {number} baseY  — CFD group lift (world y = car-local y + baseY)
  */
-export function probeCp(hit, type, anchors, sf, baseY = 0) {
+export function probeCp(hit, type, anchors, sf, baseY = 0, wingLoad = 1, ride = null, yaw = 0, plan = null) {
   const p = hit?.point ?? { x: 0, y: 0, z: 0 };
   const n = hit?.face?.normal ?? { x: 0, y: 1, z: 0 };
-  return computeSurfaceCp(p.x, p.y - baseY, p.z, n.x, n.y, n.z, type, anchors, sf);
+  return computeSurfaceCp(p.x, p.y - baseY, p.z, n.x, n.y, n.z, type, anchors, sf, 1, wingLoad, ride, yaw, plan);
+}
+
+/* Rolling-wheel tread terms (wheelSpinDeltaCp), per unit spin ratio. Sized
+ * so a rolling wheel sheds ≈ 0.3 of lift coefficient against a stationary
+ * one — the classic isolated-wheel tunnel result. */
+const WHEEL_MAGNUS = 0.20;
+const WHEEL_JET    = 0.60;
+
+/**
+ * Extra tread Cp on a rolling wheel over the stationary-tyre paint from
+ * computeSurfaceCp, for spin ratio ωR/U (1 while aero-setup.js wheelsRolling):
+ *   Magnus  — the tread's top runs upstream, slowing the air over it and
+ *             speeding it beneath: +WHEEL_MAGNUS·spin·n_y, weighted to the
+ *             tread (side walls, |n_x| → 1, keep their paint).
+ *   Jetting — tread and road both drag air into the front contact wedge:
+ *             a pressure peak on the forward-facing tread in the lowest
+ *             0.35 R, pushing the wheel up (jacking).
+ * spin 0 ⇒ 0. Pure — exported for tests.
+ *
+ * @param {number} y          — point height, car-local
+ * @param {number} nx, ny, nz — outward normal
+ * @param {{groundY:number, r:number}} wheel — contact height + tyre radius
+ * @param {number} spin
+ */
+export function wheelSpinDeltaCp(y, nx, ny, nz, wheel, spin) {
+  if (!(spin > 0) || !wheel) return 0;
+  const tread = 1 - Math.abs(nx);
+  const near  = Math.min(1, Math.max(0, 1 - (y - wheel.groundY) / (0.35 * wheel.r)));
+  return spin * tread * (WHEEL_MAGNUS * ny + WHEEL_JET * near * Math.max(0, -nz));
+}
+
+/* Inlet-mouth footprint of the cooling shift (coolingInletDeltaCp), m. */
+const INLET_MOUTH_R = 0.15;
+
+/**
+ * Cooling-opening shift of the body Cp at the radiator inlet mouths: the
+ * duct's inletCpDelta (cooling.js), on forward-facing skin within a
+ * gaussian INLET_MOUTH_R of each cooling-inlet anchor (COOLING_INLET_RE).
+ * dCp 0 (standard opening) ⇒ 0. Pure — exported for tests.
+ *
+ * @param {number} x, y, z  — point, car-local
+ * @param {number} nz       — normal z (forward-facing < 0)
+ * @param {object} anchors  — measured anchor map
+ * @param {number} dCp      — inletCpDelta
+ */
+export function coolingInletDeltaCp(x, y, z, nz, anchors, dCp) {
+  if (!dCp || !anchors || !(nz < 0)) return 0;
+  let w = 0;
+  for (const [key, a] of Object.entries(anchors)) {
+    if (!a || !COOLING_INLET_RE.test(key)) continue;
+    const d2 = (x - a.x) ** 2 + (y - a.y) ** 2 + (z - a.z) ** 2;
+    w = Math.max(w, Math.exp(-d2 / (2 * INLET_MOUTH_R * INLET_MOUTH_R)));
+  }
+  return dCp * w * -nz;
+}
+
+/**
+ * Cp referenced to the CLEAN freestream for a car running in a wake
+ * (slipstream.js createFollowerInflow). Surface pressures scale with the
+ * local dynamic pressure q/q∞; front-wing suction additionally loses the
+ * incidence the lead's upwash takes away. Null inflow ⇒ cp unchanged.
+ * Pure — exported for tests.
+ *
+ * @param {number} cp      — Cp from computeSurfaceCp / computePatchCp
+ * @param {number} x, y, z — point, car-local
+ * @param {object} inflow  — { qAt(x,y,z), frontWingLoss, frontWing:{y,z} } or null
+ */
+export function inflowCp(cp, x, y, z, inflow) {
+  if (!inflow) return cp;
+  let c = cp * inflow.qAt(x, y, z);
+  const fw = inflow.frontWing;
+  if (c < 0 && fw && z < fw.z + 0.45 && y < fw.y + 0.30) c *= inflow.frontWingLoss;
+  return c;
 }
 
 /**
@@ -542,6 +826,162 @@ export function syncCfdLegend(el, active) {
   return !!active;
 }
 
+/* ── Integrated surface forces ────────────────────────────────────── */
+export const AIR_DENSITY = 1.225;   // kg/m³, ISA sea level
+
+/** Freestream dynamic pressure q = ½ρV² (Pa) for a speed in km/h. */
+export function dynamicPressure(speedKmh) {
+  const v = Math.max(0, speedKmh || 0) / 3.6;
+  return 0.5 * AIR_DENSITY * v * v;
+}
+
+/**
+ * Integrate −Cp·n̂·dA over triangulated overlay surfaces. Returns the
+ * force AREAS (m²) — multiply by dynamicPressure(speed) for newtons — so
+ * the caller can re-scale every frame without re-integrating.
+ *
+ * Car frame: flow travels +z, y up. Pressure pushes INTO the skin, so a
+ * face with outward normal n̂ feels F = −Cp·q·A·n̂:
+ *   clA  — downforce area  Σ  Cp·A·ny   (suction under the floor ⇒ +)
+ *   cdA  — drag area       Σ −Cp·A·nz   (stagnation on the nose ⇒ +)
+ *   clAFront — the share of clA the front axle carries, from the moment
+ *     balance about the rear axle: Σ dL·(zR − zc)/(zR − zF). Parts ahead
+ *     of the front axle (front wing) load it by MORE than their own lift.
+ *
+ * Triangle area + direction come from the cross product; the direction is
+ * flipped to agree with the averaged vertex normals when present, so
+ * mixed-winding GLB meshes still integrate outward.
+ *
+ * Surfaces may carry part labels — `parts` (per-vertex FORCE_PARTS index;
+ * a triangle goes to its first vertex's part) or `part` (the whole
+ * surface) — and the areas are then also summed per part in `byPart`.
+ *
+ * @param {Array<{position: ArrayLike<number>, normal?: ArrayLike<number>,
+ *                index?: ArrayLike<number>, cp: ArrayLike<number>,
+ *                parts?: ArrayLike<number>, part?: string}>} surfaces
+ * @param {{frontZ: number, rearZ: number}} [axles] — omit ⇒ clAFront null
+ * @returns {{clA: number, cdA: number, clAFront: number|null,
+ *            byPart: Object<string, {clA: number, cdA: number}>|null}}
+ */
+export function integrateSurfaceCp(surfaces, axles) {
+  const span = axles ? axles.rearZ - axles.frontZ : 0;
+  const split = Number.isFinite(span) && span > 1e-6;
+  let clA = 0, cdA = 0, clAFront = 0;
+  let byPart = null;
+
+  for (const s of surfaces || []) {
+    const P = s?.position, N = s?.normal, C = s?.cp, idx = s?.index;
+    if (!P || !C) continue;
+    const labels = s.parts ?? null;
+    const whole  = labels ? null : (s.part ?? null);
+    if ((labels || whole) && !byPart) byPart = {};
+    const triCount = idx ? Math.floor(idx.length / 3) : Math.floor(P.length / 9);
+    for (let t = 0; t < triCount; t++) {
+      const a = idx ? idx[t * 3]     : t * 3;
+      const b = idx ? idx[t * 3 + 1] : t * 3 + 1;
+      const c = idx ? idx[t * 3 + 2] : t * 3 + 2;
+      const ax = P[a * 3], ay = P[a * 3 + 1], az = P[a * 3 + 2];
+      const e1x = P[b * 3] - ax, e1y = P[b * 3 + 1] - ay, e1z = P[b * 3 + 2] - az;
+      const e2x = P[c * 3] - ax, e2y = P[c * 3 + 1] - ay, e2z = P[c * 3 + 2] - az;
+      // Cross product = 2·A·n̂.
+      let sx = e1y * e2z - e1z * e2y;
+      let sy = e1z * e2x - e1x * e2z;
+      let sz = e1x * e2y - e1y * e2x;
+      if (N) {
+        const mx = N[a * 3]     + N[b * 3]     + N[c * 3];
+        const my = N[a * 3 + 1] + N[b * 3 + 1] + N[c * 3 + 1];
+        const mz = N[a * 3 + 2] + N[b * 3 + 2] + N[c * 3 + 2];
+        if (sx * mx + sy * my + sz * mz < 0) { sx = -sx; sy = -sy; sz = -sz; }
+      }
+      const cp = (C[a] + C[b] + C[c]) / 3;
+      const dL = 0.5 * cp * sy;
+      clA += dL;
+      cdA -= 0.5 * cp * sz;
+      const part = labels ? FORCE_PARTS[labels[a]] : whole;
+      if (part) {
+        const acc = byPart[part] ??= { clA: 0, cdA: 0 };
+        acc.clA += dL;
+        acc.cdA -= 0.5 * cp * sz;
+      }
+      if (split) {
+        const zc = (az + P[b * 3 + 2] + P[c * 3 + 2]) / 3;
+        clAFront += dL * (axles.rearZ - zc) / span;
+      }
+    }
+  }
+  return { clA, cdA, clAFront: split ? clAFront : null, byPart };
+}
+
+/* ── Centreline Cp profile ────────────────────────────────────────── */
+const CENTERLINE_BAND = 0.12;   // m either side of x = 0 counted as the cut
+const CENTERLINE_SKIN = 0.04;   // m inside the outermost skin still counted
+const CENTERLINE_BINS = 48;     // z bins along the car
+
+/**
+ * Cp along the centreline cut of the painted overlay, the way a CFD report
+ * plots it: vertices within `band` of x = 0 are binned along z and split
+ * into the upper and lower skin with computeSurfaceCp's own under-test
+ * (ny < −0.35 or below floor + 5 cm). Per bin only the outermost skin
+ * counts — the highest top vertices and the lowest under ones — so the
+ * inside faces of the tub never average into the curve. Empty bins are
+ * dropped, so a curve has gaps where the cut misses the body.
+ *
+ * @param {Array<{position: ArrayLike<number>, normal?: ArrayLike<number>,
+ *                cp: ArrayLike<number>}>} surfaces — car-local, cp per vertex
+ * @param {{floorY?: number, scale?: number, bins?: number, band?: number}} [opts]
+ *        scale multiplies every cp (the painted speed factor)
+ * @returns {{zMin: number, zMax: number, top: Array<{z: number, cp: number}>,
+ *            under: Array<{z: number, cp: number}>}|null} null if the cut is empty
+ */
+export function centerlineCp(surfaces, {
+  floorY = 0.03, scale = 1, bins = CENTERLINE_BINS, band = CENTERLINE_BAND,
+} = {}) {
+  const pts = [];   // z, y, cp, under — flat
+  let zMin = Infinity, zMax = -Infinity;
+  for (const s of surfaces || []) {
+    const P = s?.position, N = s?.normal, C = s?.cp;
+    if (!P || !C) continue;
+    const n = Math.min(C.length, Math.floor(P.length / 3));
+    for (let i = 0; i < n; i++) {
+      if (Math.abs(P[i * 3]) > band) continue;
+      const y = P[i * 3 + 1], z = P[i * 3 + 2];
+      const ny = N ? N[i * 3 + 1] : 1;
+      pts.push(z, y, C[i], (ny < -0.35 || y < floorY + 0.05) ? 1 : 0);
+      if (z < zMin) zMin = z;
+      if (z > zMax) zMax = z;
+    }
+  }
+  if (pts.length === 0) return null;
+
+  const w = Math.max(zMax - zMin, 1e-6) / bins;
+  const binOf = z => Math.min(bins - 1, Math.floor((z - zMin) / w));
+  const hi = new Float64Array(bins).fill(-Infinity);
+  const lo = new Float64Array(bins).fill(Infinity);
+  for (let k = 0; k < pts.length; k += 4) {
+    const b = binOf(pts[k]);
+    if (pts[k + 3]) lo[b] = Math.min(lo[b], pts[k + 1]);
+    else            hi[b] = Math.max(hi[b], pts[k + 1]);
+  }
+  const sum = { top: new Float64Array(bins), under: new Float64Array(bins) };
+  const cnt = { top: new Uint32Array(bins),  under: new Uint32Array(bins) };
+  for (let k = 0; k < pts.length; k += 4) {
+    const b = binOf(pts[k]);
+    const under = pts[k + 3] === 1;
+    if (under ? pts[k + 1] > lo[b] + CENTERLINE_SKIN : pts[k + 1] < hi[b] - CENTERLINE_SKIN) continue;
+    const key = under ? 'under' : 'top';
+    sum[key][b] += pts[k + 2];
+    cnt[key][b]++;
+  }
+  const curve = key => {
+    const out = [];
+    for (let b = 0; b < bins; b++) {
+      if (cnt[key][b]) out.push({ z: zMin + (b + 0.5) * w, cp: (sum[key][b] / cnt[key][b]) * scale });
+    }
+    return out;
+  };
+  return { zMin, zMax, top: curve('top'), under: curve('under') };
+}
+
 /* ════════════════════════════════════════════════════════════════════
    CfdEffect class
 ════════════════════════════════════════════════════════════════════ */
@@ -563,17 +1003,32 @@ export class CfdEffect {
     this._modifiers      = [];     // Phase C: injected via setModifiers()
     this._occupancy      = null;   // world-frame body SDF (setOccupancy)
     this._occBaseY       = 0;      // world y = car-local y + occBaseY
+    this._baseBody       = null;   // panel base field (setBaseBody)
+    this._plan           = null;   // its surfacePlan — body-overlay flank Cp
+    this._wingLoad       = 1;      // rear-wing setup multiplier (setWingSetup)
+    this._ride           = null;   // ride height / rake + ground (groundedRide) — null = static, moving belt
+    this._rideSetup      = null;   // last setRideSetup input
+    this._ground         = 'moving';   // tunnel ground (setGroundMode, aero-setup.js)
+    this._wheelSpin      = 0;      // tyre spin ratio ωR/U (setWheelSpin) — tire proxy Cp
+    this._cooling        = 'standard';   // radiator opening (setCooling, cooling.js)
+    this._yaw            = 0;      // relative-wind yaw (rad, setYaw)
+    this._inflow         = null;   // wake inflow for a following car (setInflow) — null = clean air
+    this._spiralsOn      = true;   // table-placed vortex spirals (setVortexSpirals)
+    this._flowField      = null;   // shared quasi-3-D field (setFlowField) — null = authored wave
 
     this._patchMeshes    = [];
     this._blobMeshes     = [];
     this._vortexLines    = [];
     this._vortexDefs     = [];
     this._streamlines    = [];
+    this._streamPaths    = [];   // traced lanes (setFlowField), null = authored wave
     this._surfaceMeshes  = [];   // body-surface overlay (GLB cars)
     this._tireMeshes     = [];   // torus tire proxies (measure-gated)
     this._bodyMeshes     = null; // source meshes for the overlay
     this._bodyFrame      = null; // car group whose frame the overlay rebases into
     this._surfaceDirty   = false;
+    this._aeroAreas      = null; // integrateSurfaceCp output (overlay path only)
+    this._centerline     = null; // getCenterlineCp cache, rebuilt per recolor
 
     this._build('F1');
     this.group.visible = false;
@@ -636,6 +1091,15 @@ export class CfdEffect {
     this._speedDirty = true;
   }
 
+  /**
+   * Show / hide the table-placed vortex spirals (VORTEX_CORES) — main.js
+   * hides them while vortex-iso.js draws the cores the field itself has.
+   */
+  setVortexSpirals(on) {
+    this._spiralsOn = on !== false;
+    for (const { line } of this._vortexLines) line.visible = this._spiralsOn;
+  }
+
   /**
    * Phase C: inject the analytical modifier list produced by
    * AirflowEffect.getModifiers() so the CFD Cp map reflects the same
@@ -666,6 +1130,145 @@ export class CfdEffect {
     this._lastBuiltSpeed = -9999;   // force the recolor threshold
   }
 
+  /**
+   * The airflow's panel solution on the real outline
+   * (AirflowEffect.getBaseBody). The patch Cp recompute reads it in place
+   * of the unit cylinder, and the body overlay's flank faces take its wall
+   * Cp (surfacePlan). `dims` are the half-dims the outline is normalised
+   * by — the airflow's flow field carries them. null restores the
+   * cylinder and the z profile. Forces a recolor on a change.
+   *
+   * @param {object|null} body
+   * @param {{halfW:number, halfL:number}} [dims]
+   */
+  setBaseBody(body, dims) {
+    body = body || null;
+    const p = this._plan;
+    if (body === this._baseBody && (!body || (p?.halfW === dims?.halfW && p?.halfL === dims?.halfL))) return;
+    this._baseBody       = body;
+    this._plan           = surfacePlan(body, dims);
+    this._speedDirty     = true;
+    this._lastBuiltSpeed = -9999;
+  }
+
+  /**
+   * The airflow's quasi-3-D field (AirflowEffect.getFlowField) — the
+   * streamlines are traced through it, over and round the body, and
+   * coloured by its Cp instead of riding their authored wave. null restores
+   * the wave. Traced here and again when setCarType rebuilds the lanes. The
+   * airflow builds a new field on every retrace (wing, cooling, wheel spin,
+   * yaw), so callers re-send it then — main.js pipeAirflowToCfd.
+   */
+  setFlowField(field) {
+    this._flowField = field || null;
+    this._traceStreamlines(this._type);
+  }
+
+  /**
+   * Rear-wing angle / DRS (aero-setup.js). rearWingLoad scales the rear-wing
+   * Cp on both the patches and the body overlay, so the colours and the
+   * integrated downforce / drag follow the setup. Forces a recolor.
+   */
+  setWingSetup(setup) {
+    const load = rearWingLoad(setup);
+    if (load === this._wingLoad) return;
+    this._wingLoad       = load;
+    this._speedDirty     = true;
+    this._lastBuiltSpeed = -9999;
+  }
+
+  /**
+   * Ride height / rake (aero-setup.js). Underbody Cp — the UNDER profile on
+   * the body overlay and the floor / diffuser patches — follows the local
+   * floor gap; forces a recolor so the loads re-integrate.
+   */
+  setRideSetup(setup) {
+    this._rideSetup = normalizeRideSetup(setup);
+    this._applyRide();
+  }
+
+  /**
+   * Tunnel ground (aero-setup.js GROUND_MODES). Over a fixed floor the
+   * road boundary layer chokes the underbody suction — same consumers as
+   * the ride setup; forces a recolor.
+   */
+  setGroundMode(mode) {
+    this._ground = normalizeGroundMode(mode);
+    this._applyRide();
+  }
+
+  _applyRide() {
+    const ride = groundedRide(this._rideSetup, this._ground);
+    if (ride?.rideHeight === this._ride?.rideHeight && ride?.rake === this._ride?.rake &&
+        ride?.ground === this._ride?.ground) return;
+    this._ride           = ride;
+    this._speedDirty     = true;
+    this._lastBuiltSpeed = -9999;
+  }
+
+  /**
+   * Tyre spin ratio ωR/U (1 when aero-setup.js wheelsRolling, else 0).
+   * The tire proxies pick up the rolling-wheel Magnus and jetting terms
+   * (wheelSpinDeltaCp), so the wheels' share of the loads follows; forces
+   * a recolor.
+   */
+  setWheelSpin(spin) {
+    const s = Number.isFinite(spin) && spin > 0 ? spin : 0;
+    if (s === this._wheelSpin) return;
+    this._wheelSpin      = s;
+    this._speedDirty     = true;
+    this._lastBuiltSpeed = -9999;
+  }
+
+  /**
+   * Radiator cooling opening (cooling.js COOLING_LEVELS). The inlet mouths
+   * — sidepod-inlet patches, skin round the cooling-inlet anchors — shift
+   * by inletCpDelta; the vent sinks arrive through setModifiers. Forces a
+   * recolor.
+   */
+  setCooling(level) {
+    const l = normalizeCoolingLevel(level);
+    if (l === this._cooling) return;
+    this._cooling        = l;
+    this._speedDirty     = true;
+    this._lastBuiltSpeed = -9999;
+  }
+
+  /**
+   * Crosswind yaw (rad, positive = wind toward +x). Rotates the impact /
+   * wake normal test and the upstream shadow march onto the relative wind;
+   * forces a recolor so the loads re-integrate.
+   */
+  setYaw(yaw) {
+    const y = Number.isFinite(yaw) ? yaw : 0;
+    if (y === this._yaw) return;
+    this._yaw            = y;
+    this._speedDirty     = true;
+    this._lastBuiltSpeed = -9999;
+  }
+
+  /**
+   * Dirty-air inflow (slipstream.js createFollowerInflow) — this instance
+   * paints a car running in another car's wake. Every Cp, and so the
+   * integrated loads, follows the wake's local q; null restores clean air.
+   * Forces a recolor.
+   */
+  setInflow(inflow) {
+    this._inflow         = inflow || null;
+    this._speedDirty     = true;
+    this._lastBuiltSpeed = -9999;
+  }
+
+  /**
+   * Car origin on the road plane (x, z) and its yaw (rad) — a following
+   * car sits off the origin, turned with the road behind.
+   */
+  setPlacement(x, z, yaw = 0) {
+    this.group.position.x = x || 0;
+    this.group.position.z = z || 0;
+    this.group.rotation.y = yaw || 0;
+  }
+
   setVisible(v) {
     this._visible      = v;
     this.group.visible = v;
@@ -683,11 +1286,82 @@ export class CfdEffect {
     if (!hits.length) return null;
     const sf = Math.min(this._speed / 350, 1);
     return {
-      cp:    probeCp(hits[0], this._type, this._anchors, sf, this._baseY),
+      cp:    probeCp(hits[0], this._type, this._anchors, sf, this._baseY, this._wingLoad, this._ride, this._yaw, this._plan),
       point: hits[0].point,
     };
   }
 
+  /**
+   * Live aero loads (N) from the last surface-Cp integral, re-scaled by the
+   * CURRENT dynamic pressure — the integral only refreshes with the recolor
+   * (every 5 km/h) but q tracks the speed every frame. Null on the
+   * procedural patch fallback (floating rectangles have no real area) and
+   * before the first recolor.
+   *
+   * @returns {{downforce: number, drag: number, front: number|null,
+   *            rear: number|null, balance: number|null}|null}
+   *          balance = front-axle share of downforce ∈ [0, 1]-ish
+   */
+  getAeroForces(speedKmh = this._speed) {
+    const a = this._aeroAreas;
+    if (!a || this._surfaceMeshes.length === 0) return null;
+    const q = dynamicPressure(speedKmh);
+    const downforce = a.clA * q;
+    const front = a.clAFront == null ? null : a.clAFront * q;
+    return {
+      downforce,
+      drag:    a.cdA * q,
+      front,
+      rear:    front == null ? null : downforce - front,
+      balance: (a.clAFront == null || Math.abs(a.clA) < 1e-9) ? null : a.clAFront / a.clA,
+    };
+  }
+
+  /**
+   * Per-component loads (N) from the same integral as getAeroForces, one
+   * row per FORCE_PARTS entry the surface has, in display order. Shares are
+   * fractions of the NET total — a lifting part (a suction-topped cover)
+   * carries a negative downforce share. Null whenever getAeroForces is.
+   *
+   * @returns {Array<{part: string, downforce: number, drag: number,
+   *                  downforceShare: number|null, dragShare: number|null}>|null}
+   */
+  getPartForces(speedKmh = this._speed) {
+    const a = this._aeroAreas;
+    if (!a?.byPart || this._surfaceMeshes.length === 0) return null;
+    const q = dynamicPressure(speedKmh);
+    const share = (v, total) => (Math.abs(total) < 1e-9 ? null : v / total);
+    return FORCE_PARTS.filter(part => a.byPart[part]).map(part => {
+      const { clA, cdA } = a.byPart[part];
+      return {
+        part,
+        downforce:      clA * q,
+        drag:           cdA * q,
+        downforceShare: share(clA, a.clA),
+        dragShare:      share(cdA, a.cdA),
+      };
+    });
+  }
+
+  /**
+   * Centreline Cp chart data: the painted top / underside Cp along z and
+   * the authored lerpCpProfile curves at the painted scale (speed factor,
+   * underbody gain on the underside). Rebuilt with
+   * each recolor (speed steps, setup changes, car switch) — the same object
+   * comes back until then, so callers can redraw on identity change. On the
+   * patch fallback the measured curves are null and only the reference is
+   * returned. Null before the first build.
+   *
+   * @returns {{type: string, speedFactor: number, zMin: number, zMax: number,
+   *            top: Array<{z: number, cp: number}>|null,
+   *            under: Array<{z: number, cp: number}>|null,
+   *            refTop: Array<{z: number, cp: number}>,
+   *            refUnder: Array<{z: number, cp: number}>}|null}
+   */
+  getCenterlineCp() {
+    return this._centerline;
+  }
+
   update(dt, t) {
     if (!this._visible) return;
 
@@ -748,6 +1422,25 @@ export class CfdEffect {
       const col = geo.attributes.color.array;
       const zRange = def.zEnd - def.zStart;
 
+      // Traced lane: static shape from the flow field, its Cp scaled by
+      // speed like the authored profile.
+      const traced = this._streamPaths[li];
+      if (traced) {
+        for (let pi = 0; pi < STREAM_PTS; pi++) {
+          pos[pi * 3]     = traced.pos[pi * 3];
+          pos[pi * 3 + 1] = traced.pos[pi * 3 + 1];
+          pos[pi * 3 + 2] = traced.pos[pi * 3 + 2];
+          const c = cpToColor(traced.cp[pi] * speedFactor);
+          col[pi * 3]     = c.r;
+          col[pi * 3 + 1] = c.g;
+          col[pi * 3 + 2] = c.b;
+        }
+        geo.attributes.position.needsUpdate = true;
+        geo.attributes.color.needsUpdate    = true;
+        mat.opacity = speedFactor * 0.82;
+        continue;
+      }
+
       for (let pi = 0; pi < STREAM_PTS; pi++) {
         const frac  = pi / (STREAM_PTS - 1);
         const z     = def.zStart + frac * zRange;
@@ -792,6 +1485,8 @@ export class CfdEffect {
     this._streamlines   = [];
     this._surfaceMeshes = [];
     this._tireMeshes    = [];
+    this._aeroAreas     = null;
+    this._centerline    = null;
   }
 
   _build(type) {
@@ -810,6 +1505,7 @@ export class CfdEffect {
     this._buildBlobs(type);
     this._buildVortexCores(type);
     this._buildStreamlines(type);
+    this._traceStreamlines(type);
   }
 
   /* ── Body-surface Cp overlay ──────────────────────────────────── */
@@ -863,10 +1559,25 @@ export class CfdEffect {
       const mesh = new THREE.Mesh(geo, mat);
       mesh.name = `cfdSurface_${src.name}`;
       this.group.add(mesh);
-      this._surfaceMeshes.push({ mesh });
+      this._surfaceMeshes.push({ mesh, parts: this._vertexParts(pos, nrm) });
     }
   }
 
+  /* Per-vertex FORCE_PARTS index for an overlay clone (surfacePart). The
+   * geometry and anchors are fixed for the life of a build. */
+  _vertexParts(pos, nrm) {
+    const parts = new Uint8Array(pos.count);
+    for (let i = 0; i < pos.count; i++) {
+      const part = surfacePart(
+        pos.getX(i), pos.getY(i), pos.getZ(i),
+        nrm ? nrm.getX(i) : 0, nrm ? nrm.getY(i) : 1, nrm ? nrm.getZ(i) : 0,
+        this._type, this._anchors,
+      );
+      parts[i] = FORCE_PARTS.indexOf(part);
+    }
+    return parts;
+  }
+
   /* ── Tire proxies: static tori painted like the body overlay ───── */
   /**
    * Four TorusGeometry proxies at the measured hub positions. Tires are
@@ -923,7 +1634,7 @@ export class CfdEffect {
       const mesh = new THREE.Mesh(geo, mat);
       mesh.name = `cfdTire_${h.name}`;
       this.group.add(mesh);
-      this._tireMeshes.push({ mesh });
+      this._tireMeshes.push({ mesh, part: 'wheels', wheel: { groundY: m.groundContactY, r: m.wheelRadius } });
     }
   }
 
@@ -931,30 +1642,49 @@ export class CfdEffect {
   _updateSurfaceColors(speedFactor) {
     const occ  = this._occupancy;
     const occY = this._occBaseY;
-    for (const { mesh } of [...this._surfaceMeshes, ...this._tireMeshes]) {
+    const sinY = Math.sin(this._yaw), cosY = Math.cos(this._yaw);
+    const inletDCp = inletCpDelta(this._cooling, this._type);
+    const entries = [...this._surfaceMeshes, ...this._tireMeshes];
+    for (const entry of entries) {
+      const { mesh } = entry;
       const pos = mesh.geometry.attributes.position;
       const nrm = mesh.geometry.attributes.normal;
       const col = mesh.geometry.attributes.color;
+      // Per-vertex TRUE Cp (no speed fade, no underbody emphasis) for the
+      // force integral, and the painted value (computeSurfaceCp's sf-scaled
+      // Cp) the colours and the centreline chart show.
+      if (!entry.cp || entry.cp.length !== pos.count) entry.cp = new Float32Array(pos.count);
+      if (!entry.paint || entry.paint.length !== pos.count) entry.paint = new Float32Array(pos.count);
       for (let i = 0; i < pos.count; i++) {
         const px = pos.getX(i), py = pos.getY(i), pz = pos.getZ(i);
         const vnx = nrm ? nrm.getX(i) : 0;
         const vny = nrm ? nrm.getY(i) : 1;
         const vnz = nrm ? nrm.getZ(i) : 0;
-        // Upstream shadowing: march 3 samples toward the nose (−z) through
-        // the world-frame body SDF. First sample starts 0.15 m out — beyond
-        // the 12 mm inflation + local part thickness, so a wing LE never
-        // self-shadows. Any hit ⇒ this face sits in another part's wake.
+        // Upstream shadowing: march 3 samples upwind (−d; −z at zero yaw)
+        // through the world-frame body SDF. First sample starts 0.15 m out —
+        // beyond the 12 mm inflation + local part thickness, so a wing LE
+        // never self-shadows. Any hit ⇒ this face sits in another part's wake.
         let shadow = 1;
-        if (occ && vnz < 0) {
+        if (occ && vnx * sinY + vnz * cosY < 0) {
           const wy = py + occY;
-          if (occ.sample(px, wy, pz - 0.15) > 0.5 ||
-              occ.sample(px, wy, pz - 0.30) > 0.5 ||
-              occ.sample(px, wy, pz - 0.45) > 0.5) shadow = 0.35;
+          if (occ.sample(px - 0.15 * sinY, wy, pz - 0.15 * cosY) > 0.5 ||
+              occ.sample(px - 0.30 * sinY, wy, pz - 0.30 * cosY) > 0.5 ||
+              occ.sample(px - 0.45 * sinY, wy, pz - 0.45 * cosY) > 0.5) shadow = 0.35;
         }
-        const cp = computeSurfaceCp(
+        const spin = entry.wheel
+          ? wheelSpinDeltaCp(py, vnx, vny, vnz, entry.wheel, this._wheelSpin)
+          : 0;
+        const inlet = coolingInletDeltaCp(px, py, pz, vnz, this._anchors, inletDCp);
+        const parts = surfaceCpParts(
           px, py, pz, vnx, vny, vnz,
-          this._type, this._anchors, speedFactor, shadow,
+          this._type, this._anchors, shadow, this._wingLoad, this._ride, this._yaw, this._plan,
         );
+        entry.cp[i] = inflowCp(finishSurfaceCp(parts, 1) + spin + inlet, px, py, pz, this._inflow);
+        const cp = speedFactor > 0
+          ? inflowCp((finishSurfaceCp(parts, underPaintGain(speedFactor)) + spin + inlet) * speedFactor,
+            px, py, pz, this._inflow)
+          : 0;
+        entry.paint[i] = cp;
         // Emphasis map: cpRef scaled by the current speed's attainable peak
         // so the heat-point pattern is legible at 100 km/h too.
         const c = cpToEmphasisColor(cp, 0.9 * speedFactor, 2.2 * speedFactor);
@@ -963,6 +1693,53 @@ export class CfdEffect {
       col.needsUpdate = true;
       mesh.material.opacity = speedFactor * 0.85;
     }
+
+    // The true Cp does not depend on speed, so the integral holds at rest
+    // too (q = 0 zeroes the loads).
+    if (this._surfaceMeshes.length > 0) {
+      const m = this._measure;
+      const axles = (Number.isFinite(m?.frontAxleZ) && Number.isFinite(m?.rearAxleZ))
+        ? { frontZ: m.frontAxleZ, rearZ: m.rearAxleZ } : undefined;
+      this._aeroAreas = integrateSurfaceCp(entries.map(({ mesh, cp, parts, part }) => ({
+        position: flatAttr(mesh.geometry.attributes.position),
+        normal:   flatAttr(mesh.geometry.attributes.normal),
+        index:    mesh.geometry.index?.array,
+        cp, parts, part,
+      })), axles);
+    }
+    this._centerline = this._buildCenterline(speedFactor);
+  }
+
+  /**
+   * Measured centreline curves (centerlineCp over the painted overlay Cp,
+   * tire proxies excluded), plus the authored profile at the same scale —
+   * speed factor, and the underbody paint gain on the underside — sampled
+   * over the same z span.
+   */
+  _buildCenterline(speedFactor) {
+    const floorY = Number.isFinite(this._anchors?.floor?.y) ? this._anchors.floor.y : 0.03;
+    const measured = this._surfaceMeshes.length > 0
+      ? centerlineCp(this._surfaceMeshes.map(({ mesh, paint }) => ({
+          position: flatAttr(mesh.geometry.attributes.position),
+          normal:   flatAttr(mesh.geometry.attributes.normal),
+          cp:       paint,
+        })), { floorY })
+      : null;
+    const tables = CP_TABLES[this._type] || CP_TABLES.F1;
+    const zMin = measured ? measured.zMin : Math.min(tables.top[0][0], tables.under[0][0]);
+    const zMax = measured ? measured.zMax : Math.max(tables.top.at(-1)[0], tables.under.at(-1)[0]);
+    const refTop = [], refUnder = [];
+    for (let i = 0; i <= 64; i++) {
+      const z = zMin + (zMax - zMin) * i / 64;
+      refTop.push({   z, cp: lerpCpProfile(z, this._type, 'top') * speedFactor });
+      refUnder.push({ z, cp: lerpCpProfile(z, this._type, 'under', this._ride) * underPaintGain(speedFactor) * speedFactor });
+    }
+    return {
+      type: this._type, speedFactor, zMin, zMax,
+      top:   measured?.top   ?? null,
+      under: measured?.under ?? null,
+      refTop, refUnder,
+    };
   }
 
   /**
@@ -1043,6 +1820,7 @@ export class CfdEffect {
   /* ── Role-specific per-vertex Cp colouring ────────────────────── */
   _updatePatchColors(speedFactor) {
     const vortexCores = this._vortexDefs;
+    const inletDCp = inletCpDelta(this._cooling, this._type);
 
     for (let pi = 0; pi < this._patchMeshes.length; pi++) {
       const m = this._patchMeshes[pi];
@@ -1059,7 +1837,10 @@ export class CfdEffect {
       for (let vi = 0; vi < count; vi++) {
         const lx = pos[vi * 3];
         const ly = pos[vi * 3 + 1];
-        const cp = computePatchCp(p, lx, ly, speedFactor, this._modifiers, vortexCores, this._type);
+        const cp = inflowCp(computePatchCp(
+          p, lx, ly, speedFactor, this._modifiers, vortexCores, this._type, this._baseBody,
+          this._wingLoad, this._ride, this._yaw, inletDCp,
+        ), p.cx, p.cy, p.cz, this._inflow);
         // Same emphasis map as the body-surface overlay — the procedural
         // fallback must stay visually consistent with the GLB path.
         const c  = cpToEmphasisColor(cp, 0.9 * speedFactor, 2.2 * speedFactor);
@@ -1169,6 +1950,7 @@ export class CfdEffect {
         blending:    THREE.AdditiveBlending,
       });
       const line = new THREE.Line(geo, mat);
+      line.visible = this._spiralsOn;
       this.group.add(line);
       this._vortexLines.push({ geo, mat, line });
     }
@@ -1210,4 +1992,45 @@ export class CfdEffect {
       this._streamlines.push({ geo, mat, line });
     }
   }
+
+  /**
+   * Trace each lane through the flow field (setFlowField) from its authored
+   * start (x, y, zStart) to zEnd and resample it onto STREAM_PTS vertices,
+   * keeping each vertex's Cp at full speed. A lane the body stops short of
+   * half its length keeps the authored wave (null entry), as do all lanes
+   * without a field.
+   */
+  _traceStreamlines(type) {
+    const field = this._flowField;
+    const sDefs = STREAMLINE_DEFS[type] || STREAMLINE_DEFS.F1;
+    this._streamPaths = sDefs.map(def => {
+      if (!field) return null;
+      const { halfW, halfL } = field;
+      const span  = (def.zEnd - def.zStart) / halfL;
+      const steps = Math.ceil(1.5 * span / STREAM_STEP);
+      const path  = traceStreamline3D(def.x / halfW, def.zStart / halfL, def.y, steps, STREAM_STEP, field,
+        { occupancy: this._occupancy, baseY: this._occBaseY });
+      const end = path.findIndex(p => p.eta * halfL >= def.zEnd);
+      const pts = end >= 0 ? path.slice(0, end + 1) : path;
+      if (pts.length < 2 || pts[pts.length - 1].eta * halfL - def.zStart < 0.5 * (def.zEnd - def.zStart)) return null;
+
+      const pos = new Float32Array(STREAM_PTS * 3);
+      const cp  = new Float32Array(STREAM_PTS);
+      const k   = halfW / halfL;
+      for (let pi = 0; pi < STREAM_PTS; pi++) {
+        const t  = (pts.length - 1) * pi / (STREAM_PTS - 1);
+        const i0 = Math.floor(t);
+        const i1 = Math.min(pts.length - 1, i0 + 1);
+        const f  = t - i0;
+        const a = pts[i0], b = pts[i1];
+        const lerp = key => a[key] + (b[key] - a[key]) * f;
+        pos[pi * 3]     = lerp('xi') * halfW;
+        pos[pi * 3 + 1] = lerp('y');
+        pos[pi * 3 + 2] = lerp('eta') * halfL;
+        const vx = lerp('vxi') * k, vz = lerp('veta'), vy = lerp('vy');
+        cp[pi] = 1 - (vx * vx + vy * vy + vz * vz);
+      }
+      return { pos, cp };
+    });
+  }
 }
@@ -0,0 +1,258 @@
+/**
+ * circuit-import.js — real circuits from centerline files.
+ *
+ * Pure parsing and resampling, no Three.js / DOM. A centerline file is CSV
+ * (comma, semicolon or tab separated, '#' comment lines) in one of two
+ * forms, optionally with track width and elevation columns:
+ *
+ *   x, y            — closed polyline in a map frame (y north). The last
+ *                     point joins the first (a repeated first point is
+ *                     dropped). Driving order is row order.
+ *   s, curvature    — lap distance (m) and κ (1/m, + = left). The last
+ *                     row closes the lap: its s is the lap length.
+ *
+ * Width is one total column (width / w) or the right + left half-widths
+ * (w_tr_right_m / w_tr_left_m, the open racetrack-database layout);
+ * elevation is z / elevation (m), banking bank / camber (degrees, + = right
+ * edge raised, like κ; header-only). A header row names the columns; without one
+ * the first two columns are s,κ when the first rises from 0 and the second
+ * stays below 0.5, else x,y — then width, then elevation.
+ *
+ * Both forms become the same closed-loop curvature PROFILE sampled every
+ * `ds` along the lap (the form TrackPath drives — track-path.js
+ * setCircuit). Polylines are differentiated chord by chord and smoothed
+ * over SMOOTH_M, because map data kinks at every vertex; |κ| below
+ * KAPPA_STRAIGHT is flattened to a true straight so GPS noise doesn't read
+ * as a string of turns (turnEdgeCounter), and the residual heading error is
+ * taken out of the corners so the lap turns through an exact multiple of
+ * 360°. TrackPath takes the grade from the elevation's slope (circuitGrade),
+ * so the lap always closes in height. Position closure is only as good as the data: a few metres of
+ * mismatch just shifts the next lap in track space, where nothing sees it.
+ */
+
+import { sampleProfile } from './track-path.js';
+
+export const IMPORT_DS      = 2;          // m — profile sample spacing
+export const KAPPA_STRAIGHT = 1 / 2500;   // 1/m — flatter than R 2.5 km is straight
+const SMOOTH_M = 12;                      // m — polyline curvature smoothing window
+
+/* Bundled layouts (CIRCUIT control) — approximate centerlines built by
+ * scripts/gen-circuits.mjs, loaded on demand. */
+export const CIRCUIT_FILES = {
+  monza: { name: 'Monza',         url: new URL('../assets/tracks/monza.csv', import.meta.url).href },
+  spa:   { name: 'Spa',           url: new URL('../assets/tracks/spa.csv', import.meta.url).href },
+  rbr:   { name: 'Red Bull Ring', url: new URL('../assets/tracks/rbr.csv', import.meta.url).href },
+};
+
+const COLUMN_NAMES = {
+  x:         /^x(_m)?$/,
+  y:         /^y(_m)?$/,
+  s:         /^s(_m)?$/,
+  kappa:     /^(kappa|curvature|k)(_.*)?$/,
+  width:     /^(width|w)(_m)?$/,
+  wRight:    /^w(_tr)?_right(_m)?$/,
+  wLeft:     /^w(_tr)?_left(_m)?$/,
+  elevation: /^(z|elevation|elev|alt)(_m)?$/,
+  bank:      /^(bank|banking|camber)(_deg)?$/,
+};
+
+/**
+ * Split centerline text into named numeric columns.
+ * @param {string} text
+ * @returns {{format:'xy'|'curvature', cols:Object<string, number[]>,
+ *            width:number[]|null, elevation:number[]|null, bank:number[]|null}}
+ */
+export function parseCenterline(text) {
+  const rows = String(text).split(/\r?\n/)
+    .map(l => l.trim())
+    .filter(l => l && !l.startsWith('#'))
+    .map(l => l.split(/\s*[,;\t]\s*/));
+  if (!rows.length) throw new Error('[circuit-import] empty centerline file');
+
+  let names = null;
+  if (rows[0].some(f => !Number.isFinite(Number(f)))) {
+    names = rows.shift().map(f => f.toLowerCase());
+  }
+  const data = rows.map(r => r.map(Number));
+  if (data.some(r => r.some(v => !Number.isFinite(v)))) {
+    throw new Error('[circuit-import] non-numeric value in centerline data');
+  }
+  const column = (i) => (i >= 0 ? data.map(r => r[i]) : null);
+  const find = (key) => (names ? names.findIndex(n => COLUMN_NAMES[key].test(n)) : -1);
+
+  let format, cols, wIdx, zIdx;
+  if (names) {
+    if (find('s') >= 0 && find('kappa') >= 0) {
+      format = 'curvature';
+      cols = { s: column(find('s')), kappa: column(find('kappa')) };
+    } else if (find('x') >= 0 && find('y') >= 0) {
+      format = 'xy';
+      cols = { x: column(find('x')), y: column(find('y')) };
+    } else {
+      throw new Error(`[circuit-import] no x,y or s,curvature columns in header "${names.join(',')}"`);
+    }
+    wIdx = find('width');
+    zIdx = find('elevation');
+  } else {
+    if (data[0].length < 2) throw new Error('[circuit-import] need at least two columns');
+    const a = column(0), b = column(1);
+    const rising = a[0] === 0 && a.every((v, i) => i === 0 || v > a[i - 1]);
+    format = rising && b.every(v => Math.abs(v) < 0.5) ? 'curvature' : 'xy';
+    cols = format === 'xy' ? { x: a, y: b } : { s: a, kappa: b };
+    wIdx = data[0].length > 2 ? 2 : -1;
+    zIdx = data[0].length > 3 ? 3 : -1;
+  }
+
+  let width = column(wIdx);
+  const wr = find('wRight'), wl = find('wLeft');
+  if (!width && wr >= 0 && wl >= 0) width = data.map(r => r[wr] + r[wl]);
+  return { format, cols, width, elevation: column(zIdx), bank: column(find('bank')) };
+}
+
+/* Linear interpolation of `vals` at positions `at` over the knots `knots`
+ * (both ascending; knots[last] closes back onto vals[0]). */
+function resample(knots, vals, at) {
+  const out = new Float32Array(at.length);
+  let k = 0;
+  for (let j = 0; j < at.length; j++) {
+    while (k < knots.length - 2 && knots[k + 1] <= at[j]) k++;
+    const t = (at[j] - knots[k]) / (knots[k + 1] - knots[k]);
+    const v1 = k + 1 < vals.length ? vals[k + 1] : vals[0];
+    out[j] = vals[k] + (v1 - vals[k]) * t;
+  }
+  return out;
+}
+
+/* Wrap an angle onto (−π, π]. */
+function wrapPi(a) {
+  return a - 2 * Math.PI * Math.round(a / (2 * Math.PI));
+}
+
+/**
+ * Build a closed circuit from centerline text: the same {name, length,
+ * corners} shape as buildCircuit, plus the sampled profile TrackPath and
+ * circuitCurvature read κ (and track.js the width) from.
+ * @param {string} name
+ * @param {string} text - centerline CSV
+ * @param {{ds?:number}} [opts]
+ * @returns {{name:string, length:number,
+ *            corners:Array<{s0:number, s1:number, kMax:number, dir:number}>,
+ *            profile:{ds:number, kappa:Float32Array, width:Float32Array|null,
+ *                     elevation:Float32Array|null, bank:Float32Array|null}}}
+ */
+export function importCircuit(name, text, { ds = IMPORT_DS } = {}) {
+  const { format, cols, width, elevation, bank } = parseCenterline(text);
+  let knots, kappaAt = null, xs, ys, closed = format === 'curvature';
+
+  if (format === 'curvature') {
+    const s0 = cols.s[0];
+    knots = cols.s.map(s => s - s0);
+    if (knots.length < 3 || knots.some((s, i) => i > 0 && !(s > knots[i - 1]))) {
+      throw new Error('[circuit-import] s must rise through at least three rows');
+    }
+    kappaAt = cols.kappa;
+  } else {
+    const n = cols.x.length;
+    closed = n > 1 && Math.hypot(cols.x[n - 1] - cols.x[0], cols.y[n - 1] - cols.y[0]) < 1e-6;
+    xs = closed ? cols.x.slice(0, -1) : cols.x;
+    ys = closed ? cols.y.slice(0, -1) : cols.y;
+    if (xs.length < 3) throw new Error('[circuit-import] a loop needs at least three points');
+    knots = [0];
+    for (let i = 0; i < xs.length; i++) {
+      const j = (i + 1) % xs.length;
+      knots.push(knots[i] + Math.hypot(xs[j] - xs[i], ys[j] - ys[i]));
+    }
+  }
+
+  const length = knots[knots.length - 1];
+  const n = Math.max(8, Math.round(length / ds));
+  const step = length / n;
+  const at = Array.from({ length: n }, (_, j) => j * step);
+  // A closing row repeats the first; drop it before resampling.
+  const rowVals = (vals) => (closed ? vals.slice(0, -1) : vals);
+
+  let kappa;
+  if (kappaAt) {
+    kappa = resample(knots, rowVals(kappaAt), at);
+  } else {
+    const px = resample(knots, xs, at), py = resample(knots, ys, at);
+    const heading = new Float64Array(n);
+    for (let j = 0; j < n; j++) {
+      const k = (j + 1) % n;
+      heading[j] = Math.atan2(py[k] - py[j], px[k] - px[j]);
+    }
+    const raw = new Float64Array(n);
+    for (let j = 0; j < n; j++) raw[j] = wrapPi(heading[j] - heading[(j - 1 + n) % n]) / step;
+    // Circular moving average — vertex kinks become a smooth κ(s).
+    const h = Math.max(1, Math.round(SMOOTH_M / 2 / step));
+    kappa = new Float32Array(n);
+    for (let j = 0; j < n; j++) {
+      let sum = 0;
+      for (let d = -h; d <= h; d++) sum += raw[(j + d + n) % n];
+      kappa[j] = sum / (2 * h + 1);
+    }
+  }
+
+  // Straights are straight; corners absorb the heading error.
+  let turned = 0, weight = 0;
+  for (let j = 0; j < n; j++) {
+    if (Math.abs(kappa[j]) < KAPPA_STRAIGHT) kappa[j] = 0;
+    turned += kappa[j] * step;
+    weight += Math.abs(kappa[j]) * step;
+  }
+  const err = turned - 2 * Math.PI * Math.round(turned / (2 * Math.PI));
+  if (weight > 0) for (let j = 0; j < n; j++) kappa[j] -= err * Math.abs(kappa[j]) / weight;
+
+  const profile = {
+    ds: step,
+    kappa,
+    width: width ? resample(knots, rowVals(width), at) : null,
+    elevation: elevation ? resample(knots, rowVals(elevation), at) : null,
+    bank: bank ? resample(knots, rowVals(bank).map(d => d * Math.PI / 180), at) : null,
+  };
+  return { name, length, corners: profileCorners(kappa, step), profile };
+}
+
+/* Runs of same-signed κ as corner spans {s0, s1, kMax (signed peak), dir}.
+ * A span reaches one sample either side, where the interpolated κ returns
+ * to zero; an S-bend splits where κ changes sign, and a corner across the
+ * start line is cut into two at the line. */
+function profileCorners(kappa, ds) {
+  const n = kappa.length, L = n * ds;
+  const corners = [];
+  let j = 0;
+  while (j < n) {
+    if (kappa[j] === 0) { j++; continue; }
+    const a = j, dir = Math.sign(kappa[j]);
+    const flick = a > 0 && kappa[a - 1] !== 0;   // continues an opposite-handed corner
+    let peak = 0;
+    while (j < n && Math.sign(kappa[j]) === dir) {
+      if (Math.abs(kappa[j]) > Math.abs(peak)) peak = kappa[j];
+      j++;
+    }
+    corners.push({
+      s0: Math.max(0, (flick ? a : a - 1) * ds),
+      s1: Math.min(L, j * ds),
+      kMax: peak,
+      dir: Math.sign(peak),
+    });
+  }
+  // A corner running onto the line also needs the last sample's span.
+  if (kappa[0] !== 0 && kappa[n - 1] === 0) {
+    corners.push({ s0: (n - 1) * ds, s1: L, kMax: kappa[0], dir: Math.sign(kappa[0]) });
+  }
+  return corners;
+}
+
+/**
+ * Fetch and import a bundled layout (CIRCUIT_FILES key).
+ * @param {string} key
+ * @returns {Promise<object>} importCircuit result
+ */
+export async function loadCircuitFile(key) {
+  const file = CIRCUIT_FILES[key];
+  if (!file) throw new Error(`[circuit-import] unknown circuit "${key}"`);
+  const res = await fetch(file.url);
+  if (!res.ok) throw new Error(`[circuit-import] ${file.url}: HTTP ${res.status}`);
+  return importCircuit(file.name, await res.text());
+}
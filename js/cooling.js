@@ -0,0 +1,105 @@
+/**
+ * cooling.js — radiator cooling flow through the sidepod / front inlets.
+ *
+ * Pure math, no Three.js. The radiator duct is one internal flow path:
+ * inlet mouth → radiator core → exit louvres. Its drive is the total
+ * pressure the inlet rams (Cp_t = 1) over the base suction the exit vents
+ * into; its losses are the core (K, referred to the freestream q) and the
+ * exit dump, whose velocity follows by continuity from the exit area the
+ * cooling-opening setting trims:
+ *
+ *   φ = V_in / V = √( ΔCp / (K + (A_in / A_exit)²) )      mass-flow ratio
+ *   ṁ = ρ · V · A_in · φ
+ *   D = ṁ · (V − V_exit),  V_exit / V = φ · A_in / A_exit   (momentum loss)
+ *
+ * The core is laminar at low speed: K grows as (1 + V_LAM / V), so the duct
+ * swallows a smaller share of the oncoming stream in slow corners.
+ *
+ * One setting drives three subsystems that used to carry unrelated
+ * constants, all normalised to exactly 1 (or 0) at 'standard' so the
+ * calibrated defaults are untouched:
+ *   coolingStrength  — sink / source strength multiplier on the cooling
+ *                      vents (effects.js _buildModifiers) and the
+ *                      VentEmitterSystem particle gain;
+ *   inletCpDelta     — shift of the inlet-mouth Cp (cfd-effect.js): more
+ *                      flow through the mouth, less of it stagnates;
+ *   coolingFlow      — mass flow and drag cost for the HUD.
+ */
+
+export const COOLING_LEVELS  = ['tight', 'standard', 'open'];
+export const DEFAULT_COOLING = 'standard';
+
+/* Exit-area multiplier per opening: tight bodywork / standard / max louvres. */
+const EXIT_OPENING = { tight: 0.6, standard: 1, open: 1.5 };
+
+/* Per-car duct: total inlet and exit areas (m², both sides), core loss K. */
+const DUCT = {
+  F1: { inlet: 0.085, exit: 0.060, core: 3.0 },   // sidepod inlets → coke-bottle louvres
+  GT: { inlet: 0.110, exit: 0.080, core: 3.5 },   // nose radiator → bonnet / fender vents
+};
+const DRIVE_CP = 1.3;     // inlet total (1) − exit base Cp (−0.3)
+const V_LAM    = 12;      // m/s — laminar core-loss speed scale
+const RHO      = 1.2;
+
+/* Anchors that belong to the cooling duct (not the airbox, exhaust, brakes). */
+export const COOLING_VENT_RE = /^(sidepodInlet|sidepodExhaust|frontIntake|fenderVent)/;
+export const COOLING_INLET_RE = /^(sidepodInlet|frontIntake)/;
+
+function ductFor(type) {
+  return DUCT[type] || DUCT.F1;
+}
+
+/** Clamp an opening to COOLING_LEVELS ('standard' otherwise). */
+export function normalizeCoolingLevel(level) {
+  return COOLING_LEVELS.includes(level) ? level : DEFAULT_COOLING;
+}
+
+/**
+ * Mass-flow ratio φ = V_in / V through the inlets. `speedKmh` omitted (or
+ * Infinity) gives the high-speed limit, where the core loss is turbulent.
+ * @param {string} level
+ * @param {string} [type='F1']
+ * @param {number} [speedKmh=Infinity]
+ */
+export function massFlowRatio(level, type = 'F1', speedKmh = Infinity) {
+  const v = speedKmh / 3.6;
+  if (!(v > 0)) return 0;
+  const d = ductFor(type);
+  const area = d.inlet / (d.exit * EXIT_OPENING[normalizeCoolingLevel(level)]);
+  const k = d.core * (1 + V_LAM / v);
+  return Math.sqrt(DRIVE_CP / (k + area * area));
+}
+
+/**
+ * Cooling-vent strength multiplier vs 'standard' (high-speed φ ratio) —
+ * the speed dependence of the sinks stays in the flow models' own
+ * speed scaling.
+ */
+export function coolingStrength(level, type = 'F1') {
+  return massFlowRatio(level, type) / massFlowRatio(DEFAULT_COOLING, type);
+}
+
+/**
+ * Inlet-mouth static Cp shift vs 'standard': the mouth sees 1 − φ², so a
+ * wider exit that draws more air through lowers the mouth pressure.
+ */
+export function inletCpDelta(level, type = 'F1') {
+  const phi = massFlowRatio(level, type), ref = massFlowRatio(DEFAULT_COOLING, type);
+  return ref * ref - phi * phi;
+}
+
+/**
+ * Cooling mass flow (kg/s) and its drag cost (N) at a road speed.
+ * @param {number} speedKmh
+ * @param {string} level
+ * @param {string} [type='F1']
+ * @returns {{ratio:number, massFlow:number, drag:number}}
+ */
+export function coolingFlow(speedKmh, level, type = 'F1') {
+  const v = Math.max(0, speedKmh || 0) / 3.6;
+  const d = ductFor(type);
+  const ratio = massFlowRatio(level, type, speedKmh);
+  const massFlow = RHO * v * d.inlet * ratio;
+  const exitRatio = ratio * d.inlet / (d.exit * EXIT_OPENING[normalizeCoolingLevel(level)]);
+  return { ratio, massFlow, drag: massFlow * v * Math.max(0, 1 - exitRatio) };
+}
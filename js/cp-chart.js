@@ -0,0 +1,115 @@
+/**
+ * cp-chart.js — centreline Cp chart for the CFD view.
+ *
+ * Draws CfdEffect.getCenterlineCp() onto a 2D canvas the way CFD reports
+ * present surface pressure: car length along x (nose left, tail right) and
+ * −Cp up, so suction peaks stand up and stagnation dips below the zero
+ * line. Solid curves are the painted overlay (top / underside); dashed
+ * curves are the authored lerpCpProfile reference at the same scale.
+ *
+ * The layout maths is pure (cpChartScale) so the orientation is testable
+ * without a canvas.
+ */
+
+/* Line colours — top reads cool, underside warm (the panel title colour). */
+export const CP_CHART_COLORS = { top: '#7fd0ff', under: '#ff9a70' };
+
+const PAD = { left: 26, right: 8, top: 8, bottom: 16 };   // CSS px
+
+/**
+ * Axis mapping for a chart of w × h CSS px. The Cp axis spans every
+ * plotted value, rounded out to 0.5 steps and never narrower than
+ * −1 … +0.5 so a car at walking pace doesn't blow noise up to full scale.
+ * Pure — exported for tests.
+ *
+ * @param {ReturnType<import('./cfd-effect.js').CfdEffect['getCenterlineCp']>} data
+ * @param {number} w
+ * @param {number} h
+ * @returns {{cpMin: number, cpMax: number, x: (z: number) => number,
+ *            y: (cp: number) => number, plot: {x0: number, x1: number, y0: number, y1: number}}}
+ */
+export function cpChartScale(data, w, h) {
+  let lo = -1, hi = 0.5;
+  for (const key of ['top', 'under', 'refTop', 'refUnder']) {
+    for (const p of data?.[key] || []) {
+      if (p.cp < lo) lo = p.cp;
+      if (p.cp > hi) hi = p.cp;
+    }
+  }
+  const cpMin = Math.floor(lo * 2) / 2;
+  const cpMax = Math.ceil(hi * 2) / 2;
+  const zMin = data?.zMin ?? -1, zMax = data?.zMax ?? 1;
+  const plot = { x0: PAD.left, x1: w - PAD.right, y0: PAD.top, y1: h - PAD.bottom };
+  const zSpan = Math.max(zMax - zMin, 1e-6);
+  return {
+    cpMin, cpMax, plot,
+    x:  z  => plot.x0 + (z - zMin) / zSpan * (plot.x1 - plot.x0),
+    // −Cp up: the most negative Cp sits on the top edge.
+    y:  cp => plot.y0 + (cp - cpMin) / (cpMax - cpMin) * (plot.y1 - plot.y0),
+  };
+}
+
+/**
+ * Render `data` into `canvas` (sized to its CSS box × devicePixelRatio).
+ * Null data clears it.
+ */
+export function drawCpChart(canvas, data) {
+  const ctx = canvas?.getContext?.('2d');
+  if (!ctx) return;
+  const dpr = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+  const w = canvas.clientWidth || canvas.width;
+  const h = canvas.clientHeight || canvas.height;
+  if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+    canvas.width  = Math.round(w * dpr);
+    canvas.height = Math.round(h * dpr);
+  }
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, w, h);
+  if (!data) return;
+
+  const s = cpChartScale(data, w, h);
+  const { plot } = s;
+
+  // Grid every 0.5 Cp; the zero line brighter. Labels are −Cp (axis sense).
+  ctx.font = '9px monospace';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  ctx.lineWidth = 1;
+  for (let cp = s.cpMin; cp <= s.cpMax + 1e-9; cp += 0.5) {
+    const y = Math.round(s.y(cp)) + 0.5;
+    const zero = Math.abs(cp) < 1e-9;
+    ctx.strokeStyle = zero ? 'rgba(255,255,255,0.35)' : 'rgba(255,255,255,0.08)';
+    ctx.beginPath();
+    ctx.moveTo(plot.x0, y);
+    ctx.lineTo(plot.x1, y);
+    ctx.stroke();
+    if (Number.isInteger(cp)) {
+      ctx.fillStyle = '#8a96a8';
+      const v = -cp;
+      ctx.fillText(v > 0 ? `${v}` : v < 0 ? `−${-v}` : '0', plot.x0 - 4, y);
+    }
+  }
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillStyle = '#8a96a8';
+  ctx.textAlign = 'left';
+  ctx.fillText('NOSE', plot.x0, h - 4);
+  ctx.textAlign = 'right';
+  ctx.fillText('TAIL', plot.x1, h - 4);
+
+  const line = (pts, color, dashed) => {
+    if (!pts?.length) return;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = dashed ? 1 : 1.6;
+    ctx.globalAlpha = dashed ? 0.6 : 1;
+    ctx.setLineDash(dashed ? [4, 3] : []);
+    ctx.beginPath();
+    pts.forEach((p, i) => (i ? ctx.lineTo(s.x(p.z), s.y(p.cp)) : ctx.moveTo(s.x(p.z), s.y(p.cp))));
+    ctx.stroke();
+  };
+  line(data.refTop,   CP_CHART_COLORS.top,   true);
+  line(data.refUnder, CP_CHART_COLORS.under, true);
+  line(data.top,      CP_CHART_COLORS.top,   false);
+  line(data.under,    CP_CHART_COLORS.under, false);
+  ctx.setLineDash([]);
+  ctx.globalAlpha = 1;
+}
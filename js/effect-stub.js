@@ -1,8 +1,9 @@
 /**
  * effect-stub.js — inert stand-in used when an effect constructor throws.
  *
- * main.js swaps AirflowEffect / RainEffect / CfdEffect / VentEmitterSystem
- * for an EffectStub on construction failure so animate() keeps running.
+ * main.js swaps AirflowEffect / RainEffect / CfdEffect / VentEmitterSystem /
+ * LbmEffect / SliceEffect / SmokeWandEffect / VortexIsoEffect for an EffectStub on construction
+ * failure so animate() keeps running.
  * The stub must therefore cover the FULL method surface main.js invokes on
  * an effect instance — including the non-optional spawnCar calls
  * (setBodySurface, setModifiers, getModifiers, setFlowCoupling, …) that
@@ -15,8 +16,19 @@
  * Value-returning methods honour the real interfaces:
  *   sampleFlowAt    → zero-velocity vector ({vx,vy,vz} — AirflowEffect shape)
  *   getFlowEnvelope → null (no flow field)
+ *   getWakeSources  → null (no wake — a follower sees clean air)
  *   getModifiers    → []   (no feature modifiers)
+ *   getBaseBody     → null (unit-cylinder base field)
+ *   getFlowField    → null (no quasi-3-D field — CFD keeps its authored lanes)
  *   raycastCp       → null (no overlay to probe)
+ *   getAeroForces   → null (no surface to integrate)
+ *   getPartForces   → null (no surface to integrate)
+ *   getCenterlineCp → null (no chart data)
+ *   getOffsetRange  → null (no plane — the slider keeps its range)
+ *   raycast         → null (no plane to grab)
+ *   getEmitter      → null (wand lowered — main.js re-places it harmlessly)
+ *   getRakeFrame    → null (no flow frame — rake placement is skipped)
+ *   getColorScale   → null (no colour-by — the ribbon legend stays hidden)
  */
 export class EffectStub {
   setSpeed() {}
@@ -31,8 +43,42 @@ export class EffectStub {
   setTurnState() {}
   setPathBend() {}
   setFlowCoupling() {}
+  setBaseBody() {}
+  setFlowField() {}
+  setView() {}
+  setWingSetup() {}
+  setRideSetup() {}
+  setGroundMode() {}
+  setWheelSpin() {}
+  setCooling() {}
+  setYaw() {}
+  setInflow() {}
+  setPlacement() {}
+  setWakeReach() {}
+  setField() {}
+  setSampler() {}
+  setAxis() {}
+  setOffset() {}
+  refresh() {}
+  setEmitter() {}
+  clear() {}
+  setMode() {}
+  setVortexSpirals() {}
+  setRakes() {}
+  setColorMode() {}
   sampleFlowAt() { return { vx: 0, vy: 0, vz: 0 }; }
   getFlowEnvelope() { return null; }
+  getWakeSources() { return null; }
   getModifiers() { return []; }
+  getBaseBody() { return null; }
+  getFlowField() { return null; }
   raycastCp() { return null; }
+  getAeroForces() { return null; }
+  getPartForces() { return null; }
+  getCenterlineCp() { return null; }
+  getOffsetRange() { return null; }
+  raycast() { return null; }
+  getEmitter() { return null; }
+  getRakeFrame() { return null; }
+  getColorScale() { return null; }
 }
@@ -5,12 +5,17 @@
 
 import * as THREE from 'three';
 import {
-  traceStreamlinePath, topViewVelocity,
-  vortexVelocity, sideViewVelocity,
-  venturiSpeedRatio, cpToColor, sumVelocity,
+  traceStreamline3D, quasi3dVelocity,
+  vortexVelocity,
+  venturiSpeedRatio, cpToColor, sumVelocity, pressureCoeff,
+  outlineFromOccupancy, solvePanelBody, crosswindFreestream,
 } from './airflow-core.js';
 import { lerpCpProfile } from './cfd-effect.js';
 import { bendLookup, rainLateralAccel } from './track-path.js';
+import { rearWingLoad, underfloorGain, normalizeRideSetup, normalizeGroundMode, groundedRide } from './aero-setup.js';
+import { normalizeRake, rakeNozzles } from './stream-rake.js';
+import { wakeQ } from './slipstream.js';
+import { coolingStrength, normalizeCoolingLevel, COOLING_VENT_RE } from './cooling.js';
 
 /* ── Phase C modifier strengths (VISUAL approximations, not CFD-calibrated) ── *
  * Each vent/wing in AirflowEffect._buildModifiers emits an entry into the
@@ -122,6 +127,17 @@ const VORTEX_PTS = 100;
 const RIBBON_TAIL_FADE_VERTS = 6;
 const RIBBON_FULL_FRAC       = 0.95;
 
+/* ── User rakes (stream-rake.js) ─────────────────────────────────── *
+ * Rake nozzles become 'rake' seeds traced exactly like the grid ribbons,
+ * tinted amber so they read apart from the white grid. Bars are clamped
+ * upstream of the nose — the tracer needs free air to start in — and the
+ * nozzle total is capped so a scene can't stall the retrace.           */
+const RAKE_ETA_MIN     = -8;      // as far upstream as the grid seeds
+const RAKE_ETA_MAX     = -1.05;   // just ahead of the nose
+const RAKE_SEED_BUDGET = 48;      // nozzles over all rakes
+const RAKE_TINT        = { r: 1.00, g: 0.74, b: 0.36 };
+const RAKE_BAR_COLOR   = 0xffb45c;
+
 /* ── Venturi underfloor channel ──────────────────────────────────── *
  * Dedicated 'underfloor' ribbon group: floor flow does NOT divert
  * around the cylinder body like the top-view potential flow — it runs
@@ -171,10 +187,14 @@ function lerpTable(table, z) {
 /**
  * Channel-flow Cp at a car-frame z — what the air INSIDE the floor gap
  * experiences, as opposed to the body-surface Cp painted by CFD mode.
+ * `ride` (aero-setup.js ride height / rake) scales the suction by the
+ * local floor gap; null keeps the calibrated channel.
  */
-export function underfloorChannelCp(zCar, type) {
-  if (type === 'F1') return lerpTable(F1_CHANNEL_TABLE, zCar);
-  return lerpCpProfile(zCar, type, 'under');
+export function underfloorChannelCp(zCar, type, ride = null) {
+  const cp = type === 'F1'
+    ? lerpTable(F1_CHANNEL_TABLE, zCar)
+    : lerpCpProfile(zCar, type, 'under');
+  return cp < 0 ? cp * underfloorGain(zCar, ride, type) : cp;
 }
 
 /**
@@ -206,6 +226,58 @@ export function underfloorTintMix(cpEff) {
   return 0.85 * Math.min(1, Math.abs(cpEff) / 1.6);
 }
 
+/* ── Ribbon colour-by modes ──────────────────────────────────────── *
+ * 'smoke' is the tunnel look (white grid, amber rakes, Cp-tinted floor
+ * lanes). The others paint every ribbon — underfloor lanes included —
+ * with one quantity per vertex on the cpToColor ramp (blue low → red
+ * high), all taken at the traced full-speed shape so a colour means the
+ * same thing at any car speed:
+ *   speed  — local speed ratio V/V∞ = √(1 − Cp)
+ *   cp     — pressureCoeff of the traced velocity (underfloor: channel Cp)
+ *   loss   — total-pressure loss 1 − q/q∞ in the car's wake (slipstream.js
+ *            wakeQ on getWakeSources) — zero wherever Bernoulli holds
+ *   height — seed height above the ground plane
+ * ------------------------------------------------------------------ */
+export const RIBBON_COLOR_MODES = ['smoke', 'speed', 'cp', 'loss', 'height'];
+
+const RIBBON_COLOR_SCALES = {
+  speed: { label: 'V/V∞',     min: 0.4, max: 1.6 },
+  cp:    { label: 'Cp',       min: -2,  max: 1   },
+  loss:  { label: 'Cp₀ loss', min: 0,   max: 0.5 },
+};
+
+/**
+ * Ramp colour for a value on a {min, max} scale — the cpToColor palette
+ * stretched over the scale (min → blue, max → red), clamped at the ends.
+ */
+export function ribbonRampColor(value, scale) {
+  const t = Math.max(0, Math.min(1, (value - scale.min) / (scale.max - scale.min)));
+  return cpToColor(4 * t - 3);
+}
+
+/**
+ * Fill and toggle the ribbon colour legend (#airflow-legend): shown while
+ * `scale` (AirflowEffect.getColorScale) is non-null, title + max / mid /
+ * min labels from it. DOM-shape agnostic like syncCfdLegend.
+ * @returns {boolean} whether the legend is now shown
+ */
+export function syncRibbonLegend(el, scale) {
+  if (!el) return false;
+  el.classList.toggle('show', !!scale);
+  if (!scale) return false;
+  const fmt = v => {
+    const r = Math.round(v * 100) / 100;
+    return r < 0 ? `−${-r}` : String(r);
+  };
+  const title = el.querySelector('.ribbon-legend-title');
+  if (title) title.textContent = scale.label;
+  for (const [key, v] of [['max', scale.max], ['mid', (scale.min + scale.max) / 2], ['min', scale.min]]) {
+    const span = el.querySelector(`[data-at="${key}"]`);
+    if (span) span.textContent = fmt(v);
+  }
+  return true;
+}
+
 /**
  * Underfloor ribbon height: flat in the floor gap, then an eased rise
  * through the diffuser ramp (upwash).
@@ -223,15 +295,15 @@ export function underfloorY(zCar, y0) {
  * Effective underfloor Cp at a car-frame z: the calibrated per-car
  * profile, windowed to the car footprint (fades to freestream beyond
  * 1.25–1.9 half-lengths) and scaled by speedFactor² like the CFD
- * ground effect (downforce ∝ V²).
+ * ground effect (downforce ∝ V²). `ride` as underfloorChannelCp.
  */
-export function underfloorCp(zCar, type, halfL, speedFactor) {
+export function underfloorCp(zCar, type, halfL, speedFactor, ride = null) {
   if (!speedFactor) return 0;
   const zAbs = Math.abs(zCar);
   const full = halfL * 1.25, zero = halfL * 1.9;
   if (zAbs >= zero) return 0;
   const w = zAbs <= full ? 1 : 1 - (zAbs - full) / (zero - full);
-  return underfloorChannelCp(zCar, type) * w * speedFactor * speedFactor;
+  return underfloorChannelCp(zCar, type, ride) * w * speedFactor * speedFactor;
 }
 
 /**
@@ -269,6 +341,10 @@ function _resamplePath(path, n) {
       vxi:  a.vxi  + (b.vxi  - a.vxi)  * f,
       veta: a.veta + (b.veta - a.veta) * f,
     };
+    if (a.y !== undefined) {
+      out[i].y  = a.y  + (b.y  - a.y)  * f;
+      out[i].vy = a.vy + (b.vy - a.vy) * f;
+    }
   }
   return out;
 }
@@ -534,6 +610,18 @@ export class AirflowEffect {
     this._measure      = null;
     this._turnOmega    = 0;    // car yaw rate (rad/s) while turning
     this._pathBend     = null; // pathBendTable sample — the road's own curve
+    this._wingLoad     = 1;    // rear-wing load multiplier (setWingSetup)
+    this._ride         = null; // ride height / rake + ground (groundedRide) — null = static, moving belt
+    this._rideSetup    = null; // last setRideSetup input
+    this._ground       = 'moving';   // tunnel ground (setGroundMode, aero-setup.js)
+    this._wheelSpin    = 0;    // tyre spin ratio ωR/U (setWheelSpin) — 0 = stationary wheels
+    this._cooling      = 'standard';   // radiator opening (setCooling, cooling.js)
+    this._yaw          = 0;    // relative-wind yaw (rad, setYaw) — crosswind tunnel
+    this._free         = null; // flow-plane freestream for _yaw (null = straight)
+    this._wakeReach    = 0;    // car-local z the wake must reach (setWakeReach) — 0 = own length
+    this._colorMode    = 'smoke';   // ribbon colour-by (setColorMode, RIBBON_COLOR_MODES)
+    this._rakes        = [];   // user rakes (setRakes, stream-rake.js) — traced as 'rake' seeds
+    this._activeRake   = -1;   // rake drawn highlighted (the one the panel edits)
 
     this._build(getProfile('F1'), null);
     this.group.visible = false;
@@ -581,6 +669,191 @@ export class AirflowEffect {
     this.group.position.y = this._baseY;
   }
 
+  /**
+   * Rear-wing angle / DRS (aero-setup.js). Scales the rear-wing vortex
+   * modifier and tip vortexDefs by rearWingLoad, then retraces — callers
+   * re-pipe getModifiers() into CFD so both pictures move together.
+   */
+  setWingSetup(setup) {
+    const load = rearWingLoad(setup);
+    if (load === this._wingLoad) return;
+    this._wingLoad = load;
+    this._disposeAll();
+    this._build(getProfile(this._type), this._measure);
+    this.group.visible = this._visible;
+    this.group.position.y = this._baseY;
+  }
+
+  /**
+   * Ride height / rake (aero-setup.js). The underfloor venturi reads the
+   * floor gap per frame, so no retrace — the throat pulses and suction tint
+   * follow on the next update.
+   */
+  setRideSetup(setup) {
+    this._rideSetup = normalizeRideSetup(setup);
+    this._ride = groundedRide(this._rideSetup, this._ground);
+    this._valCache = null;   // underfloor speed / Cp colours follow the gap
+  }
+
+  /**
+   * Tunnel ground (aero-setup.js GROUND_MODES). A fixed floor grows a road
+   * boundary layer that chokes the underfloor venturi; like the ride setup
+   * it is read per frame, so no retrace.
+   */
+  setGroundMode(mode) {
+    const g = normalizeGroundMode(mode);
+    if (g === this._ground) return;
+    this._ground = g;
+    this._ride = groundedRide(this._rideSetup, g);
+    this._valCache = null;
+  }
+
+  /**
+   * Tyre spin ratio ωR/U (1 when aero-setup.js wheelsRolling, else 0).
+   * Spinning tire doublets carry a side-view circulation — Magnus over the
+   * tread, jetting into the contact patch — so a change retraces; callers
+   * re-pipe getModifiers() into CFD like setWingSetup.
+   */
+  setWheelSpin(spin) {
+    const s = Number.isFinite(spin) && spin > 0 ? spin : 0;
+    if (s === this._wheelSpin) return;
+    this._wheelSpin = s;
+    this._disposeAll();
+    this._build(getProfile(this._type), this._measure);
+    this.group.visible = this._visible;
+    this.group.position.y = this._baseY;
+  }
+
+  /**
+   * Radiator cooling opening (cooling.js COOLING_LEVELS). The sidepod /
+   * front-intake sinks and their exit sources carry the duct's mass-flow
+   * ratio (coolingStrength), so a change retraces; callers re-pipe
+   * getModifiers() into CFD like setWingSetup.
+   */
+  setCooling(level) {
+    const l = normalizeCoolingLevel(level);
+    if (l === this._cooling) return;
+    this._cooling = l;
+    this._disposeAll();
+    this._build(getProfile(this._type), this._measure);
+    this.group.visible = this._visible;
+    this.group.position.y = this._baseY;
+  }
+
+  /**
+   * Ribbon colour-by (RIBBON_COLOR_MODES). Colour values are cached per
+   * traced path, so switching costs one pass over the paths, not a retrace.
+   */
+  setColorMode(mode) {
+    const m = RIBBON_COLOR_MODES.includes(mode) ? mode : 'smoke';
+    if (m === this._colorMode) return;
+    this._colorMode = m;
+    this._valCache = null;
+  }
+
+  /**
+   * Legend scale for the current colour mode: {mode, label, min, max},
+   * or null in 'smoke' mode. Height spans the ground to the top seed row.
+   */
+  getColorScale() {
+    const mode = this._colorMode;
+    if (mode === 'smoke') return null;
+    if (mode === 'height') {
+      let top = 0;
+      for (const s of this._seeds || []) top = Math.max(top, s.y - this._groundY);
+      return { mode, label: 'h (m)', min: 0, max: Math.max(0.5, Math.ceil(top * 10) / 10) };
+    }
+    return { mode, ...RIBBON_COLOR_SCALES[mode] };
+  }
+
+  /** Per-vertex colour values of seed `s`'s path, cached until a retrace. */
+  _pathValues(s) {
+    const cache = (this._valCache ||= []);
+    if (cache[s]) return cache[s];
+    const path = this._paths[s], seed = this._seeds[s];
+    const mode = this._colorMode;
+    const wake = mode === 'loss' ? this.getWakeSources() : null;
+    const out  = new Float32Array(path.length);
+    for (let i = 0; i < path.length; i++) {
+      const pt = path[i];
+      const h  = (pt.y ?? seed.y) - this._groundY;
+      const cp = seed.group === 'underfloor'
+        ? underfloorCp(pt.eta * this._halfL, this._type, this._halfL, 1, this._ride)
+        : pressureCoeff(pt.vxi, pt.veta) - (pt.vy || 0) ** 2;
+      switch (mode) {
+        case 'speed':  out[i] = venturiSpeedRatio(cp); break;
+        case 'cp':     out[i] = cp; break;
+        case 'loss':   out[i] = 1 - wakeQ(pt.xi * this._halfW, h, pt.eta * this._halfL, wake); break;
+        default:       out[i] = h;
+      }
+    }
+    return (cache[s] = out);
+  }
+
+  /**
+   * Yaw / crosswind (rad, positive = wind in from −x). Rotates the
+   * freestream the ribbons are traced through and slants the seed line
+   * upstream so the ribbons still sweep the car; retraces like a car swap.
+   * The underfloor venturi stays straight — the floor gap is sealed.
+   */
+  setYaw(yaw) {
+    const y = Number.isFinite(yaw) ? yaw : 0;
+    if (y === this._yaw) return;
+    this._yaw = y;
+    this._disposeAll();
+    this._build(getProfile(this._type), this._measure);
+    this.group.visible = this._visible;
+    this.group.position.y = this._baseY;
+  }
+
+  /**
+   * User rakes (stream-rake.js) — each nozzle traces one amber ribbon
+   * through the same modifiers, occupancy and band sections as the grid.
+   * Only the rake ribbons are retraced, so dragging a rake or a slider
+   * stays cheap.
+   * `active` is the rake drawn highlighted (−1 ⇒ none).
+   */
+  setRakes(rakes, active = -1) {
+    this._rakes      = (rakes || []).map(normalizeRake);
+    this._activeRake = Number.isInteger(active) ? active : -1;
+    if (!this._seeds) return;
+    // Rake seeds are always the TAIL of the seed list — _build appends them
+    // last and only this method adds more — so the grid is the prefix
+    // [0, n) and everything from the first rake seed on is replaced.
+    let n = this._seeds.findIndex(s => s.group === 'rake');
+    if (n < 0) n = this._seeds.length;
+    for (const R of this._ribbonLines.slice(n)) {
+      for (const obj of [R.line, R.halo, R.outerHalo, R.glow]) {
+        if (!obj) continue;
+        obj.geometry.dispose();
+        obj.material.dispose();
+        this.group.remove(obj);
+      }
+    }
+    this._seeds.length = this._paths.length = this._pathEarly.length = this._ribbonLines.length = n;
+    if (this._valCache) this._valCache.length = Math.min(this._valCache.length, n);
+    for (const s of this._rakeSeeds()) {
+      const path = this._traceSeedPath(s, this._activeModifiers);
+      this._seeds.push(s);
+      this._paths.push(path);
+      this._pathEarly.push(path.length < STEPS * RIBBON_FULL_FRAC);
+    }
+    this._buildRibbonLines(n);
+    this._buildRakeBars();
+  }
+
+  /**
+   * Car-local frame for placing a rake: the ground plane its heights are
+   * measured from and the upstream z range a bar is clamped to.
+   */
+  getRakeFrame() {
+    return {
+      groundY: this._groundY ?? 0,
+      zMin: RAKE_ETA_MIN * this._halfL,
+      zMax: RAKE_ETA_MAX * this._halfL,
+    };
+  }
+
   _disposeAll() {
     for (const child of [...this.group.children]) {
       child.geometry?.dispose();
@@ -616,15 +889,22 @@ export class AirflowEffect {
     this._halfH = Number.isFinite(a?.halo?.y)
       ? (a.halo.y - this._groundY) / 1.93
       : profile.halfH;
+    this._free = this._yaw ? crosswindFreestream(this._yaw, this._halfW, this._halfL) : null;
+    // Body underside (same rule as the underfloor seed lanes) — below it,
+    // inside the footprint, sampleFlowAt reports the venturi channel.
+    const floorAnchor = (this._measure?.anchors ?? _fallbackAnchors(profile)).floor;
+    this._floorY = Number.isFinite(floorAnchor?.y) ? floorAnchor.y : 0.02;
     this._vortexMaxRadius = profile.vortexMaxRadius;
     this._wakeWidthX      = profile.wakeWidthX;
     this._wakeHeightRange = profile.wakeHeightRange;
     this._strouhal        = profile.strouhal || 0.20;
-    this._seeds           = _buildSeedList(profile, this._measure);
+    // Rake seeds LAST: setRakes cuts the list at the first one.
+    this._seeds           = [..._buildSeedList(profile, this._measure), ...this._rakeSeeds()];
     // Phase 2 (part-precision): per-band body cross-sections — the halo
     // band pinches to the cockpit, the wing band to the wing planform,
     // rows above the bodywork see no body at all.
     this._sections        = this._buildCrossSections();
+    this._rows            = null;
     // Surface the ribbon count on rebuild so a stale browser cache is easy to
     // detect in DevTools — expected output is `{ ribbon: 40 } (total 40)`.
     if (typeof console !== 'undefined' && console.info) {
@@ -643,6 +923,7 @@ export class AirflowEffect {
     // the bucket changes (≤ 6 shapes, deterministic within a bucket).
     this._tracedBucket    = this._sfBucket();
     this._activeModifiers = this._traceModifiersFor(this._tracedBucket);
+    this._field           = this._buildFlowField();
     this._paths = this._seeds.map(s => this._traceSeedPath(s, this._activeModifiers));
     // Raw traced length flags early termination (before retrace resampling
     // stretches short paths onto their fixed buffers). Underfloor streaks
@@ -650,8 +931,10 @@ export class AirflowEffect {
     this._pathEarly = this._paths.map((p, i) =>
       this._seeds[i].group !== 'underfloor' && p.length < STEPS * RIBBON_FULL_FRAC);
     this._traceCount      = (this._traceCount || 0) + 1;
+    this._valCache        = null;
     this._vortexDefs      = this._resolveVortexDefs(profile, this._measure);
     this._buildRibbonLines();
+    this._buildRakeBars();
     this._buildVortexSpirals(this._vortexDefs);
     // Tire-anchored wake emitters (Phase 3) — must exist before the wake
     // particle pool spawns from them.
@@ -691,7 +974,8 @@ export class AirflowEffect {
    * Resolve vortex wz from measure anchors by role. Returns a NEW array —
    * never mutates `profile.vortexDefs`. Roles:
    *   - 'frontWing' → snap wz to `measure.anchors.frontWing.z` if finite.
-   *   - 'rearWing'  → snap wz to `measure.anchors.rearWing.z`  if finite.
+   *   - 'rearWing'  → snap wz to `measure.anchors.rearWing.z`  if finite;
+   *                   gamma × rear-wing load (setWingSetup).
    *   - 'floor'     → authored wz kept (ground vortices are floor-edge, not wing-tip).
    */
   _resolveVortexDefs(profile, measure) {
@@ -699,9 +983,13 @@ export class AirflowEffect {
     const rwZ = measure?.anchors?.rearWing?.z;
     const hasFw = Number.isFinite(fwZ);
     const hasRw = Number.isFinite(rwZ);
+    // Rear-wing tip vortices carry the wing setup's load (aero-setup.js).
+    const k = this._wingLoad ?? 1;
     return profile.vortexDefs.map(def => {
       if (def.role === 'frontWing' && hasFw) return { ...def, wz: fwZ };
-      if (def.role === 'rearWing'  && hasRw) return { ...def, wz: rwZ };
+      if (def.role === 'rearWing') {
+        return { ...def, gamma: def.gamma * k, ...(hasRw ? { wz: rwZ } : {}) };
+      }
       return { ...def };
     });
   }
@@ -759,6 +1047,8 @@ export class AirflowEffect {
     // Iterate role-tagged vent anchors. Keyed lookup by known anchor names
     // keeps the mapping explicit (no fuzzy name-matching). `axleBand: true`
     // rows are re-banded onto the measured axle height when available.
+    // Radiator-duct vents (COOLING_VENT_RE) scale with the cooling opening.
+    const cool = coolingStrength(this._cooling, this._type);
     const ventTable = [
       ['sidepodInletL',   'sink',   MOD_STR.SIDEPOD_INLET,   'inlet',  false],
       ['sidepodInletR',   'sink',   MOD_STR.SIDEPOD_INLET,   'inlet',  false],
@@ -783,7 +1073,7 @@ export class AirflowEffect {
       // unrolled anchors without `.role` still resolve to the table's intent.
       if (a.role && a.role !== expectedRole) continue;
       const band = (axleBand && axleY !== null) ? [axleY - 0.25, axleY + 0.25] : null;
-      add(a, type, cfg, band);
+      add(a, type, COOLING_VENT_RE.test(key) ? { ...cfg, strength: cfg.strength * cool } : cfg, band);
     }
 
     // Wing dipole surrogates — placed slightly under each wing (anchor's xi/
@@ -794,7 +1084,10 @@ export class AirflowEffect {
       ? [a.bbox.minY - 0.1, a.bbox.maxY + 0.1]
       : (Number.isFinite(a?.y) ? [a.y - 0.15, a.y + 0.15] : null);
     if (anchors.frontWing) add(anchors.frontWing, 'vortex', MOD_STR.FRONT_WING_VORT, wingBand(anchors.frontWing));
-    if (anchors.rearWing)  add(anchors.rearWing,  'vortex', MOD_STR.REAR_WING_VORT,  wingBand(anchors.rearWing));
+    if (anchors.rearWing) {
+      const rw = MOD_STR.REAR_WING_VORT;
+      add(anchors.rearWing, 'vortex', { ...rw, gamma: rw.gamma * (this._wingLoad ?? 1) }, wingBand(anchors.rearWing));
+    }
 
     // Tire bluff bodies — ideal-cylinder doublets in PHYSICAL car-local xz
     // (wheels must stay circular under the anisotropic ξ/η mapping), gated
@@ -803,11 +1096,22 @@ export class AirflowEffect {
     const tireBand = (Number.isFinite(measure.groundContactY) && Number.isFinite(measure.wheelRadius))
       ? [measure.groundContactY, measure.groundContactY + 2 * measure.wheelRadius]
       : null;
+    // Rolling wheels (setWheelSpin) also carry their side-view circulation:
+    // spin ratio, hub height, radius and tread half-width for quasi3dVelocity.
+    const spin = (tireBand && this._wheelSpin > 0)
+      ? {
+        spin: this._wheelSpin,
+        hubY: measure.groundContactY + measure.wheelRadius,
+        wr:   measure.wheelRadius,
+        hw:   (Number.isFinite(measure.wheelWidth) ? measure.wheelWidth : 0.34) / 2,
+      }
+      : null;
     const addTires = (ax, az) => {
       if (!Number.isFinite(ax) || !Number.isFinite(az)) return;
       for (const side of [-1, 1]) {
         const entry = { type: 'doublet', x: side * ax / halfW, e: az / halfL, R: 0.28, rc: 0.08 };
         if (tireBand) entry.yBand = tireBand;
+        if (spin) Object.assign(entry, spin);
         out.push(entry);
       }
     };
@@ -826,6 +1130,45 @@ export class AirflowEffect {
     return this._modifiers || [];
   }
 
+  /**
+   * The wake this car sheds, for a car running behind it (slipstream.js):
+   * the wake emitters as plumes (wheels weigh less than the rear body) and
+   * the rear-wing tip vortices the spirals trace, car-local with y over the
+   * road. Procedural fallbacks without axle data synthesise the emitters
+   * from the authored wake profile.
+   *
+   * @returns {{emitters:Array<{x,y,z,weight}>, vortices:Array<{x,y,z,gamma,sign,rc}>,
+   *            halfW:number, halfL:number, yaw:number}}
+   */
+  getWakeSources() {
+    const gY = this._groundY || 0;
+    const ems = this._wakeEmitters ?? [
+      { x: -this._halfW * 0.85, y: 0.30, z: -this._halfL * 0.65 },
+      { x:  this._halfW * 0.85, y: 0.30, z: -this._halfL * 0.65 },
+      { x: -this._halfW * 0.85, y: 0.30, z:  this._halfL * 0.65 },
+      { x:  this._halfW * 0.85, y: 0.30, z:  this._halfL * 0.65 },
+      { x: 0, y: (this._wakeHeightRange[0] + this._wakeHeightRange[1]) / 2, z: this._halfL * 0.9 },
+    ];
+    const body = ems.length - 1;   // last emitter is the rear body wake
+    return {
+      emitters: ems.map((e, i) => ({ x: e.x, y: e.y - gY, z: e.z, weight: i === body ? 0.45 : 0.2 })),
+      vortices: (this._vortexDefs || [])
+        .filter(d => d.role === 'rearWing')
+        .map(d => ({ x: d.wx, y: d.wy - gY, z: d.wz, gamma: d.gamma, sign: d.sign, rc: d.rc })),
+      halfW: this._halfW,
+      halfL: this._halfL,
+      yaw: this._yaw,
+    };
+  }
+
+  /**
+   * Stretch the wake particles and vortex spirals so they trail at least to
+   * car-local z (a following car's nose); 0 restores the own-length wake.
+   */
+  setWakeReach(z) {
+    this._wakeReach = Number.isFinite(z) && z > 0 ? z : 0;
+  }
+
   /**
    * Phase 2 (part-precision): per-band body cross-sections `{rw, rl, etaC}`
    * consumed by `topViewVelocity(xi, eta, body)`.
@@ -894,6 +1237,13 @@ export class AirflowEffect {
    * anchor-bbox table. The occupancy field is built in WORLD space (the car
    * group is lifted by baseY before voxelization), so the car-local slice
    * height is shifted by +baseY for the lookup.
+   *
+   * The section also carries `panel`: a source-panel solution on the
+   * slice's REAL outline (16 stations ⇒ ~34 panels — the ribbon retrace
+   * and rain coupling evaluate it per sample). topViewVelocity prefers it
+   * over the fitted cylinder, so the F1 nose and the GT cabin each deflect
+   * the flow with their own plan shape. rw/rl/etaC stay for callers that
+   * only need the extent.
    */
   _occupancySection(y) {
     const occ = this._occupancy;
@@ -916,11 +1266,24 @@ export class AirflowEffect {
       }
     }
     if (hits < 4 || maxZ <= minZ) return null;
-    return {
+    const section = {
       rw:   Math.min(1.4, (maxAbsX + 0.05) / halfW),
       rl:   Math.max(0.05, Math.min(1.2, (maxZ - minZ) / 2 / halfL)),
       etaC: ((minZ + maxZ) / 2) / halfL,
     };
+    const outline = outlineFromOccupancy(occ, yW, { halfW, halfL, stations: 16 });
+    const panel = outline ? solvePanelBody(outline, { aspect: halfW / halfL }) : null;
+    if (panel) section.panel = panel;
+    return section;
+  }
+
+  /**
+   * Base-field body for consumers outside the ribbon tracer (the CFD patch
+   * recolour): the panel solution of the pod-band slice — the widest
+   * body-height section — or null when no occupancy outline exists.
+   */
+  getBaseBody() {
+    return this._sections?.pod?.panel ?? this._sections?.axle?.panel ?? null;
   }
 
   /** Cross-section for a seed band. null ⇒ default whole-car cylinder. */
@@ -932,42 +1295,79 @@ export class AirflowEffect {
   /** Cross-section for an arbitrary height: nearest band by mean seed y. */
   _bodyForY(y) {
     if (!this._sections || !this._seeds) return null;
+    // Distinct seed rows, collected once per build — the quasi-3-D field
+    // asks for a section at every evaluation.
+    if (!this._rows) {
+      const seen = new Set();
+      this._rows = [];
+      for (const s of this._seeds) {
+        if (s.group !== 'ribbon' || !s.band || seen.has(s.band + s.y)) continue;
+        seen.add(s.band + s.y);
+        this._rows.push({ y: s.y, band: s.band });
+      }
+    }
     let bestBand = null, bestD = Infinity;
-    const seen = new Set();
-    for (const s of this._seeds) {
-      if (s.group !== 'ribbon' || !s.band || seen.has(s.band + s.y)) continue;
-      seen.add(s.band + s.y);
-      const d = Math.abs(s.y - y);
-      if (d < bestD) { bestD = d; bestBand = s.band; }
+    for (const r of this._rows) {
+      const d = Math.abs(r.y - y);
+      if (d < bestD) { bestD = d; bestBand = r.band; }
     }
     return this._bodyForBand(bestBand);
   }
 
+  /**
+   * The quasi-3-D flow field (airflow-core quasi3dVelocity) — the per-height
+   * sections stacked under the side-view body between the ground and the
+   * halo, with the trace-time modifiers and the yawed freestream. Ribbons,
+   * rakes, sampleFlowAt (rain, smoke wand, slice, vortex cores) and the CFD
+   * streamlines all read this one field.
+   */
+  getFlowField() {
+    return this._field ?? null;
+  }
+
+  _buildFlowField() {
+    const bs = this._measure?.anchors?.bodyShell?.bbox;
+    const halfL = this._halfL;
+    const side = bs && Number.isFinite(bs.minZ) && Number.isFinite(bs.maxZ) && bs.maxZ > bs.minZ
+      ? { etaC: (bs.minZ + bs.maxZ) / 2 / halfL, rl: (bs.maxZ - bs.minZ) / 2 / halfL }
+      : { etaC: 0, rl: 1 };
+    return {
+      halfW: this._halfW,
+      halfL,
+      groundY: this._groundY,
+      topY: this._haloY,
+      sectionAt: y => this._bodyForY(y),
+      side,
+      modifiers: this._activeModifiers || [],
+      free: this._free,
+    };
+  }
+
   /**
    * Phase 5 (part-precision): analytic car-local flow velocity (m/s) at a
-   * point — freestream (car speed) + the SAME y-gated, height-aware,
-   * speed-scaled perturbation field the ribbons are traced through. Pure
-   * function of existing state; consumed by RainEffect for drop coupling.
+   * point — freestream (car speed) × the quasi-3-D field the ribbons are
+   * traced through (getFlowField). Pure function of existing state;
+   * consumed by RainEffect for drop coupling.
    */
   sampleFlowAt(x, y, z) {
     const V = (this._speed || 0) / 3.6;
     if (V <= 0) return { vx: 0, vy: 0, vz: 0 };
     const halfW = this._halfW || DEFAULT_HALF_W;
     const halfL = this._halfL || DEFAULT_HALF_L;
-    const xi = x / halfW, eta = z / halfL;
-    const body = this._bodyForY(y);
-    const opts = { y, halfW, halfL };
-    if (body) opts.body = body;
-    const { vxi, veta } = sumVelocity(xi, eta, topViewVelocity, this._activeModifiers || [], opts);
+    // Floor gap: the straight venturi channel the underfloor lanes trace,
+    // accelerated by √(1 − Cp) of the underfloor profile.
+    const gY = this._groundY || 0;
+    if (y > gY && y < (this._floorY ?? 0.02) && Math.abs(x) < halfW && Math.abs(z) < halfL * 1.9) {
+      const sf = Math.min(this._speed / 350, 1);
+      return { vx: 0, vy: 0, vz: venturiSpeedRatio(underfloorCp(z, this._type, halfL, sf, this._ride)) * V };
+    }
+    const q = quasi3dVelocity(x / halfW, z / halfL, y, this._field);
     // Physical mapping: veta = 1 is the freestream (V); lateral picks up
     // the halfW/halfL aspect (same convention as the doublet conversion).
-    // Vertical: side-view potential-flow rise over the nose, mild weight.
-    const yN = (y - (this._groundY || 0)) / Math.max(this._halfH, 0.1);
-    const sv = sideViewVelocity(eta, yN);
     return {
-      vx: vxi * (halfW / halfL) * V,
-      vy: sv.vy * V * 0.4,
-      vz: veta * V,
+      vx: q.vxi * (halfW / halfL) * V,
+      vy: q.vy * V,
+      vz: q.veta * V,
     };
   }
 
@@ -1030,35 +1430,25 @@ export class AirflowEffect {
 
   /** Trace one seed's path with the given (speed-scaled) modifier list. */
   _traceSeedPath(s, mods) {
-    const halfW = this._halfW, halfL = this._halfL;
     // Underfloor seeds run straight through the floor gap — the cylinder
     // potential flow would stagnate/divert them at the nose (r² ≤ 1).
-    if (s.group === 'underfloor') return _traceUnderfloorPath(s.seedXi, s.seedEta, halfL);
-    const opts = {};
-    if (this._occupancy) {
-      // toWorld closure lifts the seed's Y into the lookup (xi→X, eta→Z).
-      // FRAME: the occupancy SDF is voxelized in WORLD space (main.js lifts
-      // the car by baseY before sampling), while seed y is CAR-LOCAL — so
-      // the lookup adds _baseY. Safe because setBaseY() rebuilds when the
-      // value changes with occupancy present. The slice scan in
-      // _occupancySection applies the SAME +baseY — never offset twice.
-      opts.occupancy = this._occupancy;
-      const baseYOff = this._baseY || 0;
-      opts.toWorld = (xi, eta) => ({ x: xi * halfW, y: s.y + baseYOff, z: eta * halfL });
-    }
-    if (mods && mods.length > 0) {
-      opts.modifiers = mods;
-      // Per-part locality (Phase 3): the seed height gates yBand-tagged
-      // modifiers; physical dims let tire doublets evaluate in real xz.
-      opts.seedY = s.y;
-      opts.halfW = halfW;
-      opts.halfL = halfL;
-    }
-    // Height-aware body: null section ⇒ default whole-car cylinder
-    // (procedural fallback), {rw:0} ⇒ no body at this height.
-    const body = this._bodyForBand(s.band);
-    if (body) opts.body = body;
-    return traceStreamlinePath(s.seedXi, s.seedEta, STEPS, STEP_SIZE, opts);
+    if (s.group === 'underfloor') return _traceUnderfloorPath(s.seedXi, s.seedEta, this._halfL);
+    // Quasi-3-D: the path rises over the body as it turns round it, seeing
+    // the section (and the yBand-gated modifiers) of the height it is at —
+    // a rake nozzle at any height included. Body contact: the occupancy
+    // SDF is voxelized in WORLD space (main.js lifts the car by baseY
+    // before sampling) while path y is CAR-LOCAL, so the lookup adds
+    // _baseY — safe because setBaseY() rebuilds when the value changes
+    // with occupancy present. The slice scan in _occupancySection applies
+    // the SAME +baseY — never offset twice.
+    const opts = this._occupancy ? { occupancy: this._occupancy, baseY: this._baseY || 0 } : undefined;
+    const field = mods === this._field.modifiers ? this._field : { ...this._field, modifiers: mods || [] };
+    // Yaw: the seed line slants along the oncoming stream so each ribbon
+    // still arrives at its lane by the nose (straight freestream line
+    // through (seedXi, 0)). A rake stays where the user put it.
+    let seedXi = s.seedXi;
+    if (this._free && s.group !== 'rake') seedXi += s.seedEta * (this._free.vxi / this._free.veta);
+    return traceStreamline3D(seedXi, s.seedEta, s.y, STEPS, STEP_SIZE, field, opts);
   }
 
   /**
@@ -1068,6 +1458,7 @@ export class AirflowEffect {
    */
   _retracePaths() {
     this._activeModifiers = this._traceModifiersFor(this._tracedBucket);
+    this._field.modifiers = this._activeModifiers;
     for (let i = 0; i < this._seeds.length; i++) {
       const s = this._seeds[i];
       if (s.group === 'underfloor') continue;
@@ -1077,23 +1468,77 @@ export class AirflowEffect {
       this._pathEarly[i] = traced.length < STEPS * RIBBON_FULL_FRAC;
       this._paths[i] = _resamplePath(traced, this._paths[i].length);
     }
+    this._valCache = null;
     this._traceCount = (this._traceCount || 0) + 1;
   }
 
+  /**
+   * Seeds for the user rakes, nozzle by nozzle until RAKE_SEED_BUDGET.
+   * Heights are above the measured ground plane; the bar's z is clamped
+   * to [RAKE_ETA_MIN, RAKE_ETA_MAX] half-lengths.
+   */
+  _rakeSeeds() {
+    const seeds = [];
+    this._rakes.forEach((rake, k) => {
+      for (const n of rakeNozzles(rake)) {
+        if (seeds.length >= RAKE_SEED_BUDGET) return;
+        const eta = Math.min(RAKE_ETA_MAX, Math.max(RAKE_ETA_MIN, n.z / this._halfL));
+        seeds.push({
+          seedXi: n.x / this._halfW,
+          seedEta: eta,
+          y: this._groundY + n.height,
+          group: 'rake',
+          rake: k,
+          halfH: this._halfH,
+        });
+      }
+    });
+    return seeds;
+  }
+
+  /* ── Rake bars — the comb itself, nozzles marked, at the seed line ── */
+  _buildRakeBars() {
+    for (const obj of this._rakeBars || []) {
+      obj.geometry.dispose();
+      obj.material.dispose();
+      this.group.remove(obj);
+    }
+    this._rakeBars = [];
+    for (let k = 0; k < this._rakes.length; k++) {
+      const seeds = this._seeds.filter(s => s.group === 'rake' && s.rake === k);
+      if (!seeds.length) continue;   // past the nozzle budget
+      const pos = new Float32Array(seeds.length * 3);
+      seeds.forEach((s, i) => pos.set([s.seedXi * this._halfW, s.y, 0], i * 3));
+      const active = k === this._activeRake;
+      const z = seeds[0].seedEta * this._halfL;
+      const bar = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({
+        color: RAKE_BAR_COLOR,
+        transparent: true,
+        opacity: active ? 1 : 0.45,
+        depthWrite: false,
+      }));
+      const nozzles = new THREE.Points(new THREE.BufferGeometry(), new THREE.PointsMaterial({
+        color: RAKE_BAR_COLOR,
+        size: active ? 0.06 : 0.04,
+        transparent: true,
+        opacity: active ? 1 : 0.6,
+        depthWrite: false,
+      }));
+      for (const obj of [bar, nozzles]) {
+        obj.geometry.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+        obj.position.z = z;
+        obj.userData.rake = k;
+        this.group.add(obj);
+        this._rakeBars.push(obj);
+      }
+    }
+  }
+
   /* ── Convert potential-flow (xi, eta) + y → world XYZ ── */
   _toWorld(xi, eta, y) {
     return new THREE.Vector3(xi * this._halfW, y, eta * this._halfL);
   }
 
-  /* ── Compute 3-D vertical displacement from side-view potential flow ── */
-  _verticalDelta(eta, y, scale = 0.10) {
-    // Normalise to unit circle
-    const etaN = eta / Math.max(this._halfL, 0.1);
-    const yN   = y   / Math.max(this._halfH, 0.1);
-    const { vy } = sideViewVelocity(etaN, yN);
-    return vy * scale;
-  }
-
   /**
    * Wind-tunnel streamline ribbons — one THREE.Line per seed.
    *
@@ -1106,11 +1551,14 @@ export class AirflowEffect {
    * Flow animation is done via per-vertex brightness: a bright "puff" band
    * slides along the line each frame (advanced in `_updateRibbonLines`), giving
    * a visible sense of flow direction without breaking line continuity.
+   *
+   * `from` > 0 appends lines for seeds [from, …) to the existing set —
+   * setRakes rebuilds only the rake ribbons at the tail of the seed list.
    */
-  _buildRibbonLines() {
+  _buildRibbonLines(from = 0) {
     const puffTex = _makePuffTexture();
-    const lines = [];
-    for (let s = 0; s < this._seeds.length; s++) {
+    const lines = from > 0 ? this._ribbonLines : [];
+    for (let s = from; s < this._seeds.length; s++) {
       const path     = this._paths[s];
       const nVerts   = path.length;
       // Shared position & color buffers — the crisp line and the soft fog
@@ -1349,6 +1797,8 @@ export class AirflowEffect {
     // wider at high speed (a visible pulse sweeping past).
     const PUFF_HALF_WIDTH = 4 + speedFactor * 8;
 
+    const colorScale = this.getColorScale();
+
     if (this._ribbonLines) for (const R of this._ribbonLines) {
       const s    = R.seedIdx;
       const path = this._paths[s];
@@ -1363,13 +1813,14 @@ export class AirflowEffect {
       if (isUnderfloor) {
         const pIdx   = Math.min(path.length - 1, Math.max(0, Math.floor(R.phase)));
         const zPulse = path[pIdx].eta * this._halfL;
-        phaseRate *= venturiSpeedRatio(underfloorCp(zPulse, this._type, this._halfL, speedFactor));
+        phaseRate *= venturiSpeedRatio(underfloorCp(zPulse, this._type, this._halfL, speedFactor, this._ride));
       }
       R.phase += dt * phaseRate;
       while (R.phase >= path.length) R.phase -= path.length;
 
       const positions = R.positions;
       const colors    = R.colors;
+      const values    = colorScale ? this._pathValues(s) : null;
 
       for (let i = 0; i < path.length; i++) {
         const pt  = path[i];
@@ -1382,10 +1833,8 @@ export class AirflowEffect {
           // cylinder flow, which would lift the ribbon over the nose.
           y = underfloorY(zCar, seed.y);
         } else {
-          // Per-vertex vertical delta from side-view potential flow — same as
-          // the old smoke system so ribbons still rise over the nose & halo.
-          const dy = this._verticalDelta(eta, seed.y);
-          y = seed.y + dy * Math.max(0, Math.min(1, (eta + 1) / 2));
+          // Traced in 3-D — the path carries its own height.
+          y = pt.y ?? seed.y;
         }
 
         const w = this._toWorld(xi, eta, y);
@@ -1450,15 +1899,22 @@ export class AirflowEffect {
         let bright     = baseline + pulse * (isUnderfloor ? 0.30 : 0.65);
         // Base near-white smoke; underfloor vertices blend toward the CFD
         // Cp palette where the ground effect is active (suction → cyan,
-        // fading with speedFactor² so the ribbon is white at rest).
+        // fading with speedFactor² so the ribbon is white at rest). A
+        // colour-by mode replaces all of it with the ramp colour.
         let cr = 0.92, cg = 0.95, cb = 1.00;
+        if (values) {
+          const c = ribbonRampColor(values[i], colorScale);
+          cr = c.r; cg = c.g; cb = c.b;
+        } else if (seed.group === 'rake') {
+          cr = RAKE_TINT.r; cg = RAKE_TINT.g; cb = RAKE_TINT.b;
+        }
         if (isUnderfloor) {
           // Streaks emerge from nothing and dissolve — end fades keep them
           // reading as smoke filaments, not stripes painted on the tarmac.
           const fIn  = Math.min(1, i / UF_FADE_IN_VERTS);
           const fOut = Math.min(1, (path.length - 1 - i) / UF_FADE_OUT_VERTS);
           bright *= fIn * fIn * (3 - 2 * fIn) * fOut * fOut * (3 - 2 * fOut);
-          const cpEff = underfloorCp(zCar, this._type, this._halfL, speedFactor);
+          const cpEff = values ? 0 : underfloorCp(zCar, this._type, this._halfL, speedFactor, this._ride);
           if (cpEff !== 0) {
             const c    = cpToColor(cpEff);
             const mixW = underfloorTintMix(cpEff);
@@ -1516,6 +1972,11 @@ export class AirflowEffect {
       }
     }
 
+    // Rake bars ride the same road bend as the ribbons they seed.
+    for (const obj of this._rakeBars || []) {
+      obj.position.x = this._pathBend ? bendLookup(this._pathBend, obj.position.z) : 0;
+    }
+
     /* ── Vortex spirals — physics-based with vortexVelocity ── */
     const vortexRadius  = speedFactor * speedFactor * this._vortexMaxRadius;
     const vortexVisible = this._speed > 30;
@@ -1540,7 +2001,7 @@ export class AirflowEffect {
         // Vortex centre drifts downstream and decays slightly laterally
         const worldX = def.wx + Math.cos(angle) * r;
         const worldY = def.wy - decay * 0.55 + Math.sin(angle * 0.5) * r * 0.25;
-        const worldZ = def.wz + (i / VORTEX_PTS) * 2.2;
+        const worldZ = def.wz + (i / VORTEX_PTS) * Math.max(2.2, this._wakeReach - def.wz);
 
         vPos[i * 3]     = worldX;
         vPos[i * 3 + 1] = worldY;
@@ -1572,13 +2033,13 @@ export class AirflowEffect {
         // Tire-anchored recycle: respawn AT the particle's emitter once it
         // drifts past the speed-scaled wake length. Spread widens with sf.
         const em = this._wakeEmitters[this._wakeEmitterIdx[i]];
-        if (wp[i * 3 + 2] > em.z + this._wakeLength(speedFactor)) {
+        if (wp[i * 3 + 2] > Math.max(em.z + this._wakeLength(speedFactor), this._wakeReach)) {
           const spread = this._wakeSpread(speedFactor);
           wp[i * 3]     = em.x + rnd(-spread, spread);
           wp[i * 3 + 1] = em.y + rnd(-spread * 0.5, spread);
           wp[i * 3 + 2] = em.z + rnd(0.05, 0.5);
         }
-      } else if (wp[i * 3 + 2] > 9.0 || wp[i * 3 + 2] < 2.0) {
+      } else if (wp[i * 3 + 2] > Math.max(9.0, this._wakeReach) || wp[i * 3 + 2] < 2.0) {
         const side = i % 2 === 0 ? 1 : -1;
         wp[i * 3]     = side * rnd(0.1, this._wakeWidthX * 0.7);
         wp[i * 3 + 1] = rnd(hMin, hMax);
@@ -1659,6 +2120,7 @@ export class RainEffect {
     this._visible  = false;
     this._rainPos  = RAIN_POS.F1;
     this._turnALat = 0;   // centrifugal accel v·ω while turning (m/s²)
+    this._yaw      = 0;   // relative-wind yaw (rad) — crosswind drift
     this._flowCoupling = null;   // Phase 5: airflow sampler wiring (main.js)
 
     this._buildDroplets();
@@ -1883,6 +2345,9 @@ export class RainEffect {
 
   setSpeed(speed) { this._speed = speed; }
 
+  /** Yaw / crosswind (rad): drops drift sideways with the relative wind. */
+  setYaw(yaw) { this._yaw = Number.isFinite(yaw) ? yaw : 0; }
+
   /* Turn coupling — store the REAL centrifugal pseudo-accel a_lat = v·ω.
    * Free water (spray, rooster tails) accumulates it; falling streaks lean. */
   setTurnState(omega, v) { this._turnALat = rainLateralAccel(v, omega); }
@@ -1986,7 +2451,10 @@ export class RainEffect {
     // time (~0.4 s); the streak leans outward because vel.x ≠ 0.
     const aLat = this._turnALat;
     const turnDrift = aLat * 0.4;
-    const driftX = turnDrift + gust.gx;   // shared by drift + streak vector
+    // Crosswind: the relative wind's lateral share of the apparent headwind
+    // (same tan(yaw) as the airflow freestream), a steady bias under the gust.
+    const crossX = windRear * Math.tan(this._yaw);
+    const driftX = turnDrift + crossX + gust.gx;   // shared by drift + streak vector
     const sweepZ = windRear + gust.gz;
     // Phase 5: airflow coupling — only above the sf gate, and only inside
     // the envelope. With coupling off this loop is byte-identical to the
@@ -2043,10 +2511,15 @@ export class RainEffect {
         // the way across); the z-wrap keeps density uniform.
         dp[i * 6 + 2] -= 15;
         if (coupleOn) { this._dVelX[i] = 0; this._dVelZ[i] = 0; }
+      } else if (this._yaw && Math.abs(dp[i * 6]) > 6) {
+        // Blown out the side by a crosswind — wrap to the windward edge.
+        // Straight-ahead rain keeps its turn drift unbounded as before.
+        dp[i * 6] -= Math.sign(dp[i * 6]) * 12;
+        if (coupleOn) { this._dVelX[i] = 0; this._dVelZ[i] = 0; }
       }
       // Velocity-aligned streak: head = tail + v̂·L (≈12 ms exposure).
       // Coupled velocities are always zero while coupling is off, so the
-      // uncoupled streak is exactly (turnDrift + gx, −vFall, windRear + gz).
+      // uncoupled streak is exactly (turnDrift + crossX + gx, −vFall, windRear + gz).
       const vx = driftX + this._dVelX[i];
       const vy = -this._dVels[i];
       const vz = sweepZ + this._dVelZ[i];
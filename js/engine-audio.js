@@ -12,15 +12,25 @@
  *                 sub ×0.5 (sine, −6 dB) ─────┘                 ▲
  *   exhaust:      noise loop ─ bandpass 90–260 Hz ─ noiseGain ──┘ (−14 dB max)
  *   rain layer:   noise loop ─ HP 1.8 kHz ─ LP 6 kHz ─ rainGain ─ master
+ *   road rumble:  noise loop ─ rumbleLP ─ rumbleGain ─ master
+ *                 ridge LFO (square, v/λ) ─ ridgeGain → rumbleGain.gain
  *   shift pop:    (one-shot noise burst on upshift) ─ popBP ─ popGain ─ master
  *   idle wobble:  LFO 6 Hz ─ lfoGain (±1.5 Hz, fades out above sf 0.1) → fund.frequency
  *
+ * Engine load (setGrade): climbing works the engine harder — louder,
+ * brighter and more exhaust; a descent backs it off.
+ *
+ * Road rumble (setSurface): the surface under the wheels (surface.js)
+ * sets a noise layer's level and tone; on a kerb the ridge LFO chops it at
+ * the rate the wheels cross the painted blocks.
+ *
  * All frequency/gain writes after init go through setTargetAtTime (τ 60 ms)
  * or the blip's exponential ramps — never direct `.value =` (zipper noise).
  * No per-frame node creation; the only post-build node is the one-shot
  * upshift pop source (per gear change, not per frame).
  */
 import { gearFromSpeed, rpmRatio, rpmInGear } from './physics.js';
+import { SURFACES } from './surface.js';
 
 export const AUDIO_STORE_KEY = 'fsim-audio';
 
@@ -73,6 +83,34 @@ const SMOOTH_TAU  = 0.06;    // s — param smoothing, no zipper noise
 const BLIP_LEN    = 0.08;    // s — shift-blip envelope
 const IDLE_LFO_HZ = 6;
 const IDLE_LFO_AMP = 1.5;    // Hz of wobble on the fundamental
+const FULL_LOAD_GRADE = 0.1; // grade (10 %) at which engineLoad saturates
+const RUMBLE_FULL_KMH = 60;  // speed at which the road rumble reaches its level
+const RIDGE_DEPTH = 0.8;     // kerb-ridge chop, fraction of the rumble level
+
+/**
+ * Road-rumble layer for a surface at a speed: level (gain) rising to the
+ * surface's rumble by RUMBLE_FULL_KMH, low-pass tone (Hz), and the ridge
+ * rate (Hz) the wheels cross a ridged surface at — 0 elsewhere. Unknown
+ * surfaces rumble like asphalt (silent).
+ */
+export function surfaceRumble(surface, kmh) {
+  const f = SURFACES[surface] ?? SURFACES.asphalt;
+  const v = Math.max(0, kmh);
+  return {
+    gain:    f.rumble * Math.min(1, v / RUMBLE_FULL_KMH),
+    tone:    f.tone,
+    ridgeHz: f.ridged ? v / 3.6 / f.wavelength : 0,
+  };
+}
+
+/**
+ * Engine load from the road grade: 0 on the flat, +1 climbing at
+ * FULL_LOAD_GRADE or steeper, −1 descending as steeply.
+ * @param {number} grade - dy/ds
+ */
+export function engineLoad(grade) {
+  return Math.max(-1, Math.min(1, grade / FULL_LOAD_GRADE));
+}
 
 export class EngineAudio {
   /** @param {() => AudioContext} [ctxFactory] injectable for tests */
@@ -85,6 +123,8 @@ export class EngineAudio {
     this._gear    = 0;
     this._carType = 'F1';
     this._rain    = false;
+    this._load    = 0;
+    this._surface = 'asphalt';
     this._paused  = false;
     this._muted   = DEFAULT_SETTINGS.muted;
     this._volume  = DEFAULT_SETTINGS.volume;
@@ -185,6 +225,26 @@ export class EngineAudio {
     n.rainLP.connect(n.rainGain);
     n.rainGain.connect(n.masterGain);
 
+    // Road rumble: noise → LP (surface tone) → rumbleGain, chopped on kerbs
+    // by the ridge LFO summed into its gain.
+    n.rumbleSrc = ctx.createBufferSource();
+    n.rumbleSrc.buffer = n.noiseBuffer;
+    n.rumbleSrc.loop = true;
+    n.rumbleLP = ctx.createBiquadFilter();
+    n.rumbleLP.type = 'lowpass';
+    n.rumbleLP.frequency.value = SURFACES.asphalt.tone;
+    n.rumbleGain = ctx.createGain();
+    n.rumbleGain.gain.value = 0;
+    n.rumbleSrc.connect(n.rumbleLP);
+    n.rumbleLP.connect(n.rumbleGain);
+    n.rumbleGain.connect(n.masterGain);
+    n.ridge = ctx.createOscillator();
+    n.ridge.type = 'square';
+    n.ridge.frequency.value = 1;
+    n.ridgeGain = ctx.createGain();
+    n.ridgeGain.gain.value = 0;
+    n.ridge.connect(n.ridgeGain); n.ridgeGain.connect(n.rumbleGain.gain);
+
     // Upshift "pop" chain — pre-built; only the one-shot source is per-shift.
     n.popBP = ctx.createBiquadFilter();
     n.popBP.type = 'bandpass';
@@ -195,8 +255,8 @@ export class EngineAudio {
     n.popBP.connect(n.popGain);
     n.popGain.connect(n.masterGain);
 
-    n.fund.start(); n.harm2.start(); n.sub.start(); n.lfo.start();
-    n.exhaustSrc.start(); n.rainSrc.start();
+    n.fund.start(); n.harm2.start(); n.sub.start(); n.lfo.start(); n.ridge.start();
+    n.exhaustSrc.start(); n.rainSrc.start(); n.rumbleSrc.start();
 
     this.nodes = n;
   }
@@ -211,10 +271,12 @@ export class EngineAudio {
 
   _engineGainTarget() {
     const sf = rpmRatio(this._effSpeed());
-    const base = 0.22 + 0.55 * sf;
+    const base = (0.22 + 0.55 * sf) * (1 + 0.2 * this._effLoad());
     return this._paused ? base * 0.5 : base;
   }
 
+  _effLoad() { return this._paused ? 0 : this._load; }
+
   /* ── API ───────────────────────────────────────────────────────── */
 
   /** Store speed; a gear-band crossing triggers the shift blip. */
@@ -230,6 +292,8 @@ export class EngineAudio {
 
   setCarType(type) { this._carType = type; }
   setRain(on)      { this._rain = !!on; }
+  setGrade(grade)  { this._load = engineLoad(grade); }
+  setSurface(name) { this._surface = name in SURFACES ? name : 'asphalt'; }
   setPaused(p)     { this._paused = !!p; }
 
   setMuted(m) {
@@ -287,6 +351,7 @@ export class EngineAudio {
     const sf  = rpmRatio(eff);
     const rig = rpmInGear(eff);
     const freq = fundamentalHz(this._carType, eff);
+    const load = this._effLoad();
     const inBlip = t < this._blipUntil;
 
     // Blip owns engineGain + fund.frequency until its ramps finish.
@@ -301,18 +366,25 @@ export class EngineAudio {
     n.lfoGain.gain.setTargetAtTime(
       IDLE_LFO_AMP * Math.max(0, 1 - sf / 0.1), t, SMOOTH_TAU);
 
-    // Brightness opens with revs: 350 → 5200 Hz.
+    // Brightness opens with revs (350 → 5200 Hz), further under load.
     n.lowpass.frequency.setTargetAtTime(
-      350 + 4850 * Math.min(1, 0.65 * sf + 0.35 * rig), t, SMOOTH_TAU);
+      (350 + 4850 * Math.min(1, 0.65 * sf + 0.35 * rig)) * (1 + 0.25 * load), t, SMOOTH_TAU);
 
-    // Exhaust rumble: band sweeps 90 → 260 Hz, level rises with rpm.
+    // Exhaust rumble: band sweeps 90 → 260 Hz, level rises with rpm and load.
     n.exhaustBP.frequency.setTargetAtTime(90 + 170 * sf, t, SMOOTH_TAU);
     n.noiseGain.gain.setTargetAtTime(
-      NOISE_MAX * (0.15 + 0.85 * sf), t, SMOOTH_TAU);
+      NOISE_MAX * (0.15 + 0.85 * sf) * (1 + 0.4 * load), t, SMOOTH_TAU);
 
     // Rain layer: bodywork patter, exactly 0.04 + 0.06·sf when raining.
     n.rainGain.gain.setTargetAtTime(
       this._rain ? 0.04 + 0.06 * sf : 0, t, SMOOTH_TAU);
+
+    // Road rumble: the surface's level and tone; kerb ridges chop it.
+    const rumble = surfaceRumble(this._surface, eff);
+    n.rumbleGain.gain.setTargetAtTime(rumble.gain, t, SMOOTH_TAU);
+    n.rumbleLP.frequency.setTargetAtTime(rumble.tone, t, SMOOTH_TAU);
+    n.ridgeGain.gain.setTargetAtTime(rumble.ridgeHz ? rumble.gain * RIDGE_DEPTH : 0, t, SMOOTH_TAU);
+    if (rumble.ridgeHz) n.ridge.frequency.setTargetAtTime(rumble.ridgeHz, t, SMOOTH_TAU);
   }
 
   /** Verify-script window: current state without poking at private nodes. */
@@ -323,7 +395,10 @@ export class EngineAudio {
       masterTarget:  this._masterTarget(),
       fundamentalHz: fundamentalHz(this._carType, this._effSpeed()),
       rainGain:      this.nodes ? this.nodes.rainGain.gain.value : null,
+      rumbleGain:    this.nodes ? this.nodes.rumbleGain.gain.value : null,
+      surface:       this._surface,
       gear:          this._gear,
+      load:          this._load,
       muted:         this._muted,
       volume:        this._volume,
     };
@@ -333,8 +408,8 @@ export class EngineAudio {
     const n = this.nodes;
     if (n) {
       try {
-        n.fund.stop(); n.harm2.stop(); n.sub.stop(); n.lfo.stop();
-        n.exhaustSrc.stop(); n.rainSrc.stop();
+        n.fund.stop(); n.harm2.stop(); n.sub.stop(); n.lfo.stop(); n.ridge.stop();
+        n.exhaustSrc.stop(); n.rainSrc.stop(); n.rumbleSrc.stop();
       } catch { /* already stopped */ }
     }
     if (this.ctx) { try { this.ctx.close(); } catch { /* closed */ } }
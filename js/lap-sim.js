@@ -0,0 +1,132 @@
+/**
+ * lap-sim.js — quasi-steady-state lap simulation on a closed circuit.
+ *
+ * Pure math, no Three.js. The lap is cut into ds-long steps of the
+ * circuit's curvature (track-path.js circuitCurvature) and the car is a
+ * point mass on a friction circle whose normal load grows with downforce:
+ *
+ *   N(v)  = m·g + ½ρ·ClA·v²            grip μ·N(v)
+ *   D(v)  = ½ρ·CdA·v²
+ *
+ * 1. Corner limit — lateral grip equals the centripetal demand m·v²·|κ|:
+ *      v² = μ·g·m / (m·|κ| − μ·½ρ·ClA)
+ *    which is v = √(μ·g·(m + downforce/g)/m/κ) solved for v. Where the
+ *    denominator is ≤ 0 downforce outgrows the corner: the corner is flat.
+ * 2. Forward pass (acceleration) — the smaller of engine force P/v and the
+ *    grip the corner leaves on the friction circle, less drag.
+ * 3. Backward pass (braking) — the remaining grip plus drag, integrated
+ *    backwards from every corner.
+ * The passes wrap round the lap from its slowest point, so the speed
+ * leaving the last corner carries onto the start straight.
+ */
+
+const G   = 9.81;
+const RHO = 1.225;
+const V_TOP_CAP = 360 / 3.6;   // no gearing beyond 360 km/h
+
+/* Per-car lap parameters: mass with driver (kg), power at the wheels (W),
+ * drag / downforce areas (m²), the tyre friction coefficient, and the rear
+ * wing's share of the downforce / drag areas (what the wing setup scales). */
+export const LAP_CARS = {
+  F1: { mass: 798,  power: 750e3, cdA: 1.5, clA: 4.0, mu: 1.8, wingCl: 0.35, wingCd: 0.25 },
+  GT: { mass: 1450, power: 390e3, cdA: 0.8, clA: 1.2, mu: 1.4, wingCl: 0.45, wingCd: 0.20 },
+};
+
+/**
+ * Lap parameters for a car type. `wingLoad` (aero-setup.js rearWingLoad)
+ * scales the rear wing's share of ClA and CdA, so wing angle and DRS move
+ * the lap time.
+ * @param {string} type
+ * @param {number} [wingLoad=1]
+ */
+export function lapCar(type, wingLoad = 1) {
+  const base = LAP_CARS[type] || LAP_CARS.F1;
+  const d = (Number.isFinite(wingLoad) ? wingLoad : 1) - 1;
+  return {
+    ...base,
+    clA: base.clA * (1 + base.wingCl * d),
+    cdA: base.cdA * (1 + base.wingCd * d),
+  };
+}
+
+/**
+ * Steady-state cornering speed (m/s) at curvature κ — capped at the top
+ * speed for straights and downforce-flat corners.
+ */
+export function cornerSpeed(kappa, car) {
+  const k = Math.abs(kappa);
+  const den = car.mass * k - car.mu * 0.5 * RHO * car.clA;
+  if (den <= 0) return V_TOP_CAP;
+  return Math.min(V_TOP_CAP, Math.sqrt(car.mu * G * car.mass / den));
+}
+
+/* Longitudinal grip (N) left on the friction circle at speed v, curvature κ. */
+function longGrip(v, kappa, car) {
+  const grip = car.mu * (car.mass * G + 0.5 * RHO * car.clA * v * v);
+  const lat  = car.mass * v * v * Math.abs(kappa);
+  return Math.sqrt(Math.max(0, grip * grip - lat * lat));
+}
+
+/**
+ * Speed trace of one flying lap.
+ * @param {{length:number}} circuit - buildCircuit layout
+ * @param {(s:number) => number} curvature - κ at lap distance s
+ * @param {object} car - lapCar result
+ * @param {number} [ds=2] - step (m)
+ * @returns {{ds:number, length:number, v:Float32Array, time:number,
+ *            vMin:number, vMax:number}} v in m/s at s = i·ds
+ */
+export function simulateLap(circuit, curvature, car, ds = 2) {
+  const n = Math.max(2, Math.round(circuit.length / ds));
+  const step = circuit.length / n;
+  const kap = new Float32Array(n);
+  const v = new Float32Array(n);
+  let start = 0;
+  for (let i = 0; i < n; i++) {
+    kap[i] = curvature(i * step);
+    v[i] = cornerSpeed(kap[i], car);
+    if (v[i] < v[start]) start = i;
+  }
+  const drag = (u) => 0.5 * RHO * car.cdA * u * u;
+
+  // Forward: accelerate out of every corner, starting at the slowest point.
+  for (let j = 0; j < n; j++) {
+    const i = (start + j) % n, nx = (i + 1) % n;
+    const u = v[i];
+    const push = Math.min(car.power / Math.max(u, 1), longGrip(u, kap[i], car));
+    const a = (push - drag(u)) / car.mass;
+    v[nx] = Math.min(v[nx], Math.sqrt(Math.max(0, u * u + 2 * a * step)));
+  }
+  // Backward: brake into every corner, wrapping the same way.
+  for (let j = 0; j < n; j++) {
+    const i = (start - j + n) % n, pv = (i - 1 + n) % n;
+    const u = v[i];
+    const a = (longGrip(u, kap[i], car) + drag(u)) / car.mass;
+    v[pv] = Math.min(v[pv], Math.sqrt(u * u + 2 * a * step));
+  }
+
+  let time = 0, vMin = Infinity, vMax = 0;
+  for (let i = 0; i < n; i++) {
+    time += 2 * step / (v[i] + v[(i + 1) % n]);
+    vMin = Math.min(vMin, v[i]);
+    vMax = Math.max(vMax, v[i]);
+  }
+  return { ds: step, length: circuit.length, v, time, vMin, vMax };
+}
+
+/** Trace speed (km/h) at lap distance s, linearly interpolated, wrapping. */
+export function lapSpeedAt(trace, s) {
+  const n = trace.v.length;
+  const f = ((s % trace.length) + trace.length) % trace.length / trace.ds;
+  const i = Math.floor(f) % n;
+  const t = f - Math.floor(f);
+  return (trace.v[i] + (trace.v[(i + 1) % n] - trace.v[i]) * t) * 3.6;
+}
+
+/** 83.456 s → "1:23.456". */
+export function formatLapTime(t) {
+  if (!Number.isFinite(t)) return '–';
+  const m = Math.floor(t / 60);
+  const s = t - 60 * m;
+  return `${m}:${s.toFixed(3).padStart(6, '0')}`;
+}
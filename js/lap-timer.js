@@ -0,0 +1,199 @@
+/**
+ * lap-timer.js — lap and sector timing along the TrackPath arc length.
+ *
+ * Pure, no Three.js / DOM. A timed lap is `length` metres of track-space s
+ * from a start/finish line: a closed circuit's lap, or a fixed-length
+ * segment on the open road. It is cut into SECTORS equal sectors. The
+ * timer watches the car's s frame by frame. A line crossed between two
+ * frames is timed by interpolating along that frame's step, so the times
+ * don't depend on the frame rate.
+ *
+ * Floating origin: TrackPath.rebase re-roots s under the car and bumps
+ * `epoch`. When the timer sees a new epoch it shifts its line and its last
+ * sample by path.shiftSince(oldEpoch), so a line that was 30 m ahead is
+ * still 30 m ahead.
+ *
+ * Sector colours follow the timing-screen convention: purple beats the
+ * session best for that sector, green beats the previous lap's, yellow is
+ * slower. The live delta compares the elapsed time with the best lap's
+ * time at the same lap distance (a DELTA_DS trace).
+ */
+
+export const SECTORS = 3;
+export const OPEN_ROAD_SEGMENT = 2000;  // m — timed segment length on the open road
+export const HISTORY_MAX = 12;          // laps kept in the session history
+const DELTA_DS = 10;                    // m — best-lap time trace spacing
+
+export class LapTimer {
+  /**
+   * @param {object} opts
+   * @param {string} opts.name     - layout shown in the history
+   * @param {number} opts.length   - lap / segment length (m)
+   * @param {number} opts.lineS    - track-space s of the first line (ahead)
+   * @param {number} [opts.epoch=0] - TrackPath epoch lineS belongs to
+   * @param {Array<object>} [opts.history=[]] - session history to append to
+   */
+  constructor({ name, length, lineS, epoch = 0, history = [] }) {
+    this.name = name;
+    this.length = length;
+    this.lineS = lineS;       // out-lap: the line ahead; then the current lap's start
+    this.epoch = epoch;
+    this.history = history;   // newest first, shared across layouts
+    this.clock = 0;           // s of timed driving
+    this.lap = 0;             // lap number; 0 = out-lap
+    this.sector = -1;         // sector the car is in; −1 on the out-lap
+    this.splits = [];         // this lap's finished sector times
+    this.colors = [];         // … and their colours
+    this.last = null;         // previous lap {time, splits}
+    this.best = null;         // best lap {time, splits, trace}
+    this.bestSplits = new Array(SECTORS).fill(Infinity);
+    this._lapT0 = 0;
+    this._sectorT0 = 0;
+    this._segS = null;        // last sample (s, t) — the step a crossing is interpolated on
+    this._segT = 0;
+    this._trace = new Float32Array(Math.ceil(length / DELTA_DS) + 1);
+    this._traceIdx = 0;
+  }
+
+  /** Lap distance where sector i starts. */
+  sectorStart(i) {
+    return (this.length * i) / SECTORS;
+  }
+
+  /** Elapsed time on the current lap (s); null on the out-lap. */
+  get current() {
+    return this.sector < 0 ? null : this.clock - this._lapT0;
+  }
+
+  /**
+   * Live delta to the best lap at the car's lap distance (s, + = slower);
+   * null on the out-lap or before a best lap exists.
+   */
+  get delta() {
+    if (this.sector < 0 || !this.best || this._segS === null) return null;
+    const f = Math.min(this.length, Math.max(0, this._segS - this.lineS)) / DELTA_DS;
+    const tr = this.best.trace;
+    const i = Math.min(Math.floor(f), tr.length - 2);
+    return this.current - (tr[i] + (tr[i + 1] - tr[i]) * (f - i));
+  }
+
+  /**
+   * Advance the clock by dt with the car at path.pose.s. Returns the lap
+   * record when a lap was completed this frame, else null.
+   * @param {{pose:{s:number}, epoch:number, shiftSince:(e:number)=>number}} path
+   * @param {number} dt - seconds
+   * @returns {object|null}
+   */
+  update(path, dt) {
+    if (path.epoch !== this.epoch) {
+      const shift = path.shiftSince(this.epoch);
+      this.lineS -= shift;
+      if (this._segS !== null) this._segS -= shift;
+      this.epoch = path.epoch;
+    }
+    const s = path.pose.s;
+    const t = this.clock + Math.max(0, dt);
+    let done = null;
+    if (this._segS !== null && s > this._segS) {
+      for (;;) {
+        const b = this._nextLine();
+        if (s < b) break;
+        const tb = this._segT + (t - this._segT) * (b - this._segS) / (s - this._segS);
+        this._fillTrace(b, tb);
+        done = this._cross(tb) || done;
+        this._segS = b;
+        this._segT = tb;
+      }
+      this._fillTrace(s, t);
+    }
+    this._segS = s;
+    this._segT = t;
+    this.clock = t;
+    return done;
+  }
+
+  /**
+   * Track-space s of the timing lines near sCar — the finish line and the
+   * sector lines of the previous, current and next lap (none before the
+   * first line on the out-lap).
+   * @returns {Array<{s:number, kind:'finish'|'sector'}>}
+   */
+  lines(sCar, behind, ahead) {
+    const out = [];
+    for (let k = this.sector < 0 ? 0 : -1; k <= 1; k++) {
+      for (let i = 0; i < SECTORS; i++) {
+        const s = this.lineS + k * this.length + this.sectorStart(i);
+        if (s >= sCar - behind && s <= sCar + ahead) out.push({ s, kind: i === 0 ? 'finish' : 'sector' });
+      }
+    }
+    return out;
+  }
+
+  _nextLine() {
+    if (this.sector < 0) return this.lineS;
+    return this.lineS + (this.sector + 1 < SECTORS ? this.sectorStart(this.sector + 1) : this.length);
+  }
+
+  /* Record the best-lap trace up to track-space s, reached at time t. */
+  _fillTrace(s, t) {
+    if (this.sector < 0) return;
+    const n = this._trace.length;
+    while (this._traceIdx < n) {
+      const gs = this.lineS + this._traceIdx * DELTA_DS;
+      if (gs > s) return;
+      const u = s > this._segS ? (gs - this._segS) / (s - this._segS) : 1;
+      this._trace[this._traceIdx++] = this._segT + (t - this._segT) * Math.max(0, u) - this._lapT0;
+    }
+  }
+
+  /* A line crossed at time tb: start the lap, close a sector or the lap. */
+  _cross(tb) {
+    if (this.sector < 0) {
+      this._startLap(tb);
+      return null;
+    }
+    const i = this.sector;
+    const split = tb - this._sectorT0;
+    const prev = this.last?.splits[i];
+    this.colors.push(split < this.bestSplits[i] ? 'purple'
+      : prev !== undefined && split < prev ? 'green' : 'yellow');
+    this.bestSplits[i] = Math.min(this.bestSplits[i], split);
+    this.splits.push(split);
+    this._sectorT0 = tb;
+    if (i + 1 < SECTORS) {
+      this.sector += 1;
+      return null;
+    }
+    const time = tb - this._lapT0;
+    this._trace[this._trace.length - 1] = time;
+    const record = {
+      name: this.name, lap: this.lap, time,
+      splits: this.splits, colors: this.colors,
+      best: !this.best || time < this.best.time,
+    };
+    if (record.best) this.best = { time, splits: this.splits, trace: this._trace };
+    this.last = { time, splits: this.splits };
+    this.history.unshift(record);
+    if (this.history.length > HISTORY_MAX) this.history.length = HISTORY_MAX;
+    this.lineS += this.length;
+    this._startLap(tb);
+    return record;
+  }
+
+  _startLap(tb) {
+    this.lap += 1;
+    this.sector = 0;
+    this.splits = [];
+    this.colors = [];
+    this._lapT0 = tb;
+    this._sectorT0 = tb;
+    this._trace = new Float32Array(this._trace.length);
+    this._traceIdx = 0;
+  }
+}
+
+/** +0.123 / −0.045 — a delta readout, '–' without one. */
+export function formatLapDelta(d) {
+  if (d === null || !Number.isFinite(d)) return '–';
+  return `${d < 0 ? '−' : '+'}${Math.abs(d).toFixed(3)}`;
+}
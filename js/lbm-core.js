@@ -0,0 +1,308 @@
+/**
+ * lbm-core.js — D2Q9 Lattice-Boltzmann wind tunnel (BGK collision).
+ *
+ * No Three.js, no DOM: the same module runs inside lbm-worker.js and, when
+ * Workers are unavailable (vitest, old browsers), inline on the main thread.
+ *
+ * Lattice frame: i ∈ [0, nx) runs DOWNSTREAM (car +z), j ∈ [0, ny) runs
+ * across the slice (car x for the top view, height for the side view).
+ *
+ *   inlet   (i = 0)        — equilibrium at (u0, 0)
+ *   far field (j = 0, ny−1) — equilibrium at (u0, 0); in the side view the
+ *                            j = 0 row is the ROAD, which moves at u0 in the
+ *                            car frame, so the same condition is exact
+ *   outlet  (i = nx−1)     — zero-gradient copy of column nx−2
+ *   body    (mask = 1)     — full-way bounce-back (no-slip)
+ *
+ * The potential-flow ribbons cannot separate; this field does — a GT slice
+ * sheds a Kármán street once the Reynolds number (u0·D/ν) passes ~50.
+ */
+
+/* ── D2Q9 stencil ────────────────────────────────────────────────── */
+const CX  = [0, 1, 0, -1, 0, 1, -1, -1, 1];
+const CY  = [0, 0, 1, 0, -1, 1, 1, -1, -1];
+const W   = [4 / 9, 1 / 9, 1 / 9, 1 / 9, 1 / 9, 1 / 36, 1 / 36, 1 / 36, 1 / 36];
+const OPP = [0, 3, 4, 1, 2, 7, 8, 5, 6];
+
+/** Lattice inlet velocity at full speed — keeps the lattice Mach < 0.2. */
+export const LBM_U_MAX = 0.1;
+/** Lattice kinematic viscosity ν = (τ − ½)/3 ⇒ τ = 0.56. */
+export const LBM_NU = 0.02;
+
+/**
+ * Car speed (km/h) → lattice inlet velocity. Linear in speed, so the
+ * Reynolds number climbs with it: steady attached wake at parade pace,
+ * vortex shedding at race speed.
+ */
+export function lbmInletVelocity(speedKmh, maxSpeed = 350) {
+  return LBM_U_MAX * Math.min(Math.max(speedKmh || 0, 0) / maxSpeed, 1);
+}
+
+function feq(k, rho, ux, uy) {
+  const cu = 3 * (CX[k] * ux + CY[k] * uy);
+  return W[k] * rho * (1 + cu + 0.5 * cu * cu - 1.5 * (ux * ux + uy * uy));
+}
+
+/**
+ * Create a solver. `mask` (Uint8Array nx·ny, index i + j·nx) marks solid
+ * cells; omitted ⇒ empty tunnel.
+ *
+ * @param {{nx:number, ny:number, u0?:number, nu?:number, mask?:Uint8Array}} cfg
+ */
+export function createLbm({ nx, ny, u0 = 0, nu = LBM_NU, mask = null }) {
+  const N = nx * ny;
+  let f  = new Float32Array(N * 9);
+  let f2 = new Float32Array(N * 9);
+  const rho = new Float32Array(N);
+  const ux  = new Float32Array(N);
+  const uy  = new Float32Array(N);
+  const solid = new Uint8Array(N);
+  const omega = 1 / (3 * nu + 0.5);
+  let inlet = u0;
+
+  function fillEquilibrium(cell, r, vx, vy) {
+    for (let k = 0; k < 9; k++) f[cell * 9 + k] = feq(k, r, vx, vy);
+  }
+
+  function setMask(m) {
+    solid.fill(0);
+    if (m) for (let c = 0; c < N; c++) solid[c] = m[c] ? 1 : 0;
+    // Solid cells hold a quiescent equilibrium so bounce-back starts clean.
+    for (let c = 0; c < N; c++) {
+      if (solid[c]) { fillEquilibrium(c, 1, 0, 0); ux[c] = uy[c] = 0; rho[c] = 1; }
+    }
+  }
+
+  function reset() {
+    for (let c = 0; c < N; c++) {
+      const v = solid[c] ? 0 : inlet;
+      // A 2 % cross-flow ripple breaks the mirror symmetry of a centred
+      // body — without it the shedding instability takes minutes to grow
+      // out of round-off.
+      const w = solid[c] ? 0 : 0.02 * inlet * Math.sin((2 * Math.PI * (c % nx)) / nx);
+      fillEquilibrium(c, 1, v, w);
+      rho[c] = 1; ux[c] = v; uy[c] = w;
+    }
+  }
+
+  function collide() {
+    for (let c = 0; c < N; c++) {
+      if (solid[c]) continue;
+      const o = c * 9;
+      let r = 0, mx = 0, my = 0;
+      for (let k = 0; k < 9; k++) {
+        const fk = f[o + k];
+        r += fk; mx += CX[k] * fk; my += CY[k] * fk;
+      }
+      // Density floor: a blow-up cell must not poison the whole lattice.
+      if (!(r > 1e-6)) r = 1;
+      const vx = mx / r, vy = my / r;
+      rho[c] = r; ux[c] = vx; uy[c] = vy;
+      for (let k = 0; k < 9; k++) f[o + k] += omega * (feq(k, r, vx, vy) - f[o + k]);
+    }
+  }
+
+  function stream() {
+    for (let j = 0; j < ny; j++) {
+      for (let i = 0; i < nx; i++) {
+        const c = i + j * nx;
+        if (solid[c]) continue;
+        const o = c * 9;
+        for (let k = 0; k < 9; k++) {
+          const ti = i + CX[k], tj = j + CY[k];
+          if (ti < 0 || ti >= nx || tj < 0 || tj >= ny) continue;   // boundary rows reset below
+          const t = ti + tj * nx;
+          if (solid[t]) f2[o + OPP[k]] = f[o + k];                  // bounce back
+          else          f2[t * 9 + k]  = f[o + k];
+        }
+      }
+    }
+    [f, f2] = [f2, f];
+  }
+
+  function boundaries() {
+    for (let j = 0; j < ny; j++) {
+      const c0 = j * nx;
+      if (!solid[c0]) fillEquilibrium(c0, 1, inlet, 0);
+      const cL = (nx - 1) + j * nx, cP = (nx - 2) + j * nx;
+      if (!solid[cL]) for (let k = 0; k < 9; k++) f[cL * 9 + k] = f[cP * 9 + k];
+    }
+    for (let i = 0; i < nx; i++) {
+      const b = i, t = i + (ny - 1) * nx;
+      if (!solid[b]) fillEquilibrium(b, 1, inlet, 0);
+      if (!solid[t]) fillEquilibrium(t, 1, inlet, 0);
+    }
+  }
+
+  function step(n = 1) {
+    for (let s = 0; s < n; s++) {
+      collide();
+      stream();
+      boundaries();
+    }
+  }
+
+  setMask(mask);
+  reset();
+
+  return {
+    nx, ny, rho, ux, uy, solid,
+    step,
+    reset,
+    setMask(m) { setMask(m); },
+    setInlet(u) { inlet = Math.max(0, u || 0); },
+    get inlet() { return inlet; },
+  };
+}
+
+/**
+ * z-component of vorticity ∂uy/∂i − ∂ux/∂j (central differences; edge and
+ * solid cells read 0). Written into `out` when given.
+ */
+export function lbmVorticity(lbm, out) {
+  const { nx, ny, ux, uy, solid } = lbm;
+  const w = out || new Float32Array(nx * ny);
+  w.fill(0);
+  for (let j = 1; j < ny - 1; j++) {
+    for (let i = 1; i < nx - 1; i++) {
+      const c = i + j * nx;
+      if (solid[c]) continue;
+      w[c] = 0.5 * (uy[c + 1] - uy[c - 1]) - 0.5 * (ux[c + nx] - ux[c - nx]);
+    }
+  }
+  return w;
+}
+
+/**
+ * Rasterise a body-sdf occupancy slice into a lattice mask.
+ *
+ *   view 'top'  — horizontal slice at world height `level`; j spans car x
+ *                 over [−halfSpan, +halfSpan]
+ *   view 'side' — vertical centreline slice at car x = `level`; j spans
+ *                 height from `groundY` to groundY + 2·halfSpan
+ *
+ * i spans car z over [z0, z1] for both. Cell centres are sampled.
+ *
+ * @param {{sample:(x:number,y:number,z:number)=>number}} occ
+ * @param {{nx:number, ny:number, view:'top'|'side', level:number,
+ *          z0:number, z1:number, halfSpan:number, groundY?:number}} g
+ * @returns {Uint8Array}
+ */
+export function maskFromOccupancy(occ, g) {
+  const { nx, ny, view, level, z0, z1, halfSpan } = g;
+  const mask = new Uint8Array(nx * ny);
+  if (!occ || typeof occ.sample !== 'function') return mask;
+  const dz = (z1 - z0) / nx, ds = (2 * halfSpan) / ny;
+  for (let j = 0; j < ny; j++) {
+    const s = (j + 0.5) * ds;
+    for (let i = 0; i < nx; i++) {
+      const z = z0 + (i + 0.5) * dz;
+      const hit = view === 'side'
+        ? occ.sample(level, (g.groundY ?? 0) + s, z)
+        : occ.sample(-halfSpan + s, level, z);
+      if (hit > 0.5) mask[i + j * nx] = 1;
+    }
+  }
+  return mask;
+}
+
+/**
+ * Fallback mask when no occupancy field exists (procedural cars): an
+ * ellipse of the car's half-dims, sitting on the road in the side view.
+ */
+export function ellipseMask(g, halfW, halfL, halfH) {
+  const { nx, ny, view, z0, z1, halfSpan } = g;
+  const mask = new Uint8Array(nx * ny);
+  const dz = (z1 - z0) / nx, ds = (2 * halfSpan) / ny;
+  for (let j = 0; j < ny; j++) {
+    const s = (j + 0.5) * ds;
+    for (let i = 0; i < nx; i++) {
+      const z = z0 + (i + 0.5) * dz;
+      const a = z / halfL;
+      const b = view === 'side' ? (s - halfH) / halfH : (s - halfSpan) / halfW;
+      if (a * a + b * b <= 1) mask[i + j * nx] = 1;
+    }
+  }
+  return mask;
+}
+
+/**
+ * Colour the field into an RGBA byte buffer (texture row j = lattice row j).
+ *   'speed'     — |u|/u0 on the cpToColor-style ramp (blue slow → red fast)
+ *   'vorticity' — diverging blue (clockwise) / white / red (counter-clockwise)
+ * Solid cells are transparent so the car shows through the plane.
+ *
+ * @param {object} lbm      — createLbm instance
+ * @param {'speed'|'vorticity'} mode
+ * @param {Uint8Array} [out] — nx·ny·4 bytes, reused when given
+ * @returns {Uint8Array}
+ */
+export function lbmFieldToRGBA(lbm, mode, out) {
+  const { nx, ny, ux, uy, solid } = lbm;
+  const N = nx * ny;
+  const px = out || new Uint8Array(N * 4);
+  const u0 = Math.max(lbm.inlet, 1e-4);
+  const vort = mode === 'vorticity' ? lbmVorticity(lbm) : null;
+  // Vorticity scale: the shear layer off a body ~ u0 / (a few cells).
+  const wRef = u0 / 4;
+  for (let c = 0; c < N; c++) {
+    const o = c * 4;
+    if (solid[c]) { px[o] = px[o + 1] = px[o + 2] = px[o + 3] = 0; continue; }
+    let r, g, b;
+    if (vort) {
+      const t = Math.max(-1, Math.min(1, vort[c] / wRef));
+      const m = 1 - Math.abs(t);
+      r = t > 0 ? 1 : m; g = m; b = t < 0 ? 1 : m;
+    } else {
+      const sp = Math.hypot(ux[c], uy[c]) / u0;          // 0 … ~1.6
+      const t  = Math.max(0, Math.min(1, sp / 1.6));
+      if (t < 0.25)      { r = 0; g = t / 0.25; b = 1; }
+      else if (t < 0.5)  { r = 0; g = 1; b = 1 - (t - 0.25) / 0.25; }
+      else if (t < 0.75) { r = (t - 0.5) / 0.25; g = 1; b = 0; }
+      else               { r = 1; g = 1 - (t - 0.75) / 0.25; b = 0; }
+    }
+    px[o]     = r * 255;
+    px[o + 1] = g * 255;
+    px[o + 2] = b * 255;
+    px[o + 3] = 215;
+  }
+  return px;
+}
+
+/**
+ * Message host shared by lbm-worker.js and LbmEffect's inline fallback:
+ * one protocol, one solver, whichever thread it lands on.
+ *
+ *   {type:'init',  nx, ny, mask?, u0?}   (re)create the lattice
+ *   {type:'mask',  mask}                 new body slice — field restarts
+ *   {type:'inlet', u0}                   speed change — field keeps running
+ *   {type:'run',   steps, mode, gen?}    advance, reply with a frame
+ *
+ * `handle` returns the reply ({type:'frame', nx, ny, pixels, gen}) or null;
+ * `gen` is echoed so the caller can drop frames from a replaced lattice.
+ */
+export function createLbmHost() {
+  let lbm = null;
+  return {
+    handle(msg) {
+      if (!msg) return null;
+      switch (msg.type) {
+        case 'init':
+          lbm = createLbm({ nx: msg.nx, ny: msg.ny, u0: msg.u0 || 0, mask: msg.mask || null });
+          return null;
+        case 'mask':
+          if (lbm) { lbm.setMask(msg.mask); lbm.reset(); }
+          return null;
+        case 'inlet':
+          lbm?.setInlet(msg.u0);
+          return null;
+        case 'run':
+          if (!lbm) return null;
+          lbm.step(Math.max(0, msg.steps | 0));
+          return { type: 'frame', nx: lbm.nx, ny: lbm.ny, pixels: lbmFieldToRGBA(lbm, msg.mode), gen: msg.gen };
+        default:
+          return null;
+      }
+    },
+  };
+}
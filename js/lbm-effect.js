@@ -0,0 +1,278 @@
+/**
+ * lbm-effect.js — LbmEffect: 2D Lattice-Boltzmann wind tunnel
+ *
+ * The fourth environment mode. A D2Q9 solver (lbm-core.js) runs in a Web
+ * Worker on a slice of the body occupancy field and streams back an RGBA
+ * frame, drawn on a textured plane through the car:
+ *
+ *   view 'top'  — horizontal slice at sidepod height (wake, shedding)
+ *   view 'side' — vertical centreline slice over a moving road
+ *   field       — 'speed' (|u|/u0) or 'vorticity' (shear layers, vortices)
+ *
+ * Car speed maps to the lattice inlet velocity (lbmInletVelocity), so the
+ * Reynolds number — and with it separation and vortex shedding — climbs
+ * with the speed slider. Unlike the potential-flow ribbons, this field is
+ * time-dependent and can separate.
+ *
+ * Without Worker support (vitest, very old browsers) the identical message
+ * host runs inline on the main thread at a reduced step rate.
+ *
+ * Public interface (mirrors the other effects):
+ *   constructor(scene), setCarType(type, measure), setSpeed(kmh),
+ *   setVisible(bool), setBaseY(y), setOccupancy(occ, baseY),
+ *   setView(view), setField(mode), update(dt, t), dispose().
+ */
+
+import * as THREE from 'three';
+import {
+  createLbmHost, lbmInletVelocity, maskFromOccupancy, ellipseMask,
+} from './lbm-core.js';
+
+/* ── Tunnel layout ────────────────────────────────────────────────── */
+const NX            = 180;    // lattice columns along the flow
+const UPSTREAM      = 1.5;    // tunnel starts 1.5·halfL ahead of the centre
+const DOWNSTREAM    = 4.0;    // …and ends 4·halfL behind it (room for the wake)
+const TOP_SPAN      = 2.4;    // top view half-span in halfW
+const SIDE_SPAN     = 2.0;    // side view half-span in halfH (height = 4·halfH)
+const TOP_SLICE     = 0.6;    // top view slice height in halfH above the road
+const STEPS_WORKER  = 8;      // lattice steps per frame off-thread
+const STEPS_INLINE  = 2;      // …and on the main thread fallback
+
+/* Authored envelopes for procedural cars — same values as AirflowEffect. */
+const LBM_PROFILE = {
+  F1: { halfW: 0.90, halfL: 2.45, halfH: 0.55 },
+  GT: { halfW: 1.05, halfL: 2.40, halfH: 0.65 },
+};
+
+function spawnWorker() {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./lbm-worker.js', import.meta.url), { type: 'module' });
+  } catch (e) {
+    console.warn('[LbmEffect] worker unavailable, solving inline:', e);
+    return null;
+  }
+}
+
+/* ════════════════════════════════════════════════════════════════════
+   LbmEffect class
+════════════════════════════════════════════════════════════════════ */
+export class LbmEffect {
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.name = 'lbm';
+    scene.add(this.group);
+
+    this._speed     = 0;
+    this._inlet     = -1;      // last lattice u0 sent (−1 ⇒ none yet)
+    this._visible   = false;
+    this._type      = 'F1';
+    this._dims      = { ...LBM_PROFILE.F1 };
+    this._baseY     = 0;
+    this._occupancy = null;    // world-frame body SDF (setOccupancy)
+    this._occBaseY  = 0;
+    this._view      = 'top';
+    this._field     = 'speed';
+    this._grid      = null;    // {nx, ny, z0, z1, halfSpan, level}
+    this._pending   = false;   // one run request in flight at a time
+    this._gen       = 0;       // lattice generation — tags run requests
+    this._mesh      = null;
+    this._texture   = null;
+
+    this._host   = null;
+    this._worker = spawnWorker();
+    if (this._worker) {
+      this._worker.onmessage = (e) => this._onFrame(e.data);
+      // A worker that fails to load (CSP, bundling) must not blank the
+      // mode: drop to the inline host and replay the lattice setup.
+      this._worker.onerror = (e) => {
+        console.warn('[LbmEffect] worker failed, solving inline:', e.message || e);
+        this._worker.terminate();
+        this._worker = null;
+        this._host   = createLbmHost();
+        this._rebuild();
+      };
+    } else {
+      this._host = createLbmHost();
+    }
+
+    this._rebuild();
+    this.group.visible = false;
+  }
+
+  /* ── Public interface ─────────────────────────────────────────── */
+
+  setCarType(type, measure) {
+    this._type = LBM_PROFILE[type] ? type : 'F1';
+    const p  = LBM_PROFILE[this._type];
+    const a  = measure?.anchors;
+    const bs = a?.bodyShell?.bbox;
+    // Measured envelope wins over the authored profile (AirflowEffect rule).
+    this._dims = {
+      halfW: (bs && Number.isFinite(bs.minX) && Number.isFinite(bs.maxX)) ? (bs.maxX - bs.minX) / 2 : p.halfW,
+      halfL: (Number.isFinite(a?.frontWing?.z) && Number.isFinite(a?.rearWing?.z))
+        ? Math.max(Math.abs(a.frontWing.z), Math.abs(a.rearWing.z))
+        : p.halfL,
+      halfH: p.halfH,
+    };
+    this._occupancy = null;   // previous car's slice must not leak in
+    this._rebuild();
+  }
+
+  /**
+   * World-frame body SDF (buildOccupancy output). Sampled at car-local
+   * y + baseY — the occupancy frame convention shared with CfdEffect.
+   * Restarts the field on the new slice; null falls back to an ellipse.
+   */
+  setOccupancy(occ, baseY = 0) {
+    this._occupancy = (occ && typeof occ.sample === 'function') ? occ : null;
+    this._occBaseY  = baseY || 0;
+    if (this._grid) this._post({ type: 'mask', mask: this._mask() });
+  }
+
+  /** 'top' | 'side' — rebuilds the lattice and the plane. */
+  setView(view) {
+    const v = view === 'side' ? 'side' : 'top';
+    if (v === this._view) return;
+    this._view = v;
+    this._rebuild();
+  }
+
+  /** 'speed' | 'vorticity' — colouring only; the field keeps running. */
+  setField(mode) {
+    this._field = mode === 'vorticity' ? 'vorticity' : 'speed';
+  }
+
+  setSpeed(speed) {
+    this._speed = speed;
+    const u0 = lbmInletVelocity(speed);
+    // main.js calls this every frame — only message on a real change.
+    if (Math.abs(u0 - this._inlet) < 1e-4) return;
+    this._inlet = u0;
+    this._post({ type: 'inlet', u0 });
+  }
+
+  setVisible(v) {
+    this._visible      = v;
+    this.group.visible = v;
+  }
+
+  setBaseY(y) {
+    this._baseY = y || 0;
+    this.group.position.y = this._baseY;
+  }
+
+  update(dt) {
+    if (!this._visible || this._pending || !(dt > 0)) return;
+    this._pending = true;
+    this._post({
+      type: 'run',
+      steps: this._worker ? STEPS_WORKER : STEPS_INLINE,
+      mode: this._field,
+      gen: this._gen,
+    });
+  }
+
+  dispose() {
+    this._worker?.terminate();
+    this._worker = null;
+    this._disposeMesh();
+    this.scene.remove(this.group);
+  }
+
+  /* ── Internal ─────────────────────────────────────────────────── */
+
+  _post(msg) {
+    if (this._worker) { this._worker.postMessage(msg); return; }
+    const reply = this._host?.handle(msg);
+    if (reply) this._onFrame(reply);
+  }
+
+  _onFrame(reply) {
+    // A run still in flight across a rebuild answers for the old lattice:
+    // drop it without releasing the request the new lattice has out.
+    if (!reply || reply.gen !== this._gen) return;
+    this._pending = false;
+    const g = this._grid;
+    if (reply.type !== 'frame' || !g || reply.nx !== g.nx || reply.ny !== g.ny) return;
+    this._texture.image.data = reply.pixels;
+    this._texture.needsUpdate = true;
+  }
+
+  /** Lattice layout for the current car + view. Cells are square. */
+  _layout() {
+    const { halfW, halfL, halfH } = this._dims;
+    const z0 = -UPSTREAM * halfL, z1 = DOWNSTREAM * halfL;
+    const dx = (z1 - z0) / NX;
+    const want = this._view === 'side' ? SIDE_SPAN * halfH : TOP_SPAN * halfW;
+    const ny = Math.max(16, Math.min(128, Math.round((2 * want) / dx)));
+    return {
+      nx: NX, ny, z0, z1,
+      halfSpan: (ny * dx) / 2,
+      level: this._view === 'side' ? 0 : TOP_SLICE * halfH,   // car-local
+    };
+  }
+
+  _mask() {
+    const g = this._grid;
+    const geo = {
+      nx: g.nx, ny: g.ny, view: this._view, z0: g.z0, z1: g.z1, halfSpan: g.halfSpan,
+      level: this._view === 'side' ? g.level : g.level + this._occBaseY,
+      groundY: this._occBaseY,
+    };
+    const { halfW, halfL, halfH } = this._dims;
+    return this._occupancy
+      ? maskFromOccupancy(this._occupancy, geo)
+      : ellipseMask(geo, halfW, halfL, halfH);
+  }
+
+  _rebuild() {
+    this._grid    = this._layout();
+    this._pending = false;
+    this._gen++;
+    const g = this._grid;
+    this._post({ type: 'init', nx: g.nx, ny: g.ny, mask: this._mask(), u0: Math.max(this._inlet, 0) });
+    this._buildMesh();
+  }
+
+  _buildMesh() {
+    this._disposeMesh();
+    const g = this._grid;
+    const tex = new THREE.DataTexture(new Uint8Array(g.nx * g.ny * 4), g.nx, g.ny, THREE.RGBAFormat);
+    tex.magFilter = THREE.LinearFilter;
+    tex.minFilter = THREE.LinearFilter;
+    tex.needsUpdate = true;
+    this._texture = tex;
+
+    // PlaneGeometry: local X (u) → car +z, local Y (v) → lattice j.
+    const geo = new THREE.PlaneGeometry(g.z1 - g.z0, 2 * g.halfSpan);
+    const mat = new THREE.MeshBasicMaterial({
+      map: tex, transparent: true, side: THREE.DoubleSide, depthWrite: false,
+    });
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.name = 'lbmPlane';
+    const basis = this._view === 'side'
+      ? new THREE.Matrix4().makeBasis(new THREE.Vector3(0, 0, 1), new THREE.Vector3(0, 1, 0), new THREE.Vector3(-1, 0, 0))
+      : new THREE.Matrix4().makeBasis(new THREE.Vector3(0, 0, 1), new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0));
+    mesh.quaternion.setFromRotationMatrix(basis);
+    mesh.position.set(
+      0,
+      this._view === 'side' ? g.halfSpan : g.level,
+      (g.z0 + g.z1) / 2,
+    );
+    mesh.renderOrder = 2;
+    this._mesh = mesh;
+    this.group.add(mesh);
+  }
+
+  _disposeMesh() {
+    if (!this._mesh) return;
+    this.group.remove(this._mesh);
+    this._mesh.geometry.dispose();
+    this._mesh.material.dispose();
+    this._texture?.dispose();
+    this._mesh = null;
+    this._texture = null;
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * lbm-worker.js — Lattice-Boltzmann wind tunnel off the main thread.
+ *
+ * Thin wrapper over createLbmHost (lbm-core.js); the RGBA frame buffer is
+ * transferred, not copied, back to LbmEffect.
+ */
+
+import { createLbmHost } from './lbm-core.js';
+
+const host = createLbmHost();
+
+self.onmessage = (e) => {
+  const reply = host.handle(e.data);
+  if (reply) self.postMessage(reply, [reply.pixels.buffer]);
+};
@@ -16,17 +16,46 @@ import { buildCar, getCarMeta, WHEEL_NAMES, buildSteeringWheel } from './cars.js
 import { CAR_MANIFEST } from './car-manifest.js';
 import { createDebugOverlay } from './debug-overlay.js';
 import { buildTrack, buildSkyline } from './track.js';
-import { TrackPath, TURN_CFG, steerAngleRad, rollAngleRad, smoothAngle, cameraBankRad, pathBendTable, turnEdgeCounter } from './track-path.js';
-import { AirflowEffect, RainEffect } from './effects.js';
+import { TrackPath, TURN_CFG, steerAngleRad, rollAngleRad, smoothAngle, cameraBankRad, pathBendTable, turnEdgeCounter, CIRCUITS, circuitCurvature, rowPose } from './track-path.js';
+import { simulateLap, lapCar, lapSpeedAt, formatLapTime } from './lap-sim.js';
+import { CIRCUIT_FILES, loadCircuitFile } from './circuit-import.js';
+import { LapTimer, OPEN_ROAD_SEGMENT, SECTORS, formatLapDelta } from './lap-timer.js';
+import { Minimap, drawMinimap, nextTurnLabel } from './minimap.js';
+import { racingLinePose, trailingPose, surfaceEffect, cornerGripScale } from './surface.js';
+import {
+  EDITOR_LIMITS, MAX_TURNS, DEFAULT_LAYOUT, normalizeTurn, normalizeLayout, turnAngle,
+  editorCircuit, layoutTrace, editorScale, nearestS, pickTurn, insertTurnAt,
+  layoutToJSON, parseLayout, loadLayout, saveLayout, drawLayout,
+} from './track-editor.js';
+import { AirflowEffect, RainEffect, syncRibbonLegend } from './effects.js';
 import { RainLensShader, rainLensIntensity, lensActive } from './rain-lens.js';
 import { CfdEffect, syncCfdLegend } from './cfd-effect.js';
+import { LbmEffect } from './lbm-effect.js';
+import { SliceEffect, rayAxisParam } from './slice-effect.js';
+import { drawCpChart } from './cp-chart.js';
+import { SmokeWandEffect } from './smoke-wand.js';
+import { DEFAULT_RAKE, MAX_RAKES, normalizeRake, loadRakes, saveRakes } from './stream-rake.js';
+import { VortexIsoEffect } from './vortex-iso.js';
 import { VentEmitterSystem } from './vent-emitters.js';
 import { buildOccupancy } from './body-sdf.js';
 import { collectOccupancyMeshes } from './car-loader.js';
 import { createSwapGuard } from './swap-guard.js';
 import { EffectStub } from './effect-stub.js';
+import {
+  normalizeWingSetup, rearFlapRotation, DEFAULT_WING_SETUP,
+  normalizeRideSetup, rideHeightOffset, rakeAngle, DEFAULT_RIDE_SETUP,
+  normalizeGroundMode, wheelsRolling, DEFAULT_GROUND, rearWingLoad,
+} from './aero-setup.js';
+import {
+  normalizeFollowSetup, followerPlacement, createFollowerInflow, DEFAULT_FOLLOW,
+} from './slipstream.js';
 import { gearFromSpeed, wheelRotationRate, aeroSquishFactor, rpmRatio, lerpSpeed } from './physics.js';
 import { EngineAudio, loadAudioSettings, saveAudioSettings } from './engine-audio.js';
+import {
+  createThermalState, stepThermal, brakeDuctAreas, paintBrakes, cornerOf,
+  tyreHeatColor, tyreBand,
+} from './thermal.js';
+import { normalizeCoolingLevel, coolingFlow, DEFAULT_COOLING } from './cooling.js';
 import { partForHit, eduEntryFor, splitCopy } from './edu-content.js';
 import {
   BACKGROUND_COLOR, AMBIENT_COLOR, AMBIENT_INTENSITY,
@@ -165,17 +194,56 @@ const state = {
   targetSpeed: 0,
   paused:     false,
   camMode:    'orbit',    // orbit | trackside | cockpit | drone
-  activeEnvs: new Set(),  // 'airflow' | 'rain' | 'cfd'
+  activeEnvs: new Set(),  // 'airflow' | 'rain' | 'cfd' | 'tunnel' | 'slice' | 'smoke' | 'vortex'
   turnMode:   'auto',     // 'auto' | 't5' | 't10' | 'only' (TURN_MODES)
+  circuit:    null,       // CIRCUITS key driven lap after lap — null = open road
+  lapTrace:   null,       // simulateLap speed trace driving targetSpeed (lap-sim.js)
+  lapTimer:   null,       // LapTimer for the current layout (lap-timer.js)
+  minimap:    new Minimap(trackPath),   // HUD map and driven trail (minimap.js)
+  line:       { lat: 0, heading: 0, kappa: 0 },   // racing line under the car (racingLinePose)
+  surfaceFx:  null,       // surfaceEffect under the wheels — grip, bounce, rumble (surface.js)
+  tunnelView:  'top',     // LBM slice: 'top' | 'side'
+  tunnelField: 'speed',   // LBM colouring: 'speed' | 'vorticity'
+  sliceAxis:   'z',       // cutting-plane normal: 'x' | 'y' | 'z' (slice-effect.js)
+  sliceField:  'speed',   // slice colouring: 'speed' | 'cp'
+  sliceOffset: 0,         // plane position along its normal (car-local m)
+  vortexMode:  'q',       // iso-surface criterion: 'vorticity' | 'q' (vortex-iso.js)
+  ribbonColor: 'smoke',   // airflow ribbon colour-by (RIBBON_COLOR_MODES in effects.js)
+  streamRakes: [],        // user streamline rakes for this car (stream-rake.js) — saved per car
+  streamRakeSel: -1,      // rake the RAKES sliders edit (−1 ⇒ none)
+  streamRakePlace: false, // PLACE armed: viewport presses move the selected rake
+  editorLayout: loadLayout(window.localStorage),   // track editor layout (track-editor.js) — saved
+  editorSel:     0,       // turn the editor sliders edit
+  editorPlacing: false,   // + TURN armed: the next click on a straight adds a turn
+  editorOpen:    false,   // EDIT panel shown
+  wingSetup:  { ...DEFAULT_WING_SETUP },   // rear-wing angle (deg Δ) + DRS (aero-setup.js)
+  rideSetup:  { ...DEFAULT_RIDE_SETUP },   // ride height (mm Δ) + rake (deg) (aero-setup.js)
+  rideOffset: 0,          // body lift over the static pose (m) — animateCar
+  rakeRad:    0,          // body nose-down pitch (rad) — animateCar
+  groundMode: DEFAULT_GROUND,   // tunnel ground: 'moving' belt | 'fixed' floor (aero-setup.js)
+  wheelSpin:  0,          // tyre spin ratio ωR/U fed to the flow: 1 rolling, 0 stopped (applyWheelSpin)
+  cooling:    DEFAULT_COOLING,   // radiator opening: 'tight' | 'standard' | 'open' (cooling.js)
+  yawDeg:     0,          // crosswind tunnel yaw (deg, + = wind toward +x) — applyYaw
+  follow:     { ...DEFAULT_FOLLOW },   // second car in the lead's wake (slipstream.js)
+  followGroup:  null,     // follower car group (spawnFollower) — null when off
+  followWheels: {},       // follower wheel objects, spun like state.wheels
+  followAero:   null,     // followerAero factors vs clean air — HUD readout
+  followPlace:  null,     // follower origin in the lead frame (followerPlacement)
+  followVis:    { steer: 0, roll: 0, yaw: 0, pitch: 0 },   // its smoothed pose
   steerVis:   0,          // time-smoothed visual pose (smoothAngle targets)
   rollVis:    0,
   yawVis:     0,
+  pitchVis:   0,          // road grade under the car (rad, + = nose up)
   time:       0,
   carGroup:   null,
   carMeasure: null,       // group.userData.measure snapshot — consumed by effects / overlay
   bodyOccupancy: null,    // Phase B: binary SDF of GLB body meshes for streamline collision
   wheels:     {},
   brakes:     {},
+  thermal:    createThermalState('F1'),   // disc + tyre temperatures (thermal.js)
+  thermalDucts: null,     // brake-duct areas from the car's anchors (brakeDuctAreas)
+  tyreHeat:   {},         // corner → tyre heat ring (buildTyreHeatRings)
+  decel:      0,          // m/s², positive slowing — from the lerped speed history
   camT:       0,          // camera path parameter for trackside/drone
   camBank:    0,          // smoothed cinematic camera roll (rad)
   turnCount:  0,          // completed-turn tally shown in the HUD
@@ -266,6 +334,9 @@ async function spawnCar(type) {
   grp.traverse(obj => {
     if (obj.name?.startsWith('brake_')) state.brakes[obj.name] = obj;
   });
+  state.thermal      = createThermalState(type);
+  state.thermalDucts = brakeDuctAreas(state.carMeasure?.anchors, type);
+  state.tyreHeat     = buildTyreHeatRings(state.wheels, state.carMeasure?.wheelRadius ?? 0.3325);
 
   // P5: cockpit steering wheel — placed off the measured cockpit anchor,
   // column-tilted about X; animateCar counter-rotates it with steerVis.
@@ -303,11 +374,26 @@ async function spawnCar(type) {
       // CFD upstream shadowing: world-frame SDF sampled at car-local y +
       // baseY (occupancy frame convention). Forces an overlay recolor.
       cfd.setOccupancy?.(state.bodyOccupancy, grp.userData?.baseY ?? 0);
+      // CFD streamlines re-trace through the field the ribbons now use, and
+      // the body overlay's flanks read its panel solution on the real slice
+      // outline.
+      pipeAirflowToCfd();
+      // LBM tunnel: slice the same SDF into the lattice (restarts the field).
+      tunnel.setOccupancy(state.bodyOccupancy, grp.userData?.baseY ?? 0);
+      // Slice plane: the same SDF cuts the body out of the section.
+      slice.setOccupancy(state.bodyOccupancy, grp.userData?.baseY ?? 0);
+      // Vortex iso-surfaces: the same SDF masks the body out of the grid.
+      vortex.setOccupancy(state.bodyOccupancy, grp.userData?.baseY ?? 0);
     }
     wireRainCoupling();   // rain body-splash gains the occupancy once it lands
+    wireSmokeCoupling();  // so does the smoke wand's body deflection
   });
 
   airflow.setCarType(type, state.carMeasure, state.bodyOccupancy);
+  // Each car has its own saved rake scene (localStorage, stream-rake.js).
+  state.streamRakes   = loadRakes(window.localStorage, type);
+  state.streamRakeSel = state.streamRakes.length ? 0 : -1;
+  applyStreamRakes(false);
   // CFD body-surface overlay: pressure is painted on the REAL body meshes
   // (collectOccupancyMeshes — same manifest-driven list as the SDF); the
   // rectangle patches only render for procedural fallbacks.
@@ -325,10 +411,16 @@ async function spawnCar(type) {
   cfd.setCarType(type, state.carMeasure);
   // Phase C: pipe the same feature-aware modifier list into CFD so the
   // pressure map sinks under inlets / low-pressure under the rear wing
-  // match the airflow streamlines.
-  cfd.setModifiers(airflow.getModifiers());
+  // match the airflow streamlines, and the quasi-3-D field they trace.
+  // No occupancy yet ⇒ no panel body: the previous car's outline is dropped.
+  pipeAirflowToCfd();
   rain.setCarType(type, state.carMeasure);
   vents.setCarType(type, state.carMeasure);
+  tunnel.setCarType(type, state.carMeasure);
+  slice.setCarType(type, state.carMeasure);
+  smoke.setCarType(type, state.carMeasure);   // the old car's trail goes with it
+  vortex.setCarType(type, state.carMeasure);
+  applySliceMode(state.sliceAxis, state.sliceField);   // offset range follows the car
 
   // Propagate ground-lift: all effect groups author coords in car-local
   // space (y=0 at ground-contact plane). Shift them onto the world surface
@@ -337,6 +429,14 @@ async function spawnCar(type) {
   airflow.setBaseY(baseY);
   cfd.setBaseY(baseY);
   vents.setBaseY(baseY);
+  tunnel.setBaseY(baseY);
+  slice.setBaseY(baseY);
+  vortex.setBaseY(baseY);
+
+  // Rear-wing setup carries across car swaps (DRS drops on the GT) and
+  // poses the new car's flap; the ride setup re-seats the new wheels.
+  applyWingSetup();
+  applyRideSetup();
 
   // Refresh orbit target to the current car's cockpit anchor so the
   // camera pivots around the actual car, not a hardcoded y=0.4.
@@ -349,6 +449,48 @@ async function spawnCar(type) {
 
   // Engine voice follows the car: F1 screaming in-gear ladder vs GT growl.
   engineAudio.setCarType(type);
+
+  // The follower is always the same car as the lead — rebuild it too.
+  spawnFollower();
+}
+
+const followSpawnGuard = createSwapGuard();
+
+/**
+ * (Re)build the optional second car — same buildCar path and type as the
+ * lead — or drop it when the follower is off. Its own CfdEffect paints the
+ * body in the lead's wake; applyFollow places it and wires the inflow.
+ */
+async function spawnFollower() {
+  const myToken = followSpawnGuard.begin();
+  if (state.followGroup) {
+    scene.remove(state.followGroup);
+    state.followGroup  = null;
+    state.followWheels = {};
+  }
+  if (!state.follow.enabled) {
+    applyFollow();
+    return;
+  }
+  const type = state.carType;
+  const grp = await buildCar(type);
+  if (!followSpawnGuard.isCurrent(myToken) || !state.follow.enabled) return;
+  state.followGroup = grp;
+  if (grp.userData?.wheels) {
+    Object.assign(state.followWheels, grp.userData.wheels);
+  } else {
+    grp.traverse(obj => {
+      if (WHEEL_NAMES.includes(obj.name)) state.followWheels[obj.name] = obj;
+    });
+  }
+  scene.add(grp);
+  grp.updateMatrixWorld(true);
+  followCfd.setBodySurface(collectOccupancyMeshes(grp, CAR_MANIFEST[String(type).toLowerCase()] ?? null), grp);
+  followCfd.setCarType(type, grp.userData.measure ?? null);
+  pipeAirflowToCfd();
+  // Re-seats the follower's wheels under the shared ride setup, then
+  // applyFollow places the car and wires the wake.
+  applyRideSetup();
 }
 
 /* ══════════════════════════════════════════════════════════════════
@@ -358,7 +500,7 @@ async function spawnCar(type) {
 // Lives in effect-stub.js (node-testable — main.js can't load outside the
 // browser); effect-stub.test.js source-scans this file to keep it complete.
 
-let airflow, rain, cfd, vents;
+let airflow, rain, cfd, vents, tunnel, slice, smoke, vortex, followCfd;
 try { airflow = new AirflowEffect(scene); }
 catch (e) { console.error('[AirflowEffect] constructor failed:', e); airflow = new EffectStub(); }
 try { rain = new RainEffect(scene); }
@@ -367,6 +509,20 @@ try { cfd = new CfdEffect(scene); }
 catch (e) { console.error('[CfdEffect] constructor failed:', e); cfd = new EffectStub(); }
 try { vents = new VentEmitterSystem(scene); }
 catch (e) { console.error('[VentEmitterSystem] constructor failed:', e); vents = new EffectStub(); }
+try { tunnel = new LbmEffect(scene); }
+catch (e) { console.error('[LbmEffect] constructor failed:', e); tunnel = new EffectStub(); }
+try { slice = new SliceEffect(scene); }
+catch (e) { console.error('[SliceEffect] constructor failed:', e); slice = new EffectStub(); }
+try { smoke = new SmokeWandEffect(scene); }
+catch (e) { console.error('[SmokeWandEffect] constructor failed:', e); smoke = new EffectStub(); }
+try { vortex = new VortexIsoEffect(scene); }
+catch (e) { console.error('[VortexIsoEffect] constructor failed:', e); vortex = new EffectStub(); }
+// Car-local samplers — the slice and vortex groups carry baseY like the airflow one.
+slice.setSampler((x, y, z) => airflow.sampleFlowAt(x, y, z));
+vortex.setSampler((x, y, z) => airflow.sampleFlowAt(x, y, z));
+// Second CFD instance for the follower (slipstream) — hidden until one exists.
+try { followCfd = new CfdEffect(scene); }
+catch (e) { console.error('[CfdEffect follower] constructor failed:', e); followCfd = new EffectStub(); }
 
 /* ── Engine sound (Web Audio synth — engine-audio.js) ───────────────
    NOT an effect: no scene nodes, so no EffectStub fallback. The graph is
@@ -392,6 +548,10 @@ window.__fsim.cfd = cfd;
 // sway), vent emitter counts (GT sidepod inlets), renderer.info (perf audit).
 window.__fsim.rain     = rain;
 window.__fsim.vents    = vents;
+window.__fsim.tunnel   = tunnel;
+window.__fsim.slice    = slice;
+window.__fsim.smoke    = smoke;
+window.__fsim.vortex   = vortex;
 window.__fsim.renderer = renderer;
 // Engine-sound hook (scripts/verify-engine-sound.mjs): Playwright can't hear —
 // it reads ctx.state / masterGain / fundamental via engineAudio.debugState().
@@ -418,21 +578,54 @@ function wireRainCoupling() {
   }
 }
 
+/**
+ * Smoke wand: coupled whenever SMOKE is on — it has no picture without the
+ * field, so unlike rain it does not wait for the airflow ribbons. Same
+ * world-frame sampler (− baseY) and world-frame occupancy as the rain.
+ */
+function wireSmokeCoupling() {
+  if (!state.activeEnvs.has('smoke') || typeof airflow.sampleFlowAt !== 'function') {
+    smoke.setFlowCoupling(null, null);
+    return;
+  }
+  const baseY = state.carGroup?.userData?.baseY ?? 0;
+  smoke.setFlowCoupling((x, y, z) => airflow.sampleFlowAt(x, y - baseY, z), state.bodyOccupancy || null);
+}
+
 function syncEffects() {
   const sp = state.speed;
   airflow.setSpeed(sp);
   rain.setSpeed(sp);
   cfd.setSpeed(sp);
   vents.setSpeed(sp);
+  tunnel.setSpeed(sp);
+  slice.setSpeed(sp);
+  smoke.setSpeed(sp);
+  vortex.setSpeed(sp);
   airflow.setVisible(state.activeEnvs.has('airflow'));
   rain.setVisible(state.activeEnvs.has('rain'));
   cfd.setVisible(state.activeEnvs.has('cfd'));
+  followCfd.setSpeed(sp);
+  followCfd.setVisible(state.activeEnvs.has('cfd') && !!state.followGroup);
+  tunnel.setVisible(state.activeEnvs.has('tunnel'));
+  slice.setVisible(state.activeEnvs.has('slice'));
+  smoke.setVisible(state.activeEnvs.has('smoke'));
+  vortex.setVisible(state.activeEnvs.has('vortex'));
+  // The field's own cores replace the table-placed spirals while shown.
+  cfd.setVortexSpirals(!state.activeEnvs.has('vortex'));
+  // First switch-on: the wand starts just ahead of the nose.
+  if (state.activeEnvs.has('smoke') && !smoke.getEmitter()) {
+    const nose = anchorWorld('noseTip', new THREE.Vector3(0, 0.3, -2.7));
+    smoke.setEmitter({ x: nose.x, y: nose.y + 0.15, z: nose.z - 0.5 });
+  }
   // CFD legend follows the env toggle; the probe tooltip never outlives it.
   syncCfdLegend(document.getElementById('cfd-legend'), state.activeEnvs.has('cfd'));
+  updateRibbonLegend();
   if (!state.activeEnvs.has('cfd')) {
     document.getElementById('cfd-probe-tip')?.classList.remove('show');
   }
   wireRainCoupling();
+  wireSmokeCoupling();
   // Vents are visible whenever the user is viewing the airflow or CFD picture —
   // the vent stream is part of the flow visualisation, not a standalone env.
   vents.setVisible(state.activeEnvs.has('airflow') || state.activeEnvs.has('cfd'));
@@ -652,6 +845,122 @@ function updateHUD(speed) {
   const fill = document.getElementById('rpm-fill');
   fill.style.width  = `${rpmVal * 100}%`;
   fill.classList.toggle('redline', rpmVal > 0.88);
+
+  // Aero loads — the surface integral lives on the CFD overlay, so the
+  // readout only shows while CFD is on (and a GLB body surface exists).
+  const aero = state.activeEnvs.has('cfd') ? cfd.getAeroForces(speed) : null;
+  document.getElementById('aero-readout').classList.toggle('show', !!aero);
+  if (aero) {
+    document.getElementById('aero-downforce').textContent = formatNewtons(aero.downforce);
+    document.getElementById('aero-drag').textContent      = formatNewtons(aero.drag);
+    document.getElementById('aero-balance').textContent   = aero.balance == null
+      ? '–'
+      : `${Math.round(aero.balance * 100)}/${Math.round((1 - aero.balance) * 100)}`;
+  }
+  // Where those loads come from — the same integral split per component.
+  renderPartForces(aero ? cfd.getPartForces(speed) : null);
+  // Centreline pressure along the car — CFD on, body surface or not.
+  renderCpChart(state.activeEnvs.has('cfd') ? cfd.getCenterlineCp() : null);
+
+  // Brake discs and tyres — hottest corner per axle (thermal.js).
+  updateThermalReadout();
+
+  // Radiator duct — mass flow and the drag it costs (cooling.js).
+  const cool = coolingFlow(speed, state.cooling, state.carType);
+  document.getElementById('cooling-readout').classList.toggle('show', !!state.carGroup);
+  document.getElementById('cooling-flow').textContent = `${cool.massFlow.toFixed(1)} kg/s`;
+  document.getElementById('cooling-drag').textContent = formatNewtons(cool.drag);
+
+  // Follower in the lead's wake — load changes vs clean air (slipstream.js).
+  const fa = state.followAero;
+  document.getElementById('follow-readout').classList.toggle('show', !!fa);
+  if (fa) {
+    document.getElementById('follow-drag').textContent  = formatDelta(fa.drag);
+    document.getElementById('follow-front').textContent = formatDelta(fa.front);
+    document.getElementById('follow-rear').textContent  = formatDelta(fa.rear);
+  }
+}
+
+/** BRAKE / TYRE cells: hottest corner per axle; tyres coloured by window. */
+function updateThermalReadout() {
+  const th = state.thermal;
+  document.getElementById('thermal-readout').classList.toggle('show', !!state.carGroup);
+  const axle = (temps, a) => Math.max(temps[`${a}L`], temps[`${a}R`]);
+  document.getElementById('brake-front').textContent = formatCelsius(axle(th.brake, 'F'));
+  document.getElementById('brake-rear').textContent  = formatCelsius(axle(th.brake, 'R'));
+  for (const [id, a] of [['tyre-front', 'F'], ['tyre-rear', 'R']]) {
+    const el = document.getElementById(id);
+    const t  = axle(th.tyre, a);
+    el.textContent = formatCelsius(t);
+    el.dataset.band = tyreBand(t, state.carType);
+  }
+}
+
+/** 982 → "982 °C". */
+function formatCelsius(t) {
+  return `${Math.round(t)} °C`;
+}
+
+/** Load factor → signed percent change (0.74 → "−26%"). */
+function formatDelta(f) {
+  const pct = Math.round((f - 1) * 100);
+  return pct < 0 ? `−${-pct}%` : `+${pct}%`;
+}
+
+/* Force-split row labels; GT overrides where the part differs (the GT's
+ * front-wing anchor is its splitter). */
+const PART_LABELS = {
+  frontWing: 'Front wing',
+  floor:     'Floor',
+  diffuser:  'Diffuser',
+  rearWing:  'Rear wing',
+  sidepods:  'Sidepods',
+  bodywork:  'Bodywork',
+  wheels:    'Wheels',
+};
+const PART_LABEL_OVERRIDES = { GT: { frontWing: 'Splitter' } };
+
+let partTableHtml = '';
+
+/** Fill the FORCE SPLIT table (cfd.getPartForces rows); null hides it. */
+function renderPartForces(rows) {
+  const show = !!rows?.length;
+  document.getElementById('cfd-parts').classList.toggle('show', show);
+  if (!show) return;
+  const labels = { ...PART_LABELS, ...PART_LABEL_OVERRIDES[state.carType] };
+  const html = rows.map(r =>
+    `<tr><td>${labels[r.part] ?? r.part}</td>` +
+    `<td>${formatShare(r.downforceShare)}</td><td>${formatShare(r.dragShare)}</td></tr>`,
+  ).join('');
+  // The HUD runs every frame; the integral only moves every 5 km/h.
+  if (html === partTableHtml) return;
+  partTableHtml = html;
+  document.getElementById('cfd-parts-body').innerHTML = html;
+}
+
+let cpChartData = null;
+
+/** Draw the CENTRELINE Cp chart (cfd.getCenterlineCp); null hides it. */
+function renderCpChart(data) {
+  const panel = document.getElementById('cfd-cp-chart');
+  panel.classList.toggle('show', !!data);
+  // Same object until the overlay recolors — skip the redraw until then.
+  if (!data || data === cpChartData) return;
+  cpChartData = data;
+  panel.classList.toggle('ref-only', !data.top);
+  drawCpChart(document.getElementById('cfd-cp-canvas'), data);
+}
+
+/** Share of the net load → "42%" / "−6%" (a lifting part). */
+function formatShare(f) {
+  if (f == null) return '–';
+  const pct = Math.round(f * 100);
+  return pct < 0 ? `−${-pct}%` : `${pct}%`;
+}
+
+/** 850 N · 12.4 kN — the HUD cell is ~7 characters wide. */
+function formatNewtons(n) {
+  return Math.abs(n) >= 10000 ? `${(n / 1000).toFixed(1)} kN` : `${Math.round(n)} N`;
 }
 
 /* ══════════════════════════════════════════════════════════════════
@@ -662,14 +971,22 @@ const TURN_CHIP_LABELS = { t5: '↩ TURNS 5/30s', t10: '↩ TURNS 10/30s', only:
 function updateChips() {
   const container = document.getElementById('effects-chips');
   container.innerHTML = '';
-  const labels = { airflow: '🌬 AIRFLOW', rain: '🌧 RAIN', cfd: '🔬 CFD' };
+  const labels = {
+    airflow: '🌬 AIRFLOW', rain: '🌧 RAIN', cfd: '🔬 CFD', tunnel: '🌀 TUNNEL',
+    slice: '🔪 SLICE', smoke: '💨 SMOKE', vortex: '🌪 VORTICES',
+  };
   state.activeEnvs.forEach(env => {
     const chip = document.createElement('div');
     chip.className = `chip chip-${env}`;
     chip.textContent = labels[env];
     container.appendChild(chip);
   });
-  if (state.turnMode !== 'auto') {           // scene must mirror the selection
+  if (state.circuit) {
+    const chip = document.createElement('div');
+    chip.className = 'chip chip-turns';
+    chip.textContent = `🏁 ${circuitLayout(state.circuit).name.toUpperCase()}`;
+    container.appendChild(chip);
+  } else if (state.turnMode !== 'auto') {    // scene must mirror the selection
     const chip = document.createElement('div');
     chip.className = 'chip chip-turns';
     chip.textContent = TURN_CHIP_LABELS[state.turnMode];
@@ -680,6 +997,31 @@ function updateChips() {
 /* ══════════════════════════════════════════════════════════════════
    ANIMATION / PHYSICS
 ══════════════════════════════════════════════════════════════════ */
+/**
+ * Thin heat band round each tyre's tread, parented to the spinning wheel
+ * (a ring looks the same at any angle). animateCar colours it from the
+ * tyre temperature against the car's operating window.
+ */
+function buildTyreHeatRings(wheels, radius) {
+  const rings = {};
+  for (const [name, w] of Object.entries(wheels)) {
+    const corner = cornerOf(name);
+    if (!w || !corner) continue;
+    const geo = new THREE.TorusGeometry(radius * 1.01, 0.025, 8, 48);
+    geo.rotateY(Math.PI / 2);   // torus axis z → x (the wheel spin axis)
+    const ring = new THREE.Mesh(geo, new THREE.MeshBasicMaterial({
+      transparent: true,
+      opacity:     0.55,
+      depthWrite:  false,
+      blending:    THREE.AdditiveBlending,
+    }));
+    ring.name = `tyreHeat_${corner}`;
+    w.add(ring);
+    rings[corner] = ring;
+  }
+  return rings;
+}
+
 function animateCar(dt) {
   if (!state.carGroup) return;
 
@@ -689,8 +1031,9 @@ function animateCar(dt) {
   // ─ Wheel rotation (proportional to speed). Circumference uses the car's
   //   measured wheelRadius when available (GLB path) so rotation rate matches
   //   the real tyre, not a hard-coded value.
+  //   Over a fixed tunnel floor the wheels stand still.
   const wR = state.carMeasure?.wheelRadius ?? 0.3325;   // 2π·0.3325 ≈ 2.09
-  const rotPerSec = wheelRotationRate(speed, 2 * Math.PI * wR);
+  const rotPerSec = wheelsRolling(state.groundMode) ? wheelRotationRate(speed, 2 * Math.PI * wR) : 0;
   const dRot      = rotPerSec * dt * Math.PI * 2;
 
   // Rotate whatever wheel objects spawnCar populated — procedural (wFL/wFR/...)
@@ -698,19 +1041,35 @@ function animateCar(dt) {
   Object.values(state.wheels).forEach(w => {
     if (w) w.rotation.x += dRot;
   });
-
-  // ─ Brake glow
-  const speedFactor = speed / 350;
-  const brakeGlow   = Math.max(0, (speedFactor - 0.28) / 0.72);
-  Object.values(state.brakes).forEach(b => {
-    // Guard: a future GLB extraction could surface a brake_* parent Group
-    // without an immediate .material. Skip it rather than throw every frame.
-    if (b?.material) b.material.emissiveIntensity = brakeGlow * brakeGlow * 1.2;
+  Object.values(state.followWheels).forEach(w => {
+    if (w) w.rotation.x += dRot;
   });
 
+  // ─ Brake + tyre temperatures: lumped discs and tyres (thermal.js) heated
+  //   by the deceleration and the cornering load under the car, cooled by
+  //   the brake ducts and the passing air. Discs glow from ~300 °C. The
+  //   load reads the centreline κ, not the racing line's — why in
+  //   surface.js racingLinePose.
+  state.thermal = stepThermal(state.thermal, {
+    speedKmh: speed,
+    decel:    state.decel,
+    kappa:    trackPath.curvatureAt(trackPath.pose.s),
+    ducts:    state.thermalDucts,
+  }, dt);
+  paintBrakes(state.brakes, state.thermal);
+  for (const [corner, ring] of Object.entries(state.tyreHeat)) {
+    const c = tyreHeatColor(state.thermal.tyre[corner], state.carType);
+    ring.material.color.setRGB(c.r, c.g, c.b);
+  }
+
   // ─ Idle vibration — OFFSET from userData.baseY so we preserve ground contact.
   //   Overwriting position.y (old bug) dropped the car onto Y=0 and floated/sunk it.
-  const baseY = state.carGroup.userData.baseY ?? state.carGroup.position.y;
+  //   The ride setup lifts the sprung body; the wheels are counter-offset
+  //   in applyRideSetup so they stay on the road.
+  //   Kerbs, gravel and grass lift the body off the wheels (surface.js).
+  const fx = state.surfaceFx;
+  const baseY = (state.carGroup.userData.baseY ?? state.carGroup.position.y) + state.rideOffset
+    + (fx?.lift ?? 0);
   if (speed < 5) {
     state.carGroup.position.y = baseY + Math.sin(t * 28) * 0.003;
   } else {
@@ -720,14 +1079,17 @@ function animateCar(dt) {
   // ─ Speed-based body roll / aero compression
   state.carGroup.scale.y = aeroSquishFactor(speed);
 
-  // ─ Slight forward lean at speed
-  state.carGroup.rotation.x = -rpmRatio(speed) * 0.025;
+  // ─ Slight forward lean at speed, on top of the static rake setup, and
+  //   the road's grade under the car (smoothed like the turn pose below).
+  state.pitchVis = smoothAngle(state.pitchVis, Math.atan(trackPath.gradeAt(trackPath.pose.s)), dt);
+  state.carGroup.rotation.x = -rpmRatio(speed) * 0.025 - state.rakeRad + state.pitchVis;
 
-  // ─ Turn pose — driven by the path curvature under the car.
+  // ─ Turn pose — driven by the racing line's curvature under the car.
   //   Steer the front wheels (YXZ so the spin axle tilts with the steer),
-  //   roll the body outward (real lateral g, capped 4°), nose-in yaw ≤2°.
+  //   roll the body outward (real lateral g, capped 4°), nose-in yaw ≤4°
+  //   on top of the line's heading across the road.
   const mps   = speed / 3.6;
-  const kappa = trackPath.curvatureAt(trackPath.pose.s);
+  const kappa = state.line.kappa;
   const omega = mps * kappa;
   // Time-smooth the visual pose targets (steer/roll/yaw share the same
   // curvature trapezoid — smoothing all three keeps the whole car fluid).
@@ -743,18 +1105,64 @@ function animateCar(dt) {
   // wheel top left, matching the front wheels. (The plan's authored −2.5
   // sign fails that check; verified in the P7 cockpit shot.)
   if (state.steeringWheel) state.steeringWheel.rotation.z = state.steerVis * 2.5;
-  state.rollVis = smoothAngle(state.rollVis, rollAngleRad(mps, omega), dt);
-  state.carGroup.rotation.z = state.rollVis;
+  const bank  = trackPath.bankAt(trackPath.pose.s);   // body sits on the banked road
+  state.rollVis = smoothAngle(state.rollVis, rollAngleRad(mps, omega, bank), dt);
+  state.carGroup.rotation.z = state.rollVis + (fx?.roll ?? 0);   // + one side on a kerb
   // Nose-in yaw ≤4° — clamp the ratio: the REAL_CORNER's fixed R 85 geometry
   // can push ω to ~3× MAX_YAW_RATE at top speed.
   const yawRatio = Math.max(-1, Math.min(1, omega / TURN_CFG.MAX_YAW_RATE));
-  state.yawVis = smoothAngle(state.yawVis, yawRatio * 0.07, dt);
+  state.yawVis = smoothAngle(state.yawVis, yawRatio * 0.07 + state.line.heading, dt);
   state.carGroup.rotation.y = state.yawVis;
+
+  // ─ Follower: same speed, place.z metres of road behind on its own racing
+  //   line (+ the lateral offset) — posed on the road there like the lead:
+  //   curve, grade, banking, steer, roll, kerb lift and the idle bounce.
+  const fg = state.followGroup;
+  const place = state.followPlace;
+  if (fg && place) {
+    const fp = trailingPose(trackPath, trackPath.pose.s, place.z, place.x);
+    const ffx = surfaceEffect(trackPath, trackPath.pose.s - place.z, fp.line.lat + place.x, mps);
+    const vis = state.followVis;
+    const fBase = (fg.userData.baseY ?? 0) + state.rideOffset + fp.y;
+    fg.position.set(fp.x, fBase + ffx.lift + (speed < 5 ? Math.sin(t * 28) * 0.003 : 0), fp.z);
+    fg.scale.y = state.carGroup.scale.y;
+    const fOmega = mps * fp.line.kappa;
+    vis.steer = smoothAngle(vis.steer, steerAngleRad(fp.line.kappa, state.carMeasure?.wheelbase ?? 3.6), dt);
+    for (const key of ['FL', 'FR', 'wFL', 'wFR']) {
+      const w = state.followWheels[key];
+      if (w) { w.rotation.order = 'YXZ'; w.rotation.y = vis.steer; }
+    }
+    vis.pitch = smoothAngle(vis.pitch, fp.pitch, dt);
+    vis.roll  = smoothAngle(vis.roll, rollAngleRad(mps, fOmega, fp.bank), dt);
+    const fYaw = Math.max(-1, Math.min(1, fOmega / TURN_CFG.MAX_YAW_RATE));
+    vis.yaw   = smoothAngle(vis.yaw, fYaw * 0.07 + fp.rotY, dt);
+    fg.rotation.x = -rpmRatio(speed) * 0.025 - state.rakeRad + vis.pitch;
+    fg.rotation.z = vis.roll + ffx.roll;
+    fg.rotation.y = vis.yaw;
+    // Its CFD overlay rides the same road point (Cp stays car-local).
+    followCfd.setPlacement(fp.x, fp.z, vis.yaw);
+    followCfd.setBaseY(fBase);
+  }
 }
 
 /* ══════════════════════════════════════════════════════════════════
    TRACK MOTION
 ══════════════════════════════════════════════════════════════════ */
+const FLOOR_SAMPLE_DS = 10;   // m — road height sampling for the horizon floor
+const FLOOR_MARGIN    = 1;    // m — banking lift + ribbon sag below the centreline
+
+/* Height (car-relative) for the skyline's ground disc: under the lowest
+ * road in the furniture window, so a dip ahead or the valley behind a
+ * crest is never buried under the distant-grass floor. */
+function groundFloorY() {
+  const { s, y } = trackPath.pose;
+  let lo = 0;
+  for (let d = -track.WINDOW_BEHIND; d <= track.WINDOW_AHEAD; d += FLOOR_SAMPLE_DS) {
+    lo = Math.min(lo, trackPath.poseAt(s + d).y - y);
+  }
+  return lo < 0 ? lo - FLOOR_MARGIN : 0;
+}
+
 function updateTrack(dt) {
   if (state.paused) return;
   const mps = state.speed / 3.6;
@@ -766,11 +1174,25 @@ function updateTrack(dt) {
   trackPath.rebaseIfNeeded();          // floating origin every 1 km
   const w = trackPath.worldTransform();
   trackGroup.rotation.y = w.rotY;
-  trackGroup.position.set(w.x, 0, w.z);
+  trackGroup.position.set(w.x, w.y, w.z);
+  // The car drives the racing line: shift the road sideways (and by its
+  // banking) so the point of the line under the car sits at the origin.
+  const s = trackPath.pose.s;
+  state.line = racingLinePose(trackPath, s);
+  trackGroup.position.x -= state.line.lat;
+  trackGroup.position.y -= rowPose(trackPath, s, state.line.lat).y - trackPath.pose.y;
+  state.surfaceFx = surfaceEffect(trackPath, s, state.line.lat, mps);
+  renderSurface();
   skyline.group.rotation.y = w.rotY;   // horizon yaws with the turn, stays centred
+  skyline.group.position.y = groundFloorY();
 
-  // Recycle furniture rows through the sliding window.
-  track.update(trackPath);
+  // Lap timing (epoch-aware across the rebase above), then recycle the
+  // furniture rows and timing lines through the sliding window.
+  const lap = state.lapTimer.update(trackPath, dt);
+  track.update(trackPath,
+    state.lapTimer.lines(trackPath.pose.s, track.WINDOW_BEHIND, track.WINDOW_AHEAD));
+  if (lap) renderLapHistory();
+  renderLapTimer();
 
   // Turn counter: rising edge of |κ| under the car, with hysteresis so one
   // corner's curvature ramp can't double-count (pure helper, unit-tested).
@@ -779,6 +1201,30 @@ function updateTrack(dt) {
     state.turnCount = state._turnEdge.count;
     document.getElementById('turn-counter').textContent = state.turnCount;
   }
+
+  // Minimap: the trail follows the car through the rebase above.
+  state.minimap.update(trackPath);
+  renderMinimap();
+}
+
+/* HUD surface readout: the rougher surface under the wheels. */
+const surfaceEl = document.getElementById('surface-readout');
+
+function renderSurface() {
+  const name = state.surfaceFx?.surface ?? 'asphalt';
+  if (surfaceEl.dataset.surface === name) return;
+  surfaceEl.dataset.surface = name;
+  surfaceEl.textContent = name.toUpperCase();
+}
+
+/* HUD minimap: the road and emitted turns ahead, the trail, the next turn. */
+const minimapCanvas = document.getElementById('minimap-canvas');
+const minimapNext   = document.getElementById('minimap-next');
+
+function renderMinimap() {
+  const view = state.minimap.view(trackPath);
+  drawMinimap(minimapCanvas, view);
+  minimapNext.textContent = nextTurnLabel(view);
 }
 
 /* ══════════════════════════════════════════════════════════════════
@@ -792,8 +1238,20 @@ function animate() {
   const dt = Math.min(clock.getDelta(), 0.05);
   if (!state.paused) state.time += dt;
 
-  // Smooth speed towards target
-  state.speed = lerpSpeed(state.speed, state.targetSpeed, 60, 90, dt);
+  // Smooth speed towards target; the slowing rate feeds the brake heat.
+  // On a circuit the lap simulation sets the target and the trace already
+  // respects the car's grip and power, so the lerp just follows it.
+  const prevSpeed = state.speed;
+  const lapRate = state.lapTrace ? driveLapTrace() : 0;
+  // The surface under the wheels (last frame's) scales the traction and
+  // braking, and a low-grip surface in a corner (centreline κ, like the
+  // lap simulation) lowers the target.
+  const grade = trackPath.gradeAt(trackPath.pose.s);
+  const grip = state.surfaceFx?.grip ?? 1;
+  const target = state.targetSpeed
+    * cornerGripScale(state.speed / 3.6, trackPath.curvatureAt(trackPath.pose.s), grip);
+  state.speed = lerpSpeed(state.speed, target, lapRate || 60, lapRate || 90, dt, grade, grip);
+  state.decel = dt > 0 ? (prevSpeed - state.speed) / 3.6 / dt : 0;
 
   // Camera
   CAM_CONFIGS[state.camMode].update(dt);
@@ -806,7 +1264,7 @@ function animate() {
   // itself; stacking the cinematic bank on top fought the (opposite-signed)
   // outward body roll and read as a drunken wobble.
   const bankTarget = (state.paused || state.camMode === 'cockpit')
-    ? 0 : cameraBankRad(trackPath.yawRate(state.speed / 3.6));
+    ? 0 : cameraBankRad(trackPath.yawRate(state.speed / 3.6), trackPath.bankAt(trackPath.pose.s));
   state.camBank += (bankTarget - state.camBank) * Math.min(1, dt / 0.35);
   if (state.camBank !== 0 && state.camMode !== 'cockpit') camera.rotateZ(state.camBank);
 
@@ -836,6 +1294,13 @@ function animate() {
     // update(); without this the vent streams freeze at the last-clicked
     // speed while state.speed lerps toward its target.
     vents.setSpeed(state.speed);
+    // LBM inlet velocity tracks the lerped speed (messages only on change).
+    tunnel.setSpeed(state.speed);
+    // Slice resamples on a 2 km/h step (throttled inside update).
+    slice.setSpeed(state.speed);
+    smoke.setSpeed(state.speed);
+    // Vortex grid: a new pass on a 10 km/h step, sampled over frames.
+    vortex.setSpeed(state.speed);
     airflow.setPathBend?.(pathBendTable(trackPath));
     airflow.setTurnState?.(turnOmega, state.speed / 3.6);
     rain.setTurnState?.(turnOmega, state.speed / 3.6);
@@ -843,6 +1308,14 @@ function animate() {
     try { rain.update(dt, state.time); }    catch (e) { console.error('[rain.update]', e); }
     try { cfd.update(dt, state.time); }     catch (e) { console.error('[cfd.update]', e); }
     try { vents.update(dt); }               catch (e) { console.error('[vents.update]', e); }
+    try { tunnel.update(dt, state.time); }  catch (e) { console.error('[tunnel.update]', e); }
+    try { slice.update(dt); }               catch (e) { console.error('[slice.update]', e); }
+    try { smoke.update(dt); }               catch (e) { console.error('[smoke.update]', e); }
+    try { vortex.update(dt); }              catch (e) { console.error('[vortex.update]', e); }
+    if (state.followGroup) {
+      followCfd.setSpeed(state.speed);
+      try { followCfd.update(dt, state.time); } catch (e) { console.error('[followCfd.update]', e); }
+    }
   }
 
   // Rain-on-visor lens: ramp toward on/off (tau 0.4 s — no pop when the
@@ -859,6 +1332,8 @@ function animate() {
   // changes blip inside setSpeed), rain layer from the env toggle, paused
   // drops to idle. All no-ops until the pointerdown gesture unlock.
   engineAudio.setSpeed(state.speed);
+  engineAudio.setGrade(trackPath.gradeAt(trackPath.pose.s));
+  engineAudio.setSurface(state.surfaceFx?.surface ?? 'asphalt');
   engineAudio.setRain(state.activeEnvs.has('rain'));
   engineAudio.setPaused(state.paused);
   engineAudio.update(dt);
@@ -894,6 +1369,302 @@ document.querySelectorAll('.car-btn').forEach(btn => {
   });
 });
 
+/* ── Rear wing (angle + DRS) ────────────────────────────────────── */
+/**
+ * Pose a car's rear flap for the wing setup. A GLB flap is part of the CFD
+ * body surface, so its overlay clone is rebuilt on the moved geometry.
+ */
+function poseRearFlap(grp, setup, cfdFx) {
+  const flap = grp?.userData?.rearFlap;
+  const rot  = rearFlapRotation(setup);
+  if (!flap || flap.rotation.x === rot) return;
+  flap.rotation.x = rot;
+  if (flap.userData.bodySurface) {
+    const manifest = CAR_MANIFEST[String(state.carType).toLowerCase()] ?? null;
+    grp.updateMatrixWorld(true);
+    cfdFx.setBodySurface(collectOccupancyMeshes(grp, manifest), grp);
+    cfdFx.setCarType(state.carType, grp.userData.measure ?? null);
+  }
+}
+
+/**
+ * Re-pipe the airflow's modifier list, quasi-3-D field and panel base
+ * body into both CFD overlays. Every AirflowEffect retrace (car,
+ * occupancy, wing, cooling, wheel spin, yaw) builds a NEW field object, so
+ * each caller re-sends it — otherwise the CFD streamlines keep tracing the
+ * old freestream. The base body only changes with the occupancy; an
+ * unchanged one is a no-op.
+ */
+function pipeAirflowToCfd() {
+  const modifiers = airflow.getModifiers();
+  const field     = airflow.getFlowField?.() ?? null;
+  const body      = airflow.getBaseBody?.() ?? null;   // field carries its half-dims
+  cfd.setModifiers(modifiers);
+  cfd.setFlowField?.(field);
+  cfd.setBaseBody?.(body, field);
+  followCfd.setModifiers(modifiers);
+  followCfd.setFlowField?.(field);
+  followCfd.setBaseBody?.(body, field);
+}
+
+/**
+ * Push state.wingSetup into every aero subsystem: airflow (rear-wing vortex
+ * modifier + tip vortices), CFD (rear-wing Cp, re-piped modifiers) and the
+ * flap pivot on the car. A GLB flap is part of the CFD body overlay, so a
+ * pose change re-clones the overlay from the moved geometry.
+ */
+function applyWingSetup() {
+  const setup = normalizeWingSetup(state.wingSetup, state.carType);
+  state.wingSetup = setup;
+  airflow.setWingSetup(setup);
+  cfd.setWingSetup(setup);
+  pipeAirflowToCfd();
+  poseRearFlap(state.carGroup, setup, cfd);
+  slice.refresh();
+  vortex.refresh();
+  updateLapSim();   // the wing trades corner speed for straight-line speed
+
+  document.getElementById('wing-angle-val').textContent =
+    setup.wingAngle > 0 ? `+${setup.wingAngle}` : String(setup.wingAngle);
+  document.getElementById('wing-angle-slider').value = setup.wingAngle;
+  const drsBtn = document.getElementById('drs-btn');
+  drsBtn.classList.toggle('active', setup.drs);
+  drsBtn.setAttribute('aria-pressed', String(setup.drs));
+  drsBtn.disabled = state.carType !== 'F1';   // GT wings have no DRS
+  applyFollow();   // the lead's tip vortices carry the wing load
+}
+
+document.getElementById('wing-angle-slider').addEventListener('change', (e) => {
+  state.wingSetup = { ...state.wingSetup, wingAngle: Number(e.target.value) };
+  applyWingSetup();
+});
+document.getElementById('wing-angle-slider').addEventListener('input', (e) => {
+  const v = Number(e.target.value);
+  document.getElementById('wing-angle-val').textContent = v > 0 ? `+${v}` : String(v);
+});
+document.getElementById('drs-btn').addEventListener('click', () => {
+  state.wingSetup = { ...state.wingSetup, drs: !state.wingSetup.drs };
+  applyWingSetup();
+});
+
+/* ── Ride height + rake ─────────────────────────────────────────── */
+/**
+ * Push state.rideSetup into the car pose and the ground-effect model.
+ * The body group lifts / pitches (animateCar reads rideOffset / rakeRad);
+ * each wheel is counter-offset by the body motion at its axle so the tyres
+ * stay on TRACK.SURFACE_Y. Airflow (underfloor venturi) and CFD (UNDER
+ * profile, floor / diffuser patches) rescale their suction by the gap.
+ * The CFD overlay rides with the body; the flow effects stay road-relative.
+ */
+function applyRideSetup() {
+  const setup = normalizeRideSetup(state.rideSetup);
+  state.rideSetup  = setup;
+  state.rideOffset = rideHeightOffset(setup);
+  state.rakeRad    = rakeAngle(setup);
+  airflow.setRideSetup(setup);
+  cfd.setRideSetup(setup);
+  slice.refresh();
+  vortex.refresh();
+  cfd.setBaseY((state.carGroup?.userData?.baseY ?? 0) + state.rideOffset);
+
+  const sinR = Math.sin(state.rakeRad);
+  for (const w of [...Object.values(state.wheels), ...Object.values(state.followWheels)]) {
+    if (!w) continue;
+    w.userData.rideY0 ??= w.position.y;
+    w.position.y = w.userData.rideY0 - (state.rideOffset + w.position.z * sinR);
+  }
+
+  document.getElementById('ride-height-val').textContent =
+    setup.rideHeight > 0 ? `+${setup.rideHeight}` : String(setup.rideHeight);
+  document.getElementById('ride-height-slider').value = setup.rideHeight;
+  document.getElementById('rake-val').textContent = setup.rake.toFixed(2);
+  document.getElementById('rake-slider').value = setup.rake;
+  applyFollow();
+}
+
+document.getElementById('ride-height-slider').addEventListener('change', (e) => {
+  state.rideSetup = { ...state.rideSetup, rideHeight: Number(e.target.value) };
+  applyRideSetup();
+});
+document.getElementById('ride-height-slider').addEventListener('input', (e) => {
+  const v = Number(e.target.value);
+  document.getElementById('ride-height-val').textContent = v > 0 ? `+${v}` : String(v);
+});
+document.getElementById('rake-slider').addEventListener('change', (e) => {
+  state.rideSetup = { ...state.rideSetup, rake: Number(e.target.value) };
+  applyRideSetup();
+});
+document.getElementById('rake-slider').addEventListener('input', (e) => {
+  document.getElementById('rake-val').textContent = Number(e.target.value).toFixed(2);
+});
+
+/* ── Tunnel ground (moving belt / fixed floor) + wheel spin ─────── */
+/**
+ * Push state.groundMode into the underfloor model: over a fixed floor the
+ * road boundary layer chokes the venturi (airflow channel, CFD underbody)
+ * and the wheels stand still — animateCar stops them and their spin
+ * leaves the flow (applyWheelSpin).
+ */
+function applyGroundMode(mode) {
+  state.groundMode = normalizeGroundMode(mode);
+  airflow.setGroundMode(state.groundMode);
+  cfd.setGroundMode(state.groundMode);
+  followCfd.setGroundMode(state.groundMode);
+  applyWheelSpin(wheelsRolling(state.groundMode));
+  slice.refresh();
+  vortex.refresh();
+  document.querySelectorAll('.ground-btn').forEach(b => {
+    const on = b.dataset.ground === state.groundMode;
+    b.classList.toggle('active', on);
+    b.setAttribute('aria-pressed', String(on));
+  });
+}
+
+document.querySelectorAll('.ground-btn').forEach(btn => {
+  btn.addEventListener('click', () => applyGroundMode(btn.dataset.ground));
+});
+
+/* ── Radiator cooling opening ──────────────────────────────────── */
+/**
+ * Push state.cooling into the three subsystems it couples: the airflow
+ * sidepod / front-intake sinks and their exit sources (a retrace,
+ * re-piped into CFD like the wing setup), the CFD inlet-mouth Cp and the
+ * vent particle streams. The HUD reads the mass flow and drag per frame.
+ */
+function applyCooling(level) {
+  state.cooling = normalizeCoolingLevel(level);
+  airflow.setCooling(state.cooling);
+  cfd.setCooling(state.cooling);
+  followCfd.setCooling(state.cooling);
+  pipeAirflowToCfd();
+  vents.setCooling(state.cooling);
+  slice.refresh();
+  vortex.refresh();
+  document.querySelectorAll('.cooling-btn').forEach(b => {
+    const on = b.dataset.cooling === state.cooling;
+    b.classList.toggle('active', on);
+    b.setAttribute('aria-pressed', String(on));
+  });
+}
+
+document.querySelectorAll('.cooling-btn').forEach(btn => {
+  btn.addEventListener('click', () => applyCooling(btn.dataset.cooling));
+});
+
+/**
+ * Push whether the wheels roll (wheelsRolling of the ground mode) into the
+ * flow as the spin ratio ωR/U — 1 rolling, 0 stopped: the airflow tire
+ * doublets gain their side-view circulation (a retrace, re-piped into CFD
+ * like the wing setup) and the CFD tire proxies their Magnus / jetting Cp.
+ */
+function applyWheelSpin(rolling) {
+  const spin = rolling ? 1 : 0;
+  if (spin === state.wheelSpin) return;
+  state.wheelSpin = spin;
+  airflow.setWheelSpin(spin);
+  cfd.setWheelSpin(spin);
+  followCfd.setWheelSpin(spin);
+  pipeAirflowToCfd();
+  slice.refresh();
+  vortex.refresh();
+}
+
+/**
+ * Push state.yawDeg into every flow consumer. The relative wind swings
+ * toward +x for positive yaw: the airflow freestream + ribbon seeds, the
+ * CFD impact / shadow direction, the vent strengths and the rain drift all
+ * read the same angle. Effects keep it across setCarType, so car swaps need
+ * no re-apply.
+ */
+function applyYaw() {
+  const deg = Math.max(-15, Math.min(15, Number(state.yawDeg) || 0));
+  state.yawDeg = deg;
+  const rad = deg * Math.PI / 180;
+  airflow.setYaw(rad);
+  cfd.setYaw(rad);
+  pipeAirflowToCfd();   // the lanes re-trace through the yawed freestream
+  vents.setYaw(rad);
+  rain.setYaw(rad);
+  slice.refresh();
+  vortex.refresh();
+  applyFollow();   // the wake drifts downwind
+
+  document.getElementById('yaw-val').textContent = deg > 0 ? `+${deg}` : String(deg);
+  document.getElementById('yaw-slider').value = deg;
+}
+
+document.getElementById('yaw-slider').addEventListener('change', (e) => {
+  state.yawDeg = Number(e.target.value);
+  applyYaw();
+});
+document.getElementById('yaw-slider').addEventListener('input', (e) => {
+  const v = Number(e.target.value);
+  document.getElementById('yaw-val').textContent = v > 0 ? `+${v}` : String(v);
+});
+
+/* ── Follower (slipstream / dirty air) ──────────────────────────── */
+/**
+ * Place the follower and feed it the lead's wake. The lead's wake sources
+ * (AirflowEffect.getWakeSources — wake emitters + rear-wing vortices) give
+ * the follower's inflow (slipstream.js); its CFD paints the body against
+ * it and the HUD shows the tow and the lost downforce. The lead's wake
+ * particles and spirals stretch to reach the follower's nose. The follower
+ * shares the lead's setup: wing, ride, yaw and cooling are mirrored onto its CFD.
+ */
+function applyFollow() {
+  const setup = normalizeFollowSetup(state.follow);
+  state.follow = setup;
+  const grp = state.followGroup;
+  const src = grp ? airflow.getWakeSources() : null;
+  if (grp && src) {
+    const place = followerPlacement(setup, src.halfL);
+    state.followPlace = place;   // animateCar poses it on the road behind
+    followCfd.setWingSetup(state.wingSetup);
+    followCfd.setRideSetup(state.rideSetup);
+    followCfd.setYaw(state.yawDeg * Math.PI / 180);
+    followCfd.setCooling(state.cooling);
+    poseRearFlap(grp, state.wingSetup, followCfd);
+    const measure = { ...(grp.userData.measure ?? {}), halfW: src.halfW, halfL: src.halfL };
+    const inflow = createFollowerInflow(src, place, measure);
+    followCfd.setInflow(inflow);
+    state.followAero = inflow.aero;
+    airflow.setWakeReach(place.z - src.halfL);
+  } else {
+    state.followPlace = null;
+    followCfd.setInflow(null);
+    state.followAero = null;
+    airflow.setWakeReach(0);
+  }
+  followCfd.setVisible(state.activeEnvs.has('cfd') && !!grp);
+
+  const btn = document.getElementById('follow-btn');
+  btn.classList.toggle('active', setup.enabled);
+  btn.setAttribute('aria-pressed', String(setup.enabled));
+  document.getElementById('follow-gap-val').textContent = setup.gap;
+  document.getElementById('follow-gap-slider').value = setup.gap;
+  document.getElementById('follow-offset-val').textContent = setup.offset.toFixed(1);
+  document.getElementById('follow-offset-slider').value = setup.offset;
+}
+
+document.getElementById('follow-btn').addEventListener('click', () => {
+  state.follow = { ...state.follow, enabled: !state.follow.enabled };
+  spawnFollower();
+});
+document.getElementById('follow-gap-slider').addEventListener('change', (e) => {
+  state.follow = { ...state.follow, gap: Number(e.target.value) };
+  applyFollow();
+});
+document.getElementById('follow-gap-slider').addEventListener('input', (e) => {
+  document.getElementById('follow-gap-val').textContent = e.target.value;
+});
+document.getElementById('follow-offset-slider').addEventListener('change', (e) => {
+  state.follow = { ...state.follow, offset: Number(e.target.value) };
+  applyFollow();
+});
+document.getElementById('follow-offset-slider').addEventListener('input', (e) => {
+  document.getElementById('follow-offset-val').textContent = Number(e.target.value).toFixed(1);
+});
+
 /* ── Speed slider ───────────────────────────────────────────────── */
 const speedSlider = document.getElementById('speed-slider');
 const speedLabel  = document.getElementById('speed-label-val');
@@ -912,6 +1683,365 @@ document.querySelectorAll('#speed-presets .preset-btn').forEach(btn => {
   btn.addEventListener('click', () => setSpeed(Number(btn.dataset.speed)));
 });
 
+/* ── Circuit + lap simulation ───────────────────────────────────── */
+const LAP_FOLLOW_RATE = 400;   // km/h per s — lerp limit while the trace drives
+
+const importedCircuits = {};   // CIRCUIT_FILES key → importCircuit layout, fetched once
+const circuitLoadGuard = createSwapGuard();
+let customCircuit = null;      // the track editor's layout as last driven ('custom')
+
+/*
+ * Built-in (CIRCUITS), already-imported or track-editor ('custom') layout
+ * for a key, else null.
+ */
+function circuitLayout(key) {
+  if (key === 'custom') return (customCircuit ??= editorCircuit(state.editorLayout));
+  return CIRCUITS[key] ?? importedCircuits[key] ?? null;
+}
+
+/**
+ * Load a bundled circuit (CIRCUITS key, or a CIRCUIT_FILES centerline that
+ * is fetched and imported on first use) into the track path, or null for
+ * the open road with its random turns. On a circuit the lap simulation
+ * drives the speed; the TURNS schedule has nothing to schedule, so it is
+ * disabled.
+ */
+async function applyCircuit(key) {
+  const myToken = circuitLoadGuard.begin();
+  if (key && !circuitLayout(key) && CIRCUIT_FILES[key]) {
+    try {
+      importedCircuits[key] = await loadCircuitFile(key);
+    } catch (err) {
+      console.warn('[circuit] centerline load failed:', key, err.message);
+      return;
+    }
+    // A later click (or reset) while the file was in flight wins.
+    if (!circuitLoadGuard.isCurrent(myToken)) return;
+  }
+  const circuit = circuitLayout(key);
+  state.circuit = circuit ? key : null;
+  trackPath.setCircuit(circuit);
+  state.lapTimer = newLapTimer(circuit);
+  renderLapTimer();
+  updateLapSim();
+  document.querySelectorAll('.circuit-btn').forEach(b => {
+    const on = (b.dataset.circuit || null) === state.circuit;
+    b.classList.toggle('active', on);
+    b.setAttribute('aria-pressed', String(on));
+  });
+  document.querySelectorAll('.turn-btn').forEach(b => { b.disabled = !!circuit; });
+  if (!circuit) setSpeed(Math.round(state.speed / 5) * 5);   // hand the slider back
+  updateChips();
+}
+
+/**
+ * Re-run the lap simulation for the current circuit, car and wing setup
+ * (rearWingLoad scales the rear wing's share of the aero areas). It runs
+ * on the layout's centreline κ, not the racing line's swing.
+ */
+function updateLapSim() {
+  const circuit = state.circuit ? circuitLayout(state.circuit) : null;
+  state.lapTrace = circuit
+    ? simulateLap(circuit, s => circuitCurvature(circuit, s),
+      lapCar(state.carType, rearWingLoad(state.wingSetup)))
+    : null;
+  const tr = state.lapTrace;
+  document.getElementById('lap-sim-readout').classList.toggle('show', !!tr);
+  if (tr) {
+    document.getElementById('lap-sim-time').textContent = formatLapTime(tr.time);
+    document.getElementById('lap-sim-min').textContent  = `${Math.round(tr.vMin * 3.6)}`;
+    document.getElementById('lap-sim-max').textContent  = `${Math.round(tr.vMax * 3.6)}`;
+  }
+}
+
+/**
+ * Per frame on a circuit: the target is the trace at the car's lap
+ * distance (the approach straight reads the end of the lap, which runs
+ * onto the start line). Mirrors it on the speed slider; returns the lerp
+ * rate to follow it with.
+ */
+function driveLapTrace() {
+  const pos = trackPath.circuitPosition();
+  const v = Math.round(lapSpeedAt(state.lapTrace, pos.s));
+  state.targetSpeed = v;
+  speedSlider.value = v;
+  speedLabel.textContent = v;
+  return LAP_FOLLOW_RATE;
+}
+
+document.querySelectorAll('.circuit-btn').forEach(btn => {
+  btn.addEventListener('click', () => applyCircuit(btn.dataset.circuit || null));
+});
+
+/* ── Lap timing ─────────────────────────────────────────────────── */
+const OPEN_ROAD_LEAD = 100;    // m — first open-road timing line ahead of the car
+
+/**
+ * Timer for a circuit (its start/finish line, next one ahead) or, for
+ * null, fixed OPEN_ROAD_SEGMENT segments of the open road. The session
+ * history carries over from the previous timer.
+ */
+function newLapTimer(circuit) {
+  const s = trackPath.pose.s;
+  const pos = trackPath.circuitPosition();
+  return new LapTimer({
+    name:    circuit?.name ?? 'Open road',
+    length:  circuit?.length ?? OPEN_ROAD_SEGMENT,
+    lineS:   pos ? s + circuit.length - pos.s : s + OPEN_ROAD_LEAD,
+    epoch:   trackPath.epoch,
+    history: state.lapTimer?.history ?? [],
+  });
+}
+state.lapTimer = newLapTimer(null);
+
+const lapTimerEls = {
+  name:    document.getElementById('lap-timer-name'),
+  lap:     document.getElementById('lap-timer-lap'),
+  time:    document.getElementById('lap-timer-time'),
+  best:    document.getElementById('lap-timer-best'),
+  delta:   document.getElementById('lap-timer-delta'),
+  sectors: Array.from({ length: SECTORS }, (_, i) => document.getElementById(`lap-sector-${i}`)),
+};
+
+/* Per frame: current / best / delta and this lap's sector chips. */
+function renderLapTimer() {
+  const t = state.lapTimer;
+  const el = lapTimerEls;
+  el.name.textContent = t.name.toUpperCase();
+  el.lap.textContent  = t.lap ? `LAP ${t.lap}` : 'OUT LAP';
+  el.time.textContent = formatLapTime(t.current);
+  el.best.textContent = formatLapTime(t.best?.time);
+  const d = t.delta;
+  el.delta.textContent = formatLapDelta(d);
+  el.delta.dataset.sign = d === null ? '' : d < 0 ? 'gain' : 'loss';
+  el.sectors.forEach((chip, i) => {
+    const split = t.splits[i];
+    chip.textContent   = split !== undefined ? split.toFixed(3) : `S${i + 1}`;
+    chip.dataset.color = t.colors[i] ?? (i === t.sector ? 'live' : '');
+  });
+}
+
+/* On a completed lap (or layout change): the session history table. */
+function renderLapHistory() {
+  const history = state.lapTimer.history;
+  const bestTime = Math.min(...history.map(r => r.time));
+  const body = document.getElementById('lap-history-body');
+  body.replaceChildren(...history.map(r => {
+    const row = document.createElement('tr');
+    row.classList.toggle('best', r.time === bestTime);
+    const cell = (text, color) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (color) td.dataset.color = color;
+      row.appendChild(td);
+    };
+    cell(`${r.name} · ${r.lap}`);
+    cell(formatLapTime(r.time));
+    r.splits.forEach((split, i) => cell(split.toFixed(3), r.colors[i]));
+    return row;
+  }));
+}
+
+/* ── Track editor (EDIT in the circuit row) ─────────────────────── */
+// EDIT opens a top-down view of the custom layout (track-editor.js).
+// ‹ / › pick a turn, or click it in the view; the sliders shape it. + TURN
+// arms a placement: the next click on a straight drops a new turn there.
+// Every change is saved (localStorage) and redrawn with the lap's closure;
+// DRIVE loads the layout as the CUSTOM circuit. SAVE / LOAD move it in and
+// out as a JSON file. RESET leaves the layout alone, like the rake scenes.
+const trackEditorEl = document.getElementById('track-editor');
+const editorCanvas  = document.getElementById('editor-canvas');
+const editorNameEl  = document.getElementById('editor-name');
+const editorInputs  = Object.fromEntries(Object.keys(EDITOR_LIMITS).map(key =>
+  [key, document.getElementById(`editor-${key}`)]));
+let editorView = null;   // { circuit, trace } of the layout on screen
+
+function applyEditorLayout(save = true) {
+  const layout = state.editorLayout;
+  const circuit = editorCircuit(layout);
+  const trace = layoutTrace(circuit);
+  editorView = { circuit, trace };
+  if (save) saveLayout(window.localStorage, layout);
+  syncEditorUI();
+}
+
+function syncEditorUI() {
+  const { turns, name } = state.editorLayout;
+  const n = turns.length;
+  state.editorSel = Math.min(Math.max(state.editorSel, 0), n - 1);
+  const turn = turns[state.editorSel];
+  const { circuit, trace } = editorView;
+  const closed = trace.gap < 1 && Math.abs(trace.heading) < 0.01;
+  const summary = document.getElementById('editor-summary');
+  summary.textContent = `${n} TURN${n === 1 ? '' : 'S'} · ${Math.round(circuit.length)} m · ${closed
+    ? 'CLOSED'
+    : `OPEN ${Math.round(trace.gap)} m / ${Math.round(trace.heading * 180 / Math.PI)}°`}`;
+  summary.dataset.closed = String(closed);
+  document.getElementById('editor-turn-val').textContent =
+    `${state.editorSel + 1} / ${n} · ${Math.round(Math.abs(turnAngle(turn)) * 180 / Math.PI)}°`;
+  for (const [key, input] of Object.entries(editorInputs)) {
+    input.value = turn[key];
+    document.getElementById(`editor-${key}-val`).textContent = `${Math.round(turn[key])} m`;
+  }
+  if (document.activeElement !== editorNameEl) editorNameEl.value = name;
+  document.querySelectorAll('.editor-btn').forEach(b => {
+    switch (b.dataset.editorAction) {
+      case 'dir':    b.textContent = turn.dir > 0 ? 'LEFT' : 'RIGHT'; break;
+      case 'add':
+        b.disabled = n >= MAX_TURNS;
+        b.classList.toggle('active', state.editorPlacing);
+        b.setAttribute('aria-pressed', String(state.editorPlacing));
+        break;
+      case 'remove': b.disabled = n <= 1; break;
+    }
+  });
+  trackEditorEl.classList.toggle('placing', state.editorPlacing);
+  drawLayout(editorCanvas, circuit, trace, state.editorSel);
+}
+
+function editorMessage(text, kind = 'error') {
+  const el = document.getElementById('editor-msg');
+  el.textContent = text;
+  el.dataset.kind = kind;
+}
+
+function openTrackEditor(open) {
+  state.editorOpen = open;
+  if (!open) state.editorPlacing = false;
+  trackEditorEl.classList.toggle('show', open);
+  const btn = document.getElementById('editor-btn');
+  btn.classList.toggle('active', open);
+  btn.setAttribute('aria-pressed', String(open));
+  if (open) {
+    editorMessage('');
+    applyEditorLayout(false);   // the canvas has its size now
+  }
+}
+
+/* Replace the selected turn with `patch` applied. */
+function editSelectedTurn(patch) {
+  const { name, turns } = state.editorLayout;
+  state.editorLayout = {
+    name,
+    turns: turns.map((t, i) => (i === state.editorSel ? normalizeTurn({ ...t, ...patch }) : t)),
+  };
+}
+
+function saveLayoutFile() {
+  const blob = new Blob([layoutToJSON(state.editorLayout)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `${state.editorLayout.name.replace(/[^\w-]+/g, '_').toLowerCase()}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+  editorMessage(`saved ${a.download}`, 'ok');
+}
+
+document.getElementById('editor-btn').addEventListener('click', () => openTrackEditor(!state.editorOpen));
+
+document.querySelectorAll('.editor-btn').forEach(btn => {
+  btn.addEventListener('click', () => {
+    const { name, turns } = state.editorLayout;
+    const n = turns.length;
+    switch (btn.dataset.editorAction) {
+      case 'close':
+        openTrackEditor(false);
+        return;
+      case 'prev':
+        state.editorSel = (state.editorSel + n - 1) % n;
+        syncEditorUI();
+        return;
+      case 'next':
+        state.editorSel = (state.editorSel + 1) % n;
+        syncEditorUI();
+        return;
+      case 'dir':
+        editSelectedTurn({ dir: -turns[state.editorSel].dir });
+        break;
+      case 'add':
+        state.editorPlacing = !state.editorPlacing && n < MAX_TURNS;
+        syncEditorUI();
+        return;
+      case 'remove':
+        if (n <= 1) return;
+        state.editorLayout = { name, turns: turns.filter((_, i) => i !== state.editorSel) };
+        break;
+      case 'default':
+        state.editorLayout = normalizeLayout(DEFAULT_LAYOUT);
+        state.editorSel = 0;
+        break;
+      case 'save':
+        saveLayoutFile();
+        return;
+      case 'load':
+        document.getElementById('editor-file').click();
+        return;
+      case 'drive':
+        customCircuit = editorView.circuit;
+        applyCircuit('custom');
+        openTrackEditor(false);
+        return;
+    }
+    applyEditorLayout();
+  });
+});
+
+for (const [key, input] of Object.entries(editorInputs)) {
+  input.addEventListener('input', () => {
+    editSelectedTurn({ [key]: Number(input.value) });
+    applyEditorLayout(false);
+  });
+  input.addEventListener('change', () => saveLayout(window.localStorage, state.editorLayout));
+}
+
+editorNameEl.addEventListener('change', () => {
+  state.editorLayout = normalizeLayout({ ...state.editorLayout, name: editorNameEl.value });
+  editorNameEl.value = state.editorLayout.name;
+  applyEditorLayout();
+});
+
+document.getElementById('editor-file').addEventListener('change', async (e) => {
+  const file = e.target.files?.[0];
+  e.target.value = '';   // picking the same file again still fires
+  if (!file) return;
+  try {
+    state.editorLayout = parseLayout(await file.text());
+  } catch (err) {
+    editorMessage(err.message.replace('[track-editor] ', ''));
+    return;
+  }
+  state.editorSel = 0;
+  state.editorPlacing = false;
+  applyEditorLayout();
+  editorMessage(`loaded ${file.name}`, 'ok');
+});
+
+// A click selects the turn under it — or, with + TURN armed, splits the
+// straight under it with a new turn.
+editorCanvas.addEventListener('click', (e) => {
+  if (!editorView) return;
+  const { circuit, trace } = editorView;
+  const r = editorCanvas.getBoundingClientRect();
+  const at = editorScale(trace.points, r.width, r.height).toTrack(e.clientX - r.left, e.clientY - r.top);
+  const s = nearestS(trace.points, at.x, at.z);
+  const pick = pickTurn(circuit, s);
+  if (state.editorPlacing) {
+    if (!pick.straight) {
+      editorMessage('click a straight to place the turn');
+      return;
+    }
+    const placed = insertTurnAt(state.editorLayout, circuit, s, pick.index);
+    state.editorLayout = placed.layout;
+    state.editorSel = placed.index;
+    state.editorPlacing = false;
+    editorMessage('');
+    applyEditorLayout();
+    return;
+  }
+  state.editorSel = pick.index;
+  syncEditorUI();
+});
+
 /* ── TURNS frequency ────────────────────────────────────────────── */
 function applyTurnMode(mode) {
   state.turnMode = mode;
@@ -932,6 +2062,324 @@ document.querySelectorAll('.turn-btn').forEach(btn => {
   });
 });
 
+/* ── TUNNEL (LBM slice + field) ─────────────────────────────────── */
+function applyTunnelMode(view, field) {
+  state.tunnelView  = view;
+  state.tunnelField = field;
+  tunnel.setView(view);
+  tunnel.setField(field);
+  document.querySelectorAll('.tunnel-btn').forEach(b => {
+    const on = b.dataset.tunnelView === view || b.dataset.tunnelField === field;
+    b.classList.toggle('active', on);
+    b.setAttribute('aria-pressed', String(on));
+  });
+}
+
+document.querySelectorAll('.tunnel-btn').forEach(btn => {
+  btn.addEventListener('click', () => applyTunnelMode(
+    btn.dataset.tunnelView  ?? state.tunnelView,
+    btn.dataset.tunnelField ?? state.tunnelField,
+  ));
+});
+
+/* ── SLICE (cutting plane through the flow field) ───────────────── */
+const sliceSlider = document.getElementById('slice-slider');
+
+/** Axis + field; the slider's range follows the axis (and the car). */
+function applySliceMode(axis, field) {
+  state.sliceAxis  = axis;
+  state.sliceField = field;
+  slice.setAxis(axis);
+  slice.setField(field);
+  const range = slice.getOffsetRange?.();
+  if (range) {
+    sliceSlider.min = range.min.toFixed(2);
+    sliceSlider.max = range.max.toFixed(2);
+  }
+  setSliceOffset(state.sliceOffset);
+  document.querySelectorAll('.slice-btn').forEach(b => {
+    const on = b.dataset.sliceAxis === axis || b.dataset.sliceField === field;
+    b.classList.toggle('active', on);
+    b.setAttribute('aria-pressed', String(on));
+  });
+}
+
+function setSliceOffset(m) {
+  const range = slice.getOffsetRange?.() ?? { min: m, max: m };
+  state.sliceOffset = Math.min(range.max, Math.max(range.min, Number(m) || 0));
+  slice.setOffset(state.sliceOffset);
+  sliceSlider.value = state.sliceOffset;
+  document.getElementById('slice-val').textContent = state.sliceOffset.toFixed(2);
+}
+
+document.querySelectorAll('.slice-btn').forEach(btn => {
+  btn.addEventListener('click', () => applySliceMode(
+    btn.dataset.sliceAxis  ?? state.sliceAxis,
+    btn.dataset.sliceField ?? state.sliceField,
+  ));
+});
+sliceSlider.addEventListener('input', () => setSliceOffset(Number(sliceSlider.value)));
+
+// Viewport drag: grab the plane and slide it along its normal. Capture
+// phase so the orbit controls never see a press that lands on the plane.
+const sliceRaycaster = new THREE.Raycaster();
+const sliceNdc = new THREE.Vector2();
+let sliceDrag = null;   // { id, point, t0, offset0 } while dragging
+
+function sliceRayAt(e) {
+  sliceNdc.set(
+    (e.clientX / window.innerWidth)  *  2 - 1,
+    (e.clientY / window.innerHeight) * -2 + 1,
+  );
+  sliceRaycaster.setFromCamera(sliceNdc, camera);
+  return sliceRaycaster.ray;
+}
+
+renderer.domElement.addEventListener('pointerdown', (e) => {
+  if (!state.activeEnvs.has('slice') || state.infoMode) return;
+  const ray   = sliceRayAt(e);
+  const point = slice.raycast?.(sliceRaycaster);
+  if (!point) return;
+  const t0 = rayAxisParam(ray.origin, ray.direction, point, state.sliceAxis);
+  if (t0 == null) return;   // looking straight down the normal — nothing to drag
+  sliceDrag = { id: e.pointerId, point, t0, offset0: state.sliceOffset };
+  orbit.enabled = false;
+  renderer.domElement.setPointerCapture(e.pointerId);
+}, { capture: true });
+
+renderer.domElement.addEventListener('pointermove', (e) => {
+  if (!sliceDrag || e.pointerId !== sliceDrag.id) return;
+  const ray = sliceRayAt(e);
+  const t = rayAxisParam(ray.origin, ray.direction, sliceDrag.point, state.sliceAxis);
+  if (t != null) setSliceOffset(sliceDrag.offset0 + t - sliceDrag.t0);
+});
+
+function endSliceDrag(e) {
+  if (!sliceDrag || e.pointerId !== sliceDrag.id) return;
+  sliceDrag = null;
+  orbit.enabled = state.camMode === 'orbit';
+}
+renderer.domElement.addEventListener('pointerup', endSliceDrag);
+renderer.domElement.addEventListener('pointercancel', endSliceDrag);
+
+/* ── VORTICES (iso-surfaces of the field's own vortex criterion) ── */
+function applyVortexMode(mode) {
+  state.vortexMode = mode;
+  vortex.setMode(mode);
+  document.querySelectorAll('.vortex-btn').forEach(b => {
+    const on = b.dataset.vortexMode === mode;
+    b.classList.toggle('active', on);
+    b.setAttribute('aria-pressed', String(on));
+  });
+}
+
+document.querySelectorAll('.vortex-btn').forEach(btn => {
+  btn.addEventListener('click', () => applyVortexMode(btn.dataset.vortexMode));
+});
+
+/* ── SMOKE WAND (click / drag to place the emitter) ─────────────── */
+// A press on the car puts the wand tip just off the surface (toward the
+// viewer); a press in open air puts it on the camera-facing plane through
+// the orbit pivot. Dragging keeps the tip on the camera-facing plane
+// through the first point. Orbit rotate is suspended for the gesture only
+// (wheel zoom and right-drag pan still work in SMOKE mode).
+const smokeRaycaster = new THREE.Raycaster();
+const smokeNdc = new THREE.Vector2();
+let smokeDrag = null;   // { id, plane } while placing
+
+function smokeRayAt(e) {
+  smokeNdc.set(
+    (e.clientX / window.innerWidth)  *  2 - 1,
+    (e.clientY / window.innerHeight) * -2 + 1,
+  );
+  smokeRaycaster.setFromCamera(smokeNdc, camera);
+  return smokeRaycaster.ray;
+}
+
+/** Camera-facing plane through a world point. */
+function viewPlaneAt(point) {
+  const n = new THREE.Vector3();
+  camera.getWorldDirection(n);
+  return new THREE.Plane().setFromNormalAndCoplanarPoint(n.negate(), point);
+}
+
+renderer.domElement.addEventListener('pointerdown', (e) => {
+  if (!state.activeEnvs.has('smoke') || state.infoMode || sliceDrag || state.streamRakePlace || e.button !== 0) return;
+  const ray = smokeRayAt(e);
+  const hit = smokeRaycaster.intersectObjects(state._infoTargets, true)[0];
+  const point = hit
+    ? hit.point.clone().addScaledVector(ray.direction, -0.04)
+    : ray.intersectPlane(viewPlaneAt(orbit.target), new THREE.Vector3());
+  if (!point) return;
+  smoke.setEmitter(point);
+  smokeDrag = { id: e.pointerId, plane: viewPlaneAt(point) };
+  orbit.enabled = false;
+  renderer.domElement.setPointerCapture(e.pointerId);
+}, { capture: true });
+
+renderer.domElement.addEventListener('pointermove', (e) => {
+  if (!smokeDrag || e.pointerId !== smokeDrag.id) return;
+  const point = smokeRayAt(e).intersectPlane(smokeDrag.plane, new THREE.Vector3());
+  if (point) smoke.setEmitter(point);
+});
+
+function endSmokeDrag(e) {
+  if (!smokeDrag || e.pointerId !== smokeDrag.id) return;
+  smokeDrag = null;
+  orbit.enabled = state.camMode === 'orbit';
+}
+renderer.domElement.addEventListener('pointerup', endSmokeDrag);
+renderer.domElement.addEventListener('pointercancel', endSmokeDrag);
+
+/* ── RIBBON COLOUR (airflow colour-by + legend) ─────────────────── */
+/** Legend follows the AIRFLOW toggle and the scale (height spans the seeds). */
+function updateRibbonLegend() {
+  syncRibbonLegend(document.getElementById('airflow-legend'),
+    state.activeEnvs.has('airflow') ? airflow.getColorScale() : null);
+}
+
+function applyRibbonColor(mode) {
+  state.ribbonColor = mode;
+  airflow.setColorMode(mode);
+  document.querySelectorAll('.ribbon-color-btn').forEach(b => {
+    const on = b.dataset.ribbonColor === mode;
+    b.classList.toggle('active', on);
+    b.setAttribute('aria-pressed', String(on));
+  });
+  updateRibbonLegend();
+}
+
+document.querySelectorAll('.ribbon-color-btn').forEach(btn => {
+  btn.addEventListener('click', () => applyRibbonColor(btn.dataset.ribbonColor));
+});
+
+/* ── STREAMLINE RAKES (user seed lines, saved per car) ──────────── */
+// + RAKE drops a bar ahead of the car and arms PLACE; while PLACE is armed
+// a press / drag in the view moves the selected rake on the horizontal
+// plane at its own height (AirflowEffect clamps it upstream of the nose).
+// Sliders edit the selected rake; every change retraces only the rake
+// ribbons and is saved for the current car. RESET leaves the scenes alone
+// (prepared lesson material, like the sound settings) and only disarms PLACE.
+const streamRakeInputs = {
+  height: document.getElementById('stream-rake-height'),
+  width:  document.getElementById('stream-rake-width'),
+  count:  document.getElementById('stream-rake-count'),
+};
+
+function applyStreamRakes(save = true) {
+  airflow.setRakes(state.streamRakes, state.streamRakeSel);
+  if (save) saveRakes(window.localStorage, state.carType, state.streamRakes);
+  syncStreamRakeUI();
+  updateRibbonLegend();   // a high rake widens the HEIGHT scale
+}
+
+function syncStreamRakeUI() {
+  const n = state.streamRakes.length;
+  const rake = state.streamRakes[state.streamRakeSel] ?? null;
+  if (!rake) state.streamRakePlace = false;
+  document.getElementById('stream-rake-val').textContent = rake ? `${state.streamRakeSel + 1} / ${n}` : 'none';
+  for (const [key, input] of Object.entries(streamRakeInputs)) {
+    input.disabled = !rake;
+    if (rake) input.value = rake[key];
+    const v = rake ? rake[key] : Number(input.value);
+    document.getElementById(`stream-rake-${key}-val`).textContent = key === 'count' ? String(v) : v.toFixed(2);
+  }
+  document.querySelectorAll('.stream-rake-btn').forEach(b => {
+    const action = b.dataset.rakeAction;
+    b.disabled = action === 'add' ? n >= MAX_RAKES : !rake;
+    if (action === 'place') {
+      b.classList.toggle('active', state.streamRakePlace);
+      b.setAttribute('aria-pressed', String(state.streamRakePlace));
+    }
+  });
+}
+
+document.querySelectorAll('.stream-rake-btn').forEach(btn => {
+  btn.addEventListener('click', () => {
+    const n = state.streamRakes.length;
+    switch (btn.dataset.rakeAction) {
+      case 'add':
+        if (n >= MAX_RAKES) return;
+        state.streamRakes = [...state.streamRakes, { ...DEFAULT_RAKE }];
+        state.streamRakeSel = n;
+        state.streamRakePlace = true;
+        break;
+      case 'next':
+        if (!n) return;
+        state.streamRakeSel = (state.streamRakeSel + 1) % n;
+        break;
+      case 'place':
+        state.streamRakePlace = !state.streamRakePlace;
+        syncStreamRakeUI();
+        return;
+      case 'remove':
+        if (state.streamRakeSel < 0) return;
+        state.streamRakes = state.streamRakes.filter((_, i) => i !== state.streamRakeSel);
+        state.streamRakeSel = Math.min(state.streamRakeSel, state.streamRakes.length - 1);
+        break;
+    }
+    applyStreamRakes();
+  });
+});
+
+for (const [key, input] of Object.entries(streamRakeInputs)) {
+  input.addEventListener('input', () => {
+    const i = state.streamRakeSel;
+    if (i < 0) return;
+    state.streamRakes = state.streamRakes.map((r, k) =>
+      (k === i ? normalizeRake({ ...r, [key]: Number(input.value) }) : r));
+    applyStreamRakes(false);
+  });
+  input.addEventListener('change', () => saveRakes(window.localStorage, state.carType, state.streamRakes));
+}
+
+const streamRakeRaycaster = new THREE.Raycaster();
+const streamRakeNdc = new THREE.Vector2();
+let streamRakeDrag = null;   // { id } while moving the selected rake
+
+/** Move the selected rake to where the ray meets its height plane. */
+function moveStreamRake(e) {
+  const rake  = state.streamRakes[state.streamRakeSel];
+  const frame = airflow.getRakeFrame();
+  if (!rake || !frame) return false;
+  const baseY = state.carGroup?.userData?.baseY ?? 0;
+  const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -(baseY + frame.groundY + rake.height));
+  streamRakeNdc.set(
+    (e.clientX / window.innerWidth)  *  2 - 1,
+    (e.clientY / window.innerHeight) * -2 + 1,
+  );
+  streamRakeRaycaster.setFromCamera(streamRakeNdc, camera);
+  const point = streamRakeRaycaster.ray.intersectPlane(plane, new THREE.Vector3());
+  if (!point) return false;
+  const z = Math.min(frame.zMax, Math.max(frame.zMin, point.z));
+  state.streamRakes = state.streamRakes.map((r, k) =>
+    (k === state.streamRakeSel ? normalizeRake({ ...r, x: point.x, z }) : r));
+  applyStreamRakes(false);
+  return true;
+}
+
+renderer.domElement.addEventListener('pointerdown', (e) => {
+  if (!state.streamRakePlace || !state.activeEnvs.has('airflow') || state.infoMode
+      || sliceDrag || e.button !== 0) return;
+  if (!moveStreamRake(e)) return;
+  streamRakeDrag = { id: e.pointerId };
+  orbit.enabled = false;
+  renderer.domElement.setPointerCapture(e.pointerId);
+}, { capture: true });
+
+renderer.domElement.addEventListener('pointermove', (e) => {
+  if (streamRakeDrag && e.pointerId === streamRakeDrag.id) moveStreamRake(e);
+});
+
+function endStreamRakeDrag(e) {
+  if (!streamRakeDrag || e.pointerId !== streamRakeDrag.id) return;
+  streamRakeDrag = null;
+  orbit.enabled = state.camMode === 'orbit';
+  saveRakes(window.localStorage, state.carType, state.streamRakes);
+}
+renderer.domElement.addEventListener('pointerup', endStreamRakeDrag);
+renderer.domElement.addEventListener('pointercancel', endStreamRakeDrag);
+
 /* ── SOUND (mute + volume, ENVIRONMENT section) ─────────────────── */
 const muteBtn      = document.getElementById('mute-btn');
 const volumeSlider = document.getElementById('volume-slider');
@@ -1022,12 +2470,41 @@ document.getElementById('reset-btn').addEventListener('click', () => {
     b.classList.remove('active');
     b.setAttribute('aria-pressed', 'false');
   });
-  // Back to the default turn schedule — reset means the full selection resets
+  // Back to the open road and the default turn schedule — reset means the
+  // full selection resets
+  applyCircuit(null);
+  setSpeed(0);
   applyTurnMode('auto');
-  // Zero the turn tally with the rest of the session state.
+  applyTunnelMode('top', 'speed');
+  state.sliceOffset = 0;
+  applySliceMode('z', 'speed');
+  applyVortexMode('q');
+  applyRibbonColor('smoke');
+  smoke.setEmitter(null);   // re-placed at the nose on the next switch-on
+  smoke.clear();
+  state.streamRakePlace = false;   // saved rake scenes survive a reset
+  syncStreamRakeUI();
+  openTrackEditor(false);          // … and so does the editor's layout
+  state.wingSetup = { ...DEFAULT_WING_SETUP };
+  applyWingSetup();
+  state.rideSetup = { ...DEFAULT_RIDE_SETUP };
+  applyRideSetup();
+  applyGroundMode(DEFAULT_GROUND);
+  applyCooling(DEFAULT_COOLING);
+  state.yawDeg = 0;
+  applyYaw();
+  if (state.follow.enabled || state.followGroup) {
+    state.follow = { ...DEFAULT_FOLLOW };
+    spawnFollower();
+  }
+  // Zero the turn tally and cool the brakes and tyres with the rest of the
+  // session state.
   state.turnCount = 0;
+  state.thermal = createThermalState(state.carType);
   state._turnEdge = null;
   document.getElementById('turn-counter').textContent = '0';
+  state.minimap = new Minimap(trackPath);   // and the driven trail
+  renderMinimap();
   updateChips();
   syncEffects();
 });
@@ -1053,6 +2530,7 @@ if (window.innerWidth > 640) {
     const collapsed = panel.classList.toggle('collapsed');
     panelToggle.title = collapsed ? 'Expand' : 'Collapse';
     camLabel.style.right = collapsed ? '32px' : 'calc(var(--panel-w) + 32px)';
+    document.getElementById('minimap').style.right = camLabel.style.right;
   });
 }
 
@@ -1121,6 +2599,7 @@ window.addEventListener('resize', () => {
 
 /* ── Keyboard shortcuts ─────────────────────────────────────────── */
 window.addEventListener('keydown', e => {
+  if (e.target === editorNameEl) return;   // typing a layout name
   switch (e.key) {
     case ' ':
       e.preventDefault();
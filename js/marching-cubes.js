@@ -0,0 +1,85 @@
+/**
+ * marching-cubes.js — iso-surface extraction from a scalar grid.
+ *
+ * Classic Lorensen–Cline marching cubes over a regular nx × ny × nz grid
+ * of samples (x fastest, then y, then z). The 256-case edge / triangle
+ * tables are three.js's own (MarchingCubes addon), so the corner and edge
+ * numbering below follows that implementation (Paul Bourke's layout):
+ *
+ *        7 ──── 6          corners: 0 (0,0,0)  1 (1,0,0)  2 (1,1,0)  3 (0,1,0)
+ *       /│     /│                   4 (0,0,1)  5 (1,0,1)  6 (1,1,1)  7 (0,1,1)
+ *      4 ──── 5 │
+ *      │ 3 ───│─ 2         edges 0–3 the z = 0 face, 4–7 the z = 1 face,
+ *      │/     │/           8–11 the verticals 0–4, 1–5, 2–6, 3–7
+ *      0 ──── 1
+ *
+ * Output positions are in GRID units (i, j, k as floats) — the caller maps
+ * them into space with its own origin and spacing. Pure, no three.js
+ * objects, so it runs in the test environment unchanged.
+ */
+
+import { edgeTable, triTable } from 'three/addons/objects/MarchingCubes.js';
+
+const CORNERS = [
+  [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+  [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1],
+];
+const EDGES = [
+  [0, 1], [1, 2], [2, 3], [3, 0],
+  [4, 5], [5, 6], [6, 7], [7, 4],
+  [0, 4], [1, 5], [2, 6], [3, 7],
+];
+
+/**
+ * Triangulate the `iso` level set of `field`. Cells whose corners are all
+ * on one side emit nothing; a crossing edge gets a vertex at the linear
+ * interpolation point. Non-finite samples count as below the level.
+ *
+ * @param {ArrayLike<number>} field — nx·ny·nz samples, index i + nx·(j + ny·k)
+ * @param {number} nx
+ * @param {number} ny
+ * @param {number} nz
+ * @param {number} iso
+ * @returns {Float32Array} triangle soup, 9 floats per triangle, grid units
+ */
+export function marchingCubes(field, nx, ny, nz, iso) {
+  const out = [];
+  const v = new Float64Array(8);
+  const ex = new Float64Array(36);   // 12 edge vertices × xyz
+  const at = (i, j, k) => {
+    const f = field[i + nx * (j + ny * k)];
+    return Number.isFinite(f) ? f : -Infinity;
+  };
+  for (let k = 0; k < nz - 1; k++) {
+    for (let j = 0; j < ny - 1; j++) {
+      for (let i = 0; i < nx - 1; i++) {
+        let cube = 0;
+        for (let c = 0; c < 8; c++) {
+          const o = CORNERS[c];
+          v[c] = at(i + o[0], j + o[1], k + o[2]);
+          if (v[c] < iso) cube |= 1 << c;
+        }
+        const bits = edgeTable[cube];
+        if (bits === 0) continue;
+        for (let e = 0; e < 12; e++) {
+          if (!(bits & (1 << e))) continue;
+          const [a, b] = EDGES[e];
+          const va = v[a], vb = v[b];
+          // One end may be −∞ (masked) — the vertex then sits on the finite end.
+          const t = !Number.isFinite(va) ? 1 : !Number.isFinite(vb) ? 0
+            : Math.abs(vb - va) < 1e-12 ? 0.5 : (iso - va) / (vb - va);
+          const A = CORNERS[a], B = CORNERS[b];
+          ex[e * 3]     = i + A[0] + t * (B[0] - A[0]);
+          ex[e * 3 + 1] = j + A[1] + t * (B[1] - A[1]);
+          ex[e * 3 + 2] = k + A[2] + t * (B[2] - A[2]);
+        }
+        const row = cube << 4;
+        for (let n = 0; triTable[row + n] !== -1; n++) {
+          const e = triTable[row + n];
+          out.push(ex[e * 3], ex[e * 3 + 1], ex[e * 3 + 2]);
+        }
+      }
+    }
+  }
+  return new Float32Array(out);
+}
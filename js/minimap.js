@@ -0,0 +1,179 @@
+/**
+ * minimap.js — top-down HUD map of the track path around the car.
+ *
+ * Pure, no Three.js. The road ahead and the emitted turns are read off the
+ * TrackPath knots (TrackPath.trace); the path driven so far is recorded
+ * here, one sample every TRAIL_DS m, because the path itself forgets
+ * everything behind the car at each rebase.
+ *
+ * Floating origin: TrackPath.rebase re-roots track space at the car. The
+ * map keeps one fixed frame — the track space of the epoch it was created
+ * in — and carries each later epoch into it with TrackPath.frameSince, so
+ * the trail never jumps and the map stays north-up across rebases.
+ *
+ * The view (minimapScale / drawMinimap) follows cp-chart.js: the maths is
+ * pure and testable, the canvas calls are a thin wrapper.
+ */
+
+import { WINDOW_AHEAD } from './track-path.js';
+
+export const MINIMAP_RANGE = 350;   // m — map half-width around the car
+export const TRAIL_DS = 5;          // m between driven-path samples
+export const TRAIL_MAX = 800;       // samples kept (4 km)
+const AHEAD_DS = 2;                 // m — road-ahead sampling
+const AHEAD_MAX = 1500;             // m — never trace further than this
+
+export class Minimap {
+  /** @param {{epoch:number}} path - TrackPath whose current epoch becomes the map frame */
+  constructor(path) {
+    this.epoch = path.epoch;        // the map frame: track space of this epoch
+    this.trail = [];                // driven path [{x, z, turn}] in the map frame, oldest first
+    this._frame = { x: 0, z: 0, theta: 0 };   // today's track origin in the map frame
+    this._frameEpoch = path.epoch;
+    this._lastS = null;             // track-space s of the newest sample
+  }
+
+  /** A track-space pose of the current epoch in the map frame. */
+  toMap(p) {
+    const { x, z, theta } = this._frame;
+    const c = Math.cos(theta), sn = Math.sin(theta);
+    return {
+      x: x + p.x * c + p.z * sn,
+      z: z - p.x * sn + p.z * c,
+      theta: (p.theta ?? 0) + theta,
+    };
+  }
+
+  /**
+   * Follow the car: pick up any rebase since the last call and record a
+   * trail sample every TRAIL_DS m, flagged when it lies in a turn.
+   * @param {import('./track-path.js').TrackPath} path
+   */
+  update(path) {
+    if (path.epoch !== this._frameEpoch) {
+      this._frame = path.frameSince(this.epoch);
+      if (this._lastS !== null) this._lastS -= path.shiftSince(this._frameEpoch);
+      this._frameEpoch = path.epoch;
+    }
+    const car = path.pose;
+    if (this._lastS !== null && car.s - this._lastS < TRAIL_DS) return;
+    const { x, z } = this.toMap(car);
+    this.trail.push({ x, z, turn: path.curvatureAt(car.s) !== 0 });
+    if (this.trail.length > TRAIL_MAX) this.trail.shift();
+    this._lastS = car.s;
+  }
+
+  /**
+   * Everything the map draws, in the map frame: the car and its heading,
+   * the road ahead to the end of the emitted turns (at least WINDOW_AHEAD),
+   * each emitted turn still ahead, nearest first, and the trail.
+   * @returns {{car:{x:number, z:number, theta:number},
+   *            ahead:Array<{x:number, z:number}>,
+   *            turns:Array<{points:Array<{x:number, z:number}>, dir:number, dist:number}>,
+   *            trail:Array<{x:number, z:number, turn:boolean}>}}
+   */
+  view(path) {
+    const car = path.pose;
+    const upcoming = path.turns.filter(t => t.s1 > car.s);
+    const end = Math.min(
+      car.s + AHEAD_MAX,
+      Math.max(car.s + WINDOW_AHEAD, ...upcoming.map(t => t.s1 + WINDOW_AHEAD / 2)),
+    );
+    const toMap = p => this.toMap(p);
+    return {
+      car: this.toMap(car),
+      ahead: path.trace(car.s, end, AHEAD_DS).map(toMap),
+      turns: upcoming
+        .filter(t => t.s0 < end)
+        .sort((a, b) => a.s0 - b.s0)
+        .map(t => ({
+          points: path.trace(Math.max(t.s0, car.s), Math.min(t.s1, end), AHEAD_DS).map(toMap),
+          dir: t.dir,
+          dist: Math.max(0, t.s0 - car.s),
+        })),
+      trail: this.trail,
+    };
+  }
+}
+
+/**
+ * Map a w × h CSS-px canvas onto the map frame: the car at the centre,
+ * `range` m to each side, north (map −z, the heading the map began with)
+ * up. Pure — exported for tests.
+ * @returns {{scale:number, px:(x:number)=>number, py:(z:number)=>number}}
+ */
+export function minimapScale(car, w, h, range = MINIMAP_RANGE) {
+  const scale = Math.min(w, h) / (2 * range);
+  return {
+    scale,
+    px: x => w / 2 + (x - car.x) * scale,
+    py: z => h / 2 + (z - car.z) * scale,
+  };
+}
+
+/** "LEFT 120 m" — the next turn's caption, '–' on a clear road. */
+export function nextTurnLabel(view) {
+  const t = view.turns[0];
+  if (!t) return '–';
+  const side = t.dir > 0 ? 'LEFT' : 'RIGHT';
+  return t.dist > 0 ? `${side} ${Math.round(t.dist)} m` : `${side} NOW`;
+}
+
+/* Map colours — the driven path (its corners brighter), the road ahead,
+ * the emitted turns (the next one in the accent) and the car. */
+const COLORS = {
+  trail: 'rgba(204,214,228,0.35)', trailTurn: 'rgba(255,210,60,0.45)',
+  ahead: '#ccd6e4', turn: '#ffd23c', next: '#ff6b00', car: '#ffffff',
+};
+
+/**
+ * Render a view (Minimap.view) into `canvas`, sized to its CSS box ×
+ * devicePixelRatio.
+ */
+export function drawMinimap(canvas, view, range = MINIMAP_RANGE) {
+  const ctx = canvas?.getContext?.('2d');
+  if (!ctx) return;
+  const dpr = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+  const w = canvas.clientWidth || canvas.width;
+  const h = canvas.clientHeight || canvas.height;
+  if (canvas.width !== Math.round(w * dpr)) canvas.width = Math.round(w * dpr);
+  if (canvas.height !== Math.round(h * dpr)) canvas.height = Math.round(h * dpr);
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, w, h);
+
+  const { car } = view;
+  const { px, py } = minimapScale(car, w, h, range);
+  const line = (points, color, width) => {
+    if (points.length < 2) return;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.beginPath();
+    ctx.moveTo(px(points[0].x), py(points[0].z));
+    for (let i = 1; i < points.length; i++) ctx.lineTo(px(points[i].x), py(points[i].z));
+    ctx.stroke();
+  };
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+
+  // Trail: one stroke per run of straight / corner samples.
+  const trail = view.trail;
+  for (let i = 0; i < trail.length - 1;) {
+    let j = i + 1;
+    while (j < trail.length - 1 && trail[j].turn === trail[i].turn) j++;
+    line(trail.slice(i, j + 1), trail[i].turn ? COLORS.trailTurn : COLORS.trail, 2);
+    i = j;
+  }
+  line(view.ahead, COLORS.ahead, 3);
+  view.turns.forEach((t, i) => line(t.points, i === 0 ? COLORS.next : COLORS.turn, 4));
+
+  // The car: an arrow along its heading, forward(θ) = (−sinθ, −cosθ).
+  const fx = -Math.sin(car.theta), fz = -Math.cos(car.theta);
+  const cx = px(car.x), cy = py(car.z);
+  ctx.fillStyle = COLORS.car;
+  ctx.beginPath();
+  ctx.moveTo(cx + fx * 8, cy + fz * 8);
+  ctx.lineTo(cx - fx * 5 - fz * 4.5, cy - fz * 5 + fx * 4.5);
+  ctx.lineTo(cx - fx * 5 + fz * 4.5, cy - fz * 5 - fx * 4.5);
+  ctx.closePath();
+  ctx.fill();
+}
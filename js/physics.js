@@ -69,19 +69,31 @@ export function rpmInGear(speed) {
   return Math.min(Math.max((speed - lo) / (hi - lo), 0), 1);
 }
 
+/* Gravity along the slope per unit grade, km/h per second. */
+const GRADE_ACCEL = 9.81 * 3.6;
+
 /**
  * Asymmetric speed lerp — accelerates slower than it decelerates.
- * Snaps to target when within ±0.5 km/h.
+ * Snaps to target when within ±0.5 km/h. On a grade, gravity along the
+ * slope takes from the acceleration and adds to the braking uphill (the
+ * reverse downhill); neither rate drops below a fifth of its flat value.
+ * Both rates scale with the tyre grip of the surface (surface.js) — the
+ * tyres can only put down and brake on what they are rolling over.
  * @param {number} cur       - current speed
  * @param {number} tgt       - target speed
  * @param {number} accelUp   - km/h per second when accelerating
  * @param {number} accelDown - km/h per second when decelerating
  * @param {number} dt        - delta time in seconds
+ * @param {number} [grade=0] - road grade dy/ds (+ = climbing)
+ * @param {number} [grip=1]  - surface grip (× asphalt)
  * @returns {number} new speed
  */
-export function lerpSpeed(cur, tgt, accelUp, accelDown, dt) {
+export function lerpSpeed(cur, tgt, accelUp, accelDown, dt, grade = 0, grip = 1) {
   const diff = tgt - cur;
   if (Math.abs(diff) <= 0.5) return tgt;
-  const accel = diff > 0 ? accelUp : accelDown;
-  return cur + Math.sign(diff) * Math.min(accel * dt, Math.abs(diff));
+  const g = GRADE_ACCEL * Math.sin(Math.atan(grade));
+  const accel = diff > 0
+    ? Math.max(accelUp * 0.2, accelUp - g)
+    : Math.max(accelDown * 0.2, accelDown + g);
+  return cur + Math.sign(diff) * Math.min(accel * grip * dt, Math.abs(diff));
 }
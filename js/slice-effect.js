@@ -0,0 +1,386 @@
+/**
+ * slice-effect.js — SliceEffect: cross-section cutting plane
+ *
+ * A textured plane through the car coloured by the analytic flow field
+ * (AirflowEffect.sampleFlowAt — the same field the ribbons are traced
+ * through), with the body cut out of it by the occupancy grid:
+ *
+ *   axis 'z' — cross-section across the flow: the floor venturi, the
+ *              sidepod flanks, the wing-tip vortex cores
+ *   axis 'x' — longitudinal slice (side view) at a lateral offset
+ *   axis 'y' — horizontal slice at a height over the road (top view)
+ *   field    — 'speed' (|v|/V, blue slow → red fast) or 'cp', derived by
+ *              Bernoulli as 1 − (|v|/V)² on the cpToColor ramp
+ *
+ * The offset moves the plane along its normal (main.js drags it in the
+ * viewport and from the panel slider). The field is steady for a given
+ * speed and setup, so the plane resamples only when something changed —
+ * axis / offset / field, a speed step, a refresh() after a setup change —
+ * and at most SLICE_HZ times a second while dragging.
+ *
+ * Public interface (mirrors the other effects):
+ *   constructor(scene), setCarType(type, measure), setSpeed(kmh),
+ *   setVisible(bool), setBaseY(y), setOccupancy(occ, baseY),
+ *   setSampler(fn), setAxis(axis), setOffset(m), getOffsetRange(),
+ *   setField(mode), refresh(), raycast(raycaster), update(dt, t), dispose().
+ */
+
+import * as THREE from 'three';
+import { cpToColor } from './airflow-core.js';
+
+/* ── Slice layout ─────────────────────────────────────────────────── */
+export const SLICE_AXES = ['x', 'y', 'z'];
+const SLICE_RES     = 96;     // cells along the plane's long side
+const SLICE_HZ      = 10;     // resample ceiling while dragging (runProbe's rate)
+const SPEED_STEP    = 2;      // km/h change that forces a resample
+const UPSTREAM      = 1.5;    // long axis: 1.5·halfL ahead of the centre…
+const DOWNSTREAM    = 2.5;    // …to 2.5·halfL behind it (near wake)
+const SPAN          = 2.2;    // lateral half-span in halfW
+const HEIGHT        = 3.0;    // vertical extent in halfH over the road
+
+/* Authored envelopes for procedural cars — same values as AirflowEffect. */
+const SLICE_PROFILE = {
+  F1: { halfW: 0.90, halfL: 2.45, halfH: 0.55 },
+  GT: { halfW: 1.05, halfL: 2.40, halfH: 0.65 },
+};
+
+/**
+ * Offset range (car-local m) a plane of this axis can travel: lateral for
+ * 'x', height over the road for 'y', along the flow for 'z'.
+ * @returns {{min:number, max:number}}
+ */
+export function sliceOffsetRange(axis, dims) {
+  const { halfW, halfL, halfH } = dims;
+  if (axis === 'x') return { min: -SPAN * halfW, max: SPAN * halfW };
+  if (axis === 'y') return { min: 0.01, max: HEIGHT * halfH };
+  return { min: -UPSTREAM * halfL, max: DOWNSTREAM * halfL };
+}
+
+/**
+ * Grid for a plane. u / v are the texture axes (u = columns, v = rows);
+ * point(i, j) is the car-local centre of cell (i, j). `dims.groundY` is
+ * the road's car-local y — heights are measured from it.
+ *
+ * @param {'x'|'y'|'z'} axis
+ * @param {number} offset — position along the normal (see sliceOffsetRange)
+ * @param {{halfW:number, halfL:number, halfH:number, groundY?:number}} dims
+ * @returns {{axis:string, offset:number, nu:number, nv:number,
+ *            u0:number, u1:number, v0:number, v1:number,
+ *            point:(i:number, j:number) => {x:number, y:number, z:number}}}
+ */
+export function sliceLayout(axis, offset, dims) {
+  const { halfW, halfL, halfH } = dims;
+  const g = dims.groundY ?? 0;
+  const r = sliceOffsetRange(axis, dims);
+  const off = Math.min(r.max, Math.max(r.min, Number.isFinite(offset) ? offset : 0));
+  const zSpan = [-UPSTREAM * halfL, DOWNSTREAM * halfL];
+  const xSpan = [-SPAN * halfW, SPAN * halfW];
+  const ySpan = [g, g + HEIGHT * halfH];
+  // u runs along the flow wherever the plane contains it.
+  const [[u0, u1], [v0, v1]] = axis === 'z' ? [xSpan, ySpan]
+    : axis === 'x' ? [zSpan, ySpan]
+    : [zSpan, xSpan];
+  const ratio = (v1 - v0) / (u1 - u0);
+  const nu = ratio > 1 ? Math.max(16, Math.round(SLICE_RES / ratio)) : SLICE_RES;
+  const nv = ratio > 1 ? SLICE_RES : Math.max(16, Math.round(SLICE_RES * ratio));
+  const du = (u1 - u0) / nu, dv = (v1 - v0) / nv;
+  const point = (i, j) => {
+    const u = u0 + (i + 0.5) * du, v = v0 + (j + 0.5) * dv;
+    if (axis === 'z') return { x: u, y: v, z: off };
+    if (axis === 'x') return { x: off, y: v, z: u };
+    return { x: v, y: g + off, z: u };
+  };
+  return { axis, offset: off, nu, nv, u0, u1, v0, v1, point };
+}
+
+/**
+ * Body cut-out for a layout: 1 where the occupancy grid (world frame —
+ * sampled at car-local y + occBaseY) is solid. Without occupancy a
+ * half-dims ellipsoid sitting on the road stands in (procedural cars).
+ * @returns {Uint8Array} nu·nv, row-major in v
+ */
+export function sliceMask(layout, occ, occBaseY, dims) {
+  const { nu, nv, point } = layout;
+  const mask = new Uint8Array(nu * nv);
+  const g = dims.groundY ?? 0;
+  const useOcc = occ && typeof occ.sample === 'function';
+  for (let j = 0; j < nv; j++) {
+    for (let i = 0; i < nu; i++) {
+      const p = point(i, j);
+      let solid;
+      if (useOcc) {
+        solid = occ.sample(p.x, p.y + occBaseY, p.z) > 0.5;
+      } else {
+        const a = p.x / dims.halfW, b = (p.y - g - dims.halfH) / dims.halfH, c = p.z / dims.halfL;
+        solid = a * a + b * b + c * c <= 1;
+      }
+      if (solid) mask[i + j * nu] = 1;
+    }
+  }
+  return mask;
+}
+
+/* Blue (slow) → cyan → green → yellow → red (fast); the lbm-core ramp. */
+function speedRamp(sp) {
+  const t = Math.max(0, Math.min(1, sp / 1.6));
+  if (t < 0.25) return { r: 0, g: t / 0.25, b: 1 };
+  if (t < 0.5)  return { r: 0, g: 1, b: 1 - (t - 0.25) / 0.25 };
+  if (t < 0.75) return { r: (t - 0.5) / 0.25, g: 1, b: 0 };
+  return { r: 1, g: 1 - (t - 0.75) / 0.25, b: 0 };
+}
+
+/**
+ * Sample the field over a layout into RGBA bytes (texture row j = v row j).
+ * `sampler(x, y, z)` returns car-local velocity (m/s); V is the freestream
+ * (m/s). Solid cells are transparent so the car shows through the cut.
+ *
+ * @param {object} layout      — sliceLayout output
+ * @param {Function} sampler   — (x, y, z) => {vx, vy, vz}
+ * @param {number} V           — freestream speed (m/s), > 0
+ * @param {'speed'|'cp'} field
+ * @param {Uint8Array|null} mask — sliceMask output
+ * @param {Uint8Array} [out]   — nu·nv·4 bytes, reused when given
+ * @returns {Uint8Array}
+ */
+export function sliceFieldToRGBA(layout, sampler, V, field, mask, out) {
+  const { nu, nv, point } = layout;
+  const px = out || new Uint8Array(nu * nv * 4);
+  for (let j = 0; j < nv; j++) {
+    for (let i = 0; i < nu; i++) {
+      const c = i + j * nu, o = c * 4;
+      if (mask?.[c]) { px[o] = px[o + 1] = px[o + 2] = px[o + 3] = 0; continue; }
+      const p = point(i, j);
+      const v = sampler(p.x, p.y, p.z);
+      const sp = Math.hypot(v.vx, v.vy, v.vz) / V;
+      const col = field === 'cp' ? cpToColor(1 - sp * sp) : speedRamp(sp);
+      px[o]     = col.r * 255;
+      px[o + 1] = col.g * 255;
+      px[o + 2] = col.b * 255;
+      px[o + 3] = 200;
+    }
+  }
+  return px;
+}
+
+/**
+ * Drag parameter for a pointer ray: the point on the line through `point`
+ * along `axis` that the ray passes closest to, as metres from `point`.
+ * Differences between two calls move the plane along its normal. Null when
+ * the ray runs (nearly) along the axis — there is nothing to project.
+ *
+ * @param {{x:number,y:number,z:number}} origin — ray origin
+ * @param {{x:number,y:number,z:number}} dir    — ray direction (any length)
+ * @param {{x:number,y:number,z:number}} point  — grab point on the plane
+ * @param {'x'|'y'|'z'} axis
+ * @returns {number|null}
+ */
+export function rayAxisParam(origin, dir, point, axis) {
+  const b = dir[axis];                                    // n·d
+  const c = dir.x * dir.x + dir.y * dir.y + dir.z * dir.z;
+  const denom = c - b * b;
+  if (!(denom > 1e-6 * c)) return null;
+  const wx = point.x - origin.x, wy = point.y - origin.y, wz = point.z - origin.z;
+  const d = axis === 'x' ? wx : axis === 'y' ? wy : wz;   // n·w
+  const e = dir.x * wx + dir.y * wy + dir.z * wz;
+  return (b * e - c * d) / denom;
+}
+
+/* ════════════════════════════════════════════════════════════════════
+   SliceEffect class
+════════════════════════════════════════════════════════════════════ */
+export class SliceEffect {
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.name = 'slice';
+    scene.add(this.group);
+
+    this._speed     = 0;
+    this._visible   = false;
+    this._type      = 'F1';
+    this._dims      = { ...SLICE_PROFILE.F1, groundY: 0 };
+    this._baseY     = 0;
+    this._occupancy = null;    // world-frame body SDF (setOccupancy)
+    this._occBaseY  = 0;
+    this._sampler   = null;    // car-local (x, y, z) => {vx, vy, vz}
+    this._axis      = 'z';
+    this._offset    = 0;
+    this._field     = 'speed';
+    this._layout    = null;
+    this._mask      = null;
+    this._dirty     = true;    // field must be resampled
+    this._sampledAt = -1;      // speed (km/h) of the last resample
+    this._cooldown  = 0;       // s until the next resample is allowed
+    this._mesh      = null;
+    this._texture   = null;
+
+    this._rebuild();
+    this.group.visible = false;
+  }
+
+  /* ── Public interface ─────────────────────────────────────────── */
+
+  setCarType(type, measure) {
+    this._type = SLICE_PROFILE[type] ? type : 'F1';
+    const p  = SLICE_PROFILE[this._type];
+    const a  = measure?.anchors;
+    const bs = a?.bodyShell?.bbox;
+    // Measured envelope wins over the authored profile (AirflowEffect rule).
+    this._dims = {
+      halfW: (bs && Number.isFinite(bs.minX) && Number.isFinite(bs.maxX)) ? (bs.maxX - bs.minX) / 2 : p.halfW,
+      halfL: (Number.isFinite(a?.frontWing?.z) && Number.isFinite(a?.rearWing?.z))
+        ? Math.max(Math.abs(a.frontWing.z), Math.abs(a.rearWing.z))
+        : p.halfL,
+      halfH: p.halfH,
+      groundY: Number.isFinite(measure?.groundContactY) ? measure.groundContactY : 0,
+    };
+    this._occupancy = null;   // previous car's body must not leak in
+    this._rebuild();
+  }
+
+  /** World-frame body SDF (buildOccupancy output); null ⇒ ellipsoid cut. */
+  setOccupancy(occ, baseY = 0) {
+    this._occupancy = (occ && typeof occ.sample === 'function') ? occ : null;
+    this._occBaseY  = baseY || 0;
+    this._mask  = sliceMask(this._layout, this._occupancy, this._occBaseY, this._dims);
+    this._dirty = true;
+  }
+
+  /** Car-local velocity sampler — AirflowEffect.sampleFlowAt. */
+  setSampler(fn) {
+    this._sampler = typeof fn === 'function' ? fn : null;
+    this._dirty = true;
+  }
+
+  /** 'x' | 'y' | 'z' — the plane normal; the offset is kept in range. */
+  setAxis(axis) {
+    const a = SLICE_AXES.includes(axis) ? axis : 'z';
+    if (a === this._axis) return;
+    this._axis = a;
+    this._rebuild();
+  }
+
+  /** Plane position along its normal (car-local m, clamped). */
+  setOffset(m) {
+    if (m === this._offset) return;
+    this._offset = m;
+    this._layout = sliceLayout(this._axis, m, this._dims);
+    this._offset = this._layout.offset;
+    this._mask   = sliceMask(this._layout, this._occupancy, this._occBaseY, this._dims);
+    this._placeMesh();
+    this._dirty = true;
+  }
+
+  /** Current offset range for the axis — the panel slider's bounds. */
+  getOffsetRange() {
+    return sliceOffsetRange(this._axis, this._dims);
+  }
+
+  /** 'speed' | 'cp' */
+  setField(mode) {
+    const f = mode === 'cp' ? 'cp' : 'speed';
+    if (f === this._field) return;
+    this._field = f;
+    this._dirty = true;
+  }
+
+  /** The field behind the sampler changed (yaw, wing / ride setup). */
+  refresh() {
+    this._dirty = true;
+  }
+
+  setSpeed(speed) {
+    this._speed = speed;
+    if (Math.abs(speed - this._sampledAt) >= SPEED_STEP) this._dirty = true;
+  }
+
+  setVisible(v) {
+    this._visible      = v;
+    this.group.visible = v;
+  }
+
+  setBaseY(y) {
+    this._baseY = y || 0;
+    this.group.position.y = this._baseY;
+  }
+
+  update(dt) {
+    if (!this._visible) return;
+    this._cooldown = Math.max(0, this._cooldown - (dt || 0));
+    const V = (this._speed || 0) / 3.6;
+    // At rest there is no field to show.
+    this._mesh.visible = V > 0 && !!this._sampler;
+    if (!this._dirty || !this._mesh.visible || this._cooldown > 0) return;
+    sliceFieldToRGBA(this._layout, this._sampler, V, this._field, this._mask, this._texture.image.data);
+    this._texture.needsUpdate = true;
+    this._sampledAt = this._speed;
+    this._dirty     = false;
+    this._cooldown  = 1 / SLICE_HZ;
+  }
+
+  /** World-space hit point of a raycaster on the plane; null when hidden. */
+  raycast(raycaster) {
+    if (!this._visible || !this._mesh?.visible) return null;
+    return raycaster.intersectObject(this._mesh, false)[0]?.point ?? null;
+  }
+
+  dispose() {
+    this._disposeMesh();
+    this.scene.remove(this.group);
+  }
+
+  /* ── Internal ─────────────────────────────────────────────────── */
+
+  _rebuild() {
+    this._layout = sliceLayout(this._axis, this._offset, this._dims);
+    this._offset = this._layout.offset;
+    this._mask   = sliceMask(this._layout, this._occupancy, this._occBaseY, this._dims);
+    this._dirty  = true;
+    this._buildMesh();
+  }
+
+  _buildMesh() {
+    this._disposeMesh();
+    const L = this._layout;
+    const tex = new THREE.DataTexture(new Uint8Array(L.nu * L.nv * 4), L.nu, L.nv, THREE.RGBAFormat);
+    tex.magFilter = THREE.LinearFilter;
+    tex.minFilter = THREE.LinearFilter;
+    tex.needsUpdate = true;
+    this._texture = tex;
+
+    // PlaneGeometry: local X → u, local Y → v (texture rows).
+    const geo = new THREE.PlaneGeometry(L.u1 - L.u0, L.v1 - L.v0);
+    const mat = new THREE.MeshBasicMaterial({
+      map: tex, transparent: true, side: THREE.DoubleSide, depthWrite: false,
+    });
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.name = 'slicePlane';
+    const X = new THREE.Vector3(1, 0, 0), Y = new THREE.Vector3(0, 1, 0), Z = new THREE.Vector3(0, 0, 1);
+    const [u, v] = this._axis === 'z' ? [X, Y] : this._axis === 'x' ? [Z, Y] : [Z, X];
+    const basis = new THREE.Matrix4().makeBasis(u, v, new THREE.Vector3().crossVectors(u, v));
+    mesh.quaternion.setFromRotationMatrix(basis);
+    mesh.renderOrder = 2;
+    this._mesh = mesh;
+    this._placeMesh();
+    this.group.add(mesh);
+  }
+
+  /* Plane centre: middle of the u/v spans, at the offset along the normal. */
+  _placeMesh() {
+    if (!this._mesh) return;
+    const L = this._layout;
+    const i = (L.nu - 1) / 2, j = (L.nv - 1) / 2;
+    const c = L.point(i, j);
+    this._mesh.position.set(c.x, c.y, c.z);
+  }
+
+  _disposeMesh() {
+    if (!this._mesh) return;
+    this.group.remove(this._mesh);
+    this._mesh.geometry.dispose();
+    this._mesh.material.dispose();
+    this._texture?.dispose();
+    this._mesh = null;
+    this._texture = null;
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * slipstream.js — the lead car's wake as the follower's freestream.
+ *
+ * Pure math, no Three.js. Frames: everything here is in the LEAD car's
+ * frame (nose −z, flow +z, +x the driver's right, y up from the road); the
+ * follower sits at placement (x, z) behind it and its CFD overlay samples
+ * through createFollowerInflow in its own car-local frame.
+ *
+ * The wake is built from the same sources AirflowEffect draws
+ * (getWakeSources):
+ *
+ *   emitters — the wheel + rear-body wake emitters. Each is a far-wake
+ *              plume: centreline velocity deficit ∝ (w/d²)^⅓, gaussian
+ *              width ∝ (w·d)^⅓ (self-similar 3-D bluff-body wake), summed
+ *              and capped. Dynamic pressure in the wake is q/q∞ = (1 − δ)².
+ *   vortices — the rear-wing tip vortices (the spirals). An inverted wing
+ *              sheds a pair that induces UPWASH between the tips; trailing
+ *              down the road the cores diffuse (rc grows) and decay. The
+ *              upwash lowers the follower's front-wing angle of attack.
+ *
+ * followerAero turns that into the three numbers the HUD teaches: drag
+ * (the tow), front and rear downforce — each as a factor on the clean-air
+ * value. The front wing loses twice: less q AND less incidence; the rear
+ * wing sits higher and further back where the wake has spread and mixed.
+ */
+
+export const FOLLOW_GAP_MIN    = 2;    // m, lead tail → follower nose
+export const FOLLOW_GAP_MAX    = 40;
+export const FOLLOW_OFFSET_MAX = 3;    // m, lateral (|x|) — beside the lead
+
+export const DEFAULT_FOLLOW = Object.freeze({ enabled: false, gap: 10, offset: 0 });
+
+const DEFICIT_K   = 0.34;   // plume amplitude (calibrated: ≈ 25 % tow 10 m behind an F1)
+const DEFICIT_MAX = 0.6;    // never a dead-air pocket
+const UPWASH_K    = 0.055;  // vortex pair → upwash angle (rad)
+const VORTEX_DECAY = 30;    // m, e-folding of the trailing vortex strength
+const FRONT_WING_CL = 2.0;  // baseline element CL — dCL/dα = 2π over it
+
+/**
+ * Clamp a user follow setup into range.
+ * @param {{enabled?:boolean, gap?:number, offset?:number}} setup
+ * @returns {{enabled:boolean, gap:number, offset:number}}
+ */
+export function normalizeFollowSetup(setup) {
+  const gap = Number(setup?.gap);
+  const off = Number(setup?.offset);
+  return {
+    enabled: !!setup?.enabled,
+    gap: Number.isFinite(gap) ? Math.min(FOLLOW_GAP_MAX, Math.max(FOLLOW_GAP_MIN, gap)) : DEFAULT_FOLLOW.gap,
+    offset: Number.isFinite(off) ? Math.min(FOLLOW_OFFSET_MAX, Math.max(-FOLLOW_OFFSET_MAX, off)) : 0,
+  };
+}
+
+/**
+ * Follower origin in the lead frame: tail-to-nose gap plus both half
+ * lengths, offset sideways.
+ * @returns {{x:number, z:number}}
+ */
+export function followerPlacement(setup, leadHalfL, followHalfL = leadHalfL) {
+  const s = normalizeFollowSetup(setup);
+  return { x: s.offset, z: leadHalfL + s.gap + followHalfL };
+}
+
+/**
+ * Velocity deficit δ (fraction of V) at a lead-frame point. Zero upstream
+ * of every emitter. A yawed stream (sources.yaw) carries the plumes
+ * sideways by d·tan(yaw).
+ */
+export function wakeDeficit(x, y, z, sources) {
+  if (!sources?.emitters?.length) return 0;
+  const drift = Math.tan(sources.yaw || 0);
+  let sum = 0;
+  for (const em of sources.emitters) {
+    const d = z - em.z;
+    if (d <= 0.3) continue;
+    const w = em.weight ?? 0.25;
+    const sigma = 0.2 + 0.5 * Math.cbrt(w * d);
+    const dx = x - (em.x + d * drift);
+    const dy = y - em.y;
+    sum += DEFICIT_K * Math.cbrt(w / (d * d)) * Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+  }
+  return Math.min(DEFICIT_MAX, sum);
+}
+
+/** Wake dynamic-pressure ratio q/q∞ = (1 − δ)². */
+export function wakeQ(x, y, z, sources) {
+  const u = 1 - wakeDeficit(x, y, z, sources);
+  return u * u;
+}
+
+/**
+ * Upwash angle (rad, positive = air rising) the lead's trailing rear-wing
+ * vortices induce at a lead-frame point. Tip vortices follow the mean
+ * sign convention of the airflow vortexDefs (sign −1 on the left tip):
+ * between the tips of an inverted wing the flow rises.
+ */
+export function wakeUpwash(x, y, z, sources) {
+  if (!sources?.vortices?.length) return 0;
+  const drift = Math.tan(sources.yaw || 0);
+  let w = 0;
+  for (const v of sources.vortices) {
+    const d = z - v.z;
+    if (d <= 0) continue;
+    const rc = (v.rc ?? 0.15) + 0.05 * d;
+    const dx = x - (v.x + d * drift);
+    const dy = y - v.y;
+    w += -v.sign * v.gamma * (dx / (dx * dx + dy * dy + rc * rc)) * Math.exp(-d / VORTEX_DECAY);
+  }
+  return UPWASH_K * w;
+}
+
+/** Front-wing load factor for an upwash angle: ΔCL = 2π·Δα, never negative. */
+export function frontWingUpwashLoss(upwash) {
+  return Math.max(0, 1 - (2 * Math.PI * Math.max(0, upwash)) / FRONT_WING_CL);
+}
+
+/** Follower wing stations over the road (anchor y − groundContactY). */
+function wingStations(measure) {
+  const halfL = measure.halfL ?? 2.45;
+  const gY = Number.isFinite(measure.groundContactY) ? measure.groundContactY : 0;
+  const fw = measure.anchors?.frontWing;
+  const rw = measure.anchors?.rearWing;
+  return {
+    fw: fw ? { y: fw.y - gY, z: fw.z } : { y: 0.05, z: -halfL * 1.06 },
+    rw: rw ? { y: rw.y - gY, z: rw.z } : { y: 0.95, z:  halfL * 0.80 },
+    gY,
+  };
+}
+
+/**
+ * Follower load factors vs clean air. `measure` supplies the follower's
+ * anchors (frontWing / rearWing), groundContactY and the flow-plane
+ * halfW / halfL; without anchors the authored profile ratios stand in.
+ *
+ * @param {object} sources   — lead getWakeSources()
+ * @param {{x:number, z:number}} placement — follower origin (followerPlacement)
+ * @param {{halfW?:number, halfL?:number, anchors?:object, groundContactY?:number}} [measure]
+ * @returns {{drag:number, front:number, rear:number, qFront:number,
+ *            qRear:number, upwash:number}}
+ */
+export function followerAero(sources, placement, measure = {}) {
+  const halfW = measure.halfW ?? 0.9;
+  const halfL = measure.halfL ?? 2.45;
+  const { fw, rw } = wingStations(measure);
+  const X = placement.x, Z = placement.z;
+
+  // Drag: mean q over the frontal area at the nose station.
+  const noseZ = Z - halfL;
+  let qSum = 0, n = 0;
+  for (const fx of [-0.8, -0.4, 0, 0.4, 0.8]) {
+    for (const y of [0.15, 0.45, 0.8]) {
+      qSum += wakeQ(X + fx * halfW, y, noseZ, sources);
+      n++;
+    }
+  }
+  let qFront = 0;
+  let upwash = 0;
+  for (const fx of [-0.6, 0, 0.6]) {
+    qFront += wakeQ(X + fx * halfW, fw.y, Z + fw.z, sources) / 3;
+    upwash += wakeUpwash(X + fx * halfW, fw.y, Z + fw.z, sources) / 3;
+  }
+  let qRear = 0;
+  for (const fx of [-0.6, 0, 0.6]) qRear += wakeQ(X + fx * halfW, rw.y, Z + rw.z, sources) / 3;
+
+  return {
+    drag: qSum / n,
+    front: qFront * frontWingUpwashLoss(upwash),
+    rear: qRear,
+    qFront, qRear, upwash,
+  };
+}
+
+/**
+ * Inflow sampler for the follower's CFD overlay (cfd-effect.js setInflow).
+ * Points are follower car-local; `qAt` is the local q/q∞ that scales every
+ * Cp (pressures are referenced to the clean freestream), `frontWingLoss`
+ * the extra suction factor inside the front-wing box (car-local y / z,
+ * the overlay's own frame).
+ */
+export function createFollowerInflow(sources, placement, measure = {}) {
+  const aero = followerAero(sources, placement, measure);
+  const { fw, gY } = wingStations(measure);
+  return {
+    qAt: (x, y, z) => wakeQ(placement.x + x, y - gY, placement.z + z, sources),
+    frontWingLoss: frontWingUpwashLoss(aero.upwash),
+    frontWing: { y: fw.y + gY, z: fw.z },   // car-local, like the overlay
+    aero,
+  };
+}
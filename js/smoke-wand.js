@@ -0,0 +1,230 @@
+/**
+ * smoke-wand.js — SmokeWandEffect: a hand-held smoke probe.
+ *
+ * The tunnel engineer's wand: a continuous smoke emitter the user places
+ * anywhere around the car (main.js — click / drag in the viewport). Puffs
+ * are tracers of the analytic field AirflowEffect.sampleFlowAt, so the
+ * trail answers "where does the air at THIS point go?" for points the
+ * fixed ribbon seeds never visit.
+ *
+ * Coupling mirrors RainEffect.setFlowCoupling: `sampler(x, y, z)` takes
+ * WORLD coordinates (main.js subtracts baseY before sampling the car-local
+ * field) and the occupancy grid is world-frame already. A puff stepping
+ * into the body slides along it — the inward component of its velocity is
+ * removed against the occupancy gradient (which points into the body) and
+ * it is nudged back out, so smoke hugs the shell instead of cutting
+ * through it.
+ *
+ * Time runs in the ribbons' slow motion: velocities are taken relative to
+ * the freestream and replayed at SMOKE_VIS_SPEED, so speed-ups and stalls
+ * show at their true ratios but the trail stays readable at 300 km/h. At
+ * rest there is no field and the smoke just rises off the wand.
+ */
+
+import * as THREE from 'three';
+
+const SMOKE_CAP       = 720;   // particle pool
+const SMOKE_RATE      = 90;    // puffs / s while the wand is placed
+const SMOKE_LIFE      = 3.0;   // s
+export const SMOKE_VIS_SPEED = 8;     // m/s shown for the freestream (slow motion)
+const SMOKE_RISE      = 0.35;  // m/s drift at rest (warm smoke)
+const SMOKE_PUSH      = 0.03;  // m nudge back out of the body per step
+const SMOKE_DIFFUSE   = 0.05;  // m/√s random walk — the trail thickens downstream
+const SMOKE_REACH     = 14;    // m from the wand before a puff is recycled
+
+/* Warm white, like the vent outlet plumes. */
+const SMOKE_COLOR = { r: 0xee / 255, g: 0xea / 255, b: 0xe0 / 255 };
+
+/**
+ * Advance one puff through the field by dt. Pure — exported for tests.
+ *
+ * @param {{x:number,y:number,z:number}} p — world position
+ * @param {Function|null} sampler — world (x, y, z) => {vx, vy, vz} in m/s
+ * @param {{sample:Function, gradient?:Function}|null} occ — world-frame
+ * @param {number} V  — freestream (m/s); 0 ⇒ the smoke rises
+ * @param {number} dt — s
+ * @returns {{x:number, y:number, z:number, deflected:boolean}}
+ */
+export function smokeStep(p, sampler, occ, V, dt) {
+  let vx = 0, vy = SMOKE_RISE, vz = 0;
+  if (V > 0 && sampler) {
+    const f = sampler(p.x, p.y, p.z);
+    const k = SMOKE_VIS_SPEED / V;
+    vx = f.vx * k; vy = f.vy * k; vz = f.vz * k;
+  }
+  let x = p.x + vx * dt, y = p.y + vy * dt, z = p.z + vz * dt;
+  if (!occ || occ.sample(x, y, z) <= 0.5) return { x, y, z, deflected: false };
+
+  // Outward normal = −∇occupancy; deep inside (flat field) push straight up.
+  const g = occ.gradient ? occ.gradient(x, y, z) : null;
+  const gm = g ? Math.hypot(g.x, g.y, g.z) : 0;
+  const nx = gm ? -g.x / gm : 0, ny = gm ? -g.y / gm : 1, nz = gm ? -g.z / gm : 0;
+  const vn = vx * nx + vy * ny + vz * nz;
+  if (vn < 0) { vx -= vn * nx; vy -= vn * ny; vz -= vn * nz; }
+  x = p.x + vx * dt + nx * SMOKE_PUSH;
+  y = p.y + vy * dt + ny * SMOKE_PUSH;
+  z = p.z + vz * dt + nz * SMOKE_PUSH;
+  return { x, y, z, deflected: true };
+}
+
+/**
+ * Soft radial-gradient puff texture. Cached per module load.
+ */
+let _smokePuffTex = null;
+function _makePuffTexture() {
+  if (_smokePuffTex) return _smokePuffTex;
+  if (typeof document === 'undefined' || !document.createElement) {
+    _smokePuffTex = new THREE.CanvasTexture({});
+    return _smokePuffTex;
+  }
+  const size = 64;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const grd = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+  grd.addColorStop(0.00, 'rgba(255,255,255,0.9)');
+  grd.addColorStop(0.45, 'rgba(255,255,255,0.3)');
+  grd.addColorStop(1.00, 'rgba(255,255,255,0.0)');
+  ctx.fillStyle = grd;
+  ctx.fillRect(0, 0, size, size);
+  _smokePuffTex = new THREE.CanvasTexture(canvas);
+  _smokePuffTex.needsUpdate = true;
+  return _smokePuffTex;
+}
+
+export class SmokeWandEffect {
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.name = 'smokeWand';
+    scene.add(this.group);
+
+    this._visible  = false;
+    this._speed    = 0;
+    this._emitter  = null;   // world point, null = wand lowered
+    this._coupling = null;   // { sampler, occupancy } (setFlowCoupling)
+    this._spawnAcc = 0;      // fractional puffs owed
+    this._next     = 0;      // ring cursor into the pool
+
+    this._buildGeometry();
+    this.group.visible = false;
+  }
+
+  _buildGeometry() {
+    const n = SMOKE_CAP;
+    this._pos  = new Float32Array(n * 3);
+    this._col  = new Float32Array(n * 3);
+    this._age  = new Float32Array(n).fill(SMOKE_LIFE);   // all slots free
+    this._seed = { x: new Float32Array(n), y: new Float32Array(n), z: new Float32Array(n) };
+
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(this._pos, 3));
+    geo.setAttribute('color',    new THREE.BufferAttribute(this._col, 3));
+    const mat = new THREE.PointsMaterial({
+      size: 0.1,
+      map: _makePuffTexture(),
+      vertexColors: true,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+      sizeAttenuation: true,
+    });
+    this._points = new THREE.Points(geo, mat);
+    this._points.frustumCulled = false;   // puffs roam far from the origin box
+    this._geo = geo;
+    this._mat = mat;
+    this.group.add(this._points);
+  }
+
+  /* ── Public interface ─────────────────────────────────────────── */
+
+  /**
+   * Attach the airflow field — same contract as RainEffect.setFlowCoupling
+   * (world-frame sampler and occupancy). A non-function sampler detaches:
+   * the smoke then only rises.
+   */
+  setFlowCoupling(sampler, occupancy) {
+    this._coupling = typeof sampler === 'function'
+      ? { sampler, occupancy: occupancy && typeof occupancy.sample === 'function' ? occupancy : null }
+      : null;
+  }
+
+  /** Wand tip (world point); null stops emitting — puffs in flight live out. */
+  setEmitter(point) {
+    this._emitter = point && Number.isFinite(point.x) && Number.isFinite(point.y) && Number.isFinite(point.z)
+      ? { x: point.x, y: point.y, z: point.z }
+      : null;
+  }
+
+  getEmitter() {
+    return this._emitter ? { ...this._emitter } : null;
+  }
+
+  /** Drop every puff (car swap, reset). */
+  clear() {
+    this._age.fill(SMOKE_LIFE);
+    this._col.fill(0);
+    this._spawnAcc = 0;
+    this._geo.attributes.color.needsUpdate = true;
+  }
+
+  setCarType() { this.clear(); }
+
+  setSpeed(speed) { this._speed = speed; }
+
+  setVisible(v) {
+    this._visible      = v;
+    this.group.visible = v;
+  }
+
+  /** World-frame already (the sampler subtracts baseY) — nothing to lift. */
+  setBaseY() {}
+
+  update(dt) {
+    if (!this._visible || !(dt > 0)) return;
+    const V   = Math.max(0, this._speed || 0) / 3.6;
+    const cpl = this._coupling;
+    const pos = this._pos, col = this._col, age = this._age;
+
+    // Emit: a steady stream from the wand tip, ring-buffer recycled.
+    if (this._emitter) {
+      this._spawnAcc += dt * SMOKE_RATE;
+      while (this._spawnAcc >= 1) {
+        this._spawnAcc -= 1;
+        const i = this._next;
+        this._next = (this._next + 1) % SMOKE_CAP;
+        pos[i * 3]     = this._seed.x[i] = this._emitter.x;
+        pos[i * 3 + 1] = this._seed.y[i] = this._emitter.y;
+        pos[i * 3 + 2] = this._seed.z[i] = this._emitter.z;
+        age[i] = 0;
+      }
+    }
+
+    const walk = SMOKE_DIFFUSE * Math.sqrt(dt);
+    const p = { x: 0, y: 0, z: 0 };
+    for (let i = 0; i < SMOKE_CAP; i++) {
+      if (age[i] >= SMOKE_LIFE) continue;
+      age[i] += dt;
+      p.x = pos[i * 3]; p.y = pos[i * 3 + 1]; p.z = pos[i * 3 + 2];
+      const q = smokeStep(p, cpl?.sampler ?? null, cpl?.occupancy ?? null, V, dt);
+      pos[i * 3]     = q.x + (Math.random() - 0.5) * walk;
+      pos[i * 3 + 1] = q.y + (Math.random() - 0.5) * walk;
+      pos[i * 3 + 2] = q.z + (Math.random() - 0.5) * walk;
+      const gone = Math.hypot(q.x - this._seed.x[i], q.y - this._seed.y[i], q.z - this._seed.z[i]) > SMOKE_REACH;
+      if (gone) age[i] = SMOKE_LIFE;
+      // Dense at the wand, thinning out as it spreads.
+      const fade = age[i] >= SMOKE_LIFE ? 0 : 0.55 * (1 - age[i] / SMOKE_LIFE);
+      col[i * 3]     = SMOKE_COLOR.r * fade;
+      col[i * 3 + 1] = SMOKE_COLOR.g * fade;
+      col[i * 3 + 2] = SMOKE_COLOR.b * fade;
+    }
+    this._geo.attributes.position.needsUpdate = true;
+    this._geo.attributes.color.needsUpdate    = true;
+  }
+
+  dispose() {
+    this._geo.dispose();
+    this._mat.dispose();
+    this.scene.remove(this.group);
+  }
+}
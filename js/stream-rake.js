@@ -0,0 +1,97 @@
+/**
+ * stream-rake.js — user-placed streamline rakes.
+ *
+ * A rake is the tunnel's seeding comb: a horizontal bar across the flow
+ * with N smoke nozzles along it. The fixed ribbon grid (_buildSeedList in
+ * effects.js) shows the whole car; a rake dropped upstream of one feature
+ * — the sidepod undercut, the front-wing tip — traces only the air that
+ * reaches it, so a lesson can point at a single flow structure.
+ *
+ * Rakes are stored frame-independently so a saved scene fits the car it
+ * was made on whatever frame the model uses:
+ *
+ *   { x, z, height, width, count }
+ *     x, z    — bar centre, car-local metres (nose toward −z)
+ *     height  — metres above the car's ground contact plane
+ *     width   — bar length across the flow (m)
+ *     count   — nozzles along the bar
+ *
+ * AirflowEffect.setRakes turns them into 'rake' seeds (height + groundY)
+ * and clamps the bar upstream of the nose. Scenes persist per car type
+ * in localStorage('fsim-stream-rakes') — same junk-tolerant pattern as the
+ * engine-audio settings. Pure, no Three.js.
+ */
+
+export const RAKE_STORE_KEY = 'fsim-stream-rakes';
+
+export const RAKE_COUNT_MIN  = 2;
+export const RAKE_COUNT_MAX  = 16;
+export const RAKE_WIDTH_MIN  = 0.1;   // m
+export const RAKE_WIDTH_MAX  = 4.0;   // m
+export const RAKE_HEIGHT_MIN = 0.01;  // m above ground
+export const RAKE_HEIGHT_MAX = 2.5;   // m above ground
+export const MAX_RAKES       = 6;     // per car
+
+export const DEFAULT_RAKE = Object.freeze({ x: 0, z: -4, height: 0.3, width: 1.2, count: 8 });
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const num = (v, fallback) => (typeof v === 'number' && Number.isFinite(v) ? v : fallback);
+
+/**
+ * Clamp a rake into range; missing or junk fields take the defaults.
+ * @param {Partial<typeof DEFAULT_RAKE>} rake
+ * @returns {{x:number, z:number, height:number, width:number, count:number}}
+ */
+export function normalizeRake(rake) {
+  return {
+    x:      clamp(num(rake?.x, DEFAULT_RAKE.x), -4, 4),
+    z:      clamp(num(rake?.z, DEFAULT_RAKE.z), -20, 0),
+    height: clamp(num(rake?.height, DEFAULT_RAKE.height), RAKE_HEIGHT_MIN, RAKE_HEIGHT_MAX),
+    width:  clamp(num(rake?.width, DEFAULT_RAKE.width), RAKE_WIDTH_MIN, RAKE_WIDTH_MAX),
+    count:  clamp(Math.round(num(rake?.count, DEFAULT_RAKE.count)), RAKE_COUNT_MIN, RAKE_COUNT_MAX),
+  };
+}
+
+/**
+ * Nozzle positions along a rake, evenly spaced end to end.
+ * @returns {{x:number, z:number, height:number}[]}
+ */
+export function rakeNozzles(rake) {
+  const r = normalizeRake(rake);
+  const out = [];
+  for (let i = 0; i < r.count; i++) {
+    const u = i / (r.count - 1) - 0.5;
+    out.push({ x: r.x + u * r.width, z: r.z, height: r.height });
+  }
+  return out;
+}
+
+/** Restore one car's rake scene from a Storage-like object; junk-tolerant. */
+export function loadRakes(storage, type) {
+  try {
+    const raw = storage?.getItem?.(RAKE_STORE_KEY);
+    if (!raw) return [];
+    const list = JSON.parse(raw)?.[type];
+    if (!Array.isArray(list)) return [];
+    return list.filter(r => r && typeof r === 'object').slice(0, MAX_RAKES).map(normalizeRake);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist one car's rakes, leaving the other cars' scenes alone; an empty
+ * list drops the entry. Storage failures (private mode) are swallowed.
+ */
+export function saveRakes(storage, type, rakes) {
+  try {
+    let all = {};
+    try { all = JSON.parse(storage?.getItem?.(RAKE_STORE_KEY) || '{}') || {}; }
+    catch { all = {}; }
+    if (typeof all !== 'object' || Array.isArray(all)) all = {};
+    const list = (rakes || []).slice(0, MAX_RAKES).map(normalizeRake);
+    if (list.length) all[type] = list;
+    else delete all[type];
+    storage?.setItem?.(RAKE_STORE_KEY, JSON.stringify(all));
+  } catch { /* quota / private mode — non-fatal */ }
+}
@@ -0,0 +1,273 @@
+/**
+ * surface.js — what the tyres are on: the surface-type map along the
+ * track path and what each surface does to the car.
+ *
+ * Pure, no Three.js. The map is read off the TrackPath in track space
+ * (s along the road, lateral offset + = right, like rowPose):
+ *   • kerb    — the red/white rumble rows at ±widthAt(s)/2 (track.js), and
+ *               an apex kerb on the inside of every emitted turn
+ *   • gravel  — a trap beyond the outside kerb from mid-turn to the exit
+ *   • wet     — a damp patch across the road over a `wet` turn's entry
+ *               (TrackPath tags every WET_EVERY_NTH turn)
+ *   • asphalt — the road and the asphalt run-off (track.js ROAD_W)
+ *   • grass   — everything beyond
+ * Turn-attached patches ride the turns through a rebase like the turns.
+ *
+ * racingLine(path, s) is the lateral offset the car drives: out to the
+ * outside on the approach, the inside wheels over the apex kerb at
+ * mid-turn, out to the exit kerb again; racingLinePose adds its heading
+ * and curvature for the car's pose. surfaceEffect turns the surfaces
+ * under the two wheel tracks into grip, a bounce and a roll for the car
+ * body and the surface the engine audio rumbles on (engine-audio.js).
+ */
+
+import { TRACK_WIDTH, rowPose } from './track-path.js';
+
+/* Per surface: grip (× asphalt), wheel lift amplitude (m) over its
+ * wavelength (m), engine-audio rumble level and low-pass tone (Hz).
+ * `ridged` surfaces lift in a regular ridge pattern (the kerb's painted
+ * blocks); the rest are random. */
+export const SURFACES = {
+  asphalt: { grip: 1,    amp: 0,     wavelength: 1,   rumble: 0,    tone: 200,  ridged: false },
+  kerb:    { grip: 0.9,  amp: 0.012, wavelength: 1.2, rumble: 0.14, tone: 420,  ridged: true  },
+  wet:     { grip: 0.7,  amp: 0,     wavelength: 1,   rumble: 0.04, tone: 3200, ridged: false },
+  grass:   { grip: 0.45, amp: 0.008, wavelength: 2.5, rumble: 0.06, tone: 260,  ridged: false },
+  gravel:  { grip: 0.35, amp: 0.016, wavelength: 0.7, rumble: 0.12, tone: 900,  ridged: false },
+};
+
+export const KERB_W           = 0.9;   // m — edge rumble width (track.js rumble rows)
+export const APEX_KERB_W      = 1.2;   // m — apex kerb, inboard of the edge rumble
+export const WHEEL_HALF_TRACK = 0.8;   // m — car centre to each wheel track
+export const GRAVEL_GAP       = 1;     // m of asphalt between the kerb and a gravel trap
+export const GRAVEL_W         = 6;     // m — trap width
+export const GRAVEL_RUN       = 15;    // m the trap runs on past the turn exit (rebase keeps 50)
+export const WET_LEN          = 40;    // m of damp road from a wet turn's entry (at most half the turn)
+export const RACING_LEAD      = 35;    // m to swing out before a turn / back after it —
+                                       // inside TURN_CFG.LOOKAHEAD, so no turn appears mid-swing
+export const RACING_FULL_L    = 80;    // m — shorter turns swing proportionally less
+const RACING_DS     = 1;               // m — racingLinePose difference step
+const RUNOFF_HALF   = 15;              // m — asphalt run-off edge at TRACK_WIDTH (track.js ROAD_W / 2)
+const BOUNCE_FULL   = 20;              // m/s at which the bounce reaches full amplitude
+const G             = 9.81;
+
+/** Kerb line (m from the centre) at s — 5.55 m on the open road. */
+export function kerbEdge(path, s) {
+  return path.widthAt(s) / 2;
+}
+
+/* Run-off asphalt edge: the road widens it like the ground ribbon. */
+function asphaltEdge(edge) {
+  return RUNOFF_HALF + edge - TRACK_WIDTH / 2;
+}
+
+/**
+ * Surface patches attached to the emitted turns overlapping [sMin, sMax],
+ * in track space, with signed lateral bounds lat0 < lat1. The edge rumble
+ * runs the whole road and is not listed.
+ * @returns {Array<{kind:'kerb'|'gravel'|'wet', s0:number, s1:number, lat0:number, lat1:number}>}
+ */
+export function surfacePatches(path, sMin = -Infinity, sMax = Infinity) {
+  const out = [];
+  for (const t of path.turns) {
+    if (t.s1 + GRAVEL_RUN < sMin || t.s0 > sMax) continue;
+    const L = t.s1 - t.s0;
+    const mid = (t.s0 + t.s1) / 2;
+    const edge = kerbEdge(path, mid);
+    // Apex kerb on the inside (a LEFT turn's inside is −lat), centred mid-turn.
+    const half = Math.min(30, Math.max(8, 0.3 * L)) / 2;
+    const inner = edge - KERB_W / 2;
+    out.push(sidePatch(-t.dir, 'kerb', mid - half, mid + half, inner - APEX_KERB_W, inner));
+    // Gravel beyond the outside kerb, where a car runs wide on the exit.
+    const g0 = edge + KERB_W / 2 + GRAVEL_GAP;
+    out.push(sidePatch(t.dir, 'gravel', t.s0 + 0.5 * L, t.s1 + GRAVEL_RUN,
+      g0, Math.min(g0 + GRAVEL_W, asphaltEdge(edge))));
+    if (t.wet) {
+      out.push({ kind: 'wet', s0: t.s0, s1: t.s0 + Math.min(WET_LEN, L / 2), lat0: -edge, lat1: edge });
+    }
+  }
+  return out.filter(p => p.s1 >= sMin && p.s0 <= sMax);
+}
+
+/* A patch between |lat| a and b on one side (+1 right, −1 left). */
+function sidePatch(sign, kind, s0, s1, a, b) {
+  return sign > 0
+    ? { kind, s0, s1, lat0: a, lat1: b }
+    : { kind, s0, s1, lat0: -b, lat1: -a };
+}
+
+/**
+ * How far out (m from the centre) the run-off reaches on `side` (+1 right,
+ * −1 left) at s before the barriers: the kerb line, or the far side of a
+ * gravel trap there — track.js steps the armco back behind it.
+ */
+export function barrierLine(path, s, side) {
+  let d = kerbEdge(path, s);
+  for (const p of surfacePatches(path, s, s)) {
+    if (p.kind !== 'gravel' || Math.sign(p.lat0) !== side) continue;
+    d = Math.max(d, side > 0 ? p.lat1 : -p.lat0);
+  }
+  return d;
+}
+
+/**
+ * Surface under a point of the track at arc-length s, lateral offset lat.
+ * @returns {'asphalt'|'kerb'|'grass'|'gravel'|'wet'}
+ */
+export function surfaceAt(path, s, lat) {
+  const edge = kerbEdge(path, s);
+  const d = Math.abs(lat);
+  if (Math.abs(d - edge) <= KERB_W / 2) return 'kerb';
+  let kind = null;
+  for (const p of surfacePatches(path, s, s)) {
+    if (lat < p.lat0 || lat > p.lat1) continue;
+    if (p.kind === 'kerb') return 'kerb';
+    if (p.kind === 'gravel' || !kind) kind = p.kind;
+  }
+  if (kind) return kind;
+  return d <= asphaltEdge(edge) ? 'asphalt' : 'grass';
+}
+
+/* Racing-line offsets at kerb line `edge`: the apex puts the inside wheel
+ * mid apex kerb, the turn-in and exit put the outside wheel on the edge
+ * rumble. */
+function racingOffsets(edge) {
+  return {
+    apex: edge - KERB_W / 2 - APEX_KERB_W / 2 - WHEEL_HALF_TRACK,
+    out:  edge - KERB_W / 4 - WHEEL_HALF_TRACK,
+  };
+}
+
+/**
+ * Lateral offset of the car's line at s (+ = right of the centre). Each
+ * turn swings out over RACING_LEAD m before it (sin²), dives through it to
+ * the apex at mid-turn and back out (sin² of the turn fraction), and
+ * drifts back to the centre after it. A kink shorter than RACING_FULL_L
+ * swings proportionally less, so the line never crosses the road in a few
+ * metres. Overlapping turns add, clamped to the outside line.
+ */
+export function racingLine(path, s) {
+  const { apex, out } = racingOffsets(kerbEdge(path, s));
+  let lat = 0;
+  for (const t of path.turns) {
+    if (s <= t.s0 - RACING_LEAD || s >= t.s1 + RACING_LEAD) continue;
+    let w;
+    if (s < t.s0) {
+      w = out * Math.sin(Math.PI / 2 * (s - t.s0 + RACING_LEAD) / RACING_LEAD) ** 2;
+    } else if (s > t.s1) {
+      w = out * Math.cos(Math.PI / 2 * (s - t.s1) / RACING_LEAD) ** 2;
+    } else {
+      w = out - (out + apex) * Math.sin(Math.PI * (s - t.s0) / (t.s1 - t.s0)) ** 2;
+    }
+    lat += t.dir * w * Math.min(1, (t.s1 - t.s0) / RACING_FULL_L);   // a LEFT turn's outside is +lat
+  }
+  return Math.max(-out, Math.min(out, lat));
+}
+
+/**
+ * The racing line as the car drives it at s: its offset, its heading
+ * relative to the road (rad, + = nose left like θ; −atan lat′) and its own
+ * curvature (1/m, + = left like curvatureAt) — the centreline's κ less the
+ * swing lat″, over the radius at the offset: (κ − lat″) / (1 + κ·lat).
+ * Derivatives are central differences over RACING_DS.
+ *
+ * main.js poses the car from it (steer, roll, yaw). The loads — tyre and
+ * brake heat, cornerGripScale, the lap simulation — stay on the centreline
+ * κ: the swing has to fit inside TURN_CFG.LOOKAHEAD, so its lat″ alone
+ * reads several g at racing speed, where a real line would ease a corner.
+ * @returns {{lat:number, heading:number, kappa:number}}
+ */
+export function racingLinePose(path, s) {
+  const lat = racingLine(path, s);
+  const ahead = racingLine(path, s + RACING_DS);
+  const behind = racingLine(path, s - RACING_DS);
+  const slope = (ahead - behind) / (2 * RACING_DS);
+  const curve = (ahead - 2 * lat + behind) / (RACING_DS * RACING_DS);
+  const k = path.curvatureAt(s);
+  return { lat, heading: -Math.atan(slope), kappa: (k - curve) / (1 + k * lat) };
+}
+
+/**
+ * A car `back` metres of road behind the one driving the racing line at s
+ * (origin to origin), `offset` to the right of its own line there — in the
+ * lead car's scene frame: the road yawed to the lead's heading and shifted
+ * so the lead's line point sits at the origin (main.js updateTrack). The
+ * position rides the road (curve, grade, banking); rotY is the road's turn
+ * between the two plus the trailing line's heading; `line` is that car's
+ * racingLinePose for its steer and roll.
+ * @returns {{x:number, y:number, z:number, rotY:number, pitch:number,
+ *            bank:number, line:{lat:number, heading:number, kappa:number}}}
+ */
+export function trailingPose(path, s, back, offset = 0) {
+  const s1 = s - back;
+  const line = racingLinePose(path, s1);
+  const at = rowPose(path, s1, line.lat + offset);
+  const o  = rowPose(path, s, racingLine(path, s));
+  // R_y(−θ) of the lead: x' = x cosθ − z sinθ ; z' = x sinθ + z cosθ
+  const c = Math.cos(o.rotY), sn = Math.sin(o.rotY);
+  const dx = at.x - o.x, dz = at.z - o.z;
+  return {
+    x: dx * c - dz * sn,
+    y: at.y - o.y,
+    z: dx * sn + dz * c,
+    rotY: at.rotY - o.rotY + line.heading,
+    pitch: at.pitch,
+    bank: path.bankAt(s1),
+    line,
+  };
+}
+
+/* Smooth value noise in [0, 1] on a unit grid — the random surfaces. */
+function valueNoise(x) {
+  const hash = (i) => {
+    const h = Math.sin(i * 127.1 + 311.7) * 43758.5453;
+    return h - Math.floor(h);
+  };
+  const i = Math.floor(x), f = x - i;
+  const u = f * f * (3 - 2 * f);
+  return hash(i) + (hash(i + 1) - hash(i)) * u;
+}
+
+/**
+ * Wheel lift (m, ≥ 0) rolling over a surface at arc-length s: ridges are
+ * a raised cosine per kerb block pair, the rest value noise.
+ */
+export function wheelLift(name, s) {
+  const f = SURFACES[name] ?? SURFACES.asphalt;
+  if (!f.amp) return 0;
+  const x = s / f.wavelength;
+  return f.amp * (f.ridged ? 0.5 - 0.5 * Math.cos(2 * Math.PI * x) : valueNoise(x));
+}
+
+/**
+ * What the surfaces under the two wheel tracks do to the car at (s, lat)
+ * and speed v (m/s): grip (mean of the sides), the body lift (m, mean of
+ * the sides) and roll (rad, + lifts the right side, like rotation.z), both
+ * fading in up to BOUNCE_FULL, and the rougher side's surface for the
+ * rumble.
+ * @returns {{left:string, right:string, surface:string, grip:number, lift:number, roll:number}}
+ */
+export function surfaceEffect(path, s, lat, v) {
+  const left  = surfaceAt(path, s, lat - WHEEL_HALF_TRACK);
+  const right = surfaceAt(path, s, lat + WHEEL_HALF_TRACK);
+  const fade = Math.min(1, Math.max(0, v) / BOUNCE_FULL);
+  const bL = wheelLift(left, s) * fade;
+  const bR = wheelLift(right, s) * fade;
+  return {
+    left, right,
+    surface: SURFACES[right].rumble > SURFACES[left].rumble ? right : left,
+    grip: (SURFACES[left].grip + SURFACES[right].grip) / 2,
+    lift: (bL + bR) / 2,
+    roll: (bR - bL) / (2 * WHEEL_HALF_TRACK),
+  };
+}
+
+/**
+ * Target-speed factor in a corner on a surface of `grip`: the lateral
+ * load w = v²|κ| / 2g (saturating at 2 g) decides how much of the lost
+ * grip shows — cornering speed goes with √grip at the limit, and a
+ * straight costs nothing.
+ */
+export function cornerGripScale(v, kappa, grip) {
+  const w = Math.min(1, (v * v * Math.abs(kappa)) / (2 * G));
+  return 1 - w * (1 - Math.sqrt(Math.max(0, Math.min(1, grip))));
+}
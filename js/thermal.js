@@ -0,0 +1,241 @@
+/**
+ * thermal.js — lumped brake-disc and tyre temperatures per corner.
+ *
+ * Pure math, no Three.js. Each disc and each tyre is ONE heat capacity C
+ * (J/K) with heat in and heat out, stepped explicitly every frame:
+ *
+ *   C·dT/dt = P_in − G·(T − T_amb) − εσA·(T⁴ − T_amb⁴)
+ *
+ * Brakes — P_in is the braking power the deceleration demands beyond what
+ * aero drag already supplies, (m·a − ½ρCdA·v²)·v, split front/rear by the
+ * brake bias and left/right evenly. G is the brake-duct air stream: mass
+ * flow ṁ = ρ·A_duct·v through a duct whose inlet the car publishes as a
+ * frontBrakeDuct / rearBrakeDuct anchor (car-manifest.js), times c_p and a
+ * pick-up effectiveness. An axle with no duct anchor only gets the wheel
+ * wash, a quarter of that. Carbon discs glow: radiation matters above
+ * ~600 °C and is what caps them near 1000 °C under repeated stops.
+ *
+ * Tyres — P_in is rolling hysteresis (c_rr·F_z·v) plus slip heating in
+ * corners (F_y·v·slip); F_z carries weight, downforce and the lateral load
+ * transfer of the cornering acceleration v²·κ (outside wheels loaded), and
+ * a share of the brake heat soaks through the rim. G grows with speed as
+ * forced convection. F1 tyres leave the blankets warm; GT tyres start at
+ * ambient.
+ *
+ * Corners follow the car frame: L at −x, R at +x. A left turn (κ > 0)
+ * throws the load outward to +x (track-path.js rainLateralAccel).
+ */
+
+export const AMBIENT_C = 25;
+export const CORNERS = ['FL', 'FR', 'RL', 'RR'];
+
+const RHO   = 1.2;        // air density (kg/m³)
+const CP    = 1005;       // air heat capacity (J/kg·K)
+const SIGMA = 5.67e-8;    // Stefan–Boltzmann (W/m²·K⁴)
+const G     = 9.81;
+const KELVIN = 273.15;
+
+/* Per-car parameters. Masses and drag areas are round race-car numbers;
+ * the tyre windows are the operating bands the HUD colours against. */
+const THERMAL = {
+  F1: {
+    mass: 798, cdA: 1.5, clA: 4.0, bias: 0.57, cgH: 0.30, track: 1.60,
+    disc:  { C: 1500, area: 0.10, emis: 0.85, duct: 0.006, base: 4 },
+    tyre:  { C: 17000, area: 1.2, crr: 0.04, slip: 0.08, soak: 0.04, h0: 10, hv: 6, start: 70 },
+    window: [90, 120],
+  },
+  GT: {
+    mass: 1450, cdA: 0.8, clA: 1.2, bias: 0.62, cgH: 0.45, track: 1.65,
+    disc:  { C: 4500, area: 0.14, emis: 0.80, duct: 0.008, base: 6 },
+    tyre:  { C: 19000, area: 1.4, crr: 0.04, slip: 0.08, soak: 0.04, h0: 10, hv: 6, start: AMBIENT_C },
+    window: [80, 105],
+  },
+};
+const DUCT_EFFECT = 0.15;    // share of the duct stream that picks up disc heat
+const WHEEL_WASH  = 0.25;    // duct-less axle: fraction of the ducted flow
+
+function paramsFor(type) {
+  return THERMAL[type] || THERMAL.F1;
+}
+
+/**
+ * Fresh temperatures (°C) for a car: discs at ambient, tyres at their
+ * starting temperature (blankets for the F1).
+ * @param {string} [type='F1']
+ * @returns {{type:string, brake:Object<string,number>, tyre:Object<string,number>}}
+ */
+export function createThermalState(type = 'F1') {
+  const p = paramsFor(type);
+  const brake = {}, tyre = {};
+  for (const c of CORNERS) {
+    brake[c] = AMBIENT_C;
+    tyre[c]  = p.tyre.start;
+  }
+  return { type: p === THERMAL[type] ? type : 'F1', brake, tyre };
+}
+
+/**
+ * Brake-duct inlet area per axle (m²) from the car's anchors: the full duct
+ * where a front / rear brake-duct anchor exists (either side), else the
+ * wheel-wash fraction.
+ * @param {object|null} anchors - measure.anchors
+ * @param {string} [type='F1']
+ * @returns {{front:number, rear:number}}
+ */
+export function brakeDuctAreas(anchors, type = 'F1') {
+  const d = paramsFor(type).disc.duct;
+  const has = (k) => !!(anchors?.[`${k}L`] || anchors?.[`${k}R`]);
+  return {
+    front: d * (has('frontBrakeDuct') ? 1 : WHEEL_WASH),
+    rear:  d * (has('rearBrakeDuct')  ? 1 : WHEEL_WASH),
+  };
+}
+
+/**
+ * Total braking power (W) the brakes absorb: the decelerating force beyond
+ * aero drag, times speed. Zero while accelerating or coasting on drag.
+ * @param {number} v      - speed (m/s)
+ * @param {number} decel  - deceleration (m/s², positive slowing)
+ * @param {string} [type='F1']
+ */
+export function brakePower(v, decel, type = 'F1') {
+  const p = paramsFor(type);
+  if (!(v > 0) || !(decel > 0)) return 0;
+  const drag = 0.5 * RHO * p.cdA * v * v;
+  return Math.max(0, p.mass * decel - drag) * v;
+}
+
+/**
+ * Vertical load per corner (N): weight and downforce split evenly, plus
+ * the lateral transfer m·a_lat·h / track onto the outside wheels.
+ * @param {number} v     - speed (m/s)
+ * @param {number} kappa - path curvature (1/m, + = left turn)
+ * @param {string} [type='F1']
+ * @returns {Object<string,number>}
+ */
+export function cornerLoads(v, kappa, type = 'F1') {
+  const p = paramsFor(type);
+  const base = (p.mass * G + 0.5 * RHO * p.clA * v * v) / 4;
+  const aLat = v * v * (Number.isFinite(kappa) ? kappa : 0);
+  const dFz = (p.mass * aLat * p.cgH / p.track) / 2;   // per wheel on each axle
+  const out = {};
+  for (const c of CORNERS) {
+    const side = c[1] === 'R' ? 1 : -1;
+    out[c] = Math.max(0, base + side * dFz);
+  }
+  return out;
+}
+
+/**
+ * Advance every corner by dt. Returns a NEW state (the input is left alone).
+ * @param {object} state - createThermalState result
+ * @param {object} inp
+ * @param {number} inp.speedKmh
+ * @param {number} inp.decel     - m/s², positive slowing (speed history)
+ * @param {number} [inp.kappa=0] - path curvature under the car (1/m)
+ * @param {{front:number, rear:number}} [inp.ducts] - brakeDuctAreas
+ * @param {number} dt - seconds
+ */
+export function stepThermal(state, inp, dt) {
+  const p = paramsFor(state.type);
+  if (!(dt > 0)) return state;
+  const v = Math.max(0, (inp.speedKmh || 0) / 3.6);
+  const ducts = inp.ducts || brakeDuctAreas(null, state.type);
+  const kappa = inp.kappa || 0;
+  const pBrake = brakePower(v, inp.decel, state.type);
+  const loads  = cornerLoads(v, kappa, state.type);
+  const latPerWheel = p.mass / 4 * v * v * Math.abs(kappa);
+  const hT = (p.tyre.h0 + p.tyre.hv * v ** 0.8) * p.tyre.area;
+
+  const brake = {}, tyre = {};
+  for (const c of CORNERS) {
+    const front = c[0] === 'F';
+    const share = (front ? p.bias : 1 - p.bias) / 2;
+    const qIn = pBrake * share;
+
+    // Disc: braking heat in, duct convection + base convection + radiation out.
+    const Tb  = state.brake[c];
+    const mDot = RHO * (front ? ducts.front : ducts.rear) * v;
+    const gB  = p.disc.base + mDot * CP * DUCT_EFFECT;
+    const tK  = Tb + KELVIN, aK = AMBIENT_C + KELVIN;
+    const rad = p.disc.emis * SIGMA * p.disc.area * (tK ** 4 - aK ** 4);
+    brake[c] = Tb + dt * (qIn * (1 - p.tyre.soak) - gB * (Tb - AMBIENT_C) - rad) / p.disc.C;
+
+    // Tyre: hysteresis + cornering slip + rim soak in, forced convection out.
+    const Tt  = state.tyre[c];
+    const fz  = loads[c];
+    // Lateral grip shares the axle's load: the loaded outside tyre works harder.
+    const axle = front ? loads.FL + loads.FR : loads.RL + loads.RR;
+    const fy  = axle > 0 ? latPerWheel * 2 * fz / axle : 0;
+    const tIn = p.tyre.crr * fz * v + fy * v * p.tyre.slip + qIn * p.tyre.soak;
+    tyre[c] = Tt + dt * (tIn - hT * (Tt - AMBIENT_C)) / p.tyre.C;
+  }
+  return { type: state.type, brake, tyre };
+}
+
+/**
+ * Where a tyre temperature sits against the car's operating window:
+ * 'cold' | 'ok' | 'hot'.
+ */
+export function tyreBand(tempC, type = 'F1') {
+  const [lo, hi] = paramsFor(type).window;
+  return tempC < lo ? 'cold' : tempC > hi ? 'hot' : 'ok';
+}
+
+/**
+ * Brake glow colour for a disc temperature: nothing below 300 °C, then the
+ * incandescent ramp — dull red, orange, yellow-white by 1000 °C.
+ * `intensity` (0..1.6) is the emissive strength to apply with it.
+ * @returns {{r:number, g:number, b:number, intensity:number}}
+ */
+export function brakeGlowColor(tempC) {
+  const t = Math.min(1, Math.max(0, (tempC - 300) / 700));
+  return {
+    r: 1,
+    g: Math.min(1, 0.12 + 0.80 * t * t),
+    b: Math.max(0, 0.9 * t - 0.6) * 1.5,
+    intensity: t * t * 1.6,
+  };
+}
+
+/**
+ * Tyre thermal colour against the car's window: blue cold → green at the
+ * window's middle → red 20 °C past its top.
+ * @returns {{r:number, g:number, b:number}}
+ */
+export function tyreHeatColor(tempC, type = 'F1') {
+  const [lo, hi] = paramsFor(type).window;
+  const mid = (lo + hi) / 2;
+  if (tempC <= mid) {
+    const t = Math.min(1, Math.max(0, (tempC - (lo - 50)) / (mid - (lo - 50))));
+    return { r: 0.1, g: 0.35 + 0.55 * t, b: 1 - 0.85 * t };
+  }
+  const t = Math.min(1, Math.max(0, (tempC - mid) / (hi + 20 - mid)));
+  return { r: 0.1 + 0.9 * t, g: 0.9 - 0.75 * t, b: 0.15 };
+}
+
+const CALIPER_SHARE = 0.35;   // caliper rise as a share of its disc's
+
+/** Corner key ('FL' …) from a wheel / brake object name, or null. */
+export function cornerOf(name) {
+  const m = /([FR][LR])$/.exec(name || '');
+  return m ? m[1] : null;
+}
+
+/**
+ * Write the brake glow onto the car's brake_* meshes (discs at their own
+ * temperature, brake_cal_* calipers at CALIPER_SHARE of the rise). Entries
+ * without a material — an empty GLB parent, a null slot — are skipped.
+ * @param {Object<string, object>} brakes - state.brakes (name → mesh)
+ * @param {object} thermal - createThermalState / stepThermal result
+ */
+export function paintBrakes(brakes, thermal) {
+  Object.entries(brakes).forEach(([name, b]) => {
+    const c = cornerOf(name);
+    if (!b?.material || !c) return;
+    const rise = thermal.brake[c] - AMBIENT_C;
+    const g = brakeGlowColor(AMBIENT_C + rise * (name.startsWith('brake_cal_') ? CALIPER_SHARE : 1));
+    b.material.emissive?.setRGB(g.r, g.g, g.b);
+    b.material.emissiveIntensity = g.intensity;
+  });
+}
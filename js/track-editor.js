@@ -0,0 +1,311 @@
+/**
+ * track-editor.js — user-authored layouts for the track editor.
+ *
+ * A layout is a list of turns driven lap after lap, each preceded by the
+ * straight that leads into it:
+ *
+ *   { name, turns: [{ gap, dir, radius, length, rampIn, rampOut }] }
+ *     gap      — straight before the turn (m); turn 0's gap is the start
+ *                straight, the lap runs on from the last turn into it
+ *     dir      — +1 LEFT, −1 RIGHT
+ *     radius   — radius of the constant-κ hold (m)
+ *     length   — arc length of the hold (m)
+ *     rampIn / rampOut — clothoid ramps either side (m): κ rises linearly
+ *                from 0 to 1/radius and falls back
+ *
+ * Each turn is the same trapezoid TrackPath emits for the signature corner
+ * (_emitRealCorner, shape 'real'), with its own radius, hold and ramps; the
+ * layout becomes a buildCircuit circuit and is driven like the bundled
+ * ones (setCircuit). A layout need not close — every lap simply starts
+ * where the last one ended — but the editor reports how far off it is.
+ *
+ * Layouts save as JSON files and persist in localStorage
+ * ('fsim-track-layout') with the same junk-tolerant pattern as the
+ * streamline rakes. The top-down view (layoutTrace / editorScale /
+ * drawLayout) follows cp-chart.js: the maths is pure and testable, the
+ * canvas calls are a thin wrapper. No Three.js.
+ */
+
+import { buildCircuit, circuitCurvature } from './track-path.js';
+
+export const LAYOUT_STORE_KEY = 'fsim-track-layout';
+export const MAX_TURNS = 30;
+
+/* Slider ranges (index.html #track-editor) — normalizeTurn clamps to them. */
+export const EDITOR_LIMITS = {
+  gap:     [0, 1500],
+  radius:  [15, 800],
+  length:  [0, 1000],
+  rampIn:  [0, 200],
+  rampOut: [0, 200],
+};
+const MIN_TURN = 1;     // m — a turn can't vanish (hold + ramps)
+const NAME_MAX = 24;
+
+export const DEFAULT_TURN = Object.freeze({
+  gap: 200, dir: 1, radius: 60, length: 60, rampIn: 15, rampOut: 15,
+});
+
+/* A rectangle of four left-handers: closes exactly. */
+const QUARTER = { dir: 1, radius: 60, length: 60 * Math.PI / 2 - 15, rampIn: 15, rampOut: 15 };
+export const DEFAULT_LAYOUT = Object.freeze({
+  name: 'Custom',
+  turns: [
+    { gap: 400, ...QUARTER }, { gap: 200, ...QUARTER },
+    { gap: 400, ...QUARTER }, { gap: 200, ...QUARTER },
+  ],
+});
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const num = (v, fallback) => (typeof v === 'number' && Number.isFinite(v) ? v : fallback);
+
+/**
+ * Clamp a turn into the editor's ranges; missing or junk fields take the
+ * defaults.
+ * @param {Partial<typeof DEFAULT_TURN>} turn
+ * @returns {{gap:number, dir:number, radius:number, length:number, rampIn:number, rampOut:number}}
+ */
+export function normalizeTurn(turn) {
+  const field = (key) => clamp(num(turn?.[key], DEFAULT_TURN[key]), ...EDITOR_LIMITS[key]);
+  const t = {
+    gap:     field('gap'),
+    dir:     num(turn?.dir, DEFAULT_TURN.dir) < 0 ? -1 : 1,
+    radius:  field('radius'),
+    length:  field('length'),
+    rampIn:  field('rampIn'),
+    rampOut: field('rampOut'),
+  };
+  if (t.length + t.rampIn + t.rampOut < MIN_TURN) t.length = MIN_TURN;
+  return t;
+}
+
+/**
+ * Normalize a whole layout: a trimmed name and 1…MAX_TURNS turns (the
+ * default layout's when none are usable).
+ * @returns {{name:string, turns:ReturnType<typeof normalizeTurn>[]}}
+ */
+export function normalizeLayout(layout) {
+  const name = typeof layout?.name === 'string' && layout.name.trim()
+    ? layout.name.trim().slice(0, NAME_MAX) : DEFAULT_LAYOUT.name;
+  const raw = Array.isArray(layout?.turns)
+    ? layout.turns.filter(t => t && typeof t === 'object') : [];
+  const turns = (raw.length ? raw : DEFAULT_LAYOUT.turns).slice(0, MAX_TURNS).map(normalizeTurn);
+  return { name, turns };
+}
+
+/** Signed heading change through a turn (rad, + = left). */
+export function turnAngle(turn) {
+  return turn.dir * (turn.length + (turn.rampIn + turn.rampOut) / 2) / turn.radius;
+}
+
+/**
+ * The layout as a buildCircuit circuit — what TrackPath, the lap
+ * simulation and the lap timer drive. corners[i] is turns[i].
+ */
+export function editorCircuit(layout) {
+  const { name, turns } = normalizeLayout(layout);
+  const segments = turns.flatMap(t => [
+    { straight: t.gap },
+    {
+      radius: t.radius, angle: turnAngle(t) * 180 / Math.PI,
+      rampIn: t.rampIn, rampOut: t.rampOut,
+    },
+  ]);
+  return buildCircuit(name, segments);
+}
+
+/**
+ * Top-down trace of a circuit in track space (start at the origin heading
+ * −z, as TrackPath drives it), every `step` m, plus where one lap ends:
+ * its distance from the start and its heading error off a whole number of
+ * turns (0 for a closed layout).
+ * @returns {{points:Array<{s:number, x:number, z:number}>, gap:number, heading:number}}
+ */
+export function layoutTrace(circuit, step = 2) {
+  const n = Math.max(1, Math.ceil(circuit.length / step));
+  const ds = circuit.length / n;
+  const points = [{ s: 0, x: 0, z: 0 }];
+  let th = 0, x = 0, z = 0;
+  for (let i = 0; i < n; i++) {
+    const s = i * ds;
+    const mid = th + circuitCurvature(circuit, s + ds / 4) * ds / 2;
+    x -= Math.sin(mid) * ds;
+    z -= Math.cos(mid) * ds;
+    th += circuitCurvature(circuit, s + ds / 2) * ds;
+    points.push({ s: s + ds, x, z });
+  }
+  const turns = Math.round(th / (2 * Math.PI));
+  return { points, gap: Math.hypot(x, z), heading: th - 2 * Math.PI * turns };
+}
+
+/**
+ * Fit a trace into a w × h CSS-px canvas with `pad` px margins, same scale
+ * on both axes, forward (−z) up. Pure — exported for tests.
+ * @returns {{scale:number, px:(x:number)=>number, py:(z:number)=>number,
+ *            toTrack:(u:number, v:number)=>{x:number, z:number}}}
+ */
+export function editorScale(points, w, h, pad = 14) {
+  let x0 = Infinity, x1 = -Infinity, z0 = Infinity, z1 = -Infinity;
+  for (const p of points) {
+    x0 = Math.min(x0, p.x); x1 = Math.max(x1, p.x);
+    z0 = Math.min(z0, p.z); z1 = Math.max(z1, p.z);
+  }
+  const scale = Math.min((w - 2 * pad) / Math.max(x1 - x0, 1), (h - 2 * pad) / Math.max(z1 - z0, 1));
+  const cx = (x0 + x1) / 2, cz = (z0 + z1) / 2;
+  return {
+    scale,
+    px: x => w / 2 + (x - cx) * scale,
+    py: z => h / 2 + (z - cz) * scale,
+    toTrack: (u, v) => ({ x: cx + (u - w / 2) / scale, z: cz + (v - h / 2) / scale }),
+  };
+}
+
+/** Lap distance of the trace point nearest track-space (x, z). */
+export function nearestS(points, x, z) {
+  let best = points[0], d2 = Infinity;
+  for (const p of points) {
+    const d = (p.x - x) ** 2 + (p.z - z) ** 2;
+    if (d < d2) { d2 = d; best = p; }
+  }
+  return best.s;
+}
+
+/**
+ * What a click at lap distance s on the layout means: the turn it falls
+ * on, or the straight leading into a turn (`straight` true).
+ * @returns {{index:number, straight:boolean}}
+ */
+export function pickTurn(circuit, s) {
+  const corners = circuit.corners;
+  for (let i = 0; i < corners.length; i++) {
+    if (s <= corners[i].s1) return { index: i, straight: s < corners[i].s0 };
+  }
+  return { index: 0, straight: true };
+}
+
+/**
+ * Insert a DEFAULT_TURN at lap distance s on the straight before turn
+ * `index`: the new turn takes the straight up to s, the old one keeps the
+ * rest. Returns the new layout and the new turn's index.
+ */
+export function insertTurnAt(layout, circuit, s, index) {
+  const { name, turns } = normalizeLayout(layout);
+  if (turns.length >= MAX_TURNS) return { layout: { name, turns }, index };
+  const start = index > 0 ? circuit.corners[index - 1].s1 : 0;
+  const end = circuit.corners[index].s0;
+  const at = clamp(s, start, end);
+  const next = turns.slice();
+  next.splice(index, 1, normalizeTurn({ ...DEFAULT_TURN, gap: at - start }),
+    { ...turns[index], gap: end - at });
+  return { layout: { name, turns: next }, index };
+}
+
+/** Pretty JSON for a saved layout file. */
+export function layoutToJSON(layout) {
+  return JSON.stringify(normalizeLayout(layout), null, 2);
+}
+
+/**
+ * Parse a layout file. Unlike the storage loader this one reports what is
+ * wrong — the user picked the file.
+ */
+export function parseLayout(text) {
+  let raw;
+  try { raw = JSON.parse(text); } catch (err) {
+    throw new Error(`[track-editor] not a JSON layout: ${err.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.turns) || !raw.turns.length) {
+    throw new Error('[track-editor] a layout needs a non-empty "turns" list');
+  }
+  return normalizeLayout(raw);
+}
+
+/** Restore the editor's layout from a Storage-like object; junk-tolerant. */
+export function loadLayout(storage) {
+  try {
+    const raw = storage?.getItem?.(LAYOUT_STORE_KEY);
+    return normalizeLayout(raw ? JSON.parse(raw) : null);
+  } catch {
+    return normalizeLayout(null);
+  }
+}
+
+/** Persist the editor's layout. Storage failures (private mode) are swallowed. */
+export function saveLayout(storage, layout) {
+  try {
+    storage?.setItem?.(LAYOUT_STORE_KEY, JSON.stringify(normalizeLayout(layout)));
+  } catch { /* quota / private mode — non-fatal */ }
+}
+
+/* Editor colours — the road, the selected turn, the start line. */
+const COLORS = { road: '#ccd6e4', turn: '#ffd23c', sel: '#ff5a4a', start: '#38e07b', gap: '#ff5a4a' };
+
+/**
+ * Render a layout's trace into `canvas` (sized to its CSS box ×
+ * devicePixelRatio): the lap, turn numbers, the selected turn and the
+ * start line; the gap back to the start dashed when it doesn't close.
+ */
+export function drawLayout(canvas, circuit, trace, sel = -1) {
+  const ctx = canvas?.getContext?.('2d');
+  if (!ctx) return;
+  const dpr = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+  const w = canvas.clientWidth || canvas.width;
+  const h = canvas.clientHeight || canvas.height;
+  if (canvas.width !== Math.round(w * dpr)) canvas.width = Math.round(w * dpr);
+  if (canvas.height !== Math.round(h * dpr)) canvas.height = Math.round(h * dpr);
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, w, h);
+
+  const { points } = trace;
+  const { px, py } = editorScale(points, w, h);
+  const path = (from, to) => {
+    ctx.beginPath();
+    let pen = false;
+    for (const p of points) {
+      if (p.s < from || p.s > to) continue;
+      if (pen) ctx.lineTo(px(p.x), py(p.z));
+      else ctx.moveTo(px(p.x), py(p.z));
+      pen = true;
+    }
+    ctx.stroke();
+  };
+
+  ctx.lineJoin = 'round';
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = COLORS.road;
+  path(0, circuit.length);
+  circuit.corners.forEach((c, i) => {
+    ctx.strokeStyle = i === sel ? COLORS.sel : COLORS.turn;
+    ctx.lineWidth = i === sel ? 5 : 3;
+    path(c.s0, c.s1);
+  });
+
+  const last = points[points.length - 1];
+  if (trace.gap > 1) {
+    ctx.setLineDash([4, 4]);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = COLORS.gap;
+    ctx.beginPath();
+    ctx.moveTo(px(last.x), py(last.z));
+    ctx.lineTo(px(0), py(0));
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  // Start line across the road, and the turn numbers at their midpoints.
+  ctx.strokeStyle = COLORS.start;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(px(-8), py(0));
+  ctx.lineTo(px(8), py(0));
+  ctx.stroke();
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  circuit.corners.forEach((c, i) => {
+    const mid = (c.s0 + c.s1) / 2;
+    const p = points.reduce((a, b) => (Math.abs(b.s - mid) < Math.abs(a.s - mid) ? b : a));
+    ctx.fillStyle = i === sel ? COLORS.sel : '#ffffff';
+    ctx.fillText(String(i + 1), px(p.x) + 8, py(p.z) - 8);
+  });
+}
@@ -11,6 +11,18 @@
  *   • Positive curvature/yaw ⇒ θ grows ⇒ nose toward −x ⇒ LEFT turn.
  *   • κ(s) = dir·κmax·sin²(π(s−s0)/L) with κmax = MAX_YAW_RATE/v_emit
  *     clamped to 1/MIN_RADIUS; L = duration·v_emit. ∫κ ds = κmax·L/2.
+ *   • Circuit mode (setCircuit): instead of the random schedule, a closed
+ *     circuit's corners are emitted lap after lap from a start line beyond
+ *     the horizon. Corners are trapezoids like REAL_CORNER, with their own
+ *     clothoid ramp length. Imported circuits (circuit-import.js) carry a
+ *     sampled κ profile instead; their corners are emitted as 'profile'
+ *     turns that read κ straight from it, and widthAt follows the file's
+ *     track width.
+ *   • Elevation and banking: gradeAt(s) (dy/ds) is integrated into the
+ *     knots' y alongside θ; bankAt(s) is read directly (rad, + = right
+ *     edge raised — banked for a LEFT turn, like κ). On the open road only
+ *     the signature corner is banked and climbs; a circuit's grade and
+ *     bank come from its layout (circuitGrade / circuitBank).
  */
 
 export const TURN_CFG = {
@@ -50,22 +62,35 @@ export const REAL_CORNER = {
   HOLD:      180,
   RAMP:      12,
   EVERY_NTH: 3,
+  BANK:      8,    // deg into the corner, following the κ trapezoid
+  RISE:      5,    // m climbed through the corner — alternately up and down
 };
 
+/* Every WET_EVERY_NTH emitted turn (and circuit corner) is tagged `wet`:
+ * a damp patch lies across its entry (surface.js). */
+export const WET_EVERY_NTH = 4;
+
 export class TrackPath {
   constructor(rng = Math.random) {
     this._rng = rng;
     this.turns = [];          // [{s0, s1, kMax, dir, vEmit, emitS}]
     this.epoch = 0;           // bumped on rebase — consumers must re-place rows
+    this._rebased = [0];      // total s removed by rebases, indexed by epoch
+    this._rebaseFrames = [];  // car pose each rebase re-rooted at, indexed by the epoch it ended
     this._turnMode = 'auto';
     this._lastDir = 0;
     this._gapTimer = 0;
     this._nextGap = this._uniform(TURN_CFG.GAP_MIN_S, TURN_CFG.GAP_MAX_S);
     // progressive integration knots from s=0: forward (s ≥ 0) and backward
     // (s < 0 — the road behind the start) arrays on the KNOT_DS grid
-    this._knots = [{ s: 0, x: 0, z: 0, theta: 0 }];
+    this._knots = [{ s: 0, x: 0, y: 0, z: 0, theta: 0 }];
     this._knotsBack = [];
-    this._car = { s: 0, x: 0, z: 0, theta: 0 };
+    this._car = { s: 0, x: 0, y: 0, z: 0, theta: 0 };
+    this._circuit = null;     // closed layout driven lap after lap (setCircuit)
+    this._lapS0 = 0;          // track-space s of the circuit's start line
+    this._circuitNext = 0;    // next corner to emit, counted across laps
+    this._layouts = [];       // [{circuit, lapS0, end}] driven layouts whose width, grade
+                              // and bank the road follows over [lapS0, end), oldest first
   }
 
   get pose() { return this._car; }
@@ -88,16 +113,119 @@ export class TrackPath {
 
   _uniform(a, b) { return a + this._rng() * (b - a); }
 
+  /**
+   * Drive a closed circuit (buildCircuit) instead of random turns; null
+   * returns to the random schedule. The start line goes where the next
+   * random turn would have — beyond the visible road and after any turn
+   * already emitted — so nothing on screen changes shape. Leaving a
+   * circuit, its width, hills and banking hold (against its own start
+   * line) to the last corner or its emission horizon, whichever is
+   * further: that road is already drawn.
+   */
+  setCircuit(circuit) {
+    const genEnd = this.turns.length ? this.turns[this.turns.length - 1].s1 : 0;
+    const handoff = this._circuit ? Math.max(genEnd, this._car.s + CIRCUIT_AHEAD) : genEnd;
+    const old = this._layouts[this._layouts.length - 1];
+    if (old && old.end > handoff) old.end = handoff;
+    this._circuit = circuit || null;
+    this._gapTimer = 0;
+    if (!this._circuit) return;
+    this._lapS0 = Math.max(handoff, this._car.s + TURN_CFG.LOOKAHEAD);
+    this._circuitNext = 0;
+    this._layouts.push({ circuit, lapS0: this._lapS0, end: Infinity });
+    this._emitCircuit(this._car.s + CIRCUIT_AHEAD);
+  }
+
+  /* The driven layout under s — null between layouts and off-circuit. */
+  _layoutAt(s) {
+    for (const l of this._layouts) if (s >= l.lapS0 && s < l.end) return l;
+    return null;
+  }
+
+  /**
+   * Track width (m, kerb to kerb) at track-space s: the width profile of
+   * the circuit driven there from its start line on, blended in and out
+   * over WIDTH_BLEND, else TRACK_WIDTH.
+   */
+  widthAt(s) {
+    const l = this._layoutAt(s);
+    const prof = l?.circuit.profile;
+    if (!prof?.width) return TRACK_WIDTH;
+    const w = sampleProfile(prof.width, prof.ds, s - l.lapS0);
+    return TRACK_WIDTH + (w - TRACK_WIDTH) * layoutBlend(l, s);
+  }
+
+  /** Road grade dy/ds at track-space s (+ = climbing). */
+  gradeAt(s) {
+    const l = this._layoutAt(s);
+    const blend = l ? layoutBlend(l, s) : 0;
+    if (blend > 0) return blend * circuitGrade(l.circuit, s - l.lapS0);
+    const t = this._turnAt(s);
+    if (!t?.rise) return 0;
+    const u = (s - t.s0) / (t.s1 - t.s0);
+    return (t.rise / (t.s1 - t.s0)) * (1 - Math.cos(2 * Math.PI * u));
+  }
+
+  /** Banking angle (rad, + = right edge raised) at track-space s. */
+  bankAt(s) {
+    const l = this._layoutAt(s);
+    const blend = l ? layoutBlend(l, s) : 0;
+    if (blend > 0) return blend * circuitBank(l.circuit, s - l.lapS0);
+    const t = this._turnAt(s);
+    return t?.bank ? t.bank * this.curvatureAt(s) / t.kMax : 0;
+  }
+
+  _turnAt(s) {
+    for (const t of this.turns) if (s > t.s0 && s < t.s1) return t;
+    return null;
+  }
+
+  /**
+   * Lap count and lap distance at track-space s (default: the car). lap is
+   * −1 on the approach to the first start line. Null off-circuit.
+   * @returns {{lap:number, s:number}|null}
+   */
+  circuitPosition(s = this._car.s) {
+    if (!this._circuit) return null;
+    const L = this._circuit.length;
+    const d = s - this._lapS0;
+    const lap = Math.floor(d / L);
+    return { lap, s: d - lap * L };
+  }
+
+  /* Emit circuit corners (lap after lap) until one starts beyond sMax. */
+  _emitCircuit(sMax) {
+    const c = this._circuit;
+    const n = c.corners.length;
+    if (!n) return;
+    for (;;) {
+      const lap = Math.floor(this._circuitNext / n);
+      const k = c.corners[this._circuitNext % n];
+      const s0 = this._lapS0 + lap * c.length + k.s0;
+      if (s0 > sMax) return;
+      const s1 = this._lapS0 + lap * c.length + k.s1;
+      this.turns.push(c.profile
+        ? { s0, s1, kMax: k.kMax, dir: k.dir, kappa: c.profile.kappa, ds: c.profile.ds,
+            u0: k.s0, vEmit: 0, emitS: this._car.s, shape: 'profile' }
+        : { s0, s1, kMax: k.kMax, dir: k.dir, ramp: k.ramp, rampOut: k.rampOut,
+            vEmit: 0, emitS: this._car.s, shape: 'real' });
+      this.turns[this.turns.length - 1].wet = this._circuitNext % n % WET_EVERY_NTH === WET_EVERY_NTH - 1;
+      this._circuitNext += 1;
+    }
+  }
+
   /* κ(s) from the emitted turn list (turns never overlap). */
   curvatureAt(s) {
     for (const t of this.turns) {
       if (s > t.s0 && s < t.s1) {
+        if (t.shape === 'profile') return sampleProfile(t.kappa, t.ds, t.u0 + s - t.s0);
         if (t.shape === 'real') {
           // Trapezoid: linear clothoid ramp → constant 1/R hold → ramp out.
           const ds = s - t.s0;
-          const { RAMP } = REAL_CORNER;
+          const RAMP = t.ramp ?? REAL_CORNER.RAMP;
+          const RAMP_OUT = t.rampOut ?? RAMP;
           if (ds < RAMP) return t.kMax * (ds / RAMP);
-          if (s > t.s1 - RAMP) return t.kMax * ((t.s1 - s) / RAMP);
+          if (s > t.s1 - RAMP_OUT) return t.kMax * ((t.s1 - s) / RAMP_OUT);
           return t.kMax;
         }
         const u = (s - t.s0) / (t.s1 - t.s0);
@@ -115,13 +243,18 @@ export class TrackPath {
     this.turns.push({ s0, s1: s0 + L, kMax, dir, vEmit, emitS: this._car.s });
   }
 
-  /* The signature corner: fixed real-world geometry, independent of speed. */
+  /* The signature corner: fixed real-world geometry, independent of speed.
+   * Banked into the turn; it climbs and descends on alternate visits so the
+   * open road rolls without drifting ever upward. */
   _emitRealCorner({ s0, dir, vEmit }) {
-    const { RADIUS, HOLD, RAMP } = REAL_CORNER;
+    const { RADIUS, HOLD, RAMP, BANK, RISE } = REAL_CORNER;
+    this._realCount = (this._realCount ?? 0) + 1;
     this.turns.push({
       s0, s1: s0 + HOLD + 2 * RAMP,
       kMax: dir / RADIUS, dir, vEmit,
       emitS: this._car.s, shape: 'real',
+      bank: dir * BANK * Math.PI / 180,
+      rise: this._realCount % 2 ? RISE : -RISE,
     });
   }
 
@@ -134,6 +267,7 @@ export class TrackPath {
       const next = {
         s: last.s + ds,
         x: last.x - Math.sin(thetaMid) * ds,
+        y: last.y + this.gradeAt(last.s + ds / 2) * ds,
         z: last.z - Math.cos(thetaMid) * ds,
         theta: last.theta + this.curvatureAt(last.s + ds / 2) * ds,
       };
@@ -153,6 +287,7 @@ export class TrackPath {
       const next = {
         s: last.s + ds,
         x: last.x - Math.sin(thetaMid) * ds,
+        y: last.y + this.gradeAt(last.s + ds / 2) * ds,
         z: last.z - Math.cos(thetaMid) * ds,
         theta: last.theta + this.curvatureAt(last.s + ds / 2) * ds,
       };
@@ -161,6 +296,25 @@ export class TrackPath {
     }
   }
 
+  /**
+   * The integrated path from s0 to s1: knots every `step` m (rounded to
+   * the KNOT_DS grid) between the exact poses at both ends — for drawing
+   * it (minimap.js).
+   * @returns {Array<{s:number, x:number, y:number, z:number, theta:number}>}
+   */
+  trace(s0, s1, step = KNOT_DS) {
+    if (s0 < 0) this._ensureKnotsBack(s0);
+    this._ensureKnots(s1);
+    const stride = Math.max(1, Math.round(step / KNOT_DS));
+    const out = [{ s: s0, ...this.poseAt(s0) }];
+    for (let k = Math.ceil(s0 / KNOT_DS / stride) * stride; k * KNOT_DS < s1; k += stride) {
+      if (k * KNOT_DS <= s0) continue;
+      out.push(k >= 0 ? this._knots[k] : this._knotsBack[-k - 1]);
+    }
+    if (s1 > s0) out.push({ s: s1, ...this.poseAt(s1) });
+    return out;
+  }
+
   /* Pose at any arc-length s (negative = behind the start). */
   poseAt(s) {
     let k;
@@ -173,10 +327,11 @@ export class TrackPath {
       k = i === 0 ? this._knots[0] : this._knotsBack[i - 1];
     }
     const ds = s - k.s;
-    if (Math.abs(ds) <= 1e-9) return { x: k.x, z: k.z, theta: k.theta };
+    if (Math.abs(ds) <= 1e-9) return { x: k.x, y: k.y, z: k.z, theta: k.theta };
     const thetaMid = k.theta + this.curvatureAt(k.s + ds / 2) * (ds / 2);
     return {
       x: k.x - Math.sin(thetaMid) * ds,
+      y: k.y + this.gradeAt(k.s + ds / 2) * ds,
       z: k.z - Math.cos(thetaMid) * ds,
       theta: k.theta + this.curvatureAt(k.s + ds / 2) * ds,
     };
@@ -189,8 +344,12 @@ export class TrackPath {
   update(dt, v) {
     if (v <= 1e-3) return this._car;
 
-    this._gapTimer += dt;
-    if (this._gapTimer >= this._nextGap) {
+    if (this._circuit) {
+      this._emitCircuit(this._car.s + v * dt + CIRCUIT_AHEAD);
+    } else {
+      this._gapTimer += dt;
+    }
+    if (!this._circuit && this._gapTimer >= this._nextGap) {
       const genEnd = this.turns.length
         ? this.turns[this.turns.length - 1].s1
         : 0;
@@ -207,13 +366,14 @@ export class TrackPath {
       } else {
         this._emitTurn({ s0, L: dur * v, dir, vEmit: v });
       }
+      this.turns[this.turns.length - 1].wet = this._turnCount % WET_EVERY_NTH === 0;
       this._gapTimer = 0;
       this._nextGap = this._uniform(mode.gapMin, mode.gapMax);
     }
 
     const s = this._car.s + v * dt;
     const p = this.poseAt(s);
-    this._car = { s, x: p.x, z: p.z, theta: p.theta };
+    this._car = { s, x: p.x, y: p.y, z: p.z, theta: p.theta };
     return this._car;
   }
 
@@ -222,13 +382,15 @@ export class TrackPath {
 
   /**
    * Inverse car pose for the track group:
-   *   world = R_y(rotY)·T + (x, z)  with rotY = −θ, pos = −R_y(−θ)·p.
+   *   world = R_y(rotY)·T + (x, y, z)  with rotY = −θ, pos = −R_y(−θ)·p.
+   * Only yaw is undone — the road keeps its grade and banking in the world
+   * and the car body pitches and rolls onto it (main.js animateCar).
    */
   worldTransform() {
-    const { x, z, theta } = this._car;
+    const { x, y, z, theta } = this._car;
     const c = Math.cos(theta), s = Math.sin(theta);
     // R_y(−θ): x' = x cosθ − z sinθ ; z' = x sinθ + z cosθ
-    return { rotY: -theta, x: -(x * c - z * s), z: -(x * s + z * c) };
+    return { rotY: -theta, x: -(x * c - z * s), y: -y, z: -(x * s + z * c) };
   }
 
   /**
@@ -237,11 +399,12 @@ export class TrackPath {
    * their rows. World-space geometry is invariant (tested).
    */
   rebase() {
-    const { s: sc, x: xc, z: zc, theta: tc } = this._car;
+    const { s: sc, x: xc, y: yc, z: zc, theta: tc } = this._car;
     const c = Math.cos(tc), sn = Math.sin(tc);
     const remap = (p) => ({
       // R_y(−θc)·(p − pc)
       x: (p.x - xc) * c - (p.z - zc) * sn,
+      y: p.y - yc,
       z: (p.x - xc) * sn + (p.z - zc) * c,
       theta: p.theta - tc,
     });
@@ -249,24 +412,205 @@ export class TrackPath {
       .filter(t => t.s1 > sc - 50)
       .map(t => ({ ...t, s0: t.s0 - sc, s1: t.s1 - sc, emitS: t.emitS - sc }));
     const seed = remap(this._car);
-    this._knots = [{ s: 0, x: seed.x, z: seed.z, theta: seed.theta }];
+    this._knots = [{ s: 0, x: seed.x, y: seed.y, z: seed.z, theta: seed.theta }];
     this._knotsBack = [];
     this._car = { s: 0, ...seed };
+    this._lapS0 -= sc;
+    this._layouts = this._layouts
+      .filter(l => l.end > sc - 50)
+      .map(l => ({ ...l, lapS0: l.lapS0 - sc, end: l.end - sc }));
+    this._rebased.push(this._rebased[this.epoch] + sc);
+    this._rebaseFrames.push({ x: xc, z: zc, theta: tc });
     this.epoch += 1;
   }
 
+  /**
+   * How far track-space s has moved back since `epoch`: a position held
+   * from that epoch is `s − shiftSince(epoch)` now (lap-timer.js).
+   */
+  shiftSince(epoch) {
+    return this._rebased[this.epoch] - (this._rebased[epoch] ?? this._rebased[this.epoch]);
+  }
+
+  /**
+   * Where today's track-space origin sits in the track space of `epoch`
+   * (every rebase since, composed): a point p today is R_y(θ)·p + (x, z)
+   * there, and a heading gains θ. Identity for the current epoch —
+   * minimap.js keeps its driven path in one fixed epoch this way.
+   * @returns {{x:number, z:number, theta:number}}
+   */
+  frameSince(epoch) {
+    let x = 0, z = 0, theta = 0;
+    for (let e = Math.max(0, epoch); e < this.epoch; e++) {
+      const f = this._rebaseFrames[e];
+      const c = Math.cos(theta), sn = Math.sin(theta);
+      x += f.x * c + f.z * sn;
+      z += -f.x * sn + f.z * c;
+      theta += f.theta;
+    }
+    return { x, z, theta };
+  }
+
   rebaseIfNeeded() {
     if (this._car.s >= TURN_CFG.REBASE_DIST) { this.rebase(); return true; }
     return false;
   }
 }
 
-/* Furniture row at arc-length s, offset laterally (right = +x at θ=0). */
+/* ── Closed circuits ─────────────────────────────────────────────── */
+
+/* Circuit corners are emitted this far ahead of the car — past the furniture
+ * window's far edge, so the road never grows a corner in view. */
+const CIRCUIT_AHEAD = 250;
+
+export const TRACK_WIDTH = 11.1;   // m — kerb to kerb of the open road (track.js)
+const WIDTH_BLEND = 40;            // m — a circuit's width fades in/out over this
+
+/* Weight of a driven layout's width / grade / bank at s: faded in from its
+ * start line and out before its end over WIDTH_BLEND. */
+function layoutBlend(l, s) {
+  return Math.min(1, (s - l.lapS0) / WIDTH_BLEND, (l.end - s) / WIDTH_BLEND);
+}
+
+/**
+ * Closed circuit from a segment list, in driving order from the start line:
+ *   { straight: m, rise?: m }               — a straight, climbing `rise`
+ *   { radius: m, angle: deg, ramp?: m,      — a corner, + angle = LEFT,
+ *     rampIn?: m, rampOut?: m, bank?: deg }   banked into it (− = off-camber)
+ * Corners are REAL_CORNER trapezoids: a linear clothoid ramp in and out
+ * around a constant-radius hold, sized so the heading change is exactly
+ * `angle` (hold = angle·R − mean ramp). `ramp` sets both ramps; rampIn /
+ * rampOut set them apart (the track editor's turns). The layout must turn
+ * through ±360° and end where it began — the bundled ones close by half-lap
+ * symmetry. Its rises must sum to zero for the lap to close in height too.
+ *
+ * @param {string} name
+ * @param {Array<object>} segments
+ * @returns {{name:string, length:number,
+ *            corners:Array<{s0:number, s1:number, kMax:number, dir:number,
+ *                           ramp:number, rampOut:number, bank:number}>,
+ *            climbs:Array<{s0:number, s1:number, rise:number}>}}
+ */
+export function buildCircuit(name, segments) {
+  let s = 0;
+  const corners = [];
+  const climbs = [];
+  for (const seg of segments) {
+    if (seg.straight) {
+      if (seg.rise) climbs.push({ s0: s, s1: s + seg.straight, rise: seg.rise });
+      s += seg.straight;
+      continue;
+    }
+    const dir = Math.sign(seg.angle);
+    const sweep = Math.abs(seg.angle) * Math.PI / 180 * seg.radius;
+    let ramp = seg.rampIn ?? seg.ramp ?? REAL_CORNER.RAMP;
+    let rampOut = seg.rampOut ?? seg.ramp ?? REAL_CORNER.RAMP;
+    const mean = (ramp + rampOut) / 2;
+    if (mean > sweep) { ramp *= sweep / mean; rampOut *= sweep / mean; }   // no hold left
+    const len = sweep + (ramp + rampOut) / 2;
+    const bank = dir * (seg.bank ?? 0) * Math.PI / 180;
+    corners.push({ s0: s, s1: s + len, kMax: dir / seg.radius, dir, ramp, rampOut, bank });
+    s += len;
+  }
+  return { name, length: s, corners, climbs };
+}
+
+/** κ at lap distance s (wrapped onto [0, length)) of a buildCircuit or
+ *  imported (profile) layout. */
+export function circuitCurvature(circuit, s) {
+  if (circuit.profile) return sampleProfile(circuit.profile.kappa, circuit.profile.ds, s);
+  const L = circuit.length;
+  const u = ((s % L) + L) % L;
+  for (const c of circuit.corners) {
+    if (u <= c.s0 || u >= c.s1) continue;
+    const rampOut = c.rampOut ?? c.ramp;
+    if (u - c.s0 < c.ramp) return c.kMax * (u - c.s0) / c.ramp;
+    if (c.s1 - u < rampOut) return c.kMax * (c.s1 - u) / rampOut;
+    return c.kMax;
+  }
+  return 0;
+}
+
+/** Grade dy/ds at lap distance s: a straight's rise as a 1 − cos bump, or
+ *  the slope of an imported elevation profile. */
+export function circuitGrade(circuit, s) {
+  const elev = circuit.profile?.elevation;
+  if (elev) {
+    const ds = circuit.profile.ds;
+    return (sampleProfile(elev, ds, s + ds / 2) - sampleProfile(elev, ds, s - ds / 2)) / ds;
+  }
+  const L = circuit.length;
+  const u = ((s % L) + L) % L;
+  for (const c of circuit.climbs ?? []) {
+    if (u <= c.s0 || u >= c.s1) continue;
+    const len = c.s1 - c.s0;
+    return (c.rise / len) * (1 - Math.cos(2 * Math.PI * (u - c.s0) / len));
+  }
+  return 0;
+}
+
+/** Banking (rad, + = right edge raised) at lap distance s: a corner's bank
+ *  following its κ trapezoid, or an imported bank profile. */
+export function circuitBank(circuit, s) {
+  if (circuit.profile) {
+    const bank = circuit.profile.bank;
+    return bank ? sampleProfile(bank, circuit.profile.ds, s) : 0;
+  }
+  const L = circuit.length;
+  const u = ((s % L) + L) % L;
+  for (const c of circuit.corners) {
+    if (u > c.s0 && u < c.s1) return c.bank ? c.bank * circuitCurvature(circuit, u) / c.kMax : 0;
+  }
+  return 0;
+}
+
+/** Closed-loop profile sampled every ds, linearly interpolated, wrapping. */
+export function sampleProfile(values, ds, s) {
+  const n = values.length;
+  const f = (((s / ds) % n) + n) % n;
+  const i = Math.floor(f);
+  const a = values[i], b = values[(i + 1) % n];
+  return a + (b - a) * (f - i);
+}
+
+/* Half a lap, driven twice: a half turning through 180° closes on itself. */
+const TWIN_RING_HALF = [
+  { straight: 500, rise: 6 },             // up the main straight…
+  { radius: 40, angle: 90, ramp: 15 },    // hairpin-tight T1
+  { straight: 200 },
+  { radius: 60, angle: -25, ramp: 10 },   // chicane
+  { straight: 40 },
+  { radius: 60, angle: 25, ramp: 10 },
+  { straight: 150 },
+  { radius: 85, angle: 90, ramp: 12, bank: 10 },   // the REAL_CORNER sweeper, banked
+  { straight: 120, rise: -6 },            // …and back down
+];
+
+/* Bundled layouts (CIRCUIT control). */
+export const CIRCUITS = {
+  ring: buildCircuit('Twin Ring', [...TWIN_RING_HALF, ...TWIN_RING_HALF]),
+};
+
+/* Furniture row at arc-length s, offset laterally (right = +x at θ=0).
+   The road surface is banked kerb to kerb; beyond the kerbs the run-off
+   stays level at kerb height, so y lifts by sin(bank) of the offset
+   clamped to the half-width, and only rows on the road take its bank.
+   pitch = atan(grade). Apply as rotation (pitch, rotY, bank) order 'YXZ'. */
 export function rowPose(path, s, lateralX) {
   const p = path.poseAt(s);
   const c = Math.cos(p.theta), sn = Math.sin(p.theta);
+  const half = path.widthAt(s) / 2;
+  const bank = path.bankAt(s);
+  const onRoad = Math.abs(lateralX) <= half + 1e-9;
   // right(θ) = R_y(θ)·(1,0,0) = (cosθ, −sinθ) in (x,z)
-  return { x: p.x + lateralX * c, z: p.z - lateralX * sn, rotY: p.theta };
+  return {
+    x: p.x + lateralX * c,
+    y: p.y + Math.sin(bank) * Math.max(-half, Math.min(half, lateralX)),
+    z: p.z - lateralX * sn,
+    rotY: p.theta,
+    pitch: Math.atan(path.gradeAt(s)),
+    bank: onRoad ? bank : 0,
+  };
 }
 
 /* ── Sliding furniture window (row pools) ────────────────────────── */
@@ -323,10 +667,14 @@ export function smoothAngle(prev, target, dt, tau = 0.22) {
   return prev + (target - prev) * (1 - Math.exp(-dt / tau));
 }
 
-/* Body roll: outward lean, capped 7°. Left turn (ω>0) ⇒ right side down (−rot.z). */
-export function rollAngleRad(v, omega) {
-  const latG = (v * omega) / G;
-  return -Math.max(-1, Math.min(1, latG)) * ROLL_GAIN + 0; // +0 normalises −0
+/* Body roll: outward lean, capped 7°. Left turn (ω>0) ⇒ right side down (−rot.z).
+   On a banked road the body sits on the tilted surface (+bank, right edge
+   up) and leans to the lateral load felt in the road plane, v·ω·cosβ −
+   g·sinβ — a well-banked corner cancels the lean, a stationary car on a
+   camber leans downhill. */
+export function rollAngleRad(v, omega, bank = 0) {
+  const latG = (v * omega * Math.cos(bank)) / G - Math.sin(bank);
+  return bank - Math.max(-1, Math.min(1, latG)) * ROLL_GAIN + 0; // +0 normalises −0
 }
 
 /* Cinematic camera bank: roll the camera about its view axis into the
@@ -334,11 +682,14 @@ export function rollAngleRad(v, omega) {
    scheduler's peak ω. Applied AFTER lookAt/orbit each frame (lookAt
    resets orientation, so the roll must be re-applied per frame). */
 const BANK_MAX = (6 * Math.PI) / 180;
-export function cameraBankRad(omega) {
+const BANK_FOLLOW = 0.5;   // share of the road's banking the camera rolls with
+export function cameraBankRad(omega, bank = 0) {
   const n = Math.max(-1, Math.min(1, omega / TURN_CFG.MAX_YAW_RATE));
   // +rotateZ tips the camera top toward frame-left (+y → −x), which is the
   // lean-into pose for a LEFT turn (ω>0): horizon's left end rises in frame.
-  return n * BANK_MAX + 0;
+  // On banking it leans with the car (same sign as the body's +bank roll),
+  // half-way, so the tilted road still reads as banked.
+  return n * BANK_MAX + bank * BANK_FOLLOW + 0;
 }
 
 /* ── Effect coupling helpers ─────────────────────────────────────── */
@@ -8,14 +8,24 @@
  * pose to the whole group, so local coordinates here are track-space.
  *
  * Layout math (rowPose / rowWindow / pools) lives in track-path.js and is
- * unit-tested there; this file is the thin THREE wrapper.
+ * unit-tested there; this file is the thin THREE wrapper. Kerbs, barriers,
+ * tyre stacks, the S/F band and the asphalt edge sit at path.widthAt(s), so
+ * an imported circuit's width profile moves them (TRACK_WIDTH elsewhere).
+ * Everything rides the path's elevation; the road between the kerbs tilts
+ * with its banking and the run-off beyond stays level (rowPose).
+ *
+ * Surfaces: each emitted turn's apex kerb, gravel trap and wet patch
+ * (surface.js surfacePatches) are drawn by patch rows — row pools that
+ * show a tile only where a patch covers its grid line. The barriers step
+ * back behind a gravel trap (barrierLine).
  */
 
 import * as THREE from 'three';
 import {
   rowPose, rowWindow, poolSize, poolIndex,
-  WINDOW_BEHIND, WINDOW_AHEAD,
+  WINDOW_BEHIND, WINDOW_AHEAD, TRACK_WIDTH,
 } from './track-path.js';
+import { surfacePatches, barrierLine, APEX_KERB_W } from './surface.js';
 
 const ROAD_W      = 30;     // full ground width (m)
 const GRASS_W     = 160;    // grass apron width (m) — fills the view to the sides
@@ -94,6 +104,45 @@ function makeGrassTexture() {
   return tex;
 }
 
+function makeGravelTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width  = 256;
+  canvas.height = 256;
+  const ctx = canvas.getContext('2d');
+
+  // Sandy base, then stones of mixed size and shade
+  ctx.fillStyle = '#b8a47e';
+  ctx.fillRect(0, 0, 256, 256);
+  for (let i = 0; i < 5000; i++) {
+    const x = Math.random() * 256, y = Math.random() * 256;
+    const r = Math.random() * 1.6 + 0.4;
+    const v = Math.floor(Math.random() * 70 + 130);
+    ctx.fillStyle = `rgb(${v},${Math.floor(v * 0.9)},${Math.floor(v * 0.72)})`;
+    ctx.beginPath();
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+  return tex;
+}
+
+/* Chequered finish-line strip: 16 × 2 black/white squares. */
+function makeChequerTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width  = 256;
+  canvas.height = 32;
+  const ctx = canvas.getContext('2d');
+  for (let i = 0; i < 16; i++) {
+    for (let j = 0; j < 2; j++) {
+      ctx.fillStyle = (i + j) % 2 ? '#111111' : '#f4f4f4';
+      ctx.fillRect(i * 16, j * 16, 16, 16);
+    }
+  }
+  return new THREE.CanvasTexture(canvas);
+}
+
 /* ── Skyline — distant horizon panorama that meets the grass ─────── *
  * A ground disc (hazy distant grass) fills the floor from the grass
  * apron out to a panorama cylinder: treeline + hill silhouettes over a
@@ -172,15 +221,24 @@ export function buildSkyline() {
   return { group };
 }
 
-/* ── Ground ribbon — path-following textured strip (asphalt or grass) ── */
-function buildGroundRibbon(groundTex, width = ROAD_W, y = SURFACE_Y, uRepeat = 18) {
+/* ── Ground ribbon — path-following textured strip (asphalt or grass) ── *
+ * `followWidth` widens the strip by the track's extra width over
+ * TRACK_WIDTH at each row, so the run-off beyond the kerbs stays put.
+ * Four vertices a row — outer edge, kerb, kerb, outer edge — so the strip
+ * banks between the kerbs and the run-off either side stays level. */
+const RIBBON_COLS = 4;
+
+function buildGroundRibbon(groundTex, width = ROAD_W, y = SURFACE_Y, uRepeat = 18, followWidth = false) {
   const rows = poolSize(RIBBON_DS);            // fixed vertex count
-  const positions = new Float32Array(rows * 2 * 3);
-  const uvs       = new Float32Array(rows * 2 * 2);
+  const C = RIBBON_COLS;
+  const positions = new Float32Array(rows * C * 3);
+  const uvs       = new Float32Array(rows * C * 2);
   const indices   = [];
   for (let r = 0; r < rows - 1; r++) {
-    const a = r * 2;
-    indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    for (let c = 0; c < C - 1; c++) {
+      const a = r * C + c;
+      indices.push(a, a + 1, a + C, a + 1, a + C + 1, a + C);
+    }
   }
   const geo = new THREE.BufferGeometry();
   geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -202,16 +260,18 @@ function buildGroundRibbon(groundTex, width = ROAD_W, y = SURFACE_Y, uRepeat = 1
     for (let r = 0; r < rows; r++) {
       const k = Math.min(kMin + r, kMax);     // tail rows degenerate on kMax
       const s = k * RIBBON_DS;
-      const L = rowPose(path, s, -width / 2);
-      const R = rowPose(path, s,  width / 2);
-      const i = r * 2 * 3;
-      positions[i]     = L.x; positions[i + 1] = y; positions[i + 2] = L.z;
-      positions[i + 3] = R.x; positions[i + 4] = y; positions[i + 5] = R.z;
-      const j = r * 2 * 2;
+      const kerb = edge(path, s);
+      const half = width / 2 + (followWidth ? kerb - TRACK_WIDTH / 2 : 0);
       // matches the old PlaneGeometry(30,70) + repeat(18,36): one tile ≈ 1.67×1.94 m
       const v = s / (70 / 36);
-      uvs[j] = 0;  uvs[j + 1] = v;
-      uvs[j + 2] = uRepeat; uvs[j + 3] = v;
+      [-half, -kerb, kerb, half].forEach((lat, c) => {
+        const p = rowPose(path, s, lat);
+        const i = (r * C + c) * 3;
+        positions[i] = p.x; positions[i + 1] = y + p.y; positions[i + 2] = p.z;
+        const j = (r * C + c) * 2;
+        uvs[j] = uRepeat * (lat + half) / (2 * half);
+        uvs[j + 1] = v;
+      });
     }
     geo.attributes.position.needsUpdate = true;
     geo.attributes.uv.needsUpdate = true;
@@ -221,8 +281,10 @@ function buildGroundRibbon(groundTex, width = ROAD_W, y = SURFACE_Y, uRepeat = 1
   return { mesh, update };
 }
 
-/* ── Generic row pool — one Object3D per grid line, recycled ──────── */
-function makeRowPool({ spacing, build, place }) {
+/* ── Generic row pool — one Object3D per grid line, recycled ──────── *
+ * `stamp(path, k)` re-places a row when it changes (a new turn emitted,
+ * the road's width under it). */
+function makeRowPool({ spacing, build, place, stamp = () => 0 }) {
   const n = poolSize(spacing);
   const items = [];
   for (let i = 0; i < n; i++) {
@@ -236,21 +298,65 @@ function makeRowPool({ spacing, build, place }) {
     const { kMin, kMax } = rowWindow(path.pose.s, spacing);
     for (let k = kMin; k <= kMax; k++) {
       const obj = items[poolIndex(k, n)];
-      if (obj.userData.k === k && obj.userData.epoch === path.epoch) continue;
+      const st = stamp(path, k);
+      if (obj.userData.k === k && obj.userData.epoch === path.epoch && obj.userData.stamp === st) continue;
       place(obj, k, path);
       obj.userData.k = k;
       obj.userData.epoch = path.epoch;
+      obj.userData.stamp = st;
+    }
+  }
+
+  return { items, update };
+}
+
+/* ── Patch rows — a row pool over one kind of surface patch ───────── *
+ * A tile per grid line, shown only where a `kind` patch on `side` (+1
+ * right, −1 left, 0 across) covers it; `place` gets the patch. Re-placed
+ * when the covering patch changes, so a turn emitted into the window
+ * shows at once. */
+function makePatchRows({ spacing, kind, side, build, place }) {
+  const n = poolSize(spacing);
+  const items = [];
+  for (let i = 0; i < n; i++) {
+    const obj = build(i);
+    obj.visible = false;
+    obj.userData.key = null;
+    items.push(obj);
+  }
+
+  function update(path, patches) {
+    const { kMin, kMax } = rowWindow(path.pose.s, spacing);
+    const mine = patches.filter(p => p.kind === kind && Math.sign(p.lat0 + p.lat1) === side);
+    for (let k = kMin; k <= kMax; k++) {
+      const obj = items[poolIndex(k, n)];
+      const s = k * spacing;
+      const p = mine.find(q => s >= q.s0 && s <= q.s1);
+      const key = p ? `${path.epoch}:${k}:${p.s0}:${p.lat0}:${p.lat1}` : null;
+      if (obj.userData.key === key) continue;
+      obj.visible = !!p;
+      if (p) place(obj, k, p, path);
+      obj.userData.key = key;
     }
   }
 
   return { items, update };
 }
 
-/* Position a row object at grid line k with lateral offset and yaw. */
+/* Kerb line (m from the centre) at arc-length s — 5.55 m on the open road. */
+function edge(path, s) {
+  return path.widthAt(s) / 2;
+}
+
+/* Position a row object at grid line k with lateral offset, on the road's
+ * slope (and its banking, between the kerbs). */
 function placeRow(obj, k, spacing, lateralX, y, path) {
-  const rp = rowPose(path, k * spacing, lateralX);
-  obj.position.set(rp.x, y, rp.z);
-  obj.rotation.y = rp.rotY;
+  placeAt(obj, rowPose(path, k * spacing, lateralX), y);
+}
+
+function placeAt(obj, rp, y) {
+  obj.position.set(rp.x, y + rp.y, rp.z);
+  obj.rotation.set(rp.pitch, rp.rotY, rp.bank, 'YXZ');
 }
 
 export function buildTrack() {
@@ -264,7 +370,7 @@ export function buildTrack() {
   grp.add(grass.mesh);
 
   const groundTex = makeAsphaltTexture();
-  const ribbon = buildGroundRibbon(groundTex);
+  const ribbon = buildGroundRibbon(groundTex, ROAD_W, SURFACE_Y, 18, true);
   grp.add(ribbon.mesh);
 
   const pools = [];
@@ -276,7 +382,11 @@ export function buildTrack() {
   pools.push(makeRowPool({
     spacing: 70,
     build: () => { const m = new THREE.Mesh(sfGeo, sfMat); grp.add(m); return m; },
-    place: (m, k, path) => placeRow(m, k, 70, 0, SURFACE_Y + 0.007, path),
+    place: (m, k, path) => {
+      m.scale.x = path.widthAt(k * 70) / TRACK_WIDTH;
+      placeRow(m, k, 70, 0, SURFACE_Y + 0.007, path);
+    },
+    stamp: (path, k) => path.widthAt(k * 70),
   }));
 
   /* ── Centre-line dashes — every 4 m ─────────────────────────────── */
@@ -300,11 +410,68 @@ export function buildTrack() {
       build: () => { const m = new THREE.Mesh(rumbleGeo, rumbleRed); grp.add(m); return m; },
       place: (m, k, path) => {
         m.material = k % 2 === 0 ? rumbleRed : rumbleWhite;
-        placeRow(m, k, 0.6, side * 5.55, SURFACE_Y + 0.009, path);
+        placeRow(m, k, 0.6, side * edge(path, k * 0.6), SURFACE_Y + 0.009, path);
+      },
+      stamp: (path, k) => edge(path, k * 0.6),   // a circuit switch moves the kerbs under it
+    }));
+  }
+
+  /* ── Surface patches — apex kerbs, gravel traps, wet patches ────── *
+   * Unit planes scaled across the patch's lateral span, laid on the road
+   * (banked between the kerbs) just under the dashes and rumble rows. */
+  const patchRows = [];
+  const patchGeo = new THREE.PlaneGeometry(1, 1);
+  patchGeo.rotateX(-Math.PI / 2);
+  const placePatch = (m, k, spacing, p, y, path) => {
+    m.scale.x = p.lat1 - p.lat0;
+    placeRow(m, k, spacing, (p.lat0 + p.lat1) / 2, y, path);
+  };
+
+  // Apex kerbs: red/white 1 m blocks on the inside of every turn.
+  const apexGeo = new THREE.PlaneGeometry(APEX_KERB_W, 0.98);
+  apexGeo.rotateX(-Math.PI / 2);
+  for (const side of [-1, 1]) {
+    patchRows.push(makePatchRows({
+      spacing: 1, kind: 'kerb', side,
+      build: () => { const m = new THREE.Mesh(apexGeo, rumbleRed); grp.add(m); return m; },
+      place: (m, k, p, path) => {
+        m.material = k % 2 === 0 ? rumbleRed : rumbleWhite;
+        placeRow(m, k, 1, (p.lat0 + p.lat1) / 2, SURFACE_Y + 0.009, path);
       },
     }));
   }
 
+  // Gravel traps beyond the outside kerb.
+  const gravelMat = new THREE.MeshStandardMaterial({ map: makeGravelTexture(), roughness: 1, metalness: 0 });
+  for (const side of [-1, 1]) {
+    patchRows.push(makePatchRows({
+      spacing: 2, kind: 'gravel', side,
+      build: () => {
+        const m = new THREE.Mesh(patchGeo, gravelMat);
+        m.scale.z = 2.02;
+        m.receiveShadow = true;
+        grp.add(m);
+        return m;
+      },
+      place: (m, k, p, path) => placePatch(m, k, 2, p, SURFACE_Y + 0.005, path),
+    }));
+  }
+
+  // Wet patches across the road: dark, glossy, see-through.
+  const wetMat = new THREE.MeshStandardMaterial({
+    color: 0x0a0d12, roughness: 0.06, metalness: 0.35, transparent: true, opacity: 0.5, depthWrite: false,
+  });
+  patchRows.push(makePatchRows({
+    spacing: 2, kind: 'wet', side: 0,
+    build: () => {
+      const m = new THREE.Mesh(patchGeo, wetMat);
+      m.scale.z = 2.02;
+      grp.add(m);
+      return m;
+    },
+    place: (m, k, p, path) => placePatch(m, k, 2, p, SURFACE_Y + 0.004, path),
+  }));
+
   /* ── Armco barriers — 4 m segments, both sides ──────────────────── */
   const armcoGeo = new THREE.BoxGeometry(0.12, 0.38, 4.05);
   const armcoMat = new THREE.MeshStandardMaterial({
@@ -321,7 +488,8 @@ export function buildTrack() {
         grp.add(m);
         return m;
       },
-      place: (m, k, path) => placeRow(m, k, 4, side * 6.4, -0.15, path),
+      place: (m, k, path) => placeRow(m, k, 4, side * (barrierLine(path, k * 4, side) + 0.85), -0.15, path),
+      stamp: (path, k) => barrierLine(path, k * 4, side),   // a new gravel trap, or the road's width
     }));
   }
 
@@ -348,16 +516,46 @@ export function buildTrack() {
         stack.children.forEach((tyre, row) => {
           tyre.material = tyreMats[(((k + row) % 2) + 2) % 2]; // positive mod — k can be negative
         });
-        placeRow(stack, k, 1.2, side * 7.2, SURFACE_Y + 0.22, path);
+        placeRow(stack, k, 1.2, side * (barrierLine(path, k * 1.2, side) + 1.65), SURFACE_Y + 0.22, path);
       },
+      stamp: (path, k) => barrierLine(path, k * 1.2, side),
     }));
   }
 
-  /* Re-place every out-of-date row + rebuild the ground ribbons. */
-  function update(path) {
+  /* ── Timing lines — chequered finish, yellow sector lines ───────── *
+   * Not a row pool: the lap timer says where its lines are (LapTimer.lines),
+   * and only a handful fit in the window. */
+  const lineGeo = new THREE.PlaneGeometry(1, 0.8);
+  lineGeo.rotateX(-Math.PI / 2);
+  const finishMat = new THREE.MeshBasicMaterial({ map: makeChequerTexture() });
+  const sectorMat = new THREE.MeshBasicMaterial({ color: 0xffd23c });
+  const timingLines = Array.from({ length: 4 }, () => {
+    const m = new THREE.Mesh(lineGeo, finishMat);
+    m.visible = false;
+    grp.add(m);
+    return m;
+  });
+
+  function placeTimingLines(path, lines) {
+    timingLines.forEach((m, i) => {
+      const line = lines[i];
+      m.visible = !!line;
+      if (!line) return;
+      m.material = line.kind === 'finish' ? finishMat : sectorMat;
+      m.scale.x = path.widthAt(line.s);
+      placeAt(m, rowPose(path, line.s, 0), SURFACE_Y + 0.010);
+    });
+  }
+
+  /* Re-place every out-of-date row + rebuild the ground ribbons; `lines`
+   * are the lap timer's timing lines in the window. */
+  function update(path, lines = []) {
     grass.update(path);
     ribbon.update(path);
     for (const p of pools) p.update(path);
+    const patches = surfacePatches(path, path.pose.s - WINDOW_BEHIND, path.pose.s + WINDOW_AHEAD);
+    for (const p of patchRows) p.update(path, patches);
+    placeTimingLines(path, lines);
   }
 
   return { group: grp, groundTex, update, WINDOW_BEHIND, WINDOW_AHEAD };
@@ -18,10 +18,21 @@
  * with alpha 0, so the GPU cost is fixed regardless of how many vents the
  * car has.
  *
+ * Crosswind (setYaw): each vent's strength follows its side of the car —
+ * see ventYawGain. Inlets facing into the relative wind ram more air;
+ * outlets on the lee flank sit in suction and extract harder, windward
+ * outlets fight the crossflow's stagnation pressure and stall.
+ *
+ * Cooling (setCooling): the radiator-duct vents (cooling.js
+ * COOLING_VENT_RE) also scale with the opening's mass-flow ratio
+ * (coolingStrength) — a wider exit draws the inlet streams in faster and
+ * jets the louvre plumes harder.
+ *
  * Visibility is gated externally in main.js (`airflow || cfd` chip on).
  */
 
 import * as THREE from 'three';
+import { coolingStrength, normalizeCoolingLevel, COOLING_VENT_RE } from './cooling.js';
 
 const VENT_CAP  = 40;    // particles per emitter
 const N_VENTS   = 10;    // max emitters per car (matches manifest roster)
@@ -36,6 +47,33 @@ const HIDDEN_VENT_RE = /BrakeDuct/i;
 const COLOR_INLET  = { r: 0x66 / 255, g: 0xcc / 255, b: 0xff / 255 };
 const COLOR_OUTLET = { r: 0xdd / 255, g: 0xd6 / 255, b: 0xc0 / 255 };
 
+/**
+ * Crosswind strength multiplier for one emitter (1 at zero yaw). Pure —
+ * exported for tests. The relative wind travels d = (sin β, 0, cos β) in
+ * the car frame (nose −z):
+ *   inlet  — ram share of the mouth facing the wind, −dir·d, vs straight
+ *            ahead; a side-facing inlet only rams on the windward flank.
+ *   outlet — static pressure of its flank: side·sin β > 0 is the lee
+ *            (suction, stronger extraction), < 0 the windward side.
+ * Clamped at 0.2 so a stalled vent still shows a trickle.
+ *
+ * @param {{role:string, pos:{x:number}, dir:{x:number,z:number}}} em
+ * @param {number} yaw — rad, positive = wind toward +x
+ */
+export function ventYawGain(em, yaw) {
+  if (!yaw || !em) return 1;
+  const sb = Math.sin(yaw), cb = Math.cos(yaw);
+  let g;
+  if (em.role === 'inlet') {
+    const ram  = -(em.dir.x * sb + em.dir.z * cb);
+    g = 1 + 1.5 * (ram - -em.dir.z);
+  } else {
+    const side = Math.sign(em.pos.x);
+    g = 1 + 2.5 * side * sb;
+  }
+  return Math.max(0.2, g);
+}
+
 /**
  * Build a soft radial-gradient texture used by the smoke/effects system.
  * Cached per module load.
@@ -73,9 +111,13 @@ export class VentEmitterSystem {
     this._speed   = 0;
     this._baseY   = 0;
     this._time    = 0;
+    this._yaw     = 0;   // relative-wind yaw (rad, setYaw)
+    this._type    = 'F1';
+    this._cooling = 'standard';   // radiator opening (setCooling)
 
     // Emitter list (populated by setCarType). Each entry:
-    //   { role, pos: {x,y,z}, dir: {x,y,z} (unit) }
+    //   { role, pos: {x,y,z}, dir: {x,y,z} (unit),
+    //     gain (ventYawGain × coolingStrength on radiator vents) }
     this._emitters = [];
 
     this._capacity = VENT_CAP * N_VENTS;
@@ -123,7 +165,8 @@ export class VentEmitterSystem {
    * Rebuild emitter list from measure.anchors entries that carry a `role`.
    * Limits to the first N_VENTS such anchors to respect the particle budget.
    */
-  setCarType(_type, measure) {
+  setCarType(type, measure) {
+    this._type = type || 'F1';
     const anchors = measure?.anchors ?? {};
     const emitters = [];
     for (const [key, a] of Object.entries(anchors)) {
@@ -136,9 +179,11 @@ export class VentEmitterSystem {
         role: a.role,
         pos:  { x: a.x, y: a.y, z: a.z },
         dir:  { x: a.direction.x, y: a.direction.y, z: a.direction.z },
+        gain: 1,
       });
     }
     this._emitters = emitters;
+    this._applyGains();
 
     // Initialise per-particle slots. Each particle is assigned an emitter
     // (round-robin within VENT_CAP of each), with a staggered phase so the
@@ -170,6 +215,25 @@ export class VentEmitterSystem {
 
   setSpeed(speedKmh) { this._speed = Math.max(0, speedKmh || 0); }
 
+  /** Crosswind yaw (rad); re-weights every emitter via ventYawGain. */
+  setYaw(yaw) {
+    this._yaw = Number.isFinite(yaw) ? yaw : 0;
+    this._applyGains();
+  }
+
+  /** Radiator opening (cooling.js COOLING_LEVELS); re-weights the duct vents. */
+  setCooling(level) {
+    this._cooling = normalizeCoolingLevel(level);
+    this._applyGains();
+  }
+
+  _applyGains() {
+    const cool = coolingStrength(this._cooling, this._type);
+    for (const em of this._emitters) {
+      em.gain = ventYawGain(em, this._yaw) * (COOLING_VENT_RE.test(em.key) ? cool : 1);
+    }
+  }
+
   setVisible(v) {
     this._visible = !!v;
     this.group.visible = this._visible;
@@ -199,7 +263,7 @@ export class VentEmitterSystem {
       this._pos[i * 3]     = em.pos.x;
       this._pos[i * 3 + 1] = em.pos.y;
       this._pos[i * 3 + 2] = em.pos.z;
-      const speedMag = 8 + this._speed * 0.05;
+      const speedMag = (8 + this._speed * 0.05) * em.gain;
       this._vel[i * 3]     = em.dir.x * speedMag;
       this._vel[i * 3 + 1] = em.dir.y * speedMag;
       this._vel[i * 3 + 2] = em.dir.z * speedMag;
@@ -234,7 +298,7 @@ export class VentEmitterSystem {
       if (em.role === 'inlet') {
         // Phase advances faster when the car is moving — inlets draw more
         // air at speed. Base rate keeps the stream visible at idle.
-        const advance = dt * (0.6 + (this._speed / 350) * 1.2);
+        const advance = dt * (0.6 + (this._speed / 350) * 1.2 * em.gain);
         this._phase[i] += advance;
         if (this._phase[i] >= 1) {
           this._phase[i] = 0;
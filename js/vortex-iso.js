@@ -0,0 +1,331 @@
+/**
+ * vortex-iso.js — VortexIsoEffect: vortex cores from the flow model itself
+ *
+ * CfdEffect's vortex spirals sit where the VORTEX_CORES table puts them.
+ * This effect finds them in the field instead: AirflowEffect.sampleFlowAt
+ * (the modifier-summed sumVelocity field the ribbons are traced through —
+ * wing vortices, vent sinks / sources, tire doublets, the halo shed pair)
+ * is sampled on a 3D grid around the car, the velocity-gradient tensor is
+ * taken by central differences, and an iso-surface of one of two criteria
+ * is extracted with marching cubes (marching-cubes.js):
+ *
+ *   'vorticity' — |ω| = |∇ × v|, normalised by V / halfL. Shows every
+ *                 rotational region, shear layers included.
+ *   'q'         — Q = ½(|Ω|² − |S|²), normalised by (V / halfL)². Positive
+ *                 only where rotation beats strain: the vortex cores proper.
+ *
+ * Velocities are stored as v / V at the moment each sample is taken, so
+ * the normalised criteria are speed-independent and a pass that spans a
+ * speed change stays consistent. Cells inside the body (world-frame
+ * occupancy, sampled at y + baseY) are zeroed so the surface never lines
+ * the inside of the shell.
+ *
+ * The field is steady for a given speed and setup, so the grid is rebuilt
+ * only when something changed — a speed step, refresh() after a setup
+ * change, car / occupancy swap — and the sampling is spread over frames
+ * (ISO_BUDGET samples each); the previous surface stays up meanwhile.
+ *
+ * Public interface (mirrors the other effects):
+ *   constructor(scene), setCarType(type, measure), setSpeed(kmh),
+ *   setVisible(bool), setBaseY(y), setOccupancy(occ, baseY),
+ *   setSampler(fn), setMode(mode), refresh(), update(dt, t), dispose().
+ */
+
+import * as THREE from 'three';
+import { marchingCubes } from './marching-cubes.js';
+
+/* ── Grid ─────────────────────────────────────────────────────────── */
+export const ISO_MODES = ['vorticity', 'q'];
+const ISO_LEVEL   = { vorticity: 20, q: 20 };   // normalised iso values
+const ISO_COLOR   = { vorticity: 0xc86bff, q: 0x4fe3c1 };
+const ISO_RES     = { nx: 32, ny: 16, nz: 64 };
+const ISO_BUDGET  = 1024;   // samples per frame while a pass runs
+const SPEED_STEP  = 10;     // km/h change that forces a new pass
+const SPAN        = 1.6;    // lateral half-span in halfW
+const HEIGHT      = 2.6;    // vertical extent in halfH over the road
+const UPSTREAM    = 1.4;    // long axis: 1.4·halfL ahead of the centre…
+const DOWNSTREAM  = 2.6;    // …to 2.6·halfL behind it (near wake)
+
+/* Authored envelopes for procedural cars — same values as AirflowEffect. */
+const ISO_PROFILE = {
+  F1: { halfW: 0.90, halfL: 2.45, halfH: 0.55 },
+  GT: { halfW: 1.05, halfL: 2.40, halfH: 0.65 },
+};
+
+/**
+ * Sample grid around the car (car-local m). Node (i, j, k) sits at
+ * (x0 + i·dx, y0 + j·dy, z0 + k·dz); `dims.groundY` is the road.
+ *
+ * @param {{halfW:number, halfL:number, halfH:number, groundY?:number}} dims
+ * @param {{nx:number, ny:number, nz:number}} [res]
+ */
+export function isoGridLayout(dims, res = ISO_RES) {
+  const g = dims.groundY ?? 0;
+  const x0 = -SPAN * dims.halfW, x1 = SPAN * dims.halfW;
+  const y0 = g + 0.01,           y1 = g + HEIGHT * dims.halfH;
+  const z0 = -UPSTREAM * dims.halfL, z1 = DOWNSTREAM * dims.halfL;
+  const { nx, ny, nz } = res;
+  return {
+    nx, ny, nz, x0, y0, z0,
+    dx: (x1 - x0) / (nx - 1),
+    dy: (y1 - y0) / (ny - 1),
+    dz: (z1 - z0) / (nz - 1),
+  };
+}
+
+/**
+ * Normalised vortex criterion per node from a grid of v / V (xyz per node,
+ * same order as the layout). Central differences inside, one-sided on the
+ * faces. Nodes flagged in `mask` read 0. Pure — exported for tests.
+ *
+ * @param {Float32Array} vel   — 3 per node, v / V
+ * @param {ReturnType<typeof isoGridLayout>} L
+ * @param {'vorticity'|'q'} mode
+ * @param {number} halfL       — length scale of the normalisation
+ * @param {Uint8Array|null} [mask]
+ * @returns {Float32Array}
+ */
+export function vortexCriterion(vel, L, mode, halfL, mask = null) {
+  const { nx, ny, nz } = L;
+  const out = new Float32Array(nx * ny * nz);
+  const A = new Float64Array(9);   // A[c·3 + d] = ∂v_c / ∂x_d
+  const idx = (i, j, k) => i + nx * (j + ny * k);
+  const diff = (lo, hi, h, c) => (vel[hi * 3 + c] - vel[lo * 3 + c]) / h;
+  for (let k = 0; k < nz; k++) {
+    for (let j = 0; j < ny; j++) {
+      for (let i = 0; i < nx; i++) {
+        const n = idx(i, j, k);
+        if (mask && mask[n]) continue;
+        const ia = Math.max(0, i - 1), ib = Math.min(nx - 1, i + 1);
+        const ja = Math.max(0, j - 1), jb = Math.min(ny - 1, j + 1);
+        const ka = Math.max(0, k - 1), kb = Math.min(nz - 1, k + 1);
+        for (let c = 0; c < 3; c++) {
+          A[c * 3]     = diff(idx(ia, j, k), idx(ib, j, k), (ib - ia) * L.dx, c);
+          A[c * 3 + 1] = diff(idx(i, ja, k), idx(i, jb, k), (jb - ja) * L.dy, c);
+          A[c * 3 + 2] = diff(idx(i, j, ka), idx(i, j, kb), (kb - ka) * L.dz, c);
+        }
+        if (mode === 'q') {
+          // ½(|Ω|² − |S|²) = −½ Σ A_ij·A_ji
+          let s = 0;
+          for (let a = 0; a < 3; a++) for (let b = 0; b < 3; b++) s += A[a * 3 + b] * A[b * 3 + a];
+          out[n] = -0.5 * s * halfL * halfL;
+        } else {
+          const wx = A[7] - A[5], wy = A[2] - A[6], wz = A[3] - A[1];
+          out[n] = Math.hypot(wx, wy, wz) * halfL;
+        }
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Body mask for the grid: 1 where the world-frame occupancy (sampled at
+ * y + occBaseY) says solid. Null occupancy ⇒ null (nothing masked).
+ */
+export function isoGridMask(L, occ, occBaseY = 0) {
+  if (!occ || typeof occ.sample !== 'function') return null;
+  const m = new Uint8Array(L.nx * L.ny * L.nz);
+  let n = 0;
+  for (let k = 0; k < L.nz; k++) {
+    for (let j = 0; j < L.ny; j++) {
+      for (let i = 0; i < L.nx; i++, n++) {
+        if (occ.sample(L.x0 + i * L.dx, L.y0 + j * L.dy + occBaseY, L.z0 + k * L.dz) > 0.5) m[n] = 1;
+      }
+    }
+  }
+  return m;
+}
+
+/* ════════════════════════════════════════════════════════════════════
+   VortexIsoEffect class
+════════════════════════════════════════════════════════════════════ */
+export class VortexIsoEffect {
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.name = 'vortexIso';
+    scene.add(this.group);
+
+    this._speed     = 0;
+    this._visible   = false;
+    this._type      = 'F1';
+    this._dims      = { ...ISO_PROFILE.F1, groundY: 0 };
+    this._baseY     = 0;
+    this._occupancy = null;    // world-frame body SDF (setOccupancy)
+    this._occBaseY  = 0;
+    this._sampler   = null;    // car-local (x, y, z) => {vx, vy, vz}
+    this._mode      = 'q';
+    this._layout    = isoGridLayout(this._dims);
+    this._mask      = null;
+    this._vel       = new Float32Array(this._layout.nx * this._layout.ny * this._layout.nz * 3);
+    this._dirty     = true;    // the grid must be resampled
+    this._cursor    = -1;      // next node of the running pass; −1 = idle
+    this._sampledAt = -1;      // speed (km/h) the last pass started at
+
+    this._geo  = new THREE.BufferGeometry();
+    this._mat  = new THREE.MeshStandardMaterial({
+      color: ISO_COLOR[this._mode],
+      emissive: ISO_COLOR[this._mode],
+      emissiveIntensity: 0.35,
+      roughness: 0.5,
+      metalness: 0,
+      transparent: true,
+      opacity: 0.55,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    this._mesh = new THREE.Mesh(this._geo, this._mat);
+    this._mesh.name = 'vortexIsoSurface';
+    this._mesh.renderOrder = 2;
+    this._mesh.visible = false;
+    this.group.add(this._mesh);
+    this.group.visible = false;
+  }
+
+  /* ── Public interface ─────────────────────────────────────────── */
+
+  setCarType(type, measure) {
+    this._type = ISO_PROFILE[type] ? type : 'F1';
+    const p  = ISO_PROFILE[this._type];
+    const a  = measure?.anchors;
+    const bs = a?.bodyShell?.bbox;
+    // Measured envelope wins over the authored profile (AirflowEffect rule).
+    this._dims = {
+      halfW: (bs && Number.isFinite(bs.minX) && Number.isFinite(bs.maxX)) ? (bs.maxX - bs.minX) / 2 : p.halfW,
+      halfL: (Number.isFinite(a?.frontWing?.z) && Number.isFinite(a?.rearWing?.z))
+        ? Math.max(Math.abs(a.frontWing.z), Math.abs(a.rearWing.z))
+        : p.halfL,
+      halfH: p.halfH,
+      groundY: Number.isFinite(measure?.groundContactY) ? measure.groundContactY : 0,
+    };
+    this._layout    = isoGridLayout(this._dims);
+    this._occupancy = null;   // previous car's body must not leak in
+    this._mask      = null;
+    this._setSurface(new Float32Array(0));
+    this._restart();
+  }
+
+  /** World-frame body SDF (buildOccupancy output); null ⇒ nothing masked. */
+  setOccupancy(occ, baseY = 0) {
+    this._occupancy = (occ && typeof occ.sample === 'function') ? occ : null;
+    this._occBaseY  = baseY || 0;
+    this._mask      = isoGridMask(this._layout, this._occupancy, this._occBaseY);
+    this._restart();
+  }
+
+  /** Car-local velocity sampler — AirflowEffect.sampleFlowAt. */
+  setSampler(fn) {
+    this._sampler = typeof fn === 'function' ? fn : null;
+    this._restart();
+  }
+
+  /** 'vorticity' | 'q' — the criterion and its iso level. */
+  setMode(mode) {
+    const m = ISO_MODES.includes(mode) ? mode : 'q';
+    if (m === this._mode) return;
+    this._mode = m;
+    this._mat.color.setHex(ISO_COLOR[m]);
+    this._mat.emissive.setHex(ISO_COLOR[m]);
+    // Same samples, new criterion — re-extract without resampling.
+    if (this._cursor < 0 && this._sampledAt >= 0) this._extract();
+  }
+
+  /** The field behind the sampler changed (yaw, wing / ride setup). */
+  refresh() {
+    this._dirty = true;
+  }
+
+  setSpeed(speed) {
+    this._speed = speed;
+    if (Math.abs(speed - this._sampledAt) >= SPEED_STEP) this._dirty = true;
+  }
+
+  setVisible(v) {
+    this._visible      = v;
+    this.group.visible = v;
+  }
+
+  setBaseY(y) {
+    this._baseY = y || 0;
+    this.group.position.y = this._baseY;
+  }
+
+  /** Triangles in the current surface (HUD / tests). */
+  getTriangleCount() {
+    return (this._geo.attributes.position?.count ?? 0) / 3;
+  }
+
+  update(dt) {
+    if (!this._visible) return;
+    const V = (this._speed || 0) / 3.6;
+    // At rest there is no field to show.
+    this._mesh.visible = V > 0 && !!this._sampler && this.getTriangleCount() > 0;
+    if (!(V > 0) || !this._sampler) return;
+
+    if (this._cursor < 0) {
+      if (!this._dirty) return;
+      this._dirty     = false;
+      this._cursor    = 0;
+      this._sampledAt = this._speed;
+    }
+    const L = this._layout;
+    const total = L.nx * L.ny * L.nz;
+    const end = Math.min(total, this._cursor + ISO_BUDGET);
+    const vel = this._vel;
+    for (let n = this._cursor; n < end; n++) {
+      // Masked nodes are sampled too: zeroing their velocity would put a
+      // fake shear layer on the shell. The mask applies to the criterion.
+      const i = n % L.nx, j = Math.floor(n / L.nx) % L.ny, k = Math.floor(n / (L.nx * L.ny));
+      const f = this._sampler(L.x0 + i * L.dx, L.y0 + j * L.dy, L.z0 + k * L.dz);
+      vel[n * 3]     = f.vx / V;
+      vel[n * 3 + 1] = f.vy / V;
+      vel[n * 3 + 2] = f.vz / V;
+    }
+    this._cursor = end;
+    if (end === total) {
+      this._cursor = -1;
+      this._extract();
+      this._mesh.visible = this.getTriangleCount() > 0;
+    }
+  }
+
+  dispose() {
+    this._geo.dispose();
+    this._mat.dispose();
+    this.scene.remove(this.group);
+  }
+
+  /* ── Internal ─────────────────────────────────────────────────── */
+
+  /** Abandon any running pass and start over on the next update. */
+  _restart() {
+    const L = this._layout;
+    if (this._vel.length !== L.nx * L.ny * L.nz * 3) this._vel = new Float32Array(L.nx * L.ny * L.nz * 3);
+    this._cursor    = -1;
+    this._sampledAt = -1;
+    this._dirty     = true;
+  }
+
+  /* Criterion → marching cubes → grid units mapped to car-local metres. */
+  _extract() {
+    const L = this._layout;
+    const crit = vortexCriterion(this._vel, L, this._mode, this._dims.halfL, this._mask);
+    const tri = marchingCubes(crit, L.nx, L.ny, L.nz, ISO_LEVEL[this._mode]);
+    for (let p = 0; p < tri.length; p += 3) {
+      tri[p]     = L.x0 + tri[p]     * L.dx;
+      tri[p + 1] = L.y0 + tri[p + 1] * L.dy;
+      tri[p + 2] = L.z0 + tri[p + 2] * L.dz;
+    }
+    this._setSurface(tri);
+  }
+
+  _setSurface(positions) {
+    this._geo.dispose();
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    if (positions.length) geo.computeVertexNormals();
+    this._geo = geo;
+    this._mesh.geometry = geo;
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * gen-circuits.mjs — regenerate the bundled centerline files in
+ * assets/tracks/ from hand-built segment lists.
+ *
+ * The layouts are APPROXIMATIONS traced from public track maps: corner
+ * order, direction and rough radius are right, exact geometry is not.
+ * Each list has two straights marked 'A' / 'B' whose lengths are solved
+ * so the lap closes in position, and one corner with angle 'close' that
+ * makes the heading turn through exactly ±360°.
+ *
+ *   node scripts/gen-circuits.mjs
+ *
+ * Output formats exercise both importer paths (js/circuit-import.js):
+ * s,curvature rows every 5 m closed by a row at the lap length, or x,y
+ * rows every 5 m (map frame, y north) whose last point joins the first.
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { buildCircuit, circuitCurvature } from '../js/track-path.js';
+
+const OUT = 'assets/tracks';
+const STEP = 0.5;    // integration step (m)
+const ROW  = 5;      // output row spacing (m)
+
+/* Corner-by-corner, + angle = left. Clockwise laps end at −360°. */
+const LAYOUTS = {
+  monza: {
+    name: 'Monza', format: 'curvature', widths: [[0, 14], [0.05, 12], [1, 14]],
+    segments: [
+      { straight: 'A' },                          // rettifilo tribune
+      { radius: 22, angle: -85, ramp: 8 },        // T1 variante del Rettifilo
+      { straight: 12 },
+      { radius: 22, angle: 80, ramp: 8 },         // T2
+      { straight: 120 },
+      { radius: 330, angle: -60, ramp: 40 },      // Curva Grande
+      { straight: 'B' },
+      { radius: 28, angle: 60, ramp: 8 },         // variante della Roggia
+      { straight: 14 },
+      { radius: 28, angle: -65, ramp: 8 },
+      { straight: 280 },
+      { radius: 95, angle: -60, ramp: 15 },       // Lesmo 1
+      { straight: 150 },
+      { radius: 80, angle: -50, ramp: 15 },       // Lesmo 2
+      { straight: 800 },                          // Serraglio
+      { radius: 70, angle: 35, ramp: 12 },        // variante Ascari
+      { radius: 55, angle: -100, ramp: 12 },
+      { radius: 90, angle: 25, ramp: 12 },
+      { straight: 1100 },                         // rettilineo opposto
+      { radius: 150, angle: 'close', ramp: 60 },  // Parabolica (Alboreto)
+      { straight: 150 },
+    ],
+  },
+  spa: {
+    name: 'Spa', format: 'xy',
+    widths: [[0, 14], [0.03, 16], [0.06, 13], [1, 14]],
+    elevation: [[0, 0], [0.08, -18], [0.14, 18], [0.30, 38], [0.42, 12],
+      [0.55, -35], [0.70, -48], [0.88, -8], [1, 0]],
+    segments: [
+      { straight: 'A' },                          // start straight
+      { radius: 18, angle: -165, ramp: 8 },       // La Source
+      { straight: 330 },
+      { radius: 70, angle: 45, ramp: 15 },        // Eau Rouge
+      { radius: 90, angle: -30, ramp: 15 },       // Raidillon
+      { radius: 150, angle: 30, ramp: 15 },
+      { straight: 1000 },                         // Kemmel
+      { radius: 45, angle: -70, ramp: 10 },       // Les Combes
+      { straight: 20 },
+      { radius: 45, angle: 70, ramp: 10 },
+      { radius: 60, angle: -60, ramp: 12 },       // Malmedy
+      { straight: 250 },
+      { radius: 25, angle: -150, ramp: 8 },       // Rivage
+      { straight: 200 },
+      { radius: 80, angle: 60, ramp: 15 },
+      { straight: 120 },
+      { radius: 110, angle: 120, ramp: 25 },      // Pouhon
+      { straight: 400 },
+      { radius: 60, angle: -60, ramp: 12 },       // Fagnes
+      { radius: 60, angle: 50, ramp: 12 },
+      { straight: 400 },
+      { radius: 80, angle: -150, ramp: 15 },      // Stavelot
+      { straight: 'B' },
+      { radius: 300, angle: 20, ramp: 30 },       // Blanchimont
+      { straight: 300 },
+      { radius: 25, angle: -60, ramp: 8 },        // Bus Stop
+      { radius: 25, angle: 60, ramp: 8 },
+      { straight: 40 },
+      { radius: 40, angle: 'close', ramp: 10 },
+      { straight: 150 },
+    ],
+  },
+  rbr: {
+    name: 'Red Bull Ring', format: 'xy',
+    segments: [
+      { straight: 'A' },                          // start straight
+      { radius: 45, angle: -75, ramp: 10 },       // T1 Niki Lauda
+      { straight: 'B' },                          // the climb
+      { radius: 20, angle: -120, ramp: 8 },       // T3 Remus
+      { straight: 550 },
+      { radius: 30, angle: -80, ramp: 8 },        // T4 Schlossgold
+      { straight: 250 },
+      { radius: 60, angle: 80, ramp: 12 },        // T5
+      { straight: 120 },
+      { radius: 70, angle: -55, ramp: 12 },       // T6 Rauch
+      { straight: 100 },
+      { radius: 70, angle: -45, ramp: 12 },       // T7 Würth
+      { straight: 300 },
+      { radius: 60, angle: -35, ramp: 12 },       // T9 Rindt
+      { straight: 150 },
+      { radius: 55, angle: 'close', ramp: 12 },   // T10
+      { straight: 100 },
+    ],
+  },
+};
+
+function resolve(segments, a, b) {
+  const fixed = segments.filter(s => s.angle !== undefined && s.angle !== 'close')
+    .reduce((sum, s) => sum + s.angle, 0);
+  const close = (fixed < 0 ? -360 : 360) - fixed;
+  return segments.map(s => s.straight === 'A' ? { straight: a }
+    : s.straight === 'B' ? { straight: b }
+      : s.angle === 'close' ? { ...s, angle: close } : s);
+}
+
+/* Integrate the layout's κ(s) in the map frame (heading north at the line). */
+function trace(circuit) {
+  const pts = [];
+  let x = 0, y = 0, phi = Math.PI / 2;
+  for (let s = 0; s < circuit.length; s += STEP) {
+    if (Math.abs(s / ROW - Math.round(s / ROW)) < 1e-6) pts.push({ s, x, y });
+    const mid = phi + circuitCurvature(circuit, s + STEP / 4) * STEP / 2;
+    x += Math.cos(mid) * STEP;
+    y += Math.sin(mid) * STEP;
+    phi += circuitCurvature(circuit, s + STEP / 2) * STEP;
+  }
+  return { pts, gap: { x, y } };
+}
+
+function build(name, segments) {
+  const gap = (a, b) => trace(buildCircuit(name, resolve(segments, a, b))).gap;
+  // Linear in the two straights; solve from 1 m each (buildCircuit skips 0).
+  const g0 = gap(1, 1), gA = gap(2, 1), gB = gap(1, 2);
+  const ax = gA.x - g0.x, ay = gA.y - g0.y, bx = gB.x - g0.x, by = gB.y - g0.y;
+  const det = ax * by - ay * bx;
+  const a = 1 + (-g0.x * by + g0.y * bx) / det;
+  const b = 1 + (-ax * g0.y + ay * g0.x) / det;
+  if (!(a > 0 && b > 0)) throw new Error(`${name}: closure needs straights ${a}, ${b}`);
+  console.log(`${name}: A ${a.toFixed(0)} m, B ${b.toFixed(0)} m`);
+  return buildCircuit(name, resolve(segments, a, b));
+}
+
+/* Piecewise-smoothstep keyframes [[lapFraction, value], …]. */
+function keyed(frames, f) {
+  for (let i = 1; i < frames.length; i++) {
+    const [f0, v0] = frames[i - 1], [f1, v1] = frames[i];
+    if (f <= f1) {
+      const t = (f - f0) / (f1 - f0);
+      return v0 + (v1 - v0) * t * t * (3 - 2 * t);
+    }
+  }
+  return frames[frames.length - 1][1];
+}
+
+mkdirSync(OUT, { recursive: true });
+for (const [key, L] of Object.entries(LAYOUTS)) {
+  const circuit = build(L.name, L.segments);
+  const { pts } = trace(circuit);
+  const n = Math.round(circuit.length / ROW);
+  const rows = [];
+  const head = L.format === 'xy' ? ['x_m', 'y_m'] : ['s_m', 'curvature'];
+  if (L.widths) head.push(L.format === 'xy' ? 'w_tr_right_m,w_tr_left_m' : 'width_m');
+  if (L.elevation) head.push('z_m');
+  for (let i = 0; i < n; i++) {
+    const p = pts[i], f = p.s / circuit.length;
+    const row = L.format === 'xy'
+      ? [p.x.toFixed(2), p.y.toFixed(2)]
+      : [p.s.toFixed(1), circuitCurvature(circuit, p.s).toFixed(6)];
+    if (L.widths) {
+      const w = keyed(L.widths, f);
+      row.push(...(L.format === 'xy' ? [(w / 2).toFixed(2), (w / 2).toFixed(2)] : [w.toFixed(2)]));
+    }
+    if (L.elevation) row.push(keyed(L.elevation, f).toFixed(2));
+    rows.push(row.join(','));
+  }
+  // s,curvature files close with a row at s = lap length repeating the first.
+  if (L.format !== 'xy') rows.push([circuit.length.toFixed(1), ...rows[0].split(',').slice(1)].join(','));
+  const text = [
+    `# ${L.name} — approximate centerline (scripts/gen-circuits.mjs)`,
+    `# lap ${circuit.length.toFixed(1)} m, ${circuit.corners.length} corners`,
+    head.join(','),
+    ...rows,
+  ].join('\n') + '\n';
+  writeFileSync(`${OUT}/${key}.csv`, text);
+  console.log(`${key}: ${circuit.length.toFixed(0)} m, ${n} rows`);
+}